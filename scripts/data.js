@@ -0,0 +1,454 @@
+/**
+ * data.js - Offline authoring CLI for cosmic-objects.json
+ *
+ * Lets contributors extend the catalog without running the game. Runs
+ * under vite-node so it can import the game's own modules (`@/` alias):
+ * validation is DataManager.loadFromData() → SchemaValidator, exactly as
+ * in BootScene.
+ *
+ * Usage:
+ *   npm run data -- check
+ *       Validate all data files and report every problem (with JSON paths),
+ *       object pairs without any distance, and whether the file is normalized
+ *       (a file `build` would change fails the check)
+ *
+ *   npm run data -- build [--out <file>]
+ *       Recompute every lightTravelTime from physical-constants.json's
+ *       speedOfLight, sort objects and distances, normalize key order and
+ *       write the result (default: overwrite cosmic-objects.json)
+ *
+ *   npm run data -- add <entry.json> [--out <file>]
+ *       Add an object (plus optional distances) and write the normalized file.
+ *       entry.json is either a bare object or
+ *       { "object": {...}, "distances": [{ "to": "earth", "distance": 3.8e8 }] }
+ *       diameterUnit, massUnit, scaleLevel, distance units, descriptions and
+ *       light travel times are filled in when missing.
+ *
+ * Quantities may use any known unit (km, AU, ly, pc, ... see Units.js);
+ * the file keeps the authored units and light travel times are computed
+ * in each entry's lightTravelTimeUnit.
+ *
+ * Exit codes: 0 = OK, 1 = validation problems (or, for check, a file that
+ * is not normalized), 2 = usage error
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DataManager } from '@/managers/DataManager.js';
+import { SchemaValidator, DataValidationError } from '@/utils/SchemaValidator.js';
+import { Units } from '@/utils/Units.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DATA_DIR = path.join(ROOT, 'public/assets/data');
+
+const FILES = {
+  cosmicObjects: path.join(DATA_DIR, 'cosmic-objects.json'),
+  constants: path.join(DATA_DIR, 'physical-constants.json'),
+  scaleLevels: path.join(DATA_DIR, 'scale-levels.json')
+};
+
+// Key order of normalized records (unlisted keys keep their order, after these)
+const OBJECT_KEY_ORDER = [
+  'id', 'name', 'category', 'diameter', 'diameterUnit', 'mass', 'massUnit',
+  'scaleLevel', 'orbit', 'position', 'description', 'color', 'texture',
+  'educationalFacts', 'sources', 'translations'
+];
+
+const DISTANCE_KEY_ORDER = [
+  'from', 'to', 'distance', 'unit', 'lightTravelTime', 'lightTravelTimeUnit', 'description'
+];
+
+// Significant digits kept for computed light travel times
+const LIGHT_TIME_PRECISION = 6;
+
+const USAGE = `Usage:
+  npm run data -- check
+  npm run data -- build [--out <file>]
+  npm run data -- add <entry.json> [--out <file>]`;
+
+/**
+ * Error for bad command-line usage (exit code 2)
+ */
+class UsageError extends Error {}
+
+// ========================================
+// File I/O
+// ========================================
+
+/**
+ * @param {string} file - Path to a JSON file
+ * @returns {Promise<*>} Parsed JSON
+ */
+async function readJson(file) {
+  const text = await readFile(file, 'utf8');
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${displayPath(file)} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Read all data files
+ * @returns {Promise<Object>} {cosmicObjects, constants, scaleLevels}
+ */
+async function loadDataFiles() {
+  return {
+    cosmicObjects: await readJson(FILES.cosmicObjects),
+    constants: await readJson(FILES.constants),
+    scaleLevels: await readJson(FILES.scaleLevels)
+  };
+}
+
+/**
+ * @param {string} file - Absolute path
+ * @returns {string} Path relative to the repo root when inside it
+ */
+function displayPath(file) {
+  const relative = path.relative(ROOT, file);
+  return relative.startsWith('..') ? file : relative;
+}
+
+/**
+ * Serialize cosmic-objects data the way it is stored in the repo
+ *
+ * @param {Object} cosmicObjects - Data to write
+ * @returns {string} JSON text (2-space indent, trailing newline)
+ */
+function serialize(cosmicObjects) {
+  return `${JSON.stringify(cosmicObjects, null, 2)}\n`;
+}
+
+// ========================================
+// Validation
+// ========================================
+
+/**
+ * Validate data through DataManager (same path as the game at boot)
+ *
+ * @param {Object} data - {cosmicObjects, constants, scaleLevels}
+ * @returns {Object} {dataManager, problems}; dataManager is only usable
+ *   when problems is empty
+ */
+function validate(data) {
+  const dataManager = DataManager.getInstance();
+
+  try {
+    dataManager.loadFromData(data);
+    return { dataManager, problems: [] };
+  } catch (error) {
+    if (error instanceof DataValidationError) {
+      return { dataManager, problems: error.problems };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Print validation problems
+ * @param {Array<Object>} problems - Problems from SchemaValidator
+ */
+function printProblems(problems) {
+  console.error(`\n✗ ${problems.length} problem${problems.length === 1 ? '' : 's'}:`);
+  problems.forEach(problem => console.error(`  - ${SchemaValidator.formatProblem(problem)}`));
+}
+
+/**
+ * Find object pairs that have neither a catalogued nor a derivable distance
+ *
+ * @param {DataManager} dataManager - Loaded DataManager
+ * @returns {Array<string>} Pairs as "a ↔ b"
+ */
+function findMissingDistances(dataManager) {
+  const objects = dataManager.getAllObjects();
+  const missing = [];
+
+  objects.forEach((a, i) => {
+    objects.slice(i + 1).forEach(b => {
+      const explicit = dataManager.distanceCache.has(`${a.id}-${b.id}`) ||
+        dataManager.distanceCache.has(`${b.id}-${a.id}`);
+
+      if (!explicit && !dataManager.resolveDistance(a.id, b.id)) {
+        missing.push(`${a.id} ↔ ${b.id}`);
+      }
+    });
+  });
+
+  return missing;
+}
+
+// ========================================
+// Normalization
+// ========================================
+
+/**
+ * Copy a record with its keys in a fixed order
+ *
+ * @param {Object} record - Record to reorder
+ * @param {Array<string>} order - Preferred key order
+ * @returns {Object} Reordered copy
+ */
+function orderKeys(record, order) {
+  const ordered = {};
+
+  order.forEach(key => {
+    if (record[key] !== undefined) ordered[key] = record[key];
+  });
+  Object.keys(record).forEach(key => {
+    if (!(key in ordered)) ordered[key] = record[key];
+  });
+
+  return ordered;
+}
+
+/**
+ * Light travel time for a distance entry, rounded for storage
+ *
+ * Entries with unknown units keep their stored value; validation
+ * reports the units.
+ *
+ * @param {Object} entry - {distance, unit, lightTravelTime, lightTravelTimeUnit}
+ * @param {number} speedOfLight - Speed of light (m/s)
+ * @returns {number} Light travel time in entry.lightTravelTimeUnit
+ */
+function computeLightTravelTime(entry, speedOfLight) {
+  if (!Units.isUnit(entry.unit, 'length') || !Units.isUnit(entry.lightTravelTimeUnit, 'time')) {
+    return entry.lightTravelTime;
+  }
+
+  const seconds = Units.toBase(entry.distance, entry.unit) / speedOfLight;
+  return Number(Units.fromBase(seconds, entry.lightTravelTimeUnit).toPrecision(LIGHT_TIME_PRECISION));
+}
+
+/**
+ * Produce the normalized form of cosmic-objects.json
+ *
+ * - Objects sorted by diameter in meters (smallest first), then id
+ * - Distances sorted by the position of their objects in that order
+ * - Every lightTravelTime recomputed from speedOfLight
+ * - Fixed key order in every record
+ *
+ * @param {Object} cosmicObjects - Valid cosmic-objects data
+ * @param {number} speedOfLight - Speed of light (m/s)
+ * @returns {Object} Normalized copy
+ */
+function normalize(cosmicObjects, speedOfLight) {
+  const objects = [...cosmicObjects.objects]
+    .sort((a, b) => diameterInMeters(a) - diameterInMeters(b) || a.id.localeCompare(b.id))
+    .map(obj => orderKeys(obj, OBJECT_KEY_ORDER));
+
+  const rank = new Map(objects.map((obj, index) => [obj.id, index]));
+
+  const distances = cosmicObjects.distances
+    .map(entry => orderKeys({
+      ...entry,
+      lightTravelTime: computeLightTravelTime(entry, speedOfLight)
+    }, DISTANCE_KEY_ORDER))
+    .sort((a, b) => rank.get(a.from) - rank.get(b.from) || rank.get(a.to) - rank.get(b.to));
+
+  return { ...cosmicObjects, objects, distances };
+}
+
+/**
+ * @param {Object} obj - Valid object data
+ * @returns {number} Diameter in meters, whatever unit it was written in
+ */
+function diameterInMeters(obj) {
+  return Units.toBase(obj.diameter, obj.diameterUnit);
+}
+
+// ========================================
+// Commands
+// ========================================
+
+/**
+ * check: validate and report
+ *
+ * @returns {Promise<number>} Exit code
+ */
+async function checkCommand() {
+  const data = await loadDataFiles();
+  const { dataManager, problems } = validate(data);
+
+  if (problems.length > 0) {
+    printProblems(problems);
+    return 1;
+  }
+
+  const missing = findMissingDistances(dataManager);
+  if (missing.length > 0) {
+    console.warn(`\n! ${missing.length} object pair${missing.length === 1 ? '' : 's'} without any distance ` +
+      '(add a distance entry or orbit/position data):');
+    missing.forEach(pair => console.warn(`  - ${pair}`));
+  }
+
+  const current = await readFile(FILES.cosmicObjects, 'utf8');
+  const normalized = serialize(normalize(data.cosmicObjects, dataManager.getSpeedOfLight()));
+  if (current !== normalized) {
+    console.error('\n✗ cosmic-objects.json is not normalized (run `npm run data -- build`)');
+    return 1;
+  }
+
+  console.log(`\n✓ Data is valid: ${data.cosmicObjects.objects.length} objects, ` +
+    `${data.cosmicObjects.distances.length} distances, ${data.scaleLevels.levels.length} scale levels`);
+  return 0;
+}
+
+/**
+ * build: normalize and write
+ *
+ * @param {Object} options - {out}
+ * @returns {Promise<number>} Exit code
+ */
+async function buildCommand(options) {
+  const data = await loadDataFiles();
+  const { dataManager, problems } = validate(data);
+
+  if (problems.length > 0) {
+    printProblems(problems);
+    return 1;
+  }
+
+  const out = options.out ?? FILES.cosmicObjects;
+  await writeFile(out, serialize(normalize(data.cosmicObjects, dataManager.getSpeedOfLight())));
+
+  console.log(`\n✓ Wrote ${displayPath(out)}`);
+  return 0;
+}
+
+/**
+ * add: merge a new object (and distances), validate, write
+ *
+ * @param {string} entryFile - Path to the entry JSON
+ * @param {Object} options - {out}
+ * @returns {Promise<number>} Exit code
+ */
+async function addCommand(entryFile, options) {
+  if (!entryFile) {
+    throw new UsageError('add needs an entry file');
+  }
+
+  const data = await loadDataFiles();
+  const entry = await readJson(path.resolve(entryFile));
+  const object = { ...(entry.object ?? entry) };
+  const newDistances = entry.object ? entry.distances ?? [] : [];
+
+  if (data.cosmicObjects.objects.some(existing => existing.id === object.id)) {
+    console.error(`\n✗ An object with id "${object.id}" already exists`);
+    return 1;
+  }
+
+  // Fill in what can be derived
+  object.diameterUnit ??= 'm';
+  object.massUnit ??= 'kg';
+  if (object.scaleLevel === undefined && object.diameter > 0 && Units.isUnit(object.diameterUnit, 'length')) {
+    object.scaleLevel = Math.floor(Math.log10(diameterInMeters(object)));
+  }
+
+  const speedOfLight = data.constants?.speedOfLight?.value;
+  const objectNames = new Map(data.cosmicObjects.objects.map(obj => [obj.id, obj.name]));
+
+  const distances = newDistances
+    .map(distance => ({
+      from: object.id,
+      unit: 'm',
+      lightTravelTimeUnit: 's',
+      description: `Average distance from ${object.name} to ${objectNames.get(distance.to) ?? distance.to}`,
+      ...distance
+    }))
+    .map(distance => ({ ...distance, lightTravelTime: computeLightTravelTime(distance, speedOfLight) }));
+
+  data.cosmicObjects = {
+    ...data.cosmicObjects,
+    objects: [...data.cosmicObjects.objects, object],
+    distances: [...data.cosmicObjects.distances, ...distances]
+  };
+
+  const { problems } = validate(data);
+  if (problems.length > 0) {
+    printProblems(problems);
+    console.error('\nNothing was written.');
+    return 1;
+  }
+
+  const out = options.out ?? FILES.cosmicObjects;
+  await writeFile(out, serialize(normalize(data.cosmicObjects, speedOfLight)));
+
+  console.log(`\n✓ Added "${object.id}" with ${distances.length} distance${distances.length === 1 ? '' : 's'} → ${displayPath(out)}`);
+  return 0;
+}
+
+// ========================================
+// Entry point
+// ========================================
+
+/**
+ * Parse arguments: positional values plus `--out <file>`
+ *
+ * @param {Array<string>} args - process.argv after the script
+ * @returns {Object} {command, positional, options}
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--out') {
+      if (!args[i + 1]) throw new UsageError('--out needs a file path');
+      options.out = path.resolve(args[++i]);
+    } else if (args[i].startsWith('--')) {
+      throw new UsageError(`Unknown option ${args[i]}`);
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { command: positional.shift(), positional, options };
+}
+
+/**
+ * Hide the managers' tagged browser-console logging ("[DataManager] ...")
+ * so CLI output stays readable; problems are printed by printProblems()
+ */
+function silenceManagerLogs() {
+  ['log', 'warn', 'error'].forEach(level => {
+    const original = console[level];
+    console[level] = (...args) => {
+      if (typeof args[0] === 'string' && args[0].startsWith('[')) return;
+      original(...args);
+    };
+  });
+}
+
+async function main() {
+  // vite-node leaves a leading "--" from `npm run data -- ...` in place
+  const args = process.argv.slice(2).filter(arg => arg !== '--');
+
+  silenceManagerLogs();
+
+  try {
+    const { command, positional, options } = parseArgs(args);
+
+    switch (command) {
+      case 'check':
+        return await checkCommand();
+      case 'build':
+        return await buildCommand(options);
+      case 'add':
+        return await addCommand(positional[0], options);
+      default:
+        throw new UsageError(command ? `Unknown command "${command}"` : 'Missing command');
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    console.error(`\n✗ ${error.message}`);
+    return 1;
+  }
+}
+
+process.exitCode = await main();
@@ -12,6 +12,9 @@
  * - show() - Make component visible
  * - hide() - Make component invisible
  * - destroy() - Clean up resources
+ *
+ * Components may override getHelpTargets() so the help overlay
+ * (UIOverlayScene) can point coach marks at their elements.
  */
 
 import Phaser from 'phaser';
@@ -108,6 +111,35 @@ export class ComponentBase extends Phaser.Events.EventEmitter {
     this.container.setAlpha(alpha);
   }
 
+  /**
+   * Describe elements the help overlay can point at
+   * Override in subclasses; coordinates are screen pixels
+   *
+   * @returns {Array<Object>} [{id, bounds: {x, y, width, height}}] where
+   *   id names a help.targets.<id> message
+   */
+  getHelpTargets() {
+    return [];
+  }
+
+  /**
+   * Bounding box around several game objects
+   *
+   * @param {Array<Phaser.GameObjects.GameObject>} gameObjects - Objects with getBounds()
+   * @returns {Object|null} {x, y, width, height}, or null if none is visible
+   */
+  static boundsOf(gameObjects) {
+    const boxes = gameObjects.filter(obj => obj?.visible).map(obj => obj.getBounds());
+    if (boxes.length === 0) return null;
+
+    const left = Math.min(...boxes.map(box => box.x));
+    const top = Math.min(...boxes.map(box => box.y));
+    const right = Math.max(...boxes.map(box => box.x + box.width));
+    const bottom = Math.max(...boxes.map(box => box.y + box.height));
+
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
   /**
    * Destroy component and clean up resources
    *
@@ -0,0 +1,232 @@
+/**
+ * DateControl - Choose the date for date-dependent distances
+ *
+ * Shown in the scale display phase when both objects orbit in the same
+ * frame (e.g. Earth–Mars), so students can see how the distance and the
+ * light travel time change between opposition and conjunction.
+ *
+ * Layout (bottom of screen):
+ * - Readout (left): distance and light travel time on the chosen date
+ * - Row: −1 yr · −1 mo · −1 day · [date] · +1 day · +1 mo · +1 yr ·
+ *   Today · Closest · Farthest
+ *
+ * Labels and the date follow the interface language; right-to-left
+ * languages reverse the row and put the readout on the right. The
+ * buttons form one FocusManager group (arrow keys move along the row).
+ *
+ * The control does not compute distances itself; the scene answers its
+ * events and pushes the results back with setDate() / setReadout().
+ *
+ * Events:
+ * - 'dateChanged' (date) - a step or "Today" button picked a new date
+ * - 'extremeRequested' (findMinimum) - jump to the next closest approach
+ *   (true) or farthest separation (false)
+ */
+
+import { ComponentBase } from '@/components/ComponentBase.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { COLORS } from '@/utils/Constants.js';
+
+// Row item widths (pixels)
+const STEP_BUTTON_WIDTH = 64;
+const ACTION_BUTTON_WIDTH = 84;
+const DATE_LABEL_WIDTH = 130;
+const ITEM_GAP = 6;
+
+export class DateControl extends ComponentBase {
+  /**
+   * Constructor
+   *
+   * @param {Phaser.Scene} scene - Parent scene
+   * @param {Date} date - Initial date
+   * @param {Object} config - Configuration
+   */
+  constructor(scene, date, config = {}) {
+    super(scene, config);
+
+    this.date = new Date(date.getTime());
+    this.dateText = null;
+    this.readoutText = null;
+    this.locale = LocaleManager.getInstance();
+
+    this.create();
+  }
+
+  /**
+   * Build control UI
+   */
+  create() {
+    const screenWidth = this.scene.cameras.main.width;
+    const screenHeight = this.scene.cameras.main.height;
+    const rowY = screenHeight - 25;
+
+    const t = key => this.locale.t(`date.${key}`);
+
+    const items = [
+      { label: t('minusYear'), width: STEP_BUTTON_WIDTH, onClick: () => this.step({ years: -1 }) },
+      { label: t('minusMonth'), width: STEP_BUTTON_WIDTH, onClick: () => this.step({ months: -1 }) },
+      { label: t('minusDay'), width: STEP_BUTTON_WIDTH, onClick: () => this.step({ days: -1 }) },
+      { date: true, width: DATE_LABEL_WIDTH },
+      { label: t('plusDay'), width: STEP_BUTTON_WIDTH, onClick: () => this.step({ days: 1 }) },
+      { label: t('plusMonth'), width: STEP_BUTTON_WIDTH, onClick: () => this.step({ months: 1 }) },
+      { label: t('plusYear'), width: STEP_BUTTON_WIDTH, onClick: () => this.step({ years: 1 }) },
+      { label: t('today'), width: ACTION_BUTTON_WIDTH, onClick: () => this.changeDate(new Date()) },
+      { label: t('closest'), width: ACTION_BUTTON_WIDTH, onClick: () => this.emit('extremeRequested', true) },
+      { label: t('farthest'), width: ACTION_BUTTON_WIDTH, onClick: () => this.emit('extremeRequested', false) }
+    ];
+
+    // Center the row
+    const rowWidth = items.reduce((sum, item) => sum + item.width, 0) + ITEM_GAP * (items.length - 1);
+    let x = (screenWidth - rowWidth) / 2;
+
+    items.forEach(item => {
+      // Right-to-left: earlier dates on the right
+      const itemX = this.locale.mirrorX(x + item.width / 2, screenWidth);
+
+      if (item.date) {
+        this.dateText = this.scene.add.text(itemX, rowY, '', this.locale.textStyle({
+          fontSize: '18px',
+          color: COLORS.TEXT,
+          fontFamily: 'Arial',
+          fontStyle: 'bold'
+        })).setOrigin(0.5);
+        this.container.add(this.dateText);
+      } else {
+        this.createButton(item.label, itemX, rowY, item.width, item.onClick);
+      }
+
+      x += item.width + ITEM_GAP;
+    });
+
+    // Distance / light time readout (bottom-left, beside the Show Distance button)
+    this.readoutText = this.scene.add.text(this.locale.mirrorX(40, screenWidth), screenHeight - 80, '', this.locale.textStyle({
+      fontSize: '15px',
+      color: '#cccccc',
+      fontFamily: 'Arial',
+      lineSpacing: 4
+    })).setOrigin(this.locale.isRTL() ? 1 : 0, 0.5);
+    this.container.add(this.readoutText);
+
+    this.updateDateText();
+  }
+
+  /**
+   * Create a small button
+   *
+   * @param {string} label - Button label
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {number} width - Button width
+   * @param {Function} onClick - Click handler
+   */
+  createButton(label, x, y, width, onClick) {
+    const color = parseInt(COLORS.SECONDARY.replace('#', '0x'));
+
+    const background = this.scene.add.rectangle(x, y, width, 30, color).setInteractive();
+
+    const text = this.scene.add.text(x, y, label, this.locale.textStyle({
+      fontSize: '14px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    background.on('pointerover', () => background.setFillStyle(color, 0.7));
+    background.on('pointerout', () => background.setFillStyle(color, 1));
+    background.on('pointerdown', onClick);
+
+    FocusManager.getInstance().register(background, { label, group: 'date' });
+
+    this.container.add([background, text]);
+  }
+
+  /**
+   * Move the date by a number of years, months and/or days (UTC)
+   *
+   * Years and months keep the day of the month where the target month
+   * has it, and otherwise stop at its last day (Jan 31 + 1 month is
+   * Feb 28 or 29, Feb 29 + 1 year is Feb 28), so no month is skipped
+   *
+   * @param {Object} offset - {years, months, days}
+   */
+  step({ years = 0, months = 0, days = 0 }) {
+    const date = new Date(this.date.getTime());
+    const year = date.getUTCFullYear() + years;
+    const month = date.getUTCMonth() + months;
+
+    // Day 0 of the following month is the target month's last day
+    const monthLength = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    date.setUTCFullYear(year, month, Math.min(date.getUTCDate(), monthLength) + days);
+    this.changeDate(date);
+  }
+
+  /**
+   * Set a new date and notify listeners
+   *
+   * @param {Date} date - New date
+   */
+  changeDate(date) {
+    this.setDate(date);
+    this.emit('dateChanged', this.getDate());
+  }
+
+  /**
+   * Set the displayed date without emitting 'dateChanged'
+   *
+   * @param {Date} date - Date to display
+   */
+  setDate(date) {
+    this.date = new Date(date.getTime());
+    this.updateDateText();
+  }
+
+  /**
+   * Get the selected date
+   *
+   * @returns {Date} Copy of the selected date
+   */
+  getDate() {
+    return new Date(this.date.getTime());
+  }
+
+  /**
+   * Set the distance readout text
+   *
+   * @param {string} text - Readout (may contain line breaks)
+   */
+  setReadout(text) {
+    this.readoutText.setText(text);
+  }
+
+  /**
+   * @returns {string} Spoken summary: the date and the readout
+   */
+  getSummary() {
+    return `${this.dateText.text}\n${this.readoutText.text}`;
+  }
+
+  /**
+   * Refresh the date label (UTC, in the interface language's date style)
+   */
+  updateDateText() {
+    this.dateText.setText(this.locale.formatDate(this.date));
+  }
+
+  /**
+   * @returns {Array<Object>} Help overlay targets (see ComponentBase)
+   */
+  getHelpTargets() {
+    return [{ id: 'dateControl', bounds: this.container.getBounds() }];
+  }
+
+  /**
+   * Destroy component and clean up
+   */
+  destroy() {
+    this.dateText = null;
+    this.readoutText = null;
+
+    super.destroy();
+  }
+}
@@ -1,19 +1,66 @@
 /**
  * DistanceAnimator - Animate objects separating to show distance
  *
- * CRITICAL: Uses logarithmic scaling for astronomical distances
- * Linear scaling would require screens millions of pixels wide!
+ * The separation is drawn on one of three axes (SCALE_MODES, a user
+ * preference in StateManager; see ScaleCalculator.getDistanceLayout()):
+ * linear, where sizes and distance share a scale; logarithmic, where
+ * every power of ten takes the same width and the objects are markers;
+ * and hybrid, with sizes to scale and most of the gap cut out at an axis
+ * break. A ruler under the objects labels real lengths in the units of the
+ * user's number format, so the mapping from screen to reality is explicit,
+ * and a note says what the current axis does and does not show.
  *
- * Animates two sprites moving apart to their real scaled distance
+ * Animates two sprites moving apart to their scaled distance
  * Draws connection line between objects
- * Displays distance measurement
+ * Displays distance measurement (in the user's number format and the
+ * interface language)
+ *
+ * Once separated, Linear / Logarithmic / Hybrid buttons switch the axis:
+ * objects, ruler ticks and the axis break morph from one mapping to the
+ * other, each tick sliding from where its length sat on the old axis.
+ * 'axisChanged' is emitted while they move (getPointAt() follows).
+ *
+ * Clicking an overlay emits 'infoRequested' (objectId) for its object.
+ *
+ * With reduced motion (StateManager), or when asked to skip the animation,
+ * the objects jump to their separated layout and the measurement appears a
+ * moment later; 'separationComplete' is emitted either way. finish() ends
+ * a running separation at once. Changing the axis with reduced motion
+ * jumps to the new layout.
+ *
+ * Tweens (and the reduced motion step) run through AnimationManager under
+ * ANIMATION_IDS, so a global pause holds them and a reset cancels them.
  */
 
 import { ComponentBase } from '@/components/ComponentBase.js';
 import { ScaleCalculator } from '@/utils/ScaleCalculator.js';
-import { ANIMATION_DURATION, COLORS, PROPORTIONAL_SIZING } from '@/utils/Constants.js';
+import { NumberFormatter } from '@/utils/NumberFormatter.js';
+import { ObjectStyle } from '@/utils/ObjectStyle.js';
+import { Units } from '@/utils/Units.js';
+import { StateManager } from '@/managers/StateManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { DataManager } from '@/managers/DataManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { AnimationManager } from '@/managers/AnimationManager.js';
+import {
+  ANIMATION_DURATION,
+  COLORS,
+  MOTION,
+  PROPORTIONAL_SIZING,
+  DISTANCE_SCALE,
+  SCALE_MODES
+} from '@/utils/Constants.js';
 import { ObjectOverlay } from './ObjectOverlay.js';
 
+// AnimationManager IDs
+const ANIMATION_IDS = {
+  OBJECT1: 'separation.object1',
+  OBJECT2: 'separation.object2',
+  MEASUREMENT: 'separation.measurement',
+  STEP: 'separation.step',      // Reduced motion: pause before the second step
+  MORPH: 'axisMorph'
+};
+
 export class DistanceAnimator extends ComponentBase {
   /**
    * Constructor
@@ -30,56 +77,76 @@ export class DistanceAnimator extends ComponentBase {
     this.overlay2 = null;  // Overlay for object 2 (if needed)
     this.obj1Size = null;  // Calculated proportional size for object 1
     this.obj2Size = null;  // Calculated proportional size for object 2
+    this.obj1Data = null;
+    this.obj2Data = null;
+    this.realDistance = null;  // Displayed distance (meters), kept for relabeling
+    this.distanceData = null;
+    this.layout = null;     // {obj1Sprite, obj2Sprite, targetX1, targetX2} of the separation
+    this.separated = false; // True once 'separationComplete' was emitted
+
+    // Axis (see createAxis())
+    this.axis = null;          // Current axis
+    this.previousAxis = null;  // Axis being morphed away from
+    this.morphProgress = 1;    // 0 = previousAxis, 1 = axis
+    this.morphSizes = null;    // Object diameters when the morph started
+    this.centerY = 0;
+    this.rulerY = 0;
+    this.rulerContainer = null;  // Ruler, tick labels, break labels and note
+    this.ruler = null;           // Axis line, ticks and break marks
+    this.axisNote = null;        // What the current axis shows
+    this.scaleButtons = new Map();  // SCALE_MODES value → {background, label}
+
+    this.stateManager = StateManager.getInstance();
+    this.focusManager = FocusManager.getInstance();
+    this.locale = LocaleManager.getInstance();
+    this.animationManager = AnimationManager.getInstance();
+
+    this.stateManager.on('distanceScaleChanged', this.setScaleMode, this);
   }
 
   /**
    * Animate separation of two objects
    *
-   * CRITICAL: Uses logarithmic scaling via ScaleCalculator.realToScreen()
-   * NEW: Also resizes objects proportionally to distance
+   * Positions and sizes come from the axis of the current scale mode
+   * (ScaleCalculator.getDistanceLayout())
    *
    * @param {Phaser.GameObjects.Sprite} obj1Sprite - First object sprite
    * @param {Phaser.GameObjects.Sprite} obj2Sprite - Second object sprite
    * @param {number} realDistance - Real distance in meters
    * @param {Object} obj1Data - First object data (diameter, color, name)
    * @param {Object} obj2Data - Second object data (diameter, color, name)
+   * @param {Object} distanceData - Optional full distance entry from DataManager.getDistance()
+   *                                (used to label derived distances and their range)
+   * @param {Object} options - {immediate: jump to the separated layout as with
+   *                           reduced motion, e.g. when a link opens a later phase}
    */
-  animateSeparation(obj1Sprite, obj2Sprite, realDistance, obj1Data, obj2Data) {
+  animateSeparation(obj1Sprite, obj2Sprite, realDistance, obj1Data, obj2Data, distanceData = null, { immediate = false } = {}) {
     console.log(`[DistanceAnimator] Animating separation: ${realDistance} meters`);
 
+    this.realDistance = realDistance;
+    this.distanceData = distanceData;
+    this.obj1Data = obj1Data;
+    this.obj2Data = obj2Data;
+
     const screenWidth = this.scene.cameras.main.width;
     const screenHeight = this.scene.cameras.main.height;
+    const centerX = screenWidth / 2;
+    const centerY = screenHeight / 2;
 
-    // CRITICAL: Use logarithmic scaling for astronomical distances
-    // Linear scaling would require impossibly large screens!
-    const screenDistance = ScaleCalculator.realToScreen(
-      realDistance,
-      realDistance,  // max = current distance for this comparison
-      screenWidth * 0.7  // Use 70% of screen width
-    );
-
-    console.log(`[DistanceAnimator] Screen distance: ${screenDistance.toFixed(2)}px`);
+    this.centerY = centerY;
+    this.rulerY = centerY + DISTANCE_SCALE.RULER_OFFSET;
 
-    // Calculate proportional sizes for objects
-    this.obj1Size = ScaleCalculator.calculateProportionalSize(
-      obj1Data.diameter,
-      realDistance,
-      screenWidth
-    );
-    this.obj2Size = ScaleCalculator.calculateProportionalSize(
-      obj2Data.diameter,
-      realDistance,
-      screenWidth
-    );
+    // Object 1 stays on its ScaleDisplay side, which is the right in
+    // right-to-left languages
+    this.axis = this.createAxis(this.stateManager.getDistanceScale());
+    this.applyAxisSizes();
 
-    console.log(`[DistanceAnimator] Proportional sizes: obj1=${this.obj1Size.toFixed(2)}px, obj2=${this.obj2Size.toFixed(2)}px`);
+    const targetX1 = this.axisToScreen(this.axis, 0);
+    const targetX2 = this.axisToScreen(this.axis, realDistance);
 
-    // Calculate target positions (center ± half distance)
-    const centerX = screenWidth / 2;
-    const centerY = screenHeight / 2;
+    console.log(`[DistanceAnimator] ${this.axis.layout.mode} axis: ${Math.abs(targetX2 - targetX1).toFixed(2)}px, obj1=${this.obj1Size.toFixed(2)}px, obj2=${this.obj2Size.toFixed(2)}px`);
 
-    const targetX1 = centerX - screenDistance / 2;
-    const targetX2 = centerX + screenDistance / 2;
+    this.layout = { obj1Sprite, obj2Sprite, targetX1, targetX2 };
 
     // Create connection line (initially invisible)
     this.connectionLine = this.scene.add.line(
@@ -98,50 +165,35 @@ export class DistanceAnimator extends ComponentBase {
     this.distanceText = this.scene.add.text(
       centerX,
       centerY + 80,
-      `Distance: ${ScaleCalculator.formatScale(realDistance)}`,
-      {
+      this.getDistanceLabel(realDistance, distanceData),
+      this.locale.textStyle({
         fontSize: '18px',
         color: COLORS.TEXT,
         fontFamily: 'Arial',
+        align: 'center',
         backgroundColor: '#000000',
         padding: { x: 10, y: 5 }
-      }
+      })
     ).setOrigin(0.5).setAlpha(0);
 
     this.container.add(this.distanceText);
 
-    // Create overlays if objects are too small (< 5px)
-    if (this.obj1Size < PROPORTIONAL_SIZING.OVERLAY_THRESHOLD) {
-      console.log(`[DistanceAnimator] Creating overlay for ${obj1Data.name} (${this.obj1Size.toFixed(2)}px)`);
-      this.overlay1 = new ObjectOverlay(this.scene);
-      this.overlay1.create(
-        this.obj1Size,
-        { x: targetX1, y: centerY },
-        obj1Data.color,
-        obj1Data.name
-      );
-      this.container.add(this.overlay1.container);
-    }
+    this.createRuler();
+    this.createOverlays();
 
-    if (this.obj2Size < PROPORTIONAL_SIZING.OVERLAY_THRESHOLD) {
-      console.log(`[DistanceAnimator] Creating overlay for ${obj2Data.name} (${this.obj2Size.toFixed(2)}px)`);
-      this.overlay2 = new ObjectOverlay(this.scene);
-      this.overlay2.create(
-        this.obj2Size,
-        { x: targetX2, y: centerY },
-        obj2Data.color,
-        obj2Data.name
-      );
-      this.container.add(this.overlay2.container);
+    if (immediate || this.stateManager.isReducedMotion()) {
+      this.showSeparationSteps();
+      return;
     }
 
     // Animate objects moving apart AND resizing proportionally
-    this.scene.tweens.add({
+    const object1Tween = this.scene.tweens.add({
       targets: obj1Sprite,
       x: targetX1,
       radius: this.obj1Size / 2,  // Resize to proportional size
       duration: ANIMATION_DURATION.DISTANCE,
       ease: 'Quad.easeInOut',
+      paused: true,
       onUpdate: (tween, target) => {
         // Update overlay position during animation
         if (this.overlay1) {
@@ -150,32 +202,39 @@ export class DistanceAnimator extends ComponentBase {
       }
     });
 
-    this.scene.tweens.add({
+    const object2Tween = this.scene.tweens.add({
       targets: obj2Sprite,
       x: targetX2,
       radius: this.obj2Size / 2,  // Resize to proportional size
       duration: ANIMATION_DURATION.DISTANCE,
       ease: 'Quad.easeInOut',
+      paused: true,
       onUpdate: (tween, target) => {
         // Update overlay position during animation
         if (this.overlay2) {
           this.overlay2.updatePosition(target.x, target.y);
         }
-      },
-      onComplete: () => {
-        this.onSeparationComplete();
       }
     });
 
-    // Fade in connection line and distance text
-    this.scene.tweens.add({
-      targets: [this.connectionLine, this.distanceText],
+    // Fade in connection line, distance text and ruler
+    const measurementTween = this.scene.tweens.add({
+      targets: [this.connectionLine, this.distanceText, this.rulerContainer],
       alpha: 1,
       duration: ANIMATION_DURATION.DISTANCE / 2,
       delay: ANIMATION_DURATION.DISTANCE / 2,
-      ease: 'Linear'
+      ease: 'Linear',
+      paused: true
     });
 
+    // Complete once both objects are in place (finish() cancels instead)
+    Promise.all([
+      this.animationManager.startAnimation(ANIMATION_IDS.OBJECT1, object1Tween),
+      this.animationManager.startAnimation(ANIMATION_IDS.OBJECT2, object2Tween)
+    ]).then(() => this.onSeparationComplete(), () => {});
+
+    this.animationManager.startAnimation(ANIMATION_IDS.MEASUREMENT, measurementTween).catch(() => {});
+
     // Fade in overlays if they exist
     if (this.overlay1) {
       this.overlay1.fadeIn(ANIMATION_DURATION.DISTANCE / 2, ANIMATION_DURATION.DISTANCE / 2);
@@ -185,14 +244,547 @@ export class DistanceAnimator extends ComponentBase {
     }
   }
 
+  /**
+   * Create overlays for objects too small to see (< 5px). Overlays use
+   * the color mode's style, with the same slots as ScaleDisplay (object 1
+   * is the larger object).
+   */
+  createOverlays() {
+    const { targetX1, targetX2 } = this.layout;
+
+    this.overlay1 = this.createOverlay(this.obj1Data, 0, this.obj1Size, targetX1);
+    this.overlay2 = this.createOverlay(this.obj2Data, 1, this.obj2Size, targetX2);
+  }
+
+  /**
+   * @param {Object} objData - Object data
+   * @param {number} slot - Color slot (0 = object 1)
+   * @param {number} size - Object diameter on screen (pixels)
+   * @param {number} x - Object position
+   * @returns {ObjectOverlay|null} Overlay, or null if the object is large enough
+   */
+  createOverlay(objData, slot, size, x) {
+    if (size >= PROPORTIONAL_SIZING.OVERLAY_THRESHOLD) return null;
+
+    console.log(`[DistanceAnimator] Creating overlay for ${objData.name} (${size.toFixed(2)}px)`);
+
+    const style = ObjectStyle.getStyle(objData, slot, this.stateManager.getColorMode());
+    const overlay = new ObjectOverlay(this.scene, { style, animationId: `overlay${slot + 1}.fadeIn` });
+    overlay.create(
+      size,
+      { x, y: this.centerY },
+      style.color,
+      this.locale.localize(objData, 'name'),
+      objData.diameter,
+      objData.displayUnits?.diameter
+    );
+    overlay.on('overlayClicked', () => this.emit('infoRequested', objData.id));
+    this.container.add(overlay.container);
+
+    return overlay;
+  }
+
+  /**
+   * Remove the overlays (before the objects change size)
+   */
+  destroyOverlays() {
+    this.overlay1?.destroy();
+    this.overlay2?.destroy();
+    this.overlay1 = null;
+    this.overlay2 = null;
+  }
+
+  /**
+   * Reduced motion: replace the separation tweens with two steps - the
+   * objects jump to their distance and size, then the connection line,
+   * distance label, ruler and overlays appear
+   */
+  showSeparationSteps() {
+    this.placeObjects();
+
+    const pause = this.scene.tweens.addCounter({ from: 0, to: 1, duration: MOTION.STEP_DELAY, paused: true });
+    this.animationManager.startAnimation(ANIMATION_IDS.STEP, pause).then(() => {
+      this.revealMeasurement();
+      this.onSeparationComplete();
+    }, () => {});
+  }
+
+  /**
+   * Skip the rest of the separation (animated or stepped): everything
+   * takes its final place at once and 'separationComplete' is emitted
+   */
+  finish() {
+    if (!this.layout || this.separated) return;
+
+    this.cancelSeparation();
+
+    this.placeObjects();
+    this.revealMeasurement();
+    this.onSeparationComplete();
+  }
+
+  /**
+   * Stop the separation tweens or the pending reduced motion step (the
+   * overlays stop their own fades)
+   */
+  cancelSeparation() {
+    [ANIMATION_IDS.OBJECT1, ANIMATION_IDS.OBJECT2, ANIMATION_IDS.MEASUREMENT, ANIMATION_IDS.STEP]
+      .forEach(id => this.animationManager.cancelAnimation(id));
+  }
+
+  /**
+   * Move the objects to their separated positions and sizes
+   */
+  placeObjects() {
+    const { obj1Sprite, obj2Sprite, targetX1, targetX2 } = this.layout;
+
+    obj1Sprite.setX(targetX1).setRadius(this.obj1Size / 2);
+    obj2Sprite.setX(targetX2).setRadius(this.obj2Size / 2);
+    this.overlay1?.updatePosition(obj1Sprite.x, obj1Sprite.y);
+    this.overlay2?.updatePosition(obj2Sprite.x, obj2Sprite.y);
+  }
+
+  /**
+   * Show the connection line, distance label, ruler and overlays
+   */
+  revealMeasurement() {
+    this.connectionLine.setAlpha(1);
+    this.distanceText.setAlpha(1);
+    this.rulerContainer.setAlpha(1);
+    this.overlay1?.reveal();
+    this.overlay2?.reveal();
+  }
+
+  // ========================================
+  // Axis: ruler, scale modes and morph
+  // ========================================
+
+  /**
+   * Lay out the pair on one scale mode's axis
+   *
+   * An axis is {mode, layout, start, side, ticks, breakLabel}: layout
+   * from ScaleCalculator.getDistanceLayout(), start the screen x of object
+   * 1, side -1 when the axis runs right to left, ticks [{meters, major,
+   * label}] and breakLabel once buildRuler() has run.
+   *
+   * @param {string} mode - SCALE_MODES value
+   * @returns {Object} Axis, centered on the screen
+   */
+  createAxis(mode) {
+    const screenWidth = this.scene.cameras.main.width;
+    const layout = ScaleCalculator.getDistanceLayout(
+      mode,
+      this.realDistance,
+      this.obj1Data.diameter,
+      this.obj2Data.diameter,
+      screenWidth * DISTANCE_SCALE.SPAN
+    );
+    const side = this.locale.isRTL() ? -1 : 1;
+
+    return { mode, layout, start: screenWidth / 2 - side * layout.x2 / 2, side, ticks: [], breakLabel: null };
+  }
+
+  /**
+   * Object sizes on the current axis
+   */
+  applyAxisSizes() {
+    this.obj1Size = Math.max(PROPORTIONAL_SIZING.MIN_SIZE, this.axis.layout.size1);
+    this.obj2Size = Math.max(PROPORTIONAL_SIZING.MIN_SIZE, this.axis.layout.size2);
+  }
+
+  /**
+   * @param {Object} axis - From createAxis()
+   * @param {number} meters - Distance from object 1's center
+   * @returns {number} Screen x on that axis
+   */
+  axisToScreen(axis, meters) {
+    return axis.start + axis.side * ScaleCalculator.distanceToAxis(axis.layout, meters);
+  }
+
+  /**
+   * Screen x of a distance from object 1, part way through a morph
+   *
+   * @param {number} meters - Distance from object 1's center
+   * @returns {number} Screen x
+   */
+  positionAt(meters) {
+    const to = this.axisToScreen(this.axis, meters);
+    if (!this.previousAxis) return to;
+
+    const from = this.axisToScreen(this.previousAxis, meters);
+    return from + (to - from) * this.morphProgress;
+  }
+
+  /**
+   * Point a fraction of the way from object 1 to object 2, measured in
+   * real distance (on a logarithmic axis, the first 10% of the distance
+   * takes up most of the screen). Used for the light pulse.
+   *
+   * @param {number} progress - 0 at object 1, 1 at object 2
+   * @returns {Object} {x, y}
+   */
+  getPointAt(progress) {
+    return { x: this.positionAt(progress * this.realDistance), y: this.centerY };
+  }
+
+  /**
+   * Create the ruler (hidden until the measurement is revealed)
+   */
+  createRuler() {
+    this.rulerContainer = this.scene.add.container(0, 0).setAlpha(0);
+    this.ruler = this.scene.add.graphics();
+
+    this.axisNote = this.scene.add.text(this.scene.cameras.main.width / 2, this.rulerY + 45, '', this.locale.textStyle({
+      fontSize: '13px',
+      color: '#cccccc',
+      fontFamily: 'Arial',
+      fontStyle: 'italic',
+      align: 'center'
+    })).setOrigin(0.5);
+
+    this.rulerContainer.add([this.ruler, this.axisNote]);
+    this.container.add(this.rulerContainer);
+
+    this.buildRuler(this.axis);
+    this.updateAxisNote();
+    this.drawRuler();
+  }
+
+  /**
+   * Create an axis's ticks and labels
+   *
+   * Labels use one unit for the whole ruler - the one the number format
+   * would pick for the full distance - so they read 0 AU, 0.2 AU, 0.4 AU…
+   * Logarithmic labels are powers of ten, each in its own best unit.
+   *
+   * @param {Object} axis - From createAxis()
+   */
+  buildRuler(axis) {
+    const format = this.stateManager.getNumberFormat();
+    const unit = NumberFormatter.lengthUnit(this.realDistance, format);
+    const logarithmic = axis.layout.mode === SCALE_MODES.LOGARITHMIC;
+    const labelStyle = this.locale.textStyle({ fontSize: '12px', color: COLORS.TEXT, fontFamily: 'Arial' });
+
+    axis.ticks = ScaleCalculator.getRulerTicks(axis.layout, Units.toBase(1, unit)).map(tick => {
+      if (!tick.labeled) return { ...tick, label: null };
+
+      const text = logarithmic
+        ? NumberFormatter.formatLength(tick.meters, format)
+        : NumberFormatter.formatLengthInUnit(tick.meters, unit, format);
+      const label = this.scene.add.text(0, this.rulerY + DISTANCE_SCALE.MAJOR_TICK + 4, text, labelStyle).setOrigin(0.5, 0);
+      this.rulerContainer.add(label);
+
+      return { ...tick, label };
+    });
+
+    const axisBreak = axis.layout.axisBreak;
+    if (axisBreak) {
+      axis.breakLabel = this.scene.add.text(0, this.rulerY - 12, this.locale.t('scaleModes.notShown', {
+        length: NumberFormatter.formatLength(axisBreak.skipped, format)
+      }), labelStyle).setOrigin(0.5, 1);
+      this.rulerContainer.add(axis.breakLabel);
+    }
+  }
+
+  /**
+   * Remove an axis's tick and break labels
+   * @param {Object} axis - From createAxis()
+   */
+  clearRuler(axis) {
+    axis.ticks.forEach(tick => tick.label?.destroy());
+    axis.breakLabel?.destroy();
+    axis.ticks = [];
+    axis.breakLabel = null;
+  }
+
+  /**
+   * Draw the ruler at the current morph progress: the old axis's ticks fade
+   * out and the new axis's fade in, both at their interpolated positions
+   */
+  drawRuler() {
+    this.ruler.clear();
+
+    if (this.previousAxis) {
+      this.drawAxis(this.previousAxis, 1 - this.morphProgress);
+    }
+    this.drawAxis(this.axis, this.previousAxis ? this.morphProgress : 1);
+  }
+
+  /**
+   * @param {Object} axis - From createAxis()
+   * @param {number} alpha - Opacity (0-1)
+   */
+  drawAxis(axis, alpha) {
+    const y = this.rulerY;
+    const color = parseInt(COLORS.TEXT.replace('#', '0x'));
+    const axisBreak = axis.layout.axisBreak;
+    const x1 = this.positionAt(0);
+    const x2 = this.positionAt(this.realDistance);
+
+    this.ruler.lineStyle(1, color, alpha);
+
+    if (axisBreak) {
+      // Axis line with a gap between two "//" marks
+      const shown = axisBreak.start / axis.layout.pixelsPerMeter;
+      const breakStart = this.positionAt(shown);
+      const breakEnd = this.positionAt(this.realDistance - shown);
+      const mark = DISTANCE_SCALE.BREAK_MARK;
+
+      this.ruler.lineBetween(x1, y, breakStart, y);
+      this.ruler.lineBetween(breakEnd, y, x2, y);
+      [breakStart, breakEnd].forEach(x => {
+        [-mark / 2, mark / 2].forEach(offset => {
+          this.ruler.lineBetween(x + offset - mark / 2, y + mark, x + offset + mark / 2, y - mark);
+        });
+      });
+
+      axis.breakLabel?.setPosition((breakStart + breakEnd) / 2, y - 12).setAlpha(alpha);
+    } else {
+      this.ruler.lineBetween(x1, y, x2, y);
+    }
+
+    axis.ticks.forEach(tick => {
+      const x = this.positionAt(tick.meters);
+      this.ruler.lineBetween(x, y, x, y + (tick.major ? DISTANCE_SCALE.MAJOR_TICK : DISTANCE_SCALE.MINOR_TICK));
+      tick.label?.setPosition(x, y + DISTANCE_SCALE.MAJOR_TICK + 4).setAlpha(alpha);
+    });
+  }
+
+  /**
+   * Say what the current axis shows
+   */
+  updateAxisNote() {
+    const { mode, axisBreak } = this.axis.layout;
+    const key = mode === SCALE_MODES.HYBRID && !axisBreak ? 'hybridFits' : mode;
+
+    this.axisNote.setText(this.locale.t(`scaleModes.note.${key}`, {
+      length: axisBreak ? NumberFormatter.formatLength(axisBreak.skipped, this.stateManager.getNumberFormat()) : ''
+    }));
+  }
+
+  /**
+   * Create the Linear / Logarithmic / Hybrid buttons
+   */
+  createScaleButtons() {
+    const { TOGGLE_Y, TOGGLE_WIDTH, TOGGLE_HEIGHT } = DISTANCE_SCALE;
+    const screenWidth = this.scene.cameras.main.width;
+    const modes = Object.values(SCALE_MODES);
+
+    modes.forEach((mode, index) => {
+      const x = this.locale.mirrorX(screenWidth / 2 + (index - (modes.length - 1) / 2) * TOGGLE_WIDTH, screenWidth);
+      const background = this.scene.add.rectangle(
+        x,
+        TOGGLE_Y,
+        TOGGLE_WIDTH - 4,
+        TOGGLE_HEIGHT,
+        parseInt(COLORS.SECONDARY.replace('#', '0x'))
+      ).setInteractive({ useHandCursor: true });
+
+      const label = this.scene.add.text(x, TOGGLE_Y, this.locale.t(`scaleModes.${mode}`), this.locale.textStyle({
+        fontSize: '14px',
+        color: COLORS.TEXT,
+        fontFamily: 'Arial'
+      })).setOrigin(0.5);
+
+      background.on('pointerdown', () => this.stateManager.setDistanceScale(mode));
+
+      this.focusManager.register(background, {
+        label: label.text,
+        group: 'scaleMode',
+        isPressed: () => mode === this.axis?.mode
+      });
+
+      this.container.add([background, label]);
+      this.scaleButtons.set(mode, { background, label });
+    });
+
+    this.updateScaleButtons();
+  }
+
+  /**
+   * Highlight the current scale mode
+   */
+  updateScaleButtons() {
+    this.scaleButtons.forEach((button, mode) => {
+      const color = mode === this.axis.mode ? COLORS.PRIMARY : COLORS.SECONDARY;
+      button.background.setFillStyle(parseInt(color.replace('#', '0x')), 1);
+    });
+  }
+
+  /**
+   * Switch the axis (StateManager 'distanceScaleChanged'); the objects,
+   * ruler and connection line morph to the new layout. Ignored until the
+   * separation is complete - the separation itself uses the mode current
+   * when it started.
+   *
+   * @param {string} mode - SCALE_MODES value
+   */
+  setScaleMode(mode) {
+    if (!this.separated || mode === this.axis.mode) return;
+
+    console.log(`[DistanceAnimator] Scale mode: ${this.axis.mode} → ${mode}`);
+
+    // A morph still running ends where it was heading
+    this.completeMorph();
+    this.destroyOverlays();
+
+    const { obj1Sprite, obj2Sprite } = this.layout;
+    this.morphSizes = { size1: obj1Sprite.radius * 2, size2: obj2Sprite.radius * 2 };
+    this.previousAxis = this.axis;
+    this.axis = this.createAxis(mode);
+    this.applyAxisSizes();
+    this.buildRuler(this.axis);
+    this.updateAxisNote();
+    this.updateScaleButtons();
+    this.focusManager.announce(this.axisNote.text);
+
+    this.setMorphProgress(0);
+
+    if (this.stateManager.isReducedMotion()) {
+      this.completeMorph();
+      return;
+    }
+
+    const morph = this.scene.tweens.addCounter({
+      from: 0,
+      to: 1,
+      duration: DISTANCE_SCALE.MORPH_DURATION,
+      ease: 'Quad.easeInOut',
+      paused: true,
+      onUpdate: tween => this.setMorphProgress(tween.getValue())
+    });
+
+    this.animationManager.startAnimation(ANIMATION_IDS.MORPH, morph).then(() => this.completeMorph(), () => {});
+  }
+
+  /**
+   * Place everything part way through a morph. Sizes change geometrically,
+   * so a planet shrinking from 100px to 0.01px passes every order of
+   * magnitude at the same pace.
+   *
+   * @param {number} progress - 0 = previous axis, 1 = new axis
+   */
+  setMorphProgress(progress) {
+    this.morphProgress = progress;
+
+    const { obj1Sprite, obj2Sprite } = this.layout;
+    const blend = (from, to) => Math.pow(from, 1 - progress) * Math.pow(to, progress);
+    const x1 = this.positionAt(0);
+    const x2 = this.positionAt(this.realDistance);
+
+    obj1Sprite.setX(x1).setRadius(blend(this.morphSizes.size1, this.obj1Size) / 2);
+    obj2Sprite.setX(x2).setRadius(blend(this.morphSizes.size2, this.obj2Size) / 2);
+    this.connectionLine.setTo(x1, this.centerY, x2, this.centerY);
+    this.drawRuler();
+
+    this.emit('axisChanged');
+  }
+
+  /**
+   * End a morph: the old axis's labels go and overlays are added for
+   * objects too small to see on the new one
+   */
+  completeMorph() {
+    if (!this.previousAxis) return;
+
+    this.animationManager.cancelAnimation(ANIMATION_IDS.MORPH);
+    this.setMorphProgress(1);
+
+    this.clearRuler(this.previousAxis);
+    this.previousAxis = null;
+    this.drawRuler();
+
+    this.layout.targetX1 = this.axisToScreen(this.axis, 0);
+    this.layout.targetX2 = this.axisToScreen(this.axis, this.realDistance);
+    this.createOverlays();
+    this.overlay1?.reveal();
+    this.overlay2?.reveal();
+  }
+
+  /**
+   * Build distance label text
+   *
+   * Derived distances (computed from positions rather than catalogued)
+   * are marked as estimates and show their min–max range when it differs;
+   * date-specific distances show the date they were computed for.
+   * Catalogued distances are repeated in the unit the data author used.
+   *
+   * @param {number} realDistance - Real distance in meters
+   * @param {Object|null} distanceData - Distance entry from DataManager
+   * @returns {string} Label text
+   */
+  getDistanceLabel(realDistance, distanceData) {
+    const format = StateManager.getInstance().getNumberFormat();
+    const formatLength = meters => NumberFormatter.formatLength(meters, format);
+    const label = this.locale.t('distance.label', {
+      distance: NumberFormatter.formatLength(realDistance, format, distanceData?.displayUnits?.distance)
+    });
+
+    if (!distanceData?.derived) {
+      return label;
+    }
+
+    // Date-specific distance from orbital elements
+    if (distanceData.derivationMethod === 'ephemeris') {
+      return `${label}\n${this.locale.t('distance.onDate', { date: this.locale.formatDate(distanceData.date) })}`;
+    }
+
+    const estimate = distanceData.derivationMethod === 'orbital'
+      ? 'distance.estimatedFromOrbits'
+      : 'distance.estimatedFromPositions';
+    const lines = [this.locale.t(estimate, { label })];
+
+    if (distanceData.maxDistance > distanceData.minDistance) {
+      lines.push(this.locale.t('distance.range', {
+        min: formatLength(distanceData.minDistance),
+        max: formatLength(distanceData.maxDistance)
+      }));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Rewrite the distance, ruler and size labels after the number format changed
+   */
+  refreshNumberFormat() {
+    if (this.distanceText) {
+      this.distanceText.setText(this.getDistanceLabel(this.realDistance, this.distanceData));
+    }
+    if (this.rulerContainer) {
+      this.completeMorph();
+      this.clearRuler(this.axis);
+      this.buildRuler(this.axis);
+      this.updateAxisNote();
+      this.drawRuler();
+    }
+    this.overlay1?.refreshNumberFormat();
+    this.overlay2?.refreshNumberFormat();
+  }
+
   /**
    * Called when separation animation completes
    */
   onSeparationComplete() {
     console.log('[DistanceAnimator] Separation complete');
+    this.separated = true;
+    this.createScaleButtons();
     this.emit('separationComplete');
   }
 
+  /**
+   * @returns {string} Distance label as displayed, then what the distance
+   *   is (LocaleManager.describeDistance()), for screen readers
+   *   ('' before the animation)
+   */
+  getSummary() {
+    if (!this.distanceText) return '';
+
+    return this.distanceData
+      ? `${this.distanceText.text}\n${this.locale.describeDistance(this.distanceData, id => DataManager.getInstance().getObjectById(id))}`
+      : this.distanceText.text;
+  }
+
   /**
    * Get connection line endpoints
    * Used for light travel animation
@@ -212,10 +804,28 @@ export class DistanceAnimator extends ComponentBase {
     };
   }
 
+  /**
+   * @returns {Array<Object>} Help overlay targets (see ComponentBase)
+   */
+  getHelpTargets() {
+    const buttons = [...this.scaleButtons.values()].map(button => button.background);
+    const rulerLabels = this.axis?.ticks.map(tick => tick.label).filter(Boolean) ?? [];
+
+    return [
+      { id: 'distanceLabel', bounds: ComponentBase.boundsOf([this.distanceText]) },
+      { id: 'distanceRuler', bounds: ComponentBase.boundsOf([...rulerLabels, this.axisNote]) },
+      { id: 'scaleMode', bounds: ComponentBase.boundsOf(buttons) }
+    ].filter(target => target.bounds);
+  }
+
   /**
    * Destroy component and clean up
    */
   destroy() {
+    this.stateManager.off('distanceScaleChanged', this.setScaleMode, this);
+    this.cancelSeparation();
+    this.animationManager.cancelAnimation(ANIMATION_IDS.MORPH);
+
     // Destroy overlays
     if (this.overlay1) {
       this.overlay1.destroy();
@@ -231,6 +841,14 @@ export class DistanceAnimator extends ComponentBase {
     this.distanceText = null;
     this.obj1Size = null;
     this.obj2Size = null;
+    this.distanceData = null;
+    this.layout = null;
+    this.axis = null;
+    this.previousAxis = null;
+    this.rulerContainer = null;
+    this.ruler = null;
+    this.axisNote = null;
+    this.scaleButtons.clear();
 
     // Call parent destroy
     super.destroy();
@@ -0,0 +1,637 @@
+/**
+ * DistanceExplorer - Pan and zoom along a pair's true distance
+ *
+ * DistanceAnimator squeezes every distance onto the screen with a log
+ * scale. This view lays the two objects out linearly instead - sizes and
+ * gap at one scale - so students can zoom from "both objects on screen"
+ * (each far smaller than a pixel) down to either one filling the screen,
+ * and see how empty the space between them is.
+ *
+ * World axis: object 1 at 0 m, object 2 at the distance (right-to-left
+ * languages mirror the screen, as DistanceAnimator does). The camera is
+ * a ScaleCalculator view with a floating origin, rebased onto the nearest
+ * object after every move, so both objects stay exact at zoom ratios of
+ * 10^20 and more. Objects below a pixel are drawn as a dot with a ring;
+ * objects far larger than the screen as a band.
+ *
+ * Input:
+ * - Mouse wheel or pinch: zoom around the pointer
+ * - Drag: pan
+ * - + / −: zoom, arrow keys: pan, F: fit both objects, Esc: close
+ * - Minimap (bottom): click or drag to jump along the whole distance
+ *
+ * The "fit both" animation runs through AnimationManager (FIT_ANIMATION_ID).
+ *
+ * Events:
+ * - 'closeRequested' - Close button or Escape
+ */
+
+import { ComponentBase } from '@/components/ComponentBase.js';
+import { StateManager } from '@/managers/StateManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { AnimationManager } from '@/managers/AnimationManager.js';
+import { ScaleCalculator } from '@/utils/ScaleCalculator.js';
+import { NumberFormatter } from '@/utils/NumberFormatter.js';
+import { ObjectStyle } from '@/utils/ObjectStyle.js';
+import { COLORS, DISTANCE_EXPLORER } from '@/utils/Constants.js';
+
+// AnimationManager ID of the "fit both" animation
+const FIT_ANIMATION_ID = 'explorerFit';
+
+const EDGE_PADDING = 12;  // Off-screen labels keep this far from the edge (pixels)
+
+export class DistanceExplorer extends ComponentBase {
+  /**
+   * Constructor
+   *
+   * @param {Phaser.Scene} scene - Parent scene
+   * @param {Object} obj1Data - Object at the start of the distance (ScaleDisplay.obj1Data)
+   * @param {Object} obj2Data - Object at the end (ScaleDisplay.obj2Data)
+   * @param {number} distance - Distance between their centers (meters)
+   * @param {Object} config - Configuration
+   */
+  constructor(scene, obj1Data, obj2Data, distance, config = {}) {
+    super(scene, config);
+
+    this.stateManager = StateManager.getInstance();
+    this.locale = LocaleManager.getInstance();
+    this.focusManager = FocusManager.getInstance();
+    this.animationManager = AnimationManager.getInstance();
+
+    this.width = this.scene.cameras.main.width;
+    this.height = this.scene.cameras.main.height;
+    this.centerX = this.width / 2;
+    this.axisY = (DISTANCE_EXPLORER.TOP + this.height - DISTANCE_EXPLORER.MINIMAP_BOTTOM) / 2;
+
+    const colorMode = this.stateManager.getColorMode();
+    this.distance = distance;
+    this.objects = [obj1Data, obj2Data].map((data, slot) => ({
+      data,
+      x: slot === 0 ? 0 : distance,  // Exact world positions, used as view origins
+      radius: data.diameter / 2,
+      style: ObjectStyle.getStyle(data, slot, colorMode)
+    }));
+    this.anchors = this.objects.map(obj => obj.x);
+
+    // Zoom range: a little beyond "fit both" out, the smaller object
+    // several screens wide in
+    const [first, second] = this.objects;
+    this.fitTarget = ScaleCalculator.fitView(
+      -first.radius,
+      distance + second.radius,
+      0,
+      this.width,
+      DISTANCE_EXPLORER.FIT_MARGIN
+    );
+    const smallest = Math.min(first.radius, second.radius) * 2;
+    this.minPixelsPerMeter = this.fitTarget.pixelsPerMeter * DISTANCE_EXPLORER.MIN_ZOOM;
+    this.maxPixelsPerMeter = Math.max(
+      DISTANCE_EXPLORER.MAX_ZOOM_SCREENS * this.width / smallest,
+      this.fitTarget.pixelsPerMeter
+    );
+
+    this.view = null;          // ScaleCalculator view {origin, offset, pixelsPerMeter}
+    this.dragX = null;         // Pointer X while dragging the view
+    this.minimapDrag = false;  // True while dragging on the minimap
+    this.pinchDistance = null; // Distance between two touches while pinching
+
+    this.create();
+    this.fit(false);
+
+    // Pinch needs a second touch pointer
+    if (this.scene.input.manager.pointersTotal < 2) {
+      this.scene.input.addPointer(1);
+    }
+
+    this.scene.input.on('wheel', this.onWheel, this);
+    this.scene.input.on('pointermove', this.onPointerMove, this);
+    this.scene.input.on('pointerup', this.onPointerUp, this);
+    this.scene.input.keyboard?.on('keydown', this.onKeyDown, this);
+  }
+
+  /**
+   * Build background, drawing layers, labels, minimap and buttons
+   */
+  create() {
+    const { TOP, MINIMAP_WIDTH, MINIMAP_HEIGHT, MINIMAP_BOTTOM } = DISTANCE_EXPLORER;
+    const side = this.locale.isRTL() ? -1 : 1;
+
+    // Covers the distance animation; dragging it pans
+    this.background = this.scene.add.rectangle(0, TOP, this.width, this.height - TOP, 0x000000, 1)
+      .setOrigin(0, 0)
+      .setInteractive();
+    this.background.on('pointerdown', pointer => {
+      this.stopFitTween();
+      this.dragX = pointer.x;
+    });
+
+    this.graphics = this.scene.add.graphics();
+
+    const [first, second] = this.objects;
+    this.titleText = this.scene.add.text(this.centerX, TOP + 22, this.locale.t('explorer.title', {
+      from: this.locale.localize(first.data, 'name'),
+      to: this.locale.localize(second.data, 'name')
+    }), this.locale.textStyle({
+      fontSize: '20px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    })).setOrigin(0.5);
+
+    this.readoutText = this.scene.add.text(this.centerX, TOP + 56, '', this.locale.textStyle({
+      fontSize: '15px',
+      color: '#cccccc',
+      fontFamily: 'Arial',
+      align: 'center',
+      lineSpacing: 4
+    })).setOrigin(0.5);
+
+    // Name (or off-screen pointer) for each object
+    this.labels = this.objects.map(() => this.scene.add.text(0, 0, '', this.locale.textStyle({
+      fontSize: '14px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      backgroundColor: '#000000',
+      padding: { x: 6, y: 3 }
+    })));
+
+    // Minimap: the whole distance, with the visible part outlined
+    this.minimapLeft = this.centerX - MINIMAP_WIDTH / 2;
+    this.minimapY = this.height - MINIMAP_BOTTOM;
+    this.minimapBackground = this.scene.add.rectangle(this.centerX, this.minimapY, MINIMAP_WIDTH, MINIMAP_HEIGHT, 0x111827, 1)
+      .setInteractive({ useHandCursor: true });
+    this.minimapBackground.setStrokeStyle(1, parseInt(COLORS.SECONDARY.replace('#', '0x')), 1);
+    this.minimapBackground.on('pointerdown', pointer => {
+      this.minimapDrag = true;
+      this.jumpTo(pointer.x);
+    });
+    this.minimapGraphics = this.scene.add.graphics();
+
+    this.hintText = this.scene.add.text(this.centerX, this.height - 60, this.locale.t('explorer.hint'), this.locale.textStyle({
+      fontSize: '13px',
+      color: '#999999',
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    // Fit first on the reading side
+    const buttonY = this.height - 28;
+    this.fitButton = this.createButton(this.centerX - side * 75, buttonY, 'explorer.fit', () => this.fit());
+    this.closeButton = this.createButton(this.centerX + side * 75, buttonY, 'explorer.close', () => this.emit('closeRequested'));
+
+    this.container.add([
+      this.background,
+      this.graphics,
+      ...this.labels,
+      this.titleText,
+      this.readoutText,
+      this.minimapBackground,
+      this.minimapGraphics,
+      this.hintText,
+      this.fitButton.background,
+      this.fitButton.label,
+      this.closeButton.background,
+      this.closeButton.label
+    ]);
+    this.container.setDepth(DISTANCE_EXPLORER.DEPTH);
+  }
+
+  /**
+   * Create a bottom-row button
+   *
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {string} key - Catalog key of the label
+   * @param {Function} onClick - Click handler
+   * @returns {Object} {background, label}
+   */
+  createButton(x, y, key, onClick) {
+    const color = parseInt(COLORS.SECONDARY.replace('#', '0x'));
+
+    const background = this.scene.add.rectangle(x, y, 130, 34, color).setInteractive({ useHandCursor: true });
+    const label = this.scene.add.text(x, y, this.locale.t(key), this.locale.textStyle({
+      fontSize: '15px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    background.on('pointerover', () => background.setFillStyle(parseInt(COLORS.PRIMARY.replace('#', '0x')), 1));
+    background.on('pointerout', () => background.setFillStyle(color, 1));
+    background.on('pointerdown', onClick);
+
+    this.focusManager.register(background, { label: label.text, group: 'explorer' });
+
+    return { background, label };
+  }
+
+  // ========================================
+  // Camera
+  // ========================================
+
+  /**
+   * Show a view (rebased onto the nearest object) and redraw
+   *
+   * @param {Object} view - ScaleCalculator view
+   */
+  setView(view) {
+    this.view = ScaleCalculator.rebaseView(view, this.anchors);
+    this.render();
+  }
+
+  /**
+   * Zoom around a screen position, within the zoom range
+   *
+   * @param {number} factor - Zoom factor (> 1 zooms in)
+   * @param {number} screenX - Screen X that stays put
+   */
+  zoomAt(factor, screenX) {
+    this.stopFitTween();
+
+    const pixelsPerMeter = Math.min(
+      Math.max(this.view.pixelsPerMeter * factor, this.minPixelsPerMeter),
+      this.maxPixelsPerMeter
+    );
+
+    this.setView(ScaleCalculator.zoomView(
+      this.view,
+      pixelsPerMeter / this.view.pixelsPerMeter,
+      this.locale.mirrorX(screenX, this.width),
+      this.centerX
+    ));
+  }
+
+  /**
+   * Move the world by a screen distance (positive = to the right)
+   *
+   * @param {number} deltaX - Pixels
+   */
+  pan(deltaX) {
+    this.stopFitTween();
+
+    const side = this.locale.isRTL() ? -1 : 1;
+    this.setView(ScaleCalculator.panView(this.view, side * deltaX));
+  }
+
+  /**
+   * Center the view on the minimap position under a screen X
+   *
+   * @param {number} screenX - Screen X over the minimap
+   */
+  jumpTo(screenX) {
+    this.stopFitTween();
+
+    const x = this.locale.mirrorX(screenX, this.width);
+    const fraction = Math.min(Math.max((x - this.minimapLeft) / DISTANCE_EXPLORER.MINIMAP_WIDTH, 0), 1);
+    const { min, max } = this.getExtent();
+    const target = min + fraction * (max - min);
+    const anchor = Math.abs(target) < Math.abs(target - this.distance) ? 0 : this.distance;
+
+    this.setView({ origin: anchor, offset: target - anchor, pixelsPerMeter: this.view.pixelsPerMeter });
+  }
+
+  /**
+   * Show both objects (animated unless reduced motion is on)
+   *
+   * @param {boolean} animate - False to jump straight there
+   */
+  fit(animate = true) {
+    this.stopFitTween();
+
+    const target = this.fitTarget;
+    if (!animate || !this.view || this.stateManager.isReducedMotion()) {
+      this.setView(target);
+      return;
+    }
+
+    // Interpolate the center around the target's origin and the zoom
+    // logarithmically, so every order of magnitude takes as long
+    const startOffset = this.view.offset - (target.origin - this.view.origin);
+    const startLog = Math.log(this.view.pixelsPerMeter);
+    const endLog = Math.log(target.pixelsPerMeter);
+
+    const tween = this.scene.tweens.addCounter({
+      from: 0,
+      to: 1,
+      duration: DISTANCE_EXPLORER.FIT_DURATION,
+      ease: 'Quad.easeInOut',
+      paused: true,
+      onUpdate: tween => {
+        const t = tween.getValue();
+        this.setView({
+          origin: target.origin,
+          offset: startOffset + (target.offset - startOffset) * t,
+          pixelsPerMeter: Math.exp(startLog + (endLog - startLog) * t)
+        });
+      }
+    });
+
+    this.animationManager.startAnimation(FIT_ANIMATION_ID, tween)
+      .then(() => this.setView(target), () => {});
+  }
+
+  /**
+   * Stop a running "fit both" animation (any other input takes over)
+   */
+  stopFitTween() {
+    this.animationManager.cancelAnimation(FIT_ANIMATION_ID);
+  }
+
+  /**
+   * @returns {Object} {min, max} World interval covered by the two objects
+   */
+  getExtent() {
+    const [first, second] = this.objects;
+    return { min: first.x - first.radius, max: second.x + second.radius };
+  }
+
+  /**
+   * @param {number} worldX - Exact world position
+   * @returns {number} Screen X (mirrored in right-to-left languages)
+   */
+  toScreenX(worldX) {
+    return this.locale.mirrorX(ScaleCalculator.worldToScreen(worldX, this.view, this.centerX), this.width);
+  }
+
+  // ========================================
+  // Input
+  // ========================================
+
+  /**
+   * Mouse wheel zooms around the pointer
+   *
+   * @param {Phaser.Input.Pointer} pointer - Active pointer
+   * @param {Array} gameObjects - Objects under the pointer
+   * @param {number} deltaX - Horizontal wheel delta
+   * @param {number} deltaY - Vertical wheel delta (negative = scroll up = zoom in)
+   */
+  onWheel(pointer, gameObjects, deltaX, deltaY) {
+    if (!this.isVisible || pointer.y < DISTANCE_EXPLORER.TOP) return;
+
+    this.zoomAt(Math.exp(-deltaY * DISTANCE_EXPLORER.WHEEL_ZOOM), pointer.x);
+  }
+
+  /**
+   * Drag pans, two touches pinch-zoom, dragging on the minimap jumps
+   *
+   * @param {Phaser.Input.Pointer} pointer - Moving pointer
+   */
+  onPointerMove(pointer) {
+    const touch1 = this.scene.input.pointer1;
+    const touch2 = this.scene.input.pointer2;
+
+    if (touch1?.isDown && touch2?.isDown) {
+      const distance = Math.hypot(touch1.x - touch2.x, touch1.y - touch2.y);
+      if (this.pinchDistance) {
+        this.zoomAt(distance / this.pinchDistance, (touch1.x + touch2.x) / 2);
+      }
+      this.pinchDistance = distance;
+      this.dragX = null;
+      return;
+    }
+
+    if (!pointer.isDown) return;
+
+    if (this.minimapDrag) {
+      this.jumpTo(pointer.x);
+    } else if (this.dragX !== null) {
+      this.pan(pointer.x - this.dragX);
+      this.dragX = pointer.x;
+    }
+  }
+
+  /**
+   * End a drag or pinch
+   */
+  onPointerUp() {
+    this.dragX = null;
+    this.minimapDrag = false;
+    this.pinchDistance = null;
+  }
+
+  /**
+   * + / − zoom, arrow keys pan (unless a focus group uses them), F fits,
+   * Esc closes - not while typing or with help open
+   *
+   * @param {KeyboardEvent} event - DOM keyboard event
+   */
+  onKeyDown(event) {
+    if (!this.isVisible || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (this.stateManager.isHelpVisible()) return;
+    if (document.activeElement?.tagName === 'INPUT') return;
+
+    const { KEY_ZOOM, KEY_PAN } = DISTANCE_EXPLORER;
+
+    switch (event.key) {
+      case '+':
+      case '=':
+        this.zoomAt(KEY_ZOOM, this.centerX);
+        this.focusManager.announce(this.getScaleSummary());
+        break;
+      case '-':
+      case '_':
+        this.zoomAt(1 / KEY_ZOOM, this.centerX);
+        this.focusManager.announce(this.getScaleSummary());
+        break;
+      case 'ArrowLeft':
+        if (!this.focusManager.hasFocus()) this.pan(this.width * KEY_PAN);
+        break;
+      case 'ArrowRight':
+        if (!this.focusManager.hasFocus()) this.pan(-this.width * KEY_PAN);
+        break;
+      case 'f':
+      case 'F':
+        this.fit();
+        this.focusManager.announce(this.getScaleSummary());
+        break;
+      case 'Escape':
+        this.emit('closeRequested');
+        break;
+    }
+  }
+
+  // ========================================
+  // Drawing
+  // ========================================
+
+  /**
+   * Redraw objects, labels, readout and minimap for the current view
+   */
+  render() {
+    const { TOP, MIN_DOT_RADIUS, MARKER_RADIUS, MAX_CIRCLE_RADIUS } = DISTANCE_EXPLORER;
+
+    this.graphics.clear();
+    this.graphics.lineStyle(1, 0xffffff, 0.25);
+    this.graphics.lineBetween(0, this.axisY, this.width, this.axisY);
+
+    this.objects.forEach((obj, index) => {
+      const x = this.toScreenX(obj.x);
+      const radius = obj.radius * this.view.pixelsPerMeter;
+      const color = parseInt(obj.style.color.replace('#', '0x'));
+
+      if (radius > MAX_CIRCLE_RADIUS) {
+        // Edge is straight at this size: fill the covered columns
+        const left = Math.max(0, x - radius);
+        const right = Math.min(this.width, x + radius);
+        if (right > left) {
+          this.graphics.fillStyle(color, 1);
+          this.graphics.fillRect(left, TOP, right - left, this.height - TOP);
+        }
+      } else if (x + radius >= 0 && x - radius <= this.width) {
+        this.graphics.fillStyle(color, 1);
+        this.graphics.fillCircle(x, this.axisY, Math.max(radius, MIN_DOT_RADIUS));
+
+        if (obj.style.outline) {
+          this.graphics.lineStyle(2, 0xffffff, 1);
+          this.graphics.strokeCircle(x, this.axisY, Math.max(radius, MIN_DOT_RADIUS));
+        }
+
+        if (radius < MIN_DOT_RADIUS) {
+          this.graphics.lineStyle(1, color, 0.8);
+          this.graphics.strokeCircle(x, this.axisY, MARKER_RADIUS);
+        }
+      }
+
+      this.updateLabel(this.labels[index], obj, x, radius);
+    });
+
+    this.readoutText.setText(this.getReadout());
+    this.renderMinimap();
+  }
+
+  /**
+   * Put an object's name below it, or at the screen edge pointing at it
+   * (with how far away it is) when it is out of view
+   *
+   * @param {Phaser.GameObjects.Text} label - Label to place
+   * @param {Object} obj - Object entry
+   * @param {number} x - Screen X of its center
+   * @param {number} radius - Screen radius (pixels)
+   */
+  updateLabel(label, obj, x, radius) {
+    const name = this.locale.localize(obj.data, 'name');
+
+    if (x + radius < 0 || x - radius > this.width) {
+      const away = this.locale.t('explorer.offscreen', {
+        name,
+        distance: NumberFormatter.formatLength(
+          Math.abs((obj.x - this.view.origin) - this.view.offset),
+          this.stateManager.getNumberFormat()
+        )
+      });
+      const onLeft = x < 0;
+
+      label.setText(onLeft ? `◀ ${away}` : `${away} ▶`);
+      label.setOrigin(onLeft ? 0 : 1, 0.5);
+      label.setPosition(onLeft ? EDGE_PADDING : this.width - EDGE_PADDING, this.axisY);
+      return;
+    }
+
+    // Below the object (inside it once it is taller than the view)
+    const below = Math.min(Math.max(radius, DISTANCE_EXPLORER.MARKER_RADIUS), 120) + 18;
+    const labelX = Math.min(Math.max(x, 80), this.width - 80);
+
+    label.setText(name);
+    label.setOrigin(0.5, 0);
+    label.setPosition(labelX, this.axisY + below);
+  }
+
+  /**
+   * Draw the whole distance with the objects and the visible stretch
+   */
+  renderMinimap() {
+    const { MINIMAP_WIDTH, MINIMAP_HEIGHT } = DISTANCE_EXPLORER;
+    const { min, max } = this.getExtent();
+    const toMinimap = worldX => this.locale.mirrorX(
+      this.minimapLeft + Math.min(Math.max((worldX - min) / (max - min), 0), 1) * MINIMAP_WIDTH,
+      this.width
+    );
+
+    this.minimapGraphics.clear();
+
+    this.objects.forEach(obj => {
+      this.minimapGraphics.fillStyle(parseInt(obj.style.color.replace('#', '0x')), 1);
+      this.minimapGraphics.fillCircle(toMinimap(obj.x), this.minimapY, 4);
+    });
+
+    // Visible stretch (absolute positions are precise enough at this size)
+    const center = this.view.origin + this.view.offset;
+    const halfWidth = this.centerX / this.view.pixelsPerMeter;
+    const ends = [toMinimap(center - halfWidth), toMinimap(center + halfWidth)];
+    const left = Math.min(...ends);
+    const boxWidth = Math.max(Math.max(...ends) - left, 2);
+
+    this.minimapGraphics.fillStyle(parseInt(COLORS.PRIMARY.replace('#', '0x')), 0.3);
+    this.minimapGraphics.fillRect(left, this.minimapY - MINIMAP_HEIGHT / 2, boxWidth, MINIMAP_HEIGHT);
+    this.minimapGraphics.lineStyle(1, parseInt(COLORS.PRIMARY.replace('#', '0x')), 1);
+    this.minimapGraphics.strokeRect(left, this.minimapY - MINIMAP_HEIGHT / 2, boxWidth, MINIMAP_HEIGHT);
+  }
+
+  /**
+   * @returns {string} How much the screen spans at this zoom
+   */
+  getScaleSummary() {
+    return this.locale.t('explorer.screenWidth', {
+      width: NumberFormatter.formatLength(this.width / this.view.pixelsPerMeter, this.stateManager.getNumberFormat())
+    });
+  }
+
+  /**
+   * @returns {string} Screen span, and how the gap compares with the objects
+   */
+  getReadout() {
+    const [first, second] = this.objects;
+    const gap = this.distance - first.radius - second.radius;
+    const lines = [this.getScaleSummary()];
+
+    if (gap > 0) {
+      lines.push(this.locale.t('explorer.gap', {
+        times: NumberFormatter.toWords(gap / (2 * (first.radius + second.radius)))
+      }));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @returns {string} Spoken when the view opens
+   */
+  getSummary() {
+    return `${this.titleText.text}. ${this.getReadout()}. ${this.locale.t('explorer.hint')}`;
+  }
+
+  /**
+   * Rewrite lengths after the number format changed
+   */
+  refreshNumberFormat() {
+    this.render();
+  }
+
+  /**
+   * @returns {Array<Object>} Help overlay targets (see ComponentBase)
+   */
+  getHelpTargets() {
+    return [
+      { id: 'explorerMinimap', bounds: ComponentBase.boundsOf([this.minimapBackground]) },
+      { id: 'explorerFit', bounds: ComponentBase.boundsOf([this.fitButton.background]) }
+    ];
+  }
+
+  /**
+   * Destroy component and clean up
+   */
+  destroy() {
+    this.stopFitTween();
+
+    if (this.scene) {
+      this.scene.input.off('wheel', this.onWheel, this);
+      this.scene.input.off('pointermove', this.onPointerMove, this);
+      this.scene.input.off('pointerup', this.onPointerUp, this);
+      this.scene.input.keyboard?.off('keydown', this.onKeyDown, this);
+    }
+
+    this.labels = [];
+    this.view = null;
+
+    super.destroy();
+  }
+}
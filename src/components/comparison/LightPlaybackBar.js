@@ -0,0 +1,342 @@
+/**
+ * LightPlaybackBar - Playback controls for the light's trip
+ *
+ * Shown above the timer while LightSpeedTraveler runs, so a trip that
+ * really takes years can be watched at a chosen pace.
+ *
+ * Layout (one row):
+ * - Play / pause
+ * - Scrub track: click or drag the handle to move the light to any moment
+ *   of the trip (route stops are ticks on the track)
+ * - Skip to arrival
+ * - Speed presets: real time · 1 min = 1 s · 1 yr = 1 s · whole trip in
+ *   ANIMATION_DURATION.LIGHT_MAX
+ *
+ * The bar drives the traveler directly (pause(), seek(), setSpeed(),
+ * finish()) and follows its 'timeChanged' and 'playbackChanged' events;
+ * it hides once the light has arrived. The buttons form one FocusManager
+ * group; the track takes the arrow keys (LIGHT_PLAYBACK.KEY_STEP of the
+ * trip), Home and End. Right-to-left languages reverse the row and run
+ * the track from right to left.
+ */
+
+import Phaser from 'phaser';
+import { ComponentBase } from '@/components/ComponentBase.js';
+import { StateManager } from '@/managers/StateManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { NumberFormatter } from '@/utils/NumberFormatter.js';
+import { ANIMATION_DURATION, COLORS, LIGHT_PLAYBACK, LIGHT_SPEEDS } from '@/utils/Constants.js';
+
+export class LightPlaybackBar extends ComponentBase {
+  /**
+   * Constructor
+   *
+   * @param {Phaser.Scene} scene - Parent scene
+   * @param {LightSpeedTraveler} traveler - Traveler to control (animating)
+   * @param {Object} config - Configuration
+   */
+  constructor(scene, traveler, config = {}) {
+    super(scene, config);
+
+    this.traveler = traveler;
+    this.stateManager = StateManager.getInstance();
+    this.locale = LocaleManager.getInstance();
+    this.focusManager = FocusManager.getInstance();
+
+    this.playText = null;
+    this.track = null;
+    this.fill = null;
+    this.handle = null;
+    this.trackLeft = 0;        // Left edge of the track before mirroring (pixels)
+    this.speedButtons = [];    // {speed, background}
+    this.resumeAfterDrag = false;
+
+    this.create();
+
+    this.traveler.on('timeChanged', this.updateTrack, this);
+    this.traveler.on('playbackChanged', this.updateControls, this);
+    this.traveler.on('travelComplete', this.hide, this);
+  }
+
+  /**
+   * Build the row
+   */
+  create() {
+    const screenWidth = this.scene.cameras.main.width;
+    const rowY = this.scene.cameras.main.height - LIGHT_PLAYBACK.BOTTOM;
+    const { BUTTON_WIDTH, SPEED_WIDTH, TRACK_WIDTH, GAP } = LIGHT_PLAYBACK;
+
+    const speeds = [LIGHT_SPEEDS.REAL_TIME, LIGHT_SPEEDS.MINUTE, LIGHT_SPEEDS.YEAR, LIGHT_SPEEDS.FIT];
+    const rowWidth = BUTTON_WIDTH * 2 + TRACK_WIDTH + speeds.length * SPEED_WIDTH + GAP * (speeds.length + 3);
+    let x = (screenWidth - rowWidth) / 2;
+
+    // Right-to-left: the row starts on the right
+    const place = width => {
+      const center = this.locale.mirrorX(x + width / 2, screenWidth);
+      x += width + GAP;
+      return center;
+    };
+
+    this.playText = this.createButton(place(BUTTON_WIDTH), rowY, BUTTON_WIDTH, this.getPlayGlyph(), {
+      label: () => this.locale.t(this.traveler.isPaused() ? 'playback.play' : 'playback.pause'),
+      onClick: () => this.togglePause()
+    }).text;
+
+    this.trackLeft = x;
+    this.createTrack(place(TRACK_WIDTH), rowY);
+
+    this.createButton(place(BUTTON_WIDTH), rowY, BUTTON_WIDTH, this.locale.isRTL() ? '|◀◀' : '▶▶|', {
+      label: this.locale.t('playback.toEnd'),
+      onClick: () => this.traveler.finish()
+    });
+
+    speeds.forEach(speed => {
+      const { background } = this.createButton(place(SPEED_WIDTH), rowY, SPEED_WIDTH, this.getSpeedLabel(speed), {
+        label: this.getSpeedLabel(speed),
+        isPressed: () => this.traveler.speed === speed,
+        onClick: () => this.changeSpeed(speed)
+      });
+
+      this.speedButtons.push({ speed, background });
+    });
+
+    this.updateControls();
+    this.updateTrack();
+  }
+
+  /**
+   * Create a button of the row
+   *
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {number} width - Button width
+   * @param {string} text - Button text
+   * @param {Object} options - {label (string or function, for FocusManager),
+   *   isPressed, onClick}
+   * @returns {Object} {background, text}
+   */
+  createButton(x, y, width, text, { label, isPressed, onClick }) {
+    const color = parseInt(COLORS.SECONDARY.replace('#', '0x'));
+
+    const background = this.scene.add.rectangle(x, y, width, LIGHT_PLAYBACK.HEIGHT, color).setInteractive();
+
+    const buttonText = this.scene.add.text(x, y, text, this.locale.textStyle({
+      fontSize: '14px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    background.on('pointerover', () => background.setAlpha(0.7));
+    background.on('pointerout', () => background.setAlpha(1));
+    background.on('pointerdown', onClick);
+
+    this.focusManager.register(background, { label, isPressed, group: 'lightPlayback' });
+
+    this.container.add([background, buttonText]);
+
+    return { background, text: buttonText };
+  }
+
+  /**
+   * Create the scrub track: a thin bar, its filled part, route stop ticks
+   * and a draggable handle
+   *
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   */
+  createTrack(x, y) {
+    const width = LIGHT_PLAYBACK.TRACK_WIDTH;
+    const primary = parseInt(COLORS.PRIMARY.replace('#', '0x'));
+
+    // Taller hit area than the visible bar
+    this.track = this.scene.add.rectangle(x, y, width, 6, 0x333333)
+      .setInteractive({
+        hitArea: new Phaser.Geom.Rectangle(0, -9, width, 24),
+        hitAreaCallback: Phaser.Geom.Rectangle.Contains,
+        useHandCursor: true
+      });
+
+    this.fill = this.scene.add.rectangle(x, y, width, 6, primary).setOrigin(this.locale.isRTL() ? 1 : 0, 0.5);
+    this.fill.x = this.locale.mirrorX(this.trackLeft, this.scene.cameras.main.width);
+
+    const ticks = this.scene.add.graphics();
+    ticks.lineStyle(2, 0xcccccc, 1);
+    this.traveler.legs.slice(0, -1).forEach(leg => {
+      const tickX = this.timeToX(leg.startTime + leg.travelTime);
+      ticks.lineBetween(tickX, y - 8, tickX, y + 8);
+    });
+
+    this.handle = this.scene.add.circle(x, y, 9, parseInt(COLORS.TEXT.replace('#', '0x')))
+      .setInteractive({ useHandCursor: true, draggable: true });
+
+    this.track.on('pointerdown', pointer => this.traveler.seek(this.xToTime(pointer.x)));
+
+    // Hold the light while dragging, then carry on as before
+    this.handle.on('dragstart', () => {
+      this.resumeAfterDrag = !this.traveler.isPaused();
+      this.traveler.pause();
+    });
+    this.handle.on('drag', pointer => this.traveler.seek(this.xToTime(pointer.x)));
+    this.handle.on('dragend', () => {
+      if (this.resumeAfterDrag) {
+        this.traveler.resume();
+      }
+    });
+
+    this.focusManager.register(this.track, {
+      label: () => this.locale.t('playback.position', this.getPositionParams()),
+      role: 'none',
+      onKey: event => this.onTrackKey(event)
+    });
+
+    this.container.add([this.track, this.fill, ticks, this.handle]);
+  }
+
+  /**
+   * Arrow keys move the light along the trip (following the reading
+   * direction), Home goes back to the start, End skips to the arrival
+   *
+   * @param {KeyboardEvent} event - Key event
+   * @returns {boolean} True if handled
+   */
+  onTrackKey(event) {
+    const travelTime = this.traveler.travelTime;
+    const step = travelTime * LIGHT_PLAYBACK.KEY_STEP * (this.locale.isRTL() ? -1 : 1);
+
+    const targets = {
+      ArrowRight: this.traveler.elapsedTime + step,
+      ArrowLeft: this.traveler.elapsedTime - step,
+      Home: 0,
+      End: travelTime
+    };
+
+    if (!(event.key in targets)) return false;
+
+    this.traveler.seek(targets[event.key]);
+    this.focusManager.announce(this.locale.t('playback.position', this.getPositionParams()));
+    return true;
+  }
+
+  /**
+   * Pause or resume, and say so
+   */
+  togglePause() {
+    this.traveler.togglePause();
+
+    this.focusManager.announce(this.traveler.isPaused()
+      ? this.locale.t('a11y.lightPaused', this.getPositionParams())
+      : this.locale.t('a11y.lightResumed'));
+  }
+
+  /**
+   * Switch to a speed preset, and say so
+   *
+   * @param {string} speed - LIGHT_SPEEDS value
+   */
+  changeSpeed(speed) {
+    this.traveler.setSpeed(speed);
+    this.focusManager.announce(this.locale.t('a11y.lightSpeed', { speed: this.getSpeedLabel(speed) }));
+  }
+
+  /**
+   * Show the play / pause state and the chosen speed
+   */
+  updateControls() {
+    if (!this.playText) return;
+
+    this.playText.setText(this.getPlayGlyph());
+
+    const primary = parseInt(COLORS.PRIMARY.replace('#', '0x'));
+    const secondary = parseInt(COLORS.SECONDARY.replace('#', '0x'));
+    this.speedButtons.forEach(({ speed, background }) => {
+      background.setFillStyle(speed === this.traveler.speed ? primary : secondary);
+    });
+  }
+
+  /**
+   * Move the handle and the filled part to the light's position
+   */
+  updateTrack() {
+    if (!this.handle) return;
+
+    const x = this.timeToX(this.traveler.elapsedTime);
+    this.handle.x = x;
+    this.fill.setSize(Math.abs(x - this.fill.x), this.fill.height);
+  }
+
+  /**
+   * @param {number} seconds - Travel time since the start
+   * @returns {number} Screen X on the track
+   */
+  timeToX(seconds) {
+    const fraction = this.traveler.travelTime > 0 ? seconds / this.traveler.travelTime : 0;
+    const x = this.trackLeft + Phaser.Math.Clamp(fraction, 0, 1) * LIGHT_PLAYBACK.TRACK_WIDTH;
+
+    return this.locale.mirrorX(x, this.scene.cameras.main.width);
+  }
+
+  /**
+   * @param {number} x - Screen X
+   * @returns {number} Travel time since the start at that point of the track
+   */
+  xToTime(x) {
+    const fraction = (this.locale.mirrorX(x, this.scene.cameras.main.width) - this.trackLeft) / LIGHT_PLAYBACK.TRACK_WIDTH;
+
+    return Phaser.Math.Clamp(fraction, 0, 1) * this.traveler.travelTime;
+  }
+
+  /**
+   * @returns {string} ▶ while paused, ❚❚ while playing
+   */
+  getPlayGlyph() {
+    return this.traveler.isPaused() ? '▶' : '❚❚';
+  }
+
+  /**
+   * @param {string} speed - LIGHT_SPEEDS value
+   * @returns {string} Speed preset label
+   */
+  getSpeedLabel(speed) {
+    return this.locale.t(`playback.speeds.${speed}`, { seconds: ANIMATION_DURATION.LIGHT_MAX / 1000 });
+  }
+
+  /**
+   * @returns {Object} {time, total} in the user's number format
+   */
+  getPositionParams() {
+    const format = this.stateManager.getNumberFormat();
+
+    return {
+      time: NumberFormatter.formatTime(this.traveler.elapsedTime, format),
+      total: NumberFormatter.formatTime(this.traveler.travelTime, format)
+    };
+  }
+
+  /**
+   * @returns {Array<Object>} Help overlay targets (see ComponentBase)
+   */
+  getHelpTargets() {
+    return [{ id: 'lightPlayback', bounds: this.container.getBounds() }];
+  }
+
+  /**
+   * Destroy component and clean up
+   */
+  destroy() {
+    this.traveler.off('timeChanged', this.updateTrack, this);
+    this.traveler.off('playbackChanged', this.updateControls, this);
+    this.traveler.off('travelComplete', this.hide, this);
+
+    // Clear references
+    this.traveler = null;
+    this.playText = null;
+    this.track = null;
+    this.fill = null;
+    this.handle = null;
+    this.speedButtons = [];
+
+    // Call parent destroy
+    super.destroy();
+  }
+}
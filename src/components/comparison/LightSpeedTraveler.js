@@ -1,80 +1,138 @@
 /**
  * LightSpeedTraveler - Animate light traveling between objects
  *
- * CRITICAL: Caps animation at 10s for UX, shows time-lapse for long distances
- * Real light travel can be years - we time-lapse it for viewing
+ * Real light travel can take years - the trip is played back at a chosen
+ * speed, and the timer always shows the true elapsed time
  *
  * Features:
- * - Animates light particle from object 1 to object 2
- * - Displays real-time travel timer
+ * - Animates light particle from object 1 to object 2, or along a route
+ *   of several legs (Sun → Earth → Moon), one leg after the other
+ * - Displays real-time travel timer (in the user's number format and the
+ *   interface language), cumulative over the legs
  * - Shows time-lapse indicator if animation is sped up
  * - Uses actual speed of light for calculations
+ *
+ * Each leg is {distance, path, from, to}. The path is a function that
+ * places a fraction of the leg's real distance on screen
+ * (DistanceAnimator.getPointAt(), RouteDisplay.getPointAt()), so on a
+ * logarithmic axis the pulse covers the first powers of ten quickly and
+ * then slows down, as each further power of ten is ten times longer.
+ * Call updatePosition() when the path moves (a change of scale mode).
+ *
+ * Playback (LightPlaybackBar): pause() / resume(), seek() to any moment
+ * of the trip, setSpeed() to a LIGHT_SPEEDS preset (real time, 1 minute
+ * or 1 year of travel per second, or the whole trip in
+ * ANIMATION_DURATION.LIGHT_MAX, the default) and finish(). Each leg is
+ * one tween run by AnimationManager (ANIMATION_ID), so pausing, seeking
+ * and changing speed stop or restart it from the light's position. The
+ * whole trip shares one speed, so legs keep their true proportions; on a
+ * route, legs are never shorter than LIGHT_ROUTE.MIN_LEG_DURATION, so a
+ * short hop after a long one can still be seen (the indicator shows each
+ * leg's own factor). No speed is slower than real time.
+ *
+ * Emits 'arrival' ({leg, from, to, legTime, elapsedTime}) the first time
+ * the light reaches the end of each leg (seeking back and forth does not
+ * repeat it), then 'travelComplete' once the light reaches the last
+ * stop. 'timeChanged' (seconds) follows the timer and 'playbackChanged'
+ * a pause, resume or change of speed.
+ *
+ * With reduced motion (StateManager) the light pulse jumps through
+ * MOTION.LIGHT_STEPS positions per leg instead of gliding, the timer
+ * updates at each step, and there is no pulse on arrival. The events are
+ * emitted either way. finish() lands the light at once (emitting the
+ * remaining arrivals).
  */
 
+import Phaser from 'phaser';
 import { ComponentBase } from '@/components/ComponentBase.js';
+import { AnimationManager } from '@/managers/AnimationManager.js';
 import { DataManager } from '@/managers/DataManager.js';
-import { ScaleCalculator } from '@/utils/ScaleCalculator.js';
-import { ANIMATION_DURATION, COLORS } from '@/utils/Constants.js';
+import { StateManager } from '@/managers/StateManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { NumberFormatter } from '@/utils/NumberFormatter.js';
+import { Units } from '@/utils/Units.js';
+import { ANIMATION_DURATION, COLORS, LIGHT_ROUTE, LIGHT_SPEEDS, MOTION } from '@/utils/Constants.js';
+
+// AnimationManager IDs of the current leg's tween and the arrival pulse
+const ANIMATION_ID = 'lightTravel';
+const PULSE_ANIMATION_ID = 'lightArrivalPulse';
+
+// Seconds of travel per second of playback, by speed preset
+// (LIGHT_SPEEDS.FIT depends on the trip, see getRate())
+const SPEED_RATES = {
+  [LIGHT_SPEEDS.REAL_TIME]: 1,
+  [LIGHT_SPEEDS.MINUTE]: Units.toBase(1, 'min'),
+  [LIGHT_SPEEDS.YEAR]: Units.toBase(1, 'yr')
+};
 
 export class LightSpeedTraveler extends ComponentBase {
   /**
    * Constructor
    *
    * @param {Phaser.Scene} scene - Parent scene
-   * @param {Object} startPoint - Start position {x, y}
-   * @param {Object} endPoint - End position {x, y}
-   * @param {number} realDistance - Real distance in meters
+   * @param {Array<Object>} legs - Legs in travel order: {distance (meters),
+   *   path: (progress 0-1 of the leg's real distance) → {x, y}, from, to}
+   *   (from / to are passed back in 'arrival'); a pair has one leg
    */
-  constructor(scene, startPoint, endPoint, realDistance) {
+  constructor(scene, legs) {
     super(scene);
 
-    this.startPoint = startPoint;
-    this.endPoint = endPoint;
-    this.realDistance = realDistance;
+    this.locale = LocaleManager.getInstance();
+    this.animationManager = AnimationManager.getInstance();
 
     // Get speed of light from constants
     const constants = DataManager.getInstance().getConstants();
     this.speedOfLight = constants.speedOfLight.value;  // 299,792,458 m/s
 
-    // Calculate real travel time
-    this.travelTime = realDistance / this.speedOfLight;  // seconds
-
-    console.log(`[LightSpeedTraveler] Real light travel time: ${this.travelTime.toFixed(3)} seconds`);
+    // Calculate real travel times (seconds), per leg and in total
+    let startTime = 0;
+    this.legs = legs.map(leg => {
+      const travelTime = leg.distance / this.speedOfLight;
+      const timed = { ...leg, travelTime, startTime };
+      startTime += travelTime;
+      return timed;
+    });
+    this.travelTime = startTime;
 
-    // Calculate animation duration with time-lapse
-    this.calculateAnimationDuration();
+    console.log(`[LightSpeedTraveler] Real light travel time: ${this.travelTime.toFixed(3)} seconds over ${this.legs.length} leg(s)`);
 
     // References to visual elements
     this.traveler = null;
     this.timeText = null;
     this.timeLapseIndicator = null;
+    this.elapsedTime = 0;  // Real seconds shown on the timer
+    this.leg = 0;           // Index of the leg the light is on
+    this.progress = 0;      // Fraction of that leg covered
+    this.reported = 0;      // Legs whose 'arrival' was emitted
+    this.speed = LIGHT_SPEEDS.FIT;
+    this.paused = false;
+    this.arrived = false;   // True once 'travelComplete' was emitted
+    this.reducedMotion = StateManager.getInstance().isReducedMotion();
   }
 
   /**
-   * Calculate animation duration with UX optimization
-   *
-   * CRITICAL: Cap at 10s for optimal user experience
-   * Real travel time for distant objects can be years!
+   * @returns {number} Seconds of travel per second of playback at the
+   *   current speed (at least real time)
    */
-  calculateAnimationDuration() {
-    const realTimeMs = this.travelTime * 1000;
-
-    // Cap animation duration at 10 seconds for UX
-    this.animationDuration = Math.min(realTimeMs, ANIMATION_DURATION.LIGHT_MAX);
+  getRate() {
+    if (this.speed === LIGHT_SPEEDS.FIT) {
+      return Math.max(1, this.travelTime * 1000 / ANIMATION_DURATION.LIGHT_MAX);
+    }
 
-    if (realTimeMs > ANIMATION_DURATION.LIGHT_MAX) {
-      // Animation is time-lapsed
-      this.isTimeLapsed = true;
-      this.speedMultiplier = realTimeMs / ANIMATION_DURATION.LIGHT_MAX;
+    return SPEED_RATES[this.speed];
+  }
 
-      console.log(`[LightSpeedTraveler] Time-lapsed ${this.speedMultiplier.toFixed(1)}× for UX`);
-    } else {
-      // Animation plays at real speed
-      this.isTimeLapsed = false;
-      this.speedMultiplier = 1;
+  /**
+   * A route's short hops are slowed to a visible minimum (never below
+   * real speed)
+   *
+   * @param {Object} leg - Timed leg
+   * @returns {number} Seconds of travel per second of playback on this leg
+   */
+  getLegRate(leg) {
+    const minLegDuration = this.legs.length > 1 ? LIGHT_ROUTE.MIN_LEG_DURATION : 0;
 
-      console.log('[LightSpeedTraveler] Playing at real speed');
-    }
+    return Math.max(1, Math.min(this.getRate(), leg.travelTime * 1000 / minLegDuration));
   }
 
   /**
@@ -84,9 +142,10 @@ export class LightSpeedTraveler extends ComponentBase {
     console.log('[LightSpeedTraveler] Starting animation...');
 
     // Create light traveler sprite (bright white circle)
+    const start = this.legs[0].path(0);
     this.traveler = this.scene.add.circle(
-      this.startPoint.x,
-      this.startPoint.y,
+      start.x,
+      start.y,
       6,  // radius
       0xFFFFFF  // white
     );
@@ -96,31 +155,232 @@ export class LightSpeedTraveler extends ComponentBase {
 
     this.container.add(this.traveler);
 
-    // Create timer display
+    // Create timer display and time-lapse indicator (hidden at real speed)
     this.createTimerDisplay();
+    this.createTimeLapseIndicator();
 
-    // Create time-lapse indicator if needed
-    if (this.isTimeLapsed) {
-      this.createTimeLapseIndicator();
-    }
+    this.playLeg();
+  }
 
-    // Animate light particle moving from start to end
-    this.scene.tweens.add({
-      targets: this.traveler,
-      x: this.endPoint.x,
-      y: this.endPoint.y,
-      duration: this.animationDuration,
-      ease: 'Linear',
+  /**
+   * Send the light from its position to the end of the current leg at the
+   * current speed (the next leg starts when it arrives)
+   */
+  playLeg() {
+    const leg = this.legs[this.leg];
+    const steps = MOTION.LIGHT_STEPS;
+    const duration = (1 - this.progress) * leg.travelTime * 1000 / this.getLegRate(leg);
+
+    this.updateTimeLapseIndicator();
+
+    // Animate light particle moving along the leg at constant real speed;
+    // reduced motion jumps through the steps instead
+    const tween = this.scene.tweens.addCounter({
+      from: this.progress,
+      to: 1,
+      duration: this.reducedMotion ? Math.max(duration, steps * MOTION.MIN_STEP_INTERVAL) : duration,
+      ease: this.reducedMotion ? value => Math.floor(value * steps) / steps : 'Linear',
+      paused: true,
       onUpdate: (tween) => {
         // Update timer based on real travel time (not animation time)
-        const progress = tween.progress;
-        const elapsedRealTime = this.travelTime * progress;
-        this.updateTimeDisplay(elapsedRealTime);
-      },
-      onComplete: () => {
-        this.onTravelComplete();
+        this.moveTo(tween.getValue());
       }
     });
+
+    // Stopped (seek, change of speed, finish, destroy): whoever stopped
+    // it carries on
+    this.animationManager.startAnimation(ANIMATION_ID, tween)
+      .then(() => this.completeLeg(), () => {});
+  }
+
+  /**
+   * The light reached the end of the current leg: report the arrival,
+   * then start the next leg or finish the trip
+   */
+  completeLeg() {
+    if (!this.traveler || this.arrived) return;
+
+    this.moveTo(1);
+    this.emitArrival(this.leg);
+
+    if (this.leg === this.legs.length - 1) {
+      this.onTravelComplete();
+      return;
+    }
+
+    this.leg++;
+    this.moveTo(0);
+
+    // Paused on the last frame of a leg: resume() starts the next one
+    if (!this.paused) {
+      this.playLeg();
+    }
+  }
+
+  /**
+   * Report a completed leg, once
+   *
+   * @param {number} index - Leg the light just completed
+   */
+  emitArrival(index) {
+    if (index < this.reported) return;
+    this.reported = index + 1;
+
+    const leg = this.legs[index];
+
+    this.emit('arrival', {
+      leg: index,
+      from: leg.from,
+      to: leg.to,
+      legTime: leg.travelTime,
+      elapsedTime: leg.startTime + leg.travelTime
+    });
+  }
+
+  /**
+   * Pause the light where it is
+   */
+  pause() {
+    if (!this.traveler || this.arrived || this.paused) return;
+
+    this.paused = true;
+    this.animationManager.pauseAnimation(ANIMATION_ID);
+    this.emit('playbackChanged');
+  }
+
+  /**
+   * Continue from where the light is
+   */
+  resume() {
+    if (!this.traveler || this.arrived || !this.paused) return;
+
+    this.paused = false;
+
+    // The tween was stopped by a seek or a change of speed while paused
+    if (!this.animationManager.resumeAnimation(ANIMATION_ID)) {
+      this.playLeg();
+    }
+
+    this.emit('playbackChanged');
+  }
+
+  /**
+   * Pause, or resume if paused
+   */
+  togglePause() {
+    if (this.paused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * @returns {boolean} True while paused
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Change the playback speed; the light carries on from where it is
+   *
+   * @param {string} speed - LIGHT_SPEEDS value
+   */
+  setSpeed(speed) {
+    if (speed === this.speed || !Object.values(LIGHT_SPEEDS).includes(speed)) return;
+
+    this.speed = speed;
+    console.log(`[LightSpeedTraveler] Speed ${speed}: ${this.getRate().toFixed(1)}×`);
+
+    if (this.traveler && !this.arrived) {
+      this.animationManager.cancelAnimation(ANIMATION_ID);
+      this.updateTimeLapseIndicator();
+
+      if (!this.paused) {
+        this.playLeg();
+      }
+    }
+
+    this.emit('playbackChanged');
+  }
+
+  /**
+   * Move the light to a moment of the trip (it keeps playing unless
+   * paused). Stops passed for the first time report their arrival;
+   * seeking to the end finishes the trip.
+   *
+   * @param {number} seconds - Real travel time since the start
+   */
+  seek(seconds) {
+    if (!this.traveler || this.arrived) return;
+
+    const time = Phaser.Math.Clamp(seconds, 0, this.travelTime);
+    if (time >= this.travelTime) {
+      this.finish();
+      return;
+    }
+
+    this.animationManager.cancelAnimation(ANIMATION_ID);
+
+    const index = this.legs.findIndex(leg => time < leg.startTime + leg.travelTime);
+    for (let passed = this.reported; passed < index; passed++) {
+      this.emitArrival(passed);
+    }
+
+    const leg = this.legs[index];
+    this.leg = index;
+    this.moveTo((time - leg.startTime) / leg.travelTime);
+
+    if (!this.paused) {
+      this.playLeg();
+    } else {
+      this.updateTimeLapseIndicator();
+    }
+  }
+
+  /**
+   * Skip the rest of the trip: the light reaches the last stop, the timer
+   * shows the full travel time, every remaining 'arrival' and then
+   * 'travelComplete' are emitted
+   */
+  finish() {
+    if (!this.traveler || this.arrived) return;
+
+    this.animationManager.cancelAnimation(ANIMATION_ID);
+
+    for (let index = this.leg; index < this.legs.length; index++) {
+      this.leg = index;
+      this.moveTo(1);
+      this.emitArrival(index);
+    }
+
+    this.updateTimeLapseIndicator();
+    this.onTravelComplete();
+  }
+
+  /**
+   * Place the light on the current leg and set the timer
+   *
+   * @param {number} progress - Fraction of the leg covered (0-1)
+   */
+  moveTo(progress) {
+    const leg = this.legs[this.leg];
+    const point = leg.path(progress);
+
+    this.progress = progress;
+    this.traveler.setPosition(point.x, point.y);
+    this.updateTimeDisplay(leg.startTime + leg.travelTime * progress);
+  }
+
+  /**
+   * Follow the path after it moved (the light keeps its progress)
+   */
+  updatePosition() {
+    if (!this.traveler) return;
+
+    const point = this.legs[this.leg].path(this.progress);
+    this.traveler.setPosition(point.x, point.y);
   }
 
   /**
@@ -134,27 +394,27 @@ export class LightSpeedTraveler extends ComponentBase {
     const label = this.scene.add.text(
       screenWidth / 2,
       screenHeight - 100,
-      'Light Travel Time:',
-      {
+      this.locale.t('light.title'),
+      this.locale.textStyle({
         fontSize: '16px',
         color: '#cccccc',
         fontFamily: 'Arial'
-      }
+      })
     ).setOrigin(0.5);
 
     // Timer value (starts at 0)
     this.timeText = this.scene.add.text(
       screenWidth / 2,
       screenHeight - 70,
-      '0.000 seconds',
-      {
+      this.formatTime(0),
+      this.locale.textStyle({
         fontSize: '24px',
         color: COLORS.TEXT,
         fontFamily: 'Arial',
         fontStyle: 'bold',
         backgroundColor: '#000000',
         padding: { x: 15, y: 8 }
-      }
+      })
     ).setOrigin(0.5);
 
     this.container.add([label, this.timeText]);
@@ -170,16 +430,39 @@ export class LightSpeedTraveler extends ComponentBase {
     this.timeLapseIndicator = this.scene.add.text(
       screenWidth / 2,
       screenHeight - 40,
-      `(Time-lapsed ${this.speedMultiplier.toFixed(1)}× for viewing)`,
-      {
+      '',
+      this.locale.textStyle({
         fontSize: '12px',
         color: '#ffaa00',
         fontFamily: 'Arial',
         fontStyle: 'italic'
-      }
+      })
     ).setOrigin(0.5);
 
     this.container.add(this.timeLapseIndicator);
+    this.updateTimeLapseIndicator();
+  }
+
+  /**
+   * Show the current leg's time-lapse factor (hidden on legs played at
+   * real speed)
+   */
+  updateTimeLapseIndicator() {
+    if (!this.timeLapseIndicator) return;
+
+    const rate = this.getLegRate(this.legs[this.leg]);
+    this.timeLapseIndicator.setVisible(rate > 1);
+    this.timeLapseIndicator.setText(this.getTimeLapseText(rate));
+  }
+
+  /**
+   * @param {number} rate - Seconds of travel per second of playback
+   * @returns {string} "(Time-lapsed N× for viewing)"
+   */
+  getTimeLapseText(rate) {
+    return this.locale.t('light.timeLapse', {
+      factor: this.locale.formatNumber(rate, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+    });
   }
 
   /**
@@ -188,8 +471,26 @@ export class LightSpeedTraveler extends ComponentBase {
    * @param {number} seconds - Elapsed time in seconds
    */
   updateTimeDisplay(seconds) {
-    const formatted = ScaleCalculator.formatTime(seconds);
-    this.timeText.setText(formatted);
+    this.elapsedTime = seconds;
+    this.timeText.setText(this.formatTime(seconds));
+    this.emit('timeChanged', seconds);
+  }
+
+  /**
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} Duration in the user's number format
+   */
+  formatTime(seconds) {
+    return NumberFormatter.formatTime(seconds, StateManager.getInstance().getNumberFormat());
+  }
+
+  /**
+   * Rewrite the timer after the number format changed
+   */
+  refreshNumberFormat() {
+    if (this.timeText) {
+      this.updateTimeDisplay(this.elapsedTime);
+    }
   }
 
   /**
@@ -197,25 +498,44 @@ export class LightSpeedTraveler extends ComponentBase {
    */
   onTravelComplete() {
     console.log('[LightSpeedTraveler] Travel complete');
+    this.arrived = true;
 
     // Make light traveler pulse
-    this.scene.tweens.add({
-      targets: this.traveler,
-      scale: 1.5,
-      alpha: 0.5,
-      duration: 500,
-      yoyo: true,
-      repeat: 2
-    });
+    if (!this.reducedMotion) {
+      const pulse = this.scene.tweens.add({
+        targets: this.traveler,
+        scale: 1.5,
+        alpha: 0.5,
+        duration: 500,
+        yoyo: true,
+        repeat: 2,
+        paused: true
+      });
+
+      this.animationManager.startAnimation(PULSE_ANIMATION_ID, pulse).catch(() => {});
+    }
 
     // Emit completion event
     this.emit('travelComplete');
   }
 
+  /**
+   * @returns {Array<Object>} Help overlay targets (see ComponentBase)
+   */
+  getHelpTargets() {
+    const bounds = ComponentBase.boundsOf([this.timeText]);
+    return bounds ? [{ id: 'lightTimer', bounds }] : [];
+  }
+
   /**
    * Destroy component and clean up
    */
   destroy() {
+    // Still travelling, or pulsing on arrival
+    if (this.traveler) {
+      this.animationManager.cancelAnimation(this.arrived ? PULSE_ANIMATION_ID : ANIMATION_ID);
+    }
+
     // Clear references
     this.traveler = null;
     this.timeText = null;
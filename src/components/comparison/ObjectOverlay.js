@@ -7,9 +7,24 @@
  * - Connects them with a vertical arrow
  *
  * This allows accurate proportional visualization while maintaining visibility.
+ * The size label shows the object's real diameter in the user's number format
+ * and the interface language.
+ *
+ * Clicking the overlay or its name emits 'overlayClicked'; so does
+ * Enter / Space while the overlay has keyboard focus.
+ *
+ * config.style (ObjectStyle.getStyle()) adds the color mode's outline and
+ * pattern to the overlay object. The fade-in runs through AnimationManager
+ * as config.animationId (one per overlay shown at the same time).
  */
 
 import { ComponentBase } from '../ComponentBase.js';
+import { StateManager } from '../../managers/StateManager.js';
+import { LocaleManager } from '../../managers/LocaleManager.js';
+import { FocusManager } from '../../managers/FocusManager.js';
+import { AnimationManager } from '../../managers/AnimationManager.js';
+import { NumberFormatter } from '../../utils/NumberFormatter.js';
+import { ObjectStyle } from '../../utils/ObjectStyle.js';
 import { PROPORTIONAL_SIZING } from '../../utils/Constants.js';
 
 export class ObjectOverlay extends ComponentBase {
@@ -20,6 +35,8 @@ export class ObjectOverlay extends ComponentBase {
     this.overlaySize = config.overlaySize || PROPORTIONAL_SIZING.OVERLAY_SIZE;
     this.overlayOffsetY = config.overlayOffsetY || PROPORTIONAL_SIZING.OVERLAY_OFFSET_Y;
     this.connectorColor = config.connectorColor || PROPORTIONAL_SIZING.CONNECTOR_COLOR;
+    this.style = config.style || null;  // {color, pattern, outline} from ObjectStyle
+    this.animationId = config.animationId || 'overlayFade';
 
     // Visual elements (created by create() method)
     this.actualSprite = null;      // Tiny proportional object
@@ -28,6 +45,11 @@ export class ObjectOverlay extends ComponentBase {
     this.connectorArrow = null;    // Arrowhead pointing down
     this.actualLabel = null;       // Size indicator text
     this.overlayLabel = null;      // Object name text
+    this.patternGraphics = null;   // Color-mode pattern over the overlay object
+    this.realDiameter = null;      // Real diameter in meters (for the size label)
+    this.displayUnit = null;       // Unit the diameter was authored in
+    this.locale = LocaleManager.getInstance();
+    this.animationManager = AnimationManager.getInstance();
   }
 
   /**
@@ -37,8 +59,14 @@ export class ObjectOverlay extends ComponentBase {
    * @param {Object} actualPosition - {x, y} position of the actual object
    * @param {string} objectColor - Color as "#RRGGBB"
    * @param {string} objectName - Name for label display
+   * @param {number|null} realDiameter - Real diameter in meters (optional;
+   *   without it the size label shows pixels only)
+   * @param {string|null} displayUnit - Unit the diameter was authored in
    */
-  create(actualSize, actualPosition, objectColor, objectName) {
+  create(actualSize, actualPosition, objectColor, objectName, realDiameter = null, displayUnit = null) {
+    this.realDiameter = realDiameter;
+    this.displayUnit = displayUnit;
+
     // Calculate overlay position (directly above actual object)
     const overlayX = actualPosition.x;
     const overlayY = actualPosition.y - this.overlayOffsetY;
@@ -61,6 +89,15 @@ export class ObjectOverlay extends ComponentBase {
     );
     this.overlaySprite.setAlpha(0);  // Start invisible, will fade in
 
+    if (this.style) {
+      ObjectStyle.applyToSprite(this.overlaySprite, this.style);
+    }
+    if (this.style?.pattern) {
+      this.patternGraphics = this.scene.add.graphics();
+      this.patternGraphics.setAlpha(0);
+      this.drawPattern();
+    }
+
     // Create connector line (vertical)
     this.connectorLine = this.scene.add.line(
       0, 0,
@@ -92,13 +129,13 @@ export class ObjectOverlay extends ComponentBase {
     this.actualLabel = this.scene.add.text(
       actualPosition.x,
       actualPosition.y + actualSize / 2 + 20,
-      `(${actualSize.toFixed(2)}px)`,
-      {
+      this.getSizeLabel(actualSize),
+      this.locale.textStyle({
         fontSize: '10px',
         color: '#cccccc',
         fontFamily: 'Arial',
         align: 'center'
-      }
+      })
     );
     this.actualLabel.setOrigin(0.5);
     this.actualLabel.setAlpha(0);  // Start invisible
@@ -108,12 +145,12 @@ export class ObjectOverlay extends ComponentBase {
       overlayX,
       overlayY - this.overlaySize / 2 - 15,
       objectName,
-      {
+      this.locale.textStyle({
         fontSize: '14px',
         color: '#ffffff',
         fontFamily: 'Arial',
         fontStyle: 'bold'
-      }
+      })
     );
     this.overlayLabel.setOrigin(0.5);
     this.overlayLabel.setAlpha(0);  // Start invisible
@@ -124,36 +161,113 @@ export class ObjectOverlay extends ComponentBase {
       this.connectorArrow,
       this.actualSprite,
       this.overlaySprite,
+      ...(this.patternGraphics ? [this.patternGraphics] : []),
       this.actualLabel,
       this.overlayLabel
     ]);
+
+    [this.overlaySprite, this.overlayLabel].forEach(target => {
+      target.setInteractive({ useHandCursor: true });
+      target.on('pointerdown', () => this.emit('overlayClicked'));
+    });
+
+    FocusManager.getInstance().register(this.overlaySprite, {
+      label: this.locale.t('a11y.objectDetails', { name: objectName }),
+      onActivate: () => this.emit('overlayClicked')
+    });
   }
 
   /**
-   * Fade in the overlay system
+   * Size label: real diameter (if known) and on-screen size
    *
-   * @param {number} duration - Fade duration in milliseconds
-   * @param {number} delay - Delay before starting fade in milliseconds
+   * @param {number} actualSize - Proportional size in pixels
+   * @returns {string} e.g. "12,700 km wide\n(0.08px)"
    */
-  fadeIn(duration = 1000, delay = 0) {
-    if (!this.overlaySprite) return;
+  getSizeLabel(actualSize) {
+    const pixels = `(${this.locale.formatNumber(actualSize, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}px)`;
+
+    if (this.realDiameter === null) return pixels;
+
+    const format = StateManager.getInstance().getNumberFormat();
+    const size = NumberFormatter.formatLength(this.realDiameter, format, this.displayUnit);
+    return `${this.locale.t('scale.wide', { size })}\n${pixels}`;
+  }
+
+  /**
+   * Rewrite the size label after the number format changed
+   */
+  refreshNumberFormat() {
+    if (!this.actualLabel) return;
+    this.actualLabel.setText(this.getSizeLabel(this.actualSprite.radius * 2));
+  }
+
+  /**
+   * Draw the color-mode pattern over the overlay object
+   */
+  drawPattern() {
+    this.patternGraphics.clear();
+    ObjectStyle.drawPattern(
+      this.patternGraphics,
+      this.overlaySprite.x,
+      this.overlaySprite.y,
+      this.overlaySprite.radius,
+      this.style.pattern
+    );
+  }
 
-    const targets = [
+  /**
+   * @returns {Array<Phaser.GameObjects.GameObject>} Elements that fade in
+   */
+  getFadeTargets() {
+    return [
       this.actualSprite,
       this.overlaySprite,
+      this.patternGraphics,
       this.connectorLine,
       this.connectorArrow,
       this.actualLabel,
       this.overlayLabel
-    ];
+    ].filter(Boolean);
+  }
+
+  /**
+   * Fade in the overlay system
+   *
+   * @param {number} duration - Fade duration in milliseconds
+   * @param {number} delay - Delay before starting fade in milliseconds
+   * @returns {Promise} Resolves when the fade completes (never rejects)
+   */
+  fadeIn(duration = 1000, delay = 0) {
+    if (!this.overlaySprite) return Promise.resolve();
 
-    this.scene.tweens.add({
-      targets: targets,
+    const tween = this.scene.tweens.add({
+      targets: this.getFadeTargets(),
       alpha: { from: 0, to: 0.8 },
       duration: duration,
       delay: delay,
-      ease: 'Linear'
+      ease: 'Linear',
+      paused: true
     });
+
+    return this.animationManager.startAnimation(this.animationId, tween).catch(() => {});
+  }
+
+  /**
+   * Show the overlay system at once (reduced motion)
+   */
+  reveal() {
+    if (!this.overlaySprite) return;
+
+    this.cancelFade();
+
+    this.getFadeTargets().forEach(target => target.setAlpha(0.8));
+  }
+
+  /**
+   * Stop a running fade-in
+   */
+  cancelFade() {
+    this.animationManager.cancelAnimation(this.animationId);
   }
 
   /**
@@ -200,12 +314,18 @@ export class ObjectOverlay extends ComponentBase {
 
     this.connectorArrow.x = arrowX;
     this.connectorArrow.y = arrowY + arrowSize;
+
+    if (this.patternGraphics) {
+      this.drawPattern();
+    }
   }
 
   /**
    * Clean up and destroy all overlay elements
    */
   destroy() {
+    this.cancelFade();
+
     if (this.actualSprite) {
       this.actualSprite.destroy();
       this.actualSprite = null;
@@ -230,6 +350,10 @@ export class ObjectOverlay extends ComponentBase {
       this.overlayLabel.destroy();
       this.overlayLabel = null;
     }
+    if (this.patternGraphics) {
+      this.patternGraphics.destroy();
+      this.patternGraphics = null;
+    }
 
     super.destroy();
   }
@@ -2,24 +2,71 @@
  * ObjectSelector - Object library selection UI
  *
  * CRITICAL: Implements FIFO selection logic
- * - User can select max 2 objects
- * - When 3rd object selected, FIRST is removed (not second!)
+ * - Pair mode: user can select max 2 objects
+ * - Lineup mode: user can select up to MAX_LINEUP_SELECTIONS objects
+ * - Route mode: user picks up to MAX_ROUTE_STOPS stops, in travel order
+ * - When the limit is exceeded, FIRST is removed (not last!)
  *
- * Displays scrollable list of cosmic objects
- * Emits events when objects are selected
+ * Pair mode completes automatically on the second selection.
+ * Lineup and route modes toggle cards on click and complete via the
+ * Compare button; route mode lists the stops in the order picked.
+ *
+ * Library view:
+ * - Scrollable grid of object cards (mouse wheel, arrow keys, Page Up/Down,
+ *   Home/End, or the scrollbar)
+ * - Search box matching names (translated and English), ids and categories
+ * - Category chips (DataManager.getObjectsByCategory)
+ * - Sorting by catalog order, size, mass or distance from Earth
+ *
+ * CRITICAL: The grid is virtualized - only enough cards to fill the
+ * visible rows exist, and they are rebound to other objects as the grid
+ * scrolls, so catalogs of hundreds of objects stay fast. objectCards
+ * therefore only holds the cards currently on screen.
+ *
+ * Emits events when objects are selected; each card's ⓘ button emits
+ * 'infoRequested' (objectId) without changing the selection
+ *
+ * Keyboard: the search box, sort buttons, category chips and mode
+ * buttons are FocusManager items. The grid is a single item with an
+ * active card - arrow keys, Page Up/Down and Home/End move it, Enter or
+ * Space selects it, I shows its details - and every move is announced.
+ *
+ * Names and categories are shown in the interface language; in
+ * right-to-left languages the grid fills from the right and the mode
+ * controls sit left of it.
+ *
+ * Card colors follow the color mode (ObjectStyle), by catalog position.
  */
 
 import { ComponentBase } from '@/components/ComponentBase.js';
 import { DataManager } from '@/managers/DataManager.js';
-import { MAX_SELECTIONS, COLORS } from '@/utils/Constants.js';
+import { StateManager } from '@/managers/StateManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { ObjectStyle } from '@/utils/ObjectStyle.js';
+import {
+  MAX_SELECTIONS,
+  MAX_LINEUP_SELECTIONS,
+  MAX_ROUTE_STOPS,
+  COMPARISON_MODES,
+  SELECTION_LIMITS,
+  COLORS,
+  OBJECT_LIBRARY,
+  LIBRARY_SORTS
+} from '@/utils/Constants.js';
+
+// Row pitch of the card grid
+const ROW_HEIGHT = OBJECT_LIBRARY.CARD_HEIGHT + OBJECT_LIBRARY.GAP;
+const GRID_WIDTH = OBJECT_LIBRARY.COLUMNS * OBJECT_LIBRARY.CARD_WIDTH +
+  (OBJECT_LIBRARY.COLUMNS - 1) * OBJECT_LIBRARY.GAP;
 
 export class ObjectSelector extends ComponentBase {
   /**
    * Constructor
    *
    * @param {Phaser.Scene} scene - Parent scene
-   * @param {number} x - X position
-   * @param {number} y - Y position
+   * @param {number} x - X position (center of the card grid)
+   * @param {number} y - Y position (title)
    * @param {Object} config - Configuration
    */
   constructor(scene, x, y, config = {}) {
@@ -27,12 +74,33 @@ export class ObjectSelector extends ComponentBase {
 
     this.x = x;
     this.y = y;
+    this.mode = COMPARISON_MODES.PAIR;
     this.maxSelections = MAX_SELECTIONS;
     this.selectedIds = [];  // Array of selected object IDs
-    this.objectCards = new Map();  // Map of object ID → card graphics
+    this.objectCards = new Map();  // Map of visible object ID → card
+    this.cardPool = [];  // Recycled cards, one per visible grid cell
+    this.modeButtons = new Map();  // Map of mode → {background, label}
+    this.sortButtons = new Map();  // Map of sort → {background, label}
+    this.categoryChips = new Map();  // Map of category (null = all) → {background, label}
+    this.locale = LocaleManager.getInstance();
+    this.dataManager = DataManager.getInstance();
+    this.focusManager = FocusManager.getInstance();
+    this.colorMode = StateManager.getInstance().getColorMode();
+    this.side = this.locale.isRTL() ? -1 : 1;
+
+    // Library view state
+    this.searchQuery = '';
+    this.category = null;  // null = all categories
+    this.sortKey = LIBRARY_SORTS.CATALOG;
+    this.sortDescending = false;
+    this.scrollY = 0;
+    this.filteredObjects = [];  // Objects matching search and category, sorted
+    this.activeIndex = 0;  // Keyboard-active card (index into filteredObjects)
+    this.distancesFromHome = new Map();  // Object ID → meters (distance sort)
 
     // Get objects from DataManager
-    this.objects = DataManager.getInstance().getAllObjects();
+    this.objects = this.dataManager.getAllObjects();
+    this.catalogIndex = new Map(this.objects.map((obj, index) => [obj.id, index]));  // Color-mode slots
 
     console.log(`[ObjectSelector] Loaded ${this.objects.length} objects`);
 
@@ -45,77 +113,768 @@ export class ObjectSelector extends ComponentBase {
    */
   create() {
     // Title
-    const title = this.scene.add.text(this.x, this.y - 30, 'Select Two Objects:', {
+    this.titleText = this.scene.add.text(this.x, this.y, '', this.locale.textStyle({
       fontSize: '24px',
       color: COLORS.TEXT,
       fontFamily: 'Arial',
       fontStyle: 'bold'
-    }).setOrigin(0.5);
-    this.container.add(title);
+    })).setOrigin(0.5);
+    this.container.add(this.titleText);
 
     // Instruction text
-    const instruction = this.scene.add.text(this.x, this.y, 'Click to select objects for comparison', {
+    const instruction = this.scene.add.text(this.x, this.y + 28, this.locale.t('selector.instruction'), this.locale.textStyle({
       fontSize: '14px',
       color: '#cccccc',
       fontFamily: 'Arial'
-    }).setOrigin(0.5);
+    })).setOrigin(0.5);
     this.container.add(instruction);
 
-    // Create object cards
-    let yOffset = 40;
-    this.objects.forEach((obj, index) => {
-      const card = this.createObjectCard(obj, this.x, this.y + yOffset);
-      yOffset += 70;
+    this.createSearchBox();
+    this.createSortButtons();
+    const chipsBottom = this.createCategoryChips();
+    this.createGrid(chipsBottom + 14);
+    this.registerScrollInput();
+
+    this.createModeControls();
+    this.applyFilters();
+  }
+
+  // ========================================
+  // Layout Helpers
+  // ========================================
+
+  /**
+   * Horizontal position measured from the grid's leading edge
+   * (left, or right in right-to-left languages)
+   *
+   * @param {number} offset - Distance from the leading edge
+   * @returns {number} Screen X
+   */
+  fromLeadingEdge(offset) {
+    return this.x - this.side * GRID_WIDTH / 2 + this.side * offset;
+  }
+
+  // ========================================
+  // Search, Sort and Category Filters
+  // ========================================
+
+  /**
+   * Create the search box (an HTML input, so typing, pasting and
+   * screen readers work as usual)
+   */
+  createSearchBox() {
+    const x = this.fromLeadingEdge(OBJECT_LIBRARY.SEARCH_WIDTH / 2);
+
+    this.searchInput = this.scene.add.dom(x, this.y + 66, 'input', {
+      width: `${OBJECT_LIBRARY.SEARCH_WIDTH}px`,
+      height: '30px',
+      boxSizing: 'border-box',
+      padding: '0 10px',
+      font: '15px Arial',
+      color: COLORS.TEXT,
+      background: '#1a1a1a',
+      border: `1px solid ${COLORS.SECONDARY}`,
+      borderRadius: '4px'
+    });
+
+    const input = this.searchInput.node;
+    input.type = 'search';
+    input.placeholder = this.locale.t('selector.search');
+    input.setAttribute('aria-label', this.locale.t('selector.search'));
+    input.dir = this.locale.getDirection();
+
+    this.onSearchInput = () => this.setSearchQuery(input.value);
+
+    // Keys captured by other scenes (e.g. W/S zoom) must reach the input
+    this.onSearchFocus = () => this.scene?.input.keyboard.disableGlobalCapture();
+    this.onSearchBlur = () => this.scene?.input.keyboard.enableGlobalCapture();
+
+    input.addEventListener('input', this.onSearchInput);
+    input.addEventListener('focus', this.onSearchFocus);
+    input.addEventListener('blur', this.onSearchBlur);
+
+    this.focusManager.register(this.searchInput, {
+      label: this.locale.t('a11y.searchField', { label: this.locale.t('selector.search') }),
+      role: 'none',
+      element: input,
+      getBounds: () => this.getSearchBounds()
     });
+  }
 
-    console.log(`[ObjectSelector] Created ${this.objectCards.size} object cards`);
+  /**
+   * @returns {Object} Search box bounds {x, y, width, height}
+   */
+  getSearchBounds() {
+    return {
+      x: this.searchInput.x - OBJECT_LIBRARY.SEARCH_WIDTH / 2,
+      y: this.searchInput.y - 15,
+      width: OBJECT_LIBRARY.SEARCH_WIDTH,
+      height: 30
+    };
   }
 
   /**
-   * Create an object card
+   * Create sort buttons after the search box
+   */
+  createSortButtons() {
+    const buttonWidth = 84;
+    const gap = 6;
+    let offset = OBJECT_LIBRARY.SEARCH_WIDTH + 12;
+
+    Object.values(LIBRARY_SORTS).forEach(sortKey => {
+      const x = this.fromLeadingEdge(offset + buttonWidth / 2);
+      const background = this.scene.add.rectangle(
+        x,
+        this.y + 66,
+        buttonWidth,
+        30,
+        parseInt(COLORS.SECONDARY.replace('#', '0x'))
+      ).setInteractive({ useHandCursor: true });
+
+      const label = this.scene.add.text(x, this.y + 66, '', this.locale.textStyle({
+        fontSize: '13px',
+        color: COLORS.TEXT,
+        fontFamily: 'Arial'
+      })).setOrigin(0.5);
+
+      background.on('pointerdown', () => this.setSort(sortKey));
+
+      this.focusManager.register(background, {
+        label: () => label.text,
+        group: 'sort',
+        isPressed: () => sortKey === this.sortKey
+      });
+
+      this.container.add([background, label]);
+      this.sortButtons.set(sortKey, { background, label });
+
+      offset += buttonWidth + gap;
+    });
+
+    this.updateSortButtons();
+  }
+
+  /**
+   * Create one chip per category, wrapping onto new rows as needed
    *
+   * @returns {number} Bottom edge of the last chip row
+   */
+  createCategoryChips() {
+    const chipHeight = 26;
+    const gap = 6;
+    const categories = [null, ...new Set(this.objects.map(obj => obj.category))];
+    let offset = 0;
+    let y = this.y + 106;
+
+    categories.forEach(category => {
+      const label = this.scene.add.text(0, y, this.getCategoryLabel(category), this.locale.textStyle({
+        fontSize: '13px',
+        color: COLORS.TEXT,
+        fontFamily: 'Arial'
+      })).setOrigin(0.5);
+
+      const chipWidth = label.width + 20;
+      if (offset > 0 && offset + chipWidth > GRID_WIDTH) {
+        offset = 0;
+        y += chipHeight + gap;
+      }
+
+      const x = this.fromLeadingEdge(offset + chipWidth / 2);
+      label.setPosition(x, y);
+
+      const background = this.scene.add.rectangle(x, y, chipWidth, chipHeight, parseInt(COLORS.SECONDARY.replace('#', '0x')))
+        .setInteractive({ useHandCursor: true });
+      background.on('pointerdown', () => this.setCategory(category));
+
+      this.focusManager.register(background, {
+        label: label.text,
+        group: 'categories',
+        isPressed: () => category === this.category
+      });
+
+      this.container.add([background, label]);
+      this.categoryChips.set(category, { background, label });
+
+      offset += chipWidth + gap;
+    });
+
+    this.updateCategoryChips();
+
+    return y + chipHeight / 2;
+  }
+
+  /**
+   * @param {string|null} category - Category, or null for all
+   * @returns {string} Chip label in the interface language
+   */
+  getCategoryLabel(category) {
+    if (category === null) return this.locale.t('selector.allCategories');
+
+    // Pack categories without a translation are shown as-is
+    const key = `categories.${category}`;
+    return this.locale.has(key) ? this.locale.t(key) : category;
+  }
+
+  /**
+   * Filter the library by text
+   * @param {string} query - Search text
+   */
+  setSearchQuery(query) {
+    this.searchQuery = query;
+    this.applyFilters();
+  }
+
+  /**
+   * Show one category (null = all)
+   * @param {string|null} category - Category
+   */
+  setCategory(category) {
+    this.category = category;
+    this.updateCategoryChips();
+    this.applyFilters();
+  }
+
+  /**
+   * Sort the library; choosing the current sort again reverses it
+   * @param {string} sortKey - LIBRARY_SORTS value
+   */
+  setSort(sortKey) {
+    if (sortKey === this.sortKey && sortKey !== LIBRARY_SORTS.CATALOG) {
+      this.sortDescending = !this.sortDescending;
+    } else {
+      this.sortKey = sortKey;
+      this.sortDescending = false;
+    }
+
+    this.updateSortButtons();
+    this.applyFilters();
+  }
+
+  /**
+   * Highlight the active sort; ↑ smallest first, ↓ largest first
+   */
+  updateSortButtons() {
+    this.sortButtons.forEach((button, sortKey) => {
+      const isActive = sortKey === this.sortKey;
+      const arrow = isActive && sortKey !== LIBRARY_SORTS.CATALOG ? (this.sortDescending ? ' ↓' : ' ↑') : '';
+
+      button.label.setText(`${this.locale.t(`selector.sort.${sortKey}`)}${arrow}`);
+      button.background.setFillStyle(parseInt((isActive ? COLORS.PRIMARY : COLORS.SECONDARY).replace('#', '0x')), 1);
+    });
+  }
+
+  /**
+   * Highlight the active category chip
+   */
+  updateCategoryChips() {
+    this.categoryChips.forEach((chip, category) => {
+      const color = category === this.category ? COLORS.PRIMARY : COLORS.SECONDARY;
+      chip.background.setFillStyle(parseInt(color.replace('#', '0x')), 1);
+    });
+  }
+
+  /**
+   * Rebuild the filtered, sorted object list and scroll to the top
+   * (the first card becomes the active card)
+   */
+  applyFilters() {
+    const source = this.category === null
+      ? this.objects
+      : this.dataManager.getObjectsByCategory(this.category);
+    const query = ObjectSelector.normalizeSearchText(this.searchQuery.trim());
+
+    const matches = query === ''
+      ? [...source]
+      : source.filter(obj => this.getSearchText(obj).includes(query));
+
+    this.filteredObjects = this.sortObjects(matches);
+    this.emptyText.setVisible(this.filteredObjects.length === 0);
+
+    this.activeIndex = 0;
+    this.scrollTo(0);
+  }
+
+  /**
    * @param {Object} obj - Object data
-   * @param {number} x - X position
-   * @param {number} y - Y position
+   * @returns {string} Normalized text the search box matches against
+   */
+  getSearchText(obj) {
+    return ObjectSelector.normalizeSearchText([
+      this.locale.localize(obj, 'name'),
+      obj.name,
+      obj.id,
+      this.getCategoryLabel(obj.category)
+    ].join(' '));
+  }
+
+  /**
+   * Lowercase and strip accents so "tie" matches "Tierra" and "ter"
+   * matches "Terre"
+   *
+   * @param {string} text - Text
+   * @returns {string} Normalized text
+   */
+  static normalizeSearchText(text) {
+    return text.normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+  }
+
+  /**
+   * Sort objects by the active sort
+   *
+   * Objects without a value (e.g. no known distance from Earth) go last
+   * in either direction.
+   *
+   * @param {Array<Object>} objects - Objects in catalog order
+   * @returns {Array<Object>} Sorted objects
+   */
+  sortObjects(objects) {
+    if (this.sortKey === LIBRARY_SORTS.CATALOG) return objects;
+
+    const direction = this.sortDescending ? -1 : 1;
+    const valueOf = obj => this.getSortValue(obj);
+
+    return objects
+      .map(obj => ({ obj, value: valueOf(obj) }))
+      .sort((a, b) => {
+        if (a.value === undefined || b.value === undefined) {
+          return (a.value === undefined) - (b.value === undefined);
+        }
+        return direction * (a.value - b.value);
+      })
+      .map(({ obj }) => obj);
+  }
+
+  /**
+   * @param {Object} obj - Object data
+   * @returns {number|undefined} Value the active sort compares
+   */
+  getSortValue(obj) {
+    switch (this.sortKey) {
+      case LIBRARY_SORTS.SIZE:
+        return obj.diameter;
+      case LIBRARY_SORTS.MASS:
+        return obj.mass;
+      case LIBRARY_SORTS.DISTANCE:
+        return this.getDistanceFromHome(obj.id);
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Distance from Earth (cached; derived distances are comparatively
+   * expensive to compute)
+   *
+   * @param {string} objectId - Object ID
+   * @returns {number|undefined} Meters, or undefined if unknown
+   */
+  getDistanceFromHome(objectId) {
+    if (objectId === OBJECT_LIBRARY.HOME_OBJECT_ID) return 0;
+
+    if (!this.distancesFromHome.has(objectId)) {
+      const distance = this.dataManager.findDistance(OBJECT_LIBRARY.HOME_OBJECT_ID, objectId);
+      this.distancesFromHome.set(objectId, distance?.distance);
+    }
+
+    return this.distancesFromHome.get(objectId);
+  }
+
+  /**
+   * Get search text, category and sort (kept when the selector is rebuilt)
+   * @returns {Object} {searchQuery, category, sortKey, sortDescending}
+   */
+  getViewState() {
+    return {
+      searchQuery: this.searchQuery,
+      category: this.category,
+      sortKey: this.sortKey,
+      sortDescending: this.sortDescending
+    };
+  }
+
+  /**
+   * Restore search text, category and sort
+   * @param {Object} view - From getViewState()
+   */
+  setViewState({ searchQuery, category, sortKey, sortDescending }) {
+    this.searchQuery = searchQuery;
+    this.searchInput.node.value = searchQuery;
+    this.category = this.categoryChips.has(category) ? category : null;
+    this.sortKey = sortKey;
+    this.sortDescending = sortDescending;
+
+    this.updateCategoryChips();
+    this.updateSortButtons();
+    this.applyFilters();
+  }
+
+  // ========================================
+  // Virtualized Card Grid
+  // ========================================
+
+  /**
+   * Create the masked grid area, its card pool and scrollbar
+   *
+   * The grid lives in its own container (outside this.container) so a
+   * geometry mask can clip cards scrolled past its edges.
+   *
+   * @param {number} top - Top edge of the grid
+   */
+  createGrid(top) {
+    this.gridTop = top;
+    this.gridHeight = this.scene.cameras.main.height - OBJECT_LIBRARY.BOTTOM_MARGIN - top;
+    this.gridLeft = Math.min(this.fromLeadingEdge(0), this.fromLeadingEdge(GRID_WIDTH));
+
+    this.maskShape = this.scene.make.graphics();
+    this.maskShape.fillStyle(0xffffff);
+    this.maskShape.fillRect(this.gridLeft, this.gridTop, GRID_WIDTH, this.gridHeight);
+
+    this.gridContainer = this.scene.add.container();
+    this.gridContainer.setMask(this.maskShape.createGeometryMask());
+
+    // Enough cards for every row that can be partly visible
+    const rows = Math.ceil(this.gridHeight / ROW_HEIGHT) + 1;
+    for (let i = 0; i < rows * OBJECT_LIBRARY.COLUMNS; i++) {
+      this.cardPool.push(this.createObjectCard());
+    }
+
+    this.emptyText = this.scene.add.text(this.x, this.gridTop + 40, this.locale.t('selector.noMatches'), this.locale.textStyle({
+      fontSize: '16px',
+      color: '#aaaaaa',
+      fontFamily: 'Arial'
+    })).setOrigin(0.5).setVisible(false);
+    this.container.add(this.emptyText);
+
+    this.createScrollbar();
+
+    this.focusManager.register(this.gridContainer, {
+      label: () => `${this.describeActiveCard()}\n${this.locale.t('a11y.gridHint')}`,
+      role: 'none',
+      onKey: event => this.onGridKey(event),
+      getBounds: () => this.getActiveCardBounds()
+    });
+  }
+
+  /**
+   * Create the scrollbar after the grid's trailing edge; the thumb can be
+   * dragged and the track clicked
+   */
+  createScrollbar() {
+    const x = this.fromLeadingEdge(GRID_WIDTH + 12);
+
+    this.scrollTrack = this.scene.add.rectangle(
+      x,
+      this.gridTop + this.gridHeight / 2,
+      8,
+      this.gridHeight,
+      0x333333
+    ).setInteractive({ useHandCursor: true });
+
+    this.scrollThumb = this.scene.add.rectangle(x, this.gridTop, 8, 40, parseInt(COLORS.SECONDARY.replace('#', '0x')))
+      .setInteractive({ useHandCursor: true, draggable: true });
+
+    this.scrollTrack.on('pointerdown', pointer => {
+      const page = pointer.y < this.scrollThumb.y ? -1 : 1;
+      this.scrollBy(page * this.gridHeight);
+    });
+
+    this.scrollThumb.on('drag', (pointer, dragX, dragY) => {
+      const travel = this.gridHeight - this.scrollThumb.height;
+      if (travel <= 0) return;
+
+      const fraction = (dragY - this.scrollThumb.height / 2 - this.gridTop) / travel;
+      this.scrollTo(fraction * this.getMaxScroll());
+    });
+
+    this.container.add([this.scrollTrack, this.scrollThumb]);
+  }
+
+  /**
+   * Listen for wheel and keyboard scrolling
+   */
+  registerScrollInput() {
+    this.scene.input.on('wheel', this.onWheel, this);
+    this.scene.input.keyboard?.on('keydown', this.onKeyDown, this);
+  }
+
+  /**
+   * Scroll with the mouse wheel while the pointer is over the grid
+   *
+   * @param {Phaser.Input.Pointer} pointer - Pointer
+   * @param {Array} gameObjects - Objects under the pointer
+   * @param {number} deltaX - Horizontal wheel delta
+   * @param {number} deltaY - Vertical wheel delta
+   */
+  onWheel(pointer, gameObjects, deltaX, deltaY) {
+    if (!this.isVisible || !this.isInGrid(pointer)) return;
+    this.scrollBy(deltaY * OBJECT_LIBRARY.WHEEL_FACTOR);
+  }
+
+  /**
+   * Scroll with arrow keys, Page Up/Down and Home/End
+   * (unless FocusManager has keyboard focus; the grid then moves its
+   * active card instead, see onGridKey())
+   *
+   * @param {KeyboardEvent} event - Key event
+   */
+  onKeyDown(event) {
+    if (!this.isVisible || this.focusManager.hasFocus()) return;
+
+    // Home/End move the caret while typing a search
+    const isTyping = document.activeElement === this.searchInput.node;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        this.scrollBy(ROW_HEIGHT);
+        break;
+      case 'ArrowUp':
+        this.scrollBy(-ROW_HEIGHT);
+        break;
+      case 'PageDown':
+        this.scrollBy(this.gridHeight);
+        break;
+      case 'PageUp':
+        this.scrollBy(-this.gridHeight);
+        break;
+      case 'Home':
+        if (!isTyping) this.scrollTo(0);
+        break;
+      case 'End':
+        if (!isTyping) this.scrollTo(this.getMaxScroll());
+        break;
+    }
+  }
+
+  // ========================================
+  // Keyboard Navigation
+  // ========================================
+
+  /**
+   * Keys while the grid has keyboard focus
+   *
+   * @param {KeyboardEvent} event - DOM keyboard event
+   * @returns {boolean} True if handled
+   */
+  onGridKey(event) {
+    const { COLUMNS } = OBJECT_LIBRARY;
+    const page = Math.max(1, Math.floor(this.gridHeight / ROW_HEIGHT)) * COLUMNS;
+    const obj = this.filteredObjects[this.activeIndex];
+
+    switch (event.key) {
+      case 'ArrowRight':
+        this.setActiveIndex(this.activeIndex + this.side);
+        return true;
+      case 'ArrowLeft':
+        this.setActiveIndex(this.activeIndex - this.side);
+        return true;
+      case 'ArrowDown':
+        this.setActiveIndex(this.activeIndex + COLUMNS);
+        return true;
+      case 'ArrowUp':
+        this.setActiveIndex(this.activeIndex - COLUMNS);
+        return true;
+      case 'PageDown':
+        this.setActiveIndex(this.activeIndex + page);
+        return true;
+      case 'PageUp':
+        this.setActiveIndex(this.activeIndex - page);
+        return true;
+      case 'Home':
+        this.setActiveIndex(0);
+        return true;
+      case 'End':
+        this.setActiveIndex(this.filteredObjects.length - 1);
+        return true;
+      case 'Enter':
+      case ' ':
+        if (obj) this.selectObject(obj.id);
+        return true;
+      case 'i':
+      case 'I':
+        if (obj) this.emit('infoRequested', obj.id);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Move the active card, scroll it into view and announce it
+   *
+   * @param {number} index - Index into filteredObjects (clamped)
+   */
+  setActiveIndex(index) {
+    if (this.filteredObjects.length === 0) return;
+
+    this.activeIndex = Math.max(0, Math.min(index, this.filteredObjects.length - 1));
+    this.scrollToIndex(this.activeIndex);
+    this.focusManager.announce(this.describeActiveCard());
+  }
+
+  /**
+   * Scroll just enough to show a card's whole row
+   *
+   * @param {number} index - Index into filteredObjects
+   */
+  scrollToIndex(index) {
+    const rowTop = Math.floor(index / OBJECT_LIBRARY.COLUMNS) * ROW_HEIGHT;
+
+    if (rowTop < this.scrollY) {
+      this.scrollTo(rowTop);
+    } else if (rowTop + OBJECT_LIBRARY.CARD_HEIGHT > this.scrollY + this.gridHeight) {
+      this.scrollTo(rowTop + OBJECT_LIBRARY.CARD_HEIGHT - this.gridHeight);
+    }
+  }
+
+  /**
+   * @returns {string} Spoken description of the active card
+   */
+  describeActiveCard() {
+    const obj = this.filteredObjects[this.activeIndex];
+    if (!obj) return this.locale.t('selector.noMatches');
+
+    return this.locale.t(this.selectedIds.includes(obj.id) ? 'a11y.cardSelected' : 'a11y.card', {
+      name: this.locale.localize(obj, 'name'),
+      category: this.getCategoryLabel(obj.category),
+      position: this.activeIndex + 1,
+      total: this.filteredObjects.length
+    });
+  }
+
+  /**
+   * @returns {Object} Focus ring bounds: the active card, or the whole grid
+   */
+  getActiveCardBounds() {
+    const obj = this.filteredObjects[this.activeIndex];
+    const card = obj && this.objectCards.get(obj.id);
+    if (card) return card.background.getBounds();
+
+    return { x: this.gridLeft, y: this.gridTop, width: GRID_WIDTH, height: this.gridHeight };
+  }
+
+  /**
+   * @param {Phaser.Input.Pointer} pointer - Pointer
+   * @returns {boolean} True if the pointer is inside the visible grid
+   */
+  isInGrid(pointer) {
+    return pointer.x >= this.gridLeft && pointer.x <= this.gridLeft + GRID_WIDTH &&
+      pointer.y >= this.gridTop && pointer.y <= this.gridTop + this.gridHeight;
+  }
+
+  /**
+   * @returns {number} Largest scroll offset (pixels)
+   */
+  getMaxScroll() {
+    const rows = Math.ceil(this.filteredObjects.length / OBJECT_LIBRARY.COLUMNS);
+    return Math.max(0, rows * ROW_HEIGHT - OBJECT_LIBRARY.GAP - this.gridHeight);
+  }
+
+  /**
+   * @param {number} delta - Pixels to scroll (positive = down)
+   */
+  scrollBy(delta) {
+    this.scrollTo(this.scrollY + delta);
+  }
+
+  /**
+   * @param {number} scrollY - Scroll offset (pixels), clamped to the content
+   */
+  scrollTo(scrollY) {
+    this.scrollY = Math.max(0, Math.min(scrollY, this.getMaxScroll()));
+    this.renderCards();
+  }
+
+  /**
+   * Bind pool cards to the objects in the visible rows
+   */
+  renderCards() {
+    const firstRow = Math.floor(this.scrollY / ROW_HEIGHT);
+    const firstIndex = firstRow * OBJECT_LIBRARY.COLUMNS;
+
+    this.objectCards.clear();
+
+    this.cardPool.forEach((cardData, poolIndex) => {
+      const index = firstIndex + poolIndex;
+      const obj = this.filteredObjects[index];
+
+      if (!obj) {
+        this.setCardVisible(cardData, false);
+        cardData.objectId = null;
+        return;
+      }
+
+      const row = Math.floor(index / OBJECT_LIBRARY.COLUMNS);
+      const column = index % OBJECT_LIBRARY.COLUMNS;
+      const x = this.fromLeadingEdge(column * (OBJECT_LIBRARY.CARD_WIDTH + OBJECT_LIBRARY.GAP) + OBJECT_LIBRARY.CARD_WIDTH / 2);
+      const y = this.gridTop + row * ROW_HEIGHT - this.scrollY + OBJECT_LIBRARY.CARD_HEIGHT / 2;
+
+      this.bindCard(cardData, obj, x, y);
+      this.objectCards.set(obj.id, cardData);
+    });
+
+    this.updateScrollbar();
+  }
+
+  /**
+   * Size and place the scrollbar thumb; hidden when everything fits
+   */
+  updateScrollbar() {
+    const maxScroll = this.getMaxScroll();
+    const hasOverflow = maxScroll > 0;
+
+    this.scrollTrack.setVisible(hasOverflow);
+    this.scrollThumb.setVisible(hasOverflow);
+    if (!hasOverflow) return;
+
+    const contentHeight = maxScroll + this.gridHeight;
+    const thumbHeight = Math.max(30, this.gridHeight * this.gridHeight / contentHeight);
+    const travel = this.gridHeight - thumbHeight;
+
+    this.scrollThumb.setSize(8, thumbHeight);
+    this.scrollThumb.input.hitArea.setSize(8, thumbHeight);
+    this.scrollThumb.y = this.gridTop + thumbHeight / 2 + travel * this.scrollY / maxScroll;
+  }
+
+  /**
+   * Create a pooled object card (bound to an object by bindCard())
+   *
    * @returns {Object} Card components
    */
-  createObjectCard(obj, x, y) {
+  createObjectCard() {
+    const { CARD_WIDTH, CARD_HEIGHT } = OBJECT_LIBRARY;
+
     // Card background
-    const card = this.scene.add.rectangle(
-      x,
-      y,
-      220,
-      60,
-      parseInt(obj.color.replace('#', '0x')),
-      0.3
-    ).setInteractive();
+    const card = this.scene.add.rectangle(0, 0, CARD_WIDTH, CARD_HEIGHT, 0xffffff, 0.3).setInteractive();
 
     // Card border
-    const border = this.scene.add.rectangle(
-      x,
-      y,
-      220,
-      60
-    );
-    border.setStrokeStyle(2, parseInt(obj.color.replace('#', '0x')), 0.8);
+    const border = this.scene.add.rectangle(0, 0, CARD_WIDTH, CARD_HEIGHT);
 
     // Object name
-    const nameText = this.scene.add.text(x, y - 10, obj.name, {
+    const nameText = this.scene.add.text(0, 0, '', this.locale.textStyle({
       fontSize: '18px',
       color: COLORS.TEXT,
       fontFamily: 'Arial',
       fontStyle: 'bold'
-    }).setOrigin(0.5);
+    })).setOrigin(0.5);
 
     // Object category
-    const categoryText = this.scene.add.text(x, y + 12, obj.category, {
+    const categoryText = this.scene.add.text(0, 0, '', this.locale.textStyle({
       fontSize: '12px',
       color: '#aaaaaa',
       fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    // Info button at the card's trailing edge
+    const infoButton = this.scene.add.circle(0, 0, 11, parseInt(COLORS.SECONDARY.replace('#', '0x')), 0.9)
+      .setInteractive({ useHandCursor: true });
+    const infoText = this.scene.add.text(0, 0, 'i', {
+      fontSize: '14px',
+      color: COLORS.TEXT,
+      fontFamily: 'Georgia',
+      fontStyle: 'bold italic'
     }).setOrigin(0.5);
 
-    // Add to container
-    this.container.add([card, border, nameText, categoryText]);
+    this.gridContainer.add([card, border, nameText, categoryText, infoButton, infoText]);
 
     // Store card components
     const cardData = {
@@ -123,52 +882,319 @@ export class ObjectSelector extends ComponentBase {
       border,
       nameText,
       categoryText,
-      objectId: obj.id,
+      infoButton,
+      infoText,
+      objectId: null,
+      obj: null,
+      color: null,  // '#RRGGBB' for the current color mode
       isSelected: false
     };
 
-    this.objectCards.set(obj.id, cardData);
-
     // Hover effects
     card.on('pointerover', () => {
-      if (!cardData.isSelected) {
-        card.setFillStyle(parseInt(obj.color.replace('#', '0x')), 0.5);
+      if (cardData.obj && !cardData.isSelected) {
+        card.setFillStyle(parseInt(cardData.color.replace('#', '0x')), 0.5);
         nameText.setScale(1.05);
       }
     });
 
     card.on('pointerout', () => {
-      if (!cardData.isSelected) {
-        card.setFillStyle(parseInt(obj.color.replace('#', '0x')), 0.3);
+      if (cardData.obj && !cardData.isSelected) {
+        card.setFillStyle(parseInt(cardData.color.replace('#', '0x')), 0.3);
         nameText.setScale(1);
       }
     });
 
-    // Click handler
-    card.on('pointerdown', () => {
-      this.selectObject(obj.id);
+    // Click handlers (cards scrolled under the grid edge are masked, not hidden)
+    card.on('pointerdown', pointer => {
+      if (cardData.objectId && this.isInGrid(pointer)) {
+        this.selectObject(cardData.objectId);
+      }
+    });
+
+    infoButton.on('pointerover', () => infoButton.setFillStyle(parseInt(COLORS.PRIMARY.replace('#', '0x')), 1));
+    infoButton.on('pointerout', () => infoButton.setFillStyle(parseInt(COLORS.SECONDARY.replace('#', '0x')), 0.9));
+    infoButton.on('pointerdown', pointer => {
+      if (cardData.objectId && this.isInGrid(pointer)) {
+        this.emit('infoRequested', cardData.objectId);
+      }
     });
 
     return cardData;
   }
 
+  /**
+   * Show an object on a pooled card
+   *
+   * @param {Object} cardData - Card components
+   * @param {Object} obj - Object data
+   * @param {number} x - Card center X
+   * @param {number} y - Card center Y
+   */
+  bindCard(cardData, obj, x, y) {
+    if (cardData.objectId !== obj.id) {
+      cardData.objectId = obj.id;
+      cardData.obj = obj;
+      cardData.color = ObjectStyle.getStyle(obj, this.catalogIndex.get(obj.id), this.colorMode).color;
+      cardData.nameText.setText(this.locale.localize(obj, 'name'));
+      cardData.categoryText.setText(this.getCategoryLabel(obj.category));
+    }
+
+    const infoX = x + this.side * (OBJECT_LIBRARY.CARD_WIDTH / 2 - 16);
+
+    cardData.background.setPosition(x, y);
+    cardData.border.setPosition(x, y);
+    cardData.nameText.setPosition(x, y - 10);
+    cardData.categoryText.setPosition(x, y + 12);
+    cardData.infoButton.setPosition(infoX, y);
+    cardData.infoText.setPosition(infoX, y);
+
+    this.setCardVisible(cardData, true);
+    this.styleCard(cardData, this.selectedIds.includes(obj.id));
+  }
+
+  /**
+   * @param {Object} cardData - Card components
+   * @param {boolean} visible - Visibility
+   */
+  setCardVisible(cardData, visible) {
+    ['background', 'border', 'nameText', 'categoryText', 'infoButton', 'infoText']
+      .forEach(part => cardData[part].setVisible(visible));
+  }
+
+  /**
+   * Apply selected or unselected colors to a card
+   *
+   * @param {Object} cardData - Card components
+   * @param {boolean} isSelected - Selection state
+   */
+  styleCard(cardData, isSelected) {
+    const color = parseInt(cardData.color.replace('#', '0x'));
+
+    cardData.background.setFillStyle(color, isSelected ? 0.9 : 0.3);
+    cardData.border.setStrokeStyle(isSelected ? 3 : 2, color, isSelected ? 1 : 0.8);
+    cardData.nameText.setScale(isSelected ? 1.1 : 1);
+    cardData.isSelected = isSelected;
+  }
+
+  // ========================================
+  // Comparison Mode
+  // ========================================
+
+  /**
+   * Create comparison mode toggle, selection counter and Compare button
+   * Placed in a column after the card grid (to its right, or to its left
+   * in right-to-left languages)
+   */
+  createModeControls() {
+    const side = this.side;
+    const controlsX = this.fromLeadingEdge(GRID_WIDTH + 140);
+    const controlsY = this.y + 150;
+
+    const modeLabel = this.scene.add.text(controlsX, controlsY - 40, this.locale.t('selector.modeLabel'), this.locale.textStyle({
+      fontSize: '16px',
+      color: '#cccccc',
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+    this.container.add(modeLabel);
+
+    this.createModeButton(COMPARISON_MODES.PAIR, this.locale.t('selector.pair'), controlsX - side * 55, controlsY);
+    this.createModeButton(
+      COMPARISON_MODES.LINEUP,
+      this.locale.t('selector.lineup', { max: MAX_LINEUP_SELECTIONS }),
+      controlsX + side * 55,
+      controlsY
+    );
+    this.createModeButton(
+      COMPARISON_MODES.ROUTE,
+      this.locale.t('selector.route', { max: MAX_ROUTE_STOPS }),
+      controlsX,
+      controlsY + 44
+    );
+
+    // Selection counter (lineup and route modes)
+    this.counterText = this.scene.add.text(controlsX, controlsY + 94, '', this.locale.textStyle({
+      fontSize: '14px',
+      color: '#cccccc',
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+    this.container.add(this.counterText);
+
+    // Compare button (lineup and route modes)
+    this.compareButton = this.scene.add.rectangle(
+      controlsX,
+      controlsY + 139,
+      200,
+      44,
+      parseInt(COLORS.PRIMARY.replace('#', '0x'))
+    ).setInteractive();
+
+    this.compareButtonText = this.scene.add.text(controlsX, controlsY + 139, this.locale.t('selector.compare'), this.locale.textStyle({
+      fontSize: '18px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    })).setOrigin(0.5);
+
+    this.compareButton.on('pointerdown', () => {
+      this.confirmSelection();
+    });
+
+    this.focusManager.register(this.compareButton, { label: this.locale.t('selector.compare') });
+
+    this.container.add([this.compareButton, this.compareButtonText]);
+
+    // Stops in travel order (route mode only)
+    this.routeText = this.scene.add.text(controlsX, controlsY + 175, '', this.locale.textStyle({
+      fontSize: '14px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      align: 'center',
+      wordWrap: { width: 280 }
+    })).setOrigin(0.5, 0);
+    this.container.add(this.routeText);
+
+    this.updateModeControls();
+  }
+
+  /**
+   * Create a single mode toggle button
+   *
+   * @param {string} mode - Comparison mode
+   * @param {string} label - Button label
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   */
+  createModeButton(mode, label, x, y) {
+    const background = this.scene.add.rectangle(
+      x,
+      y,
+      105,
+      36,
+      parseInt(COLORS.SECONDARY.replace('#', '0x'))
+    ).setInteractive();
+
+    const text = this.scene.add.text(x, y, label, this.locale.textStyle({
+      fontSize: '15px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    background.on('pointerdown', () => {
+      this.setMode(mode);
+    });
+
+    this.focusManager.register(background, {
+      label,
+      group: 'comparisonMode',
+      isPressed: () => mode === this.mode
+    });
+
+    this.container.add([background, text]);
+    this.modeButtons.set(mode, { background, label: text });
+  }
+
+  /**
+   * Switch comparison mode
+   *
+   * Clears the current selection, since pair, lineup and route
+   * selections complete differently
+   *
+   * @param {string} mode - COMPARISON_MODES value
+   */
+  setMode(mode) {
+    if (mode === this.mode) return;
+
+    console.log(`[ObjectSelector] Mode changed: ${this.mode} → ${mode}`);
+
+    this.clearSelection();
+    this.mode = mode;
+    this.maxSelections = SELECTION_LIMITS[mode];
+
+    this.updateModeControls();
+    this.emit('modeChanged', mode);
+  }
+
+  /**
+   * Refresh title, mode buttons, counter, Compare button and route order
+   */
+  updateModeControls() {
+    const isPair = this.mode === COMPARISON_MODES.PAIR;
+    const isRoute = this.mode === COMPARISON_MODES.ROUTE;
+
+    this.titleText.setText({
+      [COMPARISON_MODES.PAIR]: this.locale.t('selector.titlePair'),
+      [COMPARISON_MODES.LINEUP]: this.locale.t('selector.titleLineup', { max: this.maxSelections }),
+      [COMPARISON_MODES.ROUTE]: this.locale.t('selector.titleRoute', { max: this.maxSelections })
+    }[this.mode]);
+
+    this.modeButtons.forEach((button, mode) => {
+      const color = mode === this.mode ? COLORS.PRIMARY : COLORS.SECONDARY;
+      button.background.setFillStyle(parseInt(color.replace('#', '0x')), 1);
+    });
+
+    this.counterText.setVisible(!isPair);
+    this.counterText.setText(this.locale.t('selector.counter', {
+      count: this.selectedIds.length,
+      max: this.maxSelections
+    }));
+
+    const canCompare = this.selectedIds.length >= 2;
+    this.compareButton.setVisible(!isPair);
+    this.compareButtonText.setVisible(!isPair);
+    this.compareButton.setFillStyle(
+      parseInt((canCompare ? COLORS.PRIMARY : COLORS.SECONDARY).replace('#', '0x')),
+      1
+    );
+
+    this.routeText.setVisible(isRoute);
+    this.routeText.setText(this.selectedIds.length > 0
+      ? this.locale.t('selector.routeOrder', { stops: this.selectedIds.map(id => this.getObjectName(id)).join(' → ') })
+      : '');
+  }
+
+  /**
+   * Confirm a lineup or route selection (Compare button)
+   */
+  confirmSelection() {
+    if (this.selectedIds.length < 2) {
+      console.log('[ObjectSelector] Select at least 2 objects to compare');
+      return;
+    }
+
+    console.log(`[ObjectSelector] Selection complete:`, this.selectedIds);
+    this.emit('selectionComplete', [...this.selectedIds]);  // Pass copy
+  }
+
+  // ========================================
+  // Selection
+  // ========================================
+
   /**
    * Select an object
    *
-   * CRITICAL: FIFO logic - removes FIRST element when adding 3rd
+   * CRITICAL: FIFO logic - removes FIRST element when the limit is exceeded
+   * In lineup and route modes, clicking a selected object deselects it instead
    *
    * @param {string} objectId - Object ID to select
    */
   selectObject(objectId) {
     console.log(`[ObjectSelector] Selecting object: ${objectId}`);
 
+    if (this.mode !== COMPARISON_MODES.PAIR && this.selectedIds.includes(objectId)) {
+      this.deselectObject(objectId);
+      return;
+    }
+
     // CRITICAL: FIFO selection logic
     if (this.selectedIds.length >= this.maxSelections) {
       const removedId = this.selectedIds.shift();  // Remove FIRST, not last!
       console.log(`[ObjectSelector] Max selections reached. Removed: ${removedId}`);
 
-      // Deselect the removed object visually
-      this.deselectCard(removedId);
+      // Deselect the removed object visually (unless it is still selected)
+      if (!this.selectedIds.includes(removedId)) {
+        this.deselectCard(removedId);
+      }
     }
 
     // Add new selection
@@ -176,36 +1202,60 @@ export class ObjectSelector extends ComponentBase {
 
     // Update visual state
     this.selectCard(objectId);
+    this.updateModeControls();
+
+    this.focusManager.announce(this.locale.t('a11y.selected', {
+      name: this.getObjectName(objectId),
+      count: this.selectedIds.length,
+      max: this.maxSelections
+    }));
 
     console.log(`[ObjectSelector] Current selection:`, this.selectedIds);
 
     // Emit event
     this.emit('objectSelected', objectId);
 
-    // If we have 2 selections, emit completion event
-    if (this.selectedIds.length === this.maxSelections) {
+    // In pair mode, completing the pair starts the comparison
+    if (this.mode === COMPARISON_MODES.PAIR && this.selectedIds.length === this.maxSelections) {
       console.log(`[ObjectSelector] Selection complete:`, this.selectedIds);
       this.emit('selectionComplete', [...this.selectedIds]);  // Pass copy
     }
   }
 
   /**
-   * Visually select a card
+   * Deselect a single object (lineup and route modes)
+   *
+   * @param {string} objectId - Object ID to deselect
+   */
+  deselectObject(objectId) {
+    this.selectedIds = this.selectedIds.filter(id => id !== objectId);
+    this.deselectCard(objectId);
+    this.updateModeControls();
+
+    this.focusManager.announce(this.locale.t('a11y.deselected', { name: this.getObjectName(objectId) }));
+
+    console.log(`[ObjectSelector] Deselected: ${objectId}`);
+    this.emit('objectDeselected', objectId);
+  }
+
+  /**
+   * @param {string} objectId - Object ID
+   * @returns {string} Name in the interface language
+   */
+  getObjectName(objectId) {
+    const obj = this.dataManager.getObjectById(objectId);
+    return obj ? this.locale.localize(obj, 'name') : objectId;
+  }
+
+  /**
+   * Visually select a card (if it is on screen; cards scrolled into view
+   * later pick up their state in bindCard())
    *
    * @param {string} objectId - Object ID
    */
   selectCard(objectId) {
     const card = this.objectCards.get(objectId);
-    if (!card) return;
-
-    const obj = this.objects.find(o => o.id === objectId);
-    if (!obj) return;
-
-    // Update visual state
-    card.background.setFillStyle(parseInt(obj.color.replace('#', '0x')), 0.9);
-    card.border.setStrokeStyle(3, parseInt(obj.color.replace('#', '0x')), 1);
-    card.nameText.setScale(1.1);
-    card.isSelected = true;
+    if (card) this.styleCard(card, true);
   }
 
   /**
@@ -215,16 +1265,7 @@ export class ObjectSelector extends ComponentBase {
    */
   deselectCard(objectId) {
     const card = this.objectCards.get(objectId);
-    if (!card) return;
-
-    const obj = this.objects.find(o => o.id === objectId);
-    if (!obj) return;
-
-    // Reset visual state
-    card.background.setFillStyle(parseInt(obj.color.replace('#', '0x')), 0.3);
-    card.border.setStrokeStyle(2, parseInt(obj.color.replace('#', '0x')), 0.8);
-    card.nameText.setScale(1);
-    card.isSelected = false;
+    if (card) this.styleCard(card, false);
   }
 
   /**
@@ -238,10 +1279,27 @@ export class ObjectSelector extends ComponentBase {
 
     // Clear selection array
     this.selectedIds = [];
+    this.updateModeControls();
 
     this.emit('selectionCleared');
   }
 
+  /**
+   * Replace the selection without emitting events or announcing it
+   * (restoring a history entry)
+   *
+   * @param {Array<string>} objectIds - Object IDs to select, in order
+   */
+  setSelection(objectIds) {
+    this.selectedIds.forEach(id => this.deselectCard(id));
+
+    this.selectedIds = objectIds.slice(-this.maxSelections);
+    this.selectedIds.forEach(id => this.selectCard(id));
+    this.updateModeControls();
+
+    console.log(`[ObjectSelector] Selection set:`, this.selectedIds);
+  }
+
   /**
    * Get currently selected object IDs
    *
@@ -250,4 +1308,77 @@ export class ObjectSelector extends ComponentBase {
   getSelectedIds() {
     return [...this.selectedIds];  // Return copy
   }
+
+  /**
+   * Get current comparison mode
+   *
+   * @returns {string} 'pair' | 'lineup' | 'route'
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  // ========================================
+  // Lifecycle
+  // ========================================
+
+  /**
+   * @returns {Array<Object>} Help overlay targets (see ComponentBase)
+   */
+  getHelpTargets() {
+    const firstCard = this.cardPool.find(card =>
+      card.objectId && card.background.y - OBJECT_LIBRARY.CARD_HEIGHT / 2 >= this.gridTop);
+
+    return [
+      { id: 'search', bounds: this.getSearchBounds() },
+      { id: 'sort', bounds: ComponentBase.boundsOf([...this.sortButtons.values()].map(button => button.background)) },
+      { id: 'categories', bounds: ComponentBase.boundsOf([...this.categoryChips.values()].map(chip => chip.background)) },
+      { id: 'objectCard', bounds: ComponentBase.boundsOf([firstCard?.background]) },
+      { id: 'infoButton', bounds: ComponentBase.boundsOf([firstCard?.infoButton]) },
+      { id: 'comparisonMode', bounds: ComponentBase.boundsOf([...this.modeButtons.values()].map(button => button.background)) }
+    ].filter(target => target.bounds);
+  }
+
+  /**
+   * Show selector, grid and search box
+   */
+  show() {
+    super.show();
+    this.gridContainer.setVisible(true);
+    this.searchInput.setVisible(true);
+  }
+
+  /**
+   * Hide selector, grid and search box
+   */
+  hide() {
+    super.hide();
+    this.gridContainer.setVisible(false);
+    this.searchInput.setVisible(false);
+    this.searchInput.node.blur();
+  }
+
+  /**
+   * Destroy component and clean up
+   */
+  destroy() {
+    this.scene.input.off('wheel', this.onWheel, this);
+    this.scene.input.keyboard?.off('keydown', this.onKeyDown, this);
+
+    const input = this.searchInput.node;
+    input.removeEventListener('input', this.onSearchInput);
+    input.removeEventListener('focus', this.onSearchFocus);
+    input.removeEventListener('blur', this.onSearchBlur);
+    this.scene.input.keyboard?.enableGlobalCapture();
+    this.searchInput.destroy();
+
+    this.gridContainer.clearMask(true);
+    this.gridContainer.destroy();
+    this.maskShape.destroy();
+
+    this.cardPool = [];
+    this.objectCards.clear();
+
+    super.destroy();
+  }
 }
@@ -0,0 +1,336 @@
+/**
+ * RouteDisplay - Schematic diagram of a light route
+ *
+ * Shows the stops of a route (Sun → Earth → Moon) in travel order along
+ * one line, for LightSpeedTraveler to cross leg by leg. The legs of a
+ * route can differ by factors of millions, so the diagram is NOT to
+ * scale: stops are evenly spaced, markers share one size, and each leg
+ * is labeled with its real distance instead.
+ *
+ * Below the line, a split times list gets one row per leg. Rows start
+ * pending and are filled in by markArrival() as the light reaches each
+ * stop: the leg's own light travel time and the time since the start.
+ *
+ * Markers follow the color mode (ObjectStyle); clicking a marker or its
+ * name emits 'infoRequested' (objectId), and markers are FocusManager
+ * items (Enter / Space). Lengths and durations are written in the user's
+ * number format; call refreshNumberFormat() when it changes. Right-to-left
+ * languages run the route from right to left.
+ */
+
+import { ComponentBase } from '@/components/ComponentBase.js';
+import { StateManager } from '@/managers/StateManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { NumberFormatter } from '@/utils/NumberFormatter.js';
+import { ObjectStyle } from '@/utils/ObjectStyle.js';
+import { COLORS, LIGHT_ROUTE, LINEUP_DISPLAY } from '@/utils/Constants.js';
+
+export class RouteDisplay extends ComponentBase {
+  /**
+   * Constructor
+   *
+   * @param {Phaser.Scene} scene - Parent scene
+   * @param {Array<Object>} stops - Object data of the stops, in travel order
+   * @param {Array<Object>} legs - Distance data between consecutive stops
+   *   (DataManager.getRouteOnDate())
+   * @param {Object} config - Configuration
+   */
+  constructor(scene, stops, legs, config = {}) {
+    super(scene, config);
+
+    this.stops = stops;
+    this.legs = legs;
+    this.stateManager = StateManager.getInstance();
+    this.locale = LocaleManager.getInstance();
+    this.focusManager = FocusManager.getInstance();
+
+    this.points = [];        // Stop positions {x, y}, in travel order
+    this.markers = [];       // Stop circles
+    this.legTexts = [];      // Distance label per leg
+    this.splitTexts = [];    // Split times row per leg
+    this.arrivals = [];      // Arrival payloads from LightSpeedTraveler, per leg
+    this.titleText = null;
+    this.noteText = null;
+    this.lineGraphics = null;
+
+    this.create();
+  }
+
+  /**
+   * Build the diagram
+   */
+  create() {
+    const screenWidth = this.scene.cameras.main.width;
+    const screenHeight = this.scene.cameras.main.height;
+    const centerY = screenHeight * LIGHT_ROUTE.CENTER_Y;
+    const span = screenWidth * LIGHT_ROUTE.SPAN;
+    const startX = (screenWidth - span) / 2;
+    const spacing = span / (this.stops.length - 1);
+
+    this.points = this.stops.map((obj, index) => ({
+      x: this.locale.mirrorX(startX + index * spacing, screenWidth),
+      y: centerY
+    }));
+
+    // Headline and scale note
+    this.titleText = this.scene.add.text(screenWidth / 2, 60, this.locale.t('route.title', {
+      from: this.getName(0),
+      to: this.getName(this.stops.length - 1),
+      count: this.stops.length
+    }), this.locale.textStyle({
+      fontSize: '24px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      fontStyle: 'bold',
+      align: 'center'
+    })).setOrigin(0.5);
+
+    this.noteText = this.scene.add.text(screenWidth / 2, 92, this.locale.t('route.notToScale'), this.locale.textStyle({
+      fontSize: '14px',
+      color: '#ffaa00',
+      fontFamily: 'Arial',
+      fontStyle: 'italic'
+    })).setOrigin(0.5);
+
+    this.lineGraphics = this.scene.add.graphics();
+    this.container.add([this.titleText, this.noteText, this.lineGraphics]);
+    this.drawLegs();
+
+    this.legs.forEach((leg, index) => this.createLegLabel(index));
+    this.stops.forEach((obj, index) => this.createStop(obj, index));
+    this.createSplits(screenWidth, screenHeight);
+
+    console.log(`[RouteDisplay] Route of ${this.stops.length} stops: ${this.stops.map(obj => obj.id).join(' → ')}`);
+  }
+
+  /**
+   * Draw the legs, those the light has crossed brighter
+   */
+  drawLegs() {
+    this.lineGraphics.clear();
+
+    this.legs.forEach((leg, index) => {
+      const from = this.points[index];
+      const to = this.points[index + 1];
+      const crossed = Boolean(this.arrivals[index]);
+
+      this.lineGraphics.lineStyle(crossed ? 3 : 2, crossed ? 0xffffff : 0x666666, crossed ? 0.9 : 1);
+      this.lineGraphics.lineBetween(from.x, from.y, to.x, to.y);
+    });
+  }
+
+  /**
+   * Label a leg with its real distance, above the middle of its line
+   *
+   * @param {number} index - Leg index
+   */
+  createLegLabel(index) {
+    const from = this.points[index];
+    const to = this.points[index + 1];
+
+    const text = this.scene.add.text((from.x + to.x) / 2, from.y - 36, this.formatLegDistance(index), this.locale.textStyle({
+      fontSize: '14px',
+      color: '#cccccc',
+      fontFamily: 'Arial',
+      align: 'center'
+    })).setOrigin(0.5);
+
+    this.container.add(text);
+    this.legTexts.push(text);
+  }
+
+  /**
+   * Create a stop's marker and name
+   *
+   * @param {Object} obj - Object data
+   * @param {number} index - Position on the route
+   */
+  createStop(obj, index) {
+    const { x, y } = this.points[index];
+    const radius = LIGHT_ROUTE.MARKER_SIZE / 2;
+    const style = ObjectStyle.getStyle(obj, index, this.stateManager.getColorMode());
+
+    const marker = this.scene.add.circle(x, y, radius, parseInt(style.color.replace('#', '0x')));
+    ObjectStyle.applyToSprite(marker, style);
+
+    // Stagger names on two rows so neighbours never overlap
+    const nameText = this.scene.add.text(x, y + radius + 20 + (index % 2) * LINEUP_DISPLAY.LABEL_ROW_OFFSET / 2, this.getName(index), this.locale.textStyle({
+      fontSize: '15px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    })).setOrigin(0.5);
+
+    this.container.add([marker, nameText]);
+
+    if (style.pattern) {
+      const pattern = this.scene.add.graphics();
+      ObjectStyle.drawPattern(pattern, x, y, radius, style.pattern);
+      this.container.add(pattern);
+    }
+
+    [marker, nameText].forEach(target => {
+      target.setInteractive({ useHandCursor: true });
+      target.on('pointerdown', () => this.emit('infoRequested', obj.id));
+    });
+
+    this.focusManager.register(marker, {
+      label: this.locale.t('a11y.objectDetails', { name: this.getName(index) }),
+      onActivate: () => this.emit('infoRequested', obj.id)
+    });
+
+    this.markers.push(marker);
+  }
+
+  /**
+   * Create the split times list, one pending row per leg
+   *
+   * @param {number} screenWidth - Screen width
+   * @param {number} screenHeight - Screen height
+   */
+  createSplits(screenWidth, screenHeight) {
+    const top = screenHeight * LIGHT_ROUTE.SPLITS_TOP;
+
+    const heading = this.scene.add.text(screenWidth / 2, top, this.locale.t('route.splits'), this.locale.textStyle({
+      fontSize: '16px',
+      color: '#cccccc',
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+    this.container.add(heading);
+
+    this.legs.forEach((leg, index) => {
+      const text = this.scene.add.text(
+        screenWidth / 2,
+        top + (index + 1) * LIGHT_ROUTE.SPLIT_LINE_HEIGHT + 6,
+        this.formatSplit(index),
+        this.locale.textStyle({
+          fontSize: '15px',
+          color: '#888888',
+          fontFamily: 'Arial'
+        })
+      ).setOrigin(0.5);
+
+      this.container.add(text);
+      this.splitTexts.push(text);
+    });
+  }
+
+  /**
+   * Fill in a leg's split time once the light reached its end
+   *
+   * @param {Object} arrival - LightSpeedTraveler 'arrival' payload
+   *   {leg, from, to, legTime, elapsedTime}
+   */
+  markArrival(arrival) {
+    this.arrivals[arrival.leg] = arrival;
+
+    this.splitTexts[arrival.leg].setText(this.formatSplit(arrival.leg));
+    this.splitTexts[arrival.leg].setColor(COLORS.TEXT);
+    this.markers[arrival.leg + 1].setScale(1.3);
+    this.drawLegs();
+  }
+
+  /**
+   * Point on the route, for LightSpeedTraveler
+   *
+   * @param {number} leg - Leg index
+   * @param {number} progress - Fraction of the leg covered (0-1)
+   * @returns {Object} {x, y} in screen pixels
+   */
+  getPointAt(leg, progress) {
+    const from = this.points[leg];
+    const to = this.points[leg + 1];
+
+    return {
+      x: from.x + (to.x - from.x) * progress,
+      y: from.y + (to.y - from.y) * progress
+    };
+  }
+
+  /**
+   * @param {number} index - Stop index
+   * @returns {string} Stop name in the interface language
+   */
+  getName(index) {
+    return this.locale.localize(this.stops[index], 'name');
+  }
+
+  /**
+   * @param {number} index - Leg index
+   * @returns {string} Leg distance in the user's number format
+   */
+  formatLegDistance(index) {
+    return NumberFormatter.formatLength(this.legs[index].distance, this.stateManager.getNumberFormat());
+  }
+
+  /**
+   * @param {number} index - Leg index
+   * @returns {string} Split times row: pending, or the leg's time and the
+   *   time since the start
+   */
+  formatSplit(index) {
+    const names = { from: this.getName(index), to: this.getName(index + 1) };
+    const arrival = this.arrivals[index];
+    if (!arrival) {
+      return this.locale.t('route.splitPending', names);
+    }
+
+    const format = this.stateManager.getNumberFormat();
+    return this.locale.t('route.split', {
+      ...names,
+      time: NumberFormatter.formatTime(arrival.legTime, format),
+      total: NumberFormatter.formatTime(arrival.elapsedTime, format)
+    });
+  }
+
+  /**
+   * Rewrite leg distances and split times after the number format changed
+   */
+  refreshNumberFormat() {
+    this.legTexts.forEach((text, index) => text.setText(this.formatLegDistance(index)));
+    this.splitTexts.forEach((text, index) => text.setText(this.formatSplit(index)));
+  }
+
+  /**
+   * @returns {string} Headline and leg distances, for screen readers
+   */
+  getSummary() {
+    return [
+      this.titleText.text,
+      ...this.legs.map((leg, index) => this.locale.t('route.leg', {
+        from: this.getName(index),
+        to: this.getName(index + 1),
+        distance: this.formatLegDistance(index)
+      }))
+    ].join('\n');
+  }
+
+  /**
+   * @returns {Array<Object>} Help overlay targets (see ComponentBase)
+   */
+  getHelpTargets() {
+    return [
+      { id: 'routeStops', bounds: ComponentBase.boundsOf(this.markers) },
+      { id: 'routeSplits', bounds: ComponentBase.boundsOf(this.splitTexts) }
+    ].filter(target => target.bounds);
+  }
+
+  /**
+   * Destroy component and clean up
+   */
+  destroy() {
+    // Clear references
+    this.points = [];
+    this.markers = [];
+    this.legTexts = [];
+    this.splitTexts = [];
+    this.arrivals = [];
+    this.titleText = null;
+    this.noteText = null;
+    this.lineGraphics = null;
+
+    // Call parent destroy
+    super.destroy();
+  }
+}
@@ -7,12 +7,34 @@
  * - Displays size ratio
  *
  * Position side-by-side for visual comparison
+ *
+ * Lineup mode (displayLineup): any number of objects on one shared scale,
+ * sorted by diameter, each labeled with its size relative to the largest.
+ * The stops of a light route use the same view in travel order.
+ *
+ * Sizes are written in the user's number format (StateManager); call
+ * refreshNumberFormat() when it changes. Text follows the interface
+ * language (LocaleManager); right-to-left languages put the larger
+ * object on the right.
+ *
+ * Object colors follow the color mode (ObjectStyle): in the high-contrast
+ * and color-blind modes each object gets a palette color by its position,
+ * an outline and a pattern, redrawn every frame so it follows the sprites
+ * while DistanceAnimator moves them.
+ *
+ * Clicking an object or its name emits 'infoRequested' (objectId); the
+ * objects are also FocusManager items (Enter / Space).
  */
 
 import { ComponentBase } from '@/components/ComponentBase.js';
 import { ScaleCalculator } from '@/utils/ScaleCalculator.js';
+import { NumberFormatter } from '@/utils/NumberFormatter.js';
+import { ObjectStyle } from '@/utils/ObjectStyle.js';
 import { DataManager } from '@/managers/DataManager.js';
-import { COLORS } from '@/utils/Constants.js';
+import { StateManager } from '@/managers/StateManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { COLORS, SCALE_DISPLAY, LINEUP_DISPLAY } from '@/utils/Constants.js';
 
 export class ScaleDisplay extends ComponentBase {
   /**
@@ -25,6 +47,9 @@ export class ScaleDisplay extends ComponentBase {
     super(scene, config);
 
     this.dataManager = DataManager.getInstance();
+    this.stateManager = StateManager.getInstance();
+    this.locale = LocaleManager.getInstance();
+    this.focusManager = FocusManager.getInstance();
 
     // Store references to object sprites for animation
     this.obj1Sprite = null;
@@ -32,6 +57,124 @@ export class ScaleDisplay extends ComponentBase {
     this.obj1Data = null;
     this.obj2Data = null;
     this.ratioText = null;
+    this.spanText = null;
+
+    // Lineup mode: [{obj, sprite, size}] sorted largest first
+    this.lineupItems = [];
+
+    // Texts containing formatted sizes: [{text, render}]
+    this.formattedTexts = [];
+
+    // Patterned sprites: [{sprite, pattern}], drawn into patternGraphics
+    this.patterns = [];
+    this.patternGraphics = null;
+  }
+
+  /**
+   * Color an object sprite for the current color mode
+   *
+   * @param {Phaser.GameObjects.Arc} sprite - Object circle
+   * @param {Object} obj - Object data
+   * @param {number} slot - Position among the displayed objects
+   */
+  styleObject(sprite, obj, slot) {
+    const style = ObjectStyle.getStyle(obj, slot, this.stateManager.getColorMode());
+    ObjectStyle.applyToSprite(sprite, style);
+
+    if (!style.pattern) return;
+
+    if (!this.patternGraphics) {
+      this.patternGraphics = this.scene.add.graphics();
+      this.container.add(this.patternGraphics);
+      this.scene.events.on('postupdate', this.drawPatterns, this);
+    }
+    this.patterns.push({ sprite, pattern: style.pattern });
+  }
+
+  /**
+   * Redraw the patterns over their (possibly moving) sprites
+   */
+  drawPatterns() {
+    this.patternGraphics.clear();
+
+    // Keep the patterns directly above the sprites
+    this.container.bringToTop(this.patternGraphics);
+
+    this.patterns.forEach(({ sprite, pattern }) => {
+      if (sprite.visible) {
+        ObjectStyle.drawPattern(this.patternGraphics, sprite.x, sprite.y, sprite.radius, pattern, sprite.alpha);
+      }
+    });
+  }
+
+  /**
+   * Write a size in the user's number format
+   *
+   * @param {Object} obj - Object data
+   * @returns {string} Formatted diameter
+   */
+  formatDiameter(obj) {
+    return NumberFormatter.formatLength(obj.diameter, this.stateManager.getNumberFormat(), obj.displayUnits?.diameter);
+  }
+
+  /**
+   * Write a size ratio with the locale's decimal separator
+   *
+   * @param {number} ratio - Size ratio
+   * @param {number} digits - Decimal places
+   * @returns {string} e.g. "109.18" (en), "109,18" (es)
+   */
+  formatRatio(ratio, digits = 2) {
+    return this.locale.formatNumber(ratio, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  }
+
+  /**
+   * Create a text whose content depends on the number format
+   *
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {Function} render - () => string
+   * @param {Object} style - Text style
+   * @returns {Phaser.GameObjects.Text} Text (origin 0.5)
+   */
+  addFormattedText(x, y, render, style) {
+    const text = this.scene.add.text(x, y, render(), this.locale.textStyle(style)).setOrigin(0.5);
+    this.formattedTexts.push({ text, render });
+    return text;
+  }
+
+  /**
+   * Emit 'infoRequested' when any of the targets is clicked
+   *
+   * @param {Array<Phaser.GameObjects.GameObject>} targets - Sprites and labels
+   * @param {Object} obj - Object data
+   */
+  addInfoTargets(targets, obj) {
+    targets.forEach(target => {
+      target.setInteractive({ useHandCursor: true });
+      target.on('pointerdown', () => this.emit('infoRequested', obj.id));
+    });
+  }
+
+  /**
+   * Make an object's sprite reachable from the keyboard
+   * (Enter / Space emits 'infoRequested')
+   *
+   * @param {Phaser.GameObjects.GameObject} sprite - Object sprite
+   * @param {Object} obj - Object data
+   */
+  registerFocusTarget(sprite, obj) {
+    this.focusManager.register(sprite, {
+      label: this.locale.t('a11y.objectDetails', { name: this.locale.localize(obj, 'name') }),
+      onActivate: () => this.emit('infoRequested', obj.id)
+    });
+  }
+
+  /**
+   * Rewrite sizes after the number format changed
+   */
+  refreshNumberFormat() {
+    this.formattedTexts.forEach(({ text, render }) => text.setText(render()));
   }
 
   /**
@@ -82,17 +225,17 @@ export class ScaleDisplay extends ComponentBase {
     // Calculate ratio
     const ratio = ScaleCalculator.calculateSizeRatio(larger.diameter, smaller.diameter);
 
-    // Create larger object sprite (left side)
+    // Create larger object sprite (left side; right side when right-to-left)
     this.obj1Sprite = this.scene.add.circle(
-      screenWidth / 3,
+      this.locale.mirrorX(screenWidth / 3, screenWidth),
       screenHeight / 2,
       largerSize / 2,  // radius
       parseInt(larger.color.replace('#', '0x'))
     );
 
-    // Create smaller object sprite (right side)
+    // Create smaller object sprite (right side; left side when right-to-left)
     this.obj2Sprite = this.scene.add.circle(
-      2 * screenWidth / 3,
+      this.locale.mirrorX(2 * screenWidth / 3, screenWidth),
       screenHeight / 2,
       smallerSize / 2,  // radius
       parseInt(smaller.color.replace('#', '0x'))
@@ -100,6 +243,12 @@ export class ScaleDisplay extends ComponentBase {
 
     // Add to container
     this.container.add([this.obj1Sprite, this.obj2Sprite]);
+    this.styleObject(this.obj1Sprite, larger, 0);
+    this.styleObject(this.obj2Sprite, smaller, 1);
+    this.addInfoTargets([this.obj1Sprite], larger);
+    this.addInfoTargets([this.obj2Sprite], smaller);
+    this.registerFocusTarget(this.obj1Sprite, larger);
+    this.registerFocusTarget(this.obj2Sprite, smaller);
 
     // Display labels
     this.createLabels(larger, smaller, screenWidth, screenHeight);
@@ -119,57 +268,62 @@ export class ScaleDisplay extends ComponentBase {
    * @param {number} screenHeight - Screen height
    */
   createLabels(larger, smaller, screenWidth, screenHeight) {
+    const largerX = this.locale.mirrorX(screenWidth / 3, screenWidth);
+    const smallerX = this.locale.mirrorX(2 * screenWidth / 3, screenWidth);
+
     // Larger object label
     const label1 = this.scene.add.text(
-      screenWidth / 3,
+      largerX,
       screenHeight / 2 + 200,
-      larger.name,
-      {
+      this.locale.localize(larger, 'name'),
+      this.locale.textStyle({
         fontSize: '20px',
         color: COLORS.TEXT,
         fontFamily: 'Arial',
         fontStyle: 'bold'
-      }
+      })
     ).setOrigin(0.5);
 
     // Smaller object label
     const label2 = this.scene.add.text(
-      2 * screenWidth / 3,
+      smallerX,
       screenHeight / 2 + 200,
-      smaller.name,
-      {
+      this.locale.localize(smaller, 'name'),
+      this.locale.textStyle({
         fontSize: '20px',
         color: COLORS.TEXT,
         fontFamily: 'Arial',
         fontStyle: 'bold'
-      }
+      })
     ).setOrigin(0.5);
 
     // Larger object diameter
-    const diameter1 = this.scene.add.text(
-      screenWidth / 3,
+    const diameter1 = this.addFormattedText(
+      largerX,
       screenHeight / 2 + 225,
-      ScaleCalculator.formatScale(larger.diameter),
+      () => this.formatDiameter(larger),
       {
         fontSize: '14px',
         color: '#cccccc',
         fontFamily: 'Arial'
       }
-    ).setOrigin(0.5);
+    );
 
     // Smaller object diameter
-    const diameter2 = this.scene.add.text(
-      2 * screenWidth / 3,
+    const diameter2 = this.addFormattedText(
+      smallerX,
       screenHeight / 2 + 225,
-      ScaleCalculator.formatScale(smaller.diameter),
+      () => this.formatDiameter(smaller),
       {
         fontSize: '14px',
         color: '#cccccc',
         fontFamily: 'Arial'
       }
-    ).setOrigin(0.5);
+    );
 
     this.container.add([label1, label2, diameter1, diameter2]);
+    this.addInfoTargets([label1], larger);
+    this.addInfoTargets([label2], smaller);
   }
 
   /**
@@ -184,19 +338,200 @@ export class ScaleDisplay extends ComponentBase {
     this.ratioText = this.scene.add.text(
       screenWidth / 2,
       60,
-      `${larger.name} is ${ratio.toFixed(2)}× larger than ${smaller.name}`,
-      {
+      this.locale.t('scale.ratio', {
+        larger: this.locale.localize(larger, 'name'),
+        ratio: this.formatRatio(ratio),
+        smaller: this.locale.localize(smaller, 'name')
+      }),
+      this.locale.textStyle({
         fontSize: '24px',
         color: COLORS.TEXT,
         fontFamily: 'Arial',
         fontStyle: 'bold',
         align: 'center'
-      }
+      })
     ).setOrigin(0.5);
 
     this.container.add(this.ratioText);
   }
 
+  /**
+   * Display any number of objects side by side on a shared scale
+   *
+   * CRITICAL: Every object uses the SAME pixels-per-meter factor so the
+   * lineup is a true scale comparison. Objects are sorted largest first,
+   * except for the stops of a light route, which keep their order.
+   *
+   * @param {Array<string>} objectIds - Object IDs to display (2 or more)
+   * @param {Object} options - {route: the objects are route stops, in order}
+   */
+  displayLineup(objectIds, { route = false } = {}) {
+    console.log(`[ScaleDisplay] Displaying ${route ? 'route' : 'lineup'}: ${objectIds.join(', ')}`);
+
+    const objects = objectIds
+      .map(id => this.dataManager.getObjectById(id))
+      .filter(Boolean);
+
+    if (!route) {
+      objects.sort((a, b) => b.diameter - a.diameter);
+    }
+
+    if (objects.length < 2) {
+      console.error('[ScaleDisplay] Lineup needs at least 2 known objects');
+      return;
+    }
+
+    const screenWidth = this.scene.cameras.main.width;
+    const screenHeight = this.scene.cameras.main.height;
+    const largest = objects.reduce((a, b) => (b.diameter > a.diameter ? b : a));
+    const smallest = objects.reduce((a, b) => (b.diameter < a.diameter ? b : a));
+
+    const sizes = this.calculateLineupSizes(objects, screenWidth, screenHeight);
+
+    // Slots are at least MIN_SLOT_WIDTH wide so small objects keep readable labels
+    const slotWidths = sizes.map(size => Math.max(size, LINEUP_DISPLAY.MIN_SLOT_WIDTH));
+    const totalWidth = slotWidths.reduce((sum, width) => sum + width, 0) +
+      LINEUP_DISPLAY.GAP * (objects.length - 1);
+
+    const centerY = screenHeight / 2 - 40;
+    const labelBaseY = centerY + Math.max(...sizes) / 2 + 30;
+    let x = (screenWidth - totalWidth) / 2;
+
+    objects.forEach((obj, index) => {
+      const size = sizes[index];
+      // First in reading order (from the right when right-to-left)
+      const objectX = this.locale.mirrorX(x + slotWidths[index] / 2, screenWidth);
+
+      const sprite = this.scene.add.circle(
+        objectX,
+        centerY,
+        size / 2,
+        parseInt(obj.color.replace('#', '0x'))
+      );
+
+      // Stagger labels on two rows so neighbours never overlap
+      const labelY = labelBaseY + (index % 2) * LINEUP_DISPLAY.LABEL_ROW_OFFSET;
+
+      const nameText = this.scene.add.text(objectX, labelY, this.locale.localize(obj, 'name'), this.locale.textStyle({
+        fontSize: '15px',
+        color: COLORS.TEXT,
+        fontFamily: 'Arial',
+        fontStyle: 'bold'
+      })).setOrigin(0.5);
+
+      const ratio = ScaleCalculator.calculateSizeRatio(largest.diameter, obj.diameter);
+      const detailText = this.scene.add.text(
+        objectX,
+        labelY + 18,
+        obj === largest
+          ? this.locale.t('scale.largest')
+          : this.locale.t('scale.fraction', {
+            ratio: this.formatRatio(ratio, ratio < 10 ? 2 : 1),
+            name: this.locale.localize(largest, 'name')
+          }),
+        this.locale.textStyle({
+          fontSize: '12px',
+          color: '#cccccc',
+          fontFamily: 'Arial'
+        })
+      ).setOrigin(0.5);
+
+      this.container.add([sprite, nameText, detailText]);
+      this.styleObject(sprite, obj, index);
+      this.addInfoTargets([sprite, nameText], obj);
+      this.registerFocusTarget(sprite, obj);
+      this.lineupItems.push({ obj, sprite, size });
+
+      x += slotWidths[index] + LINEUP_DISPLAY.GAP;
+    });
+
+    // Headline
+    this.ratioText = this.scene.add.text(
+      screenWidth / 2,
+      60,
+      route
+        ? this.locale.t('scale.routeTitle', { count: objects.length })
+        : this.locale.t('scale.lineupTitle', { count: objects.length }),
+      this.locale.textStyle({
+        fontSize: '24px',
+        color: COLORS.TEXT,
+        fontFamily: 'Arial',
+        fontStyle: 'bold',
+        align: 'center'
+      })
+    ).setOrigin(0.5);
+
+    this.spanText = this.addFormattedText(
+      screenWidth / 2,
+      92,
+      () => this.locale.t('scale.span', {
+        name: this.locale.localize(largest, 'name'),
+        size: this.formatDiameter(largest),
+        ratio: this.formatRatio(ScaleCalculator.calculateSizeRatio(largest.diameter, smallest.diameter)),
+        smallest: this.locale.localize(smallest, 'name')
+      }),
+      {
+        fontSize: '16px',
+        color: '#cccccc',
+        fontFamily: 'Arial'
+      }
+    );
+
+    this.container.add([this.ratioText, this.spanText]);
+
+    console.log(`[ScaleDisplay] ${route ? 'Route' : 'Lineup'} complete: ${objects.length} objects`);
+  }
+
+  /**
+   * Calculate on-screen sizes for a lineup using one shared scale
+   *
+   * Starts with the largest object at its maximum size, then shrinks the
+   * shared scale until every slot fits across the screen.
+   *
+   * @param {Array<Object>} objects - Objects in display order
+   * @param {number} screenWidth - Screen width
+   * @param {number} screenHeight - Screen height
+   * @returns {Array<number>} Screen diameters in pixels (same order as objects)
+   */
+  calculateLineupSizes(objects, screenWidth, screenHeight) {
+    const usableWidth = screenWidth * 0.92 - LINEUP_DISPLAY.GAP * (objects.length - 1);
+    const maxSize = Math.min(
+      screenWidth * SCALE_DISPLAY.MAX_SCREEN_RATIO,
+      screenHeight * LINEUP_DISPLAY.MAX_HEIGHT_RATIO
+    );
+
+    let pixelsPerMeter = maxSize / Math.max(...objects.map(obj => obj.diameter));
+
+    // Objects narrower than a slot take MIN_SLOT_WIDTH regardless of scale,
+    // so only the wider ones shrink. A few passes converge in practice.
+    for (let pass = 0; pass < 5; pass++) {
+      const widths = objects.map(obj => obj.diameter * pixelsPerMeter);
+      const wide = widths.filter(width => width > LINEUP_DISPLAY.MIN_SLOT_WIDTH);
+      const narrowCount = widths.length - wide.length;
+      const total = wide.reduce((sum, width) => sum + width, 0) +
+        narrowCount * LINEUP_DISPLAY.MIN_SLOT_WIDTH;
+
+      if (total <= usableWidth || wide.length === 0) break;
+
+      const availableForWide = usableWidth - narrowCount * LINEUP_DISPLAY.MIN_SLOT_WIDTH;
+      if (availableForWide <= 0) break;
+
+      pixelsPerMeter *= availableForWide / wide.reduce((sum, width) => sum + width, 0);
+    }
+
+    // Tiny objects keep a 2px minimum so they stay visible; the label carries the true ratio
+    return objects.map(obj => Math.max(2, obj.diameter * pixelsPerMeter));
+  }
+
+  /**
+   * Get lineup objects in display order (largest first, or route order)
+   *
+   * @returns {Array<Object>} Object data
+   */
+  getLineupObjects() {
+    return this.lineupItems.map(item => item.obj);
+  }
+
   /**
    * Get object sprite positions
    * Used for distance animation
@@ -227,6 +562,29 @@ export class ScaleDisplay extends ComponentBase {
     };
   }
 
+  /**
+   * Spoken summary of the comparison (headline and, for lineups, the span)
+   *
+   * @returns {string} Summary, or '' before anything is displayed
+   */
+  getSummary() {
+    return [this.ratioText?.text, this.spanText?.text].filter(Boolean).join('\n');
+  }
+
+  /**
+   * @returns {Array<Object>} Help overlay targets (see ComponentBase)
+   */
+  getHelpTargets() {
+    const sprites = this.lineupItems.length > 0
+      ? this.lineupItems.map(item => item.sprite)
+      : [this.obj1Sprite, this.obj2Sprite];
+
+    return [
+      { id: 'scaleObjects', bounds: ComponentBase.boundsOf(sprites) },
+      { id: 'sizeRatio', bounds: ComponentBase.boundsOf([this.ratioText]) }
+    ].filter(target => target.bounds);
+  }
+
   /**
    * Destroy component and clean up
    */
@@ -237,6 +595,15 @@ export class ScaleDisplay extends ComponentBase {
     this.obj1Data = null;
     this.obj2Data = null;
     this.ratioText = null;
+    this.spanText = null;
+    this.lineupItems = [];
+    this.formattedTexts = [];
+
+    if (this.patternGraphics) {
+      this.scene.events.off('postupdate', this.drawPatterns, this);
+      this.patternGraphics = null;
+    }
+    this.patterns = [];
 
     // Call parent destroy
     super.destroy();
@@ -0,0 +1,287 @@
+/**
+ * ScaleIndicator - Display current scale information
+ *
+ * Shows:
+ * - Current exponent (e.g., "10^7.3 m") and its value in meters
+ * - A scale bar whose length is a whole power of ten at the current zoom
+ * - A vertical track showing where the view sits between
+ *   MIN_EXPONENT (Planck length) and MAX_EXPONENT (observable universe)
+ * - Title, narrative and representative examples of the current scale level
+ * - How many catalogued objects belong to the current level
+ *
+ * Text follows the interface language; in right-to-left languages the
+ * readouts move to the bottom-right and the track to the left edge.
+ */
+
+import Phaser from 'phaser';
+import { ComponentBase } from '@/components/ComponentBase.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { NumberFormatter } from '@/utils/NumberFormatter.js';
+import { COLORS, MIN_EXPONENT, MAX_EXPONENT, NUMBER_FORMATS, POWERS_OF_TEN } from '@/utils/Constants.js';
+
+export class ScaleIndicator extends ComponentBase {
+  /**
+   * Constructor
+   *
+   * @param {Phaser.Scene} scene - Parent scene
+   * @param {Object} config - Configuration
+   */
+  constructor(scene, config = {}) {
+    super(scene, config);
+
+    this.exponentText = null;
+    this.metersText = null;
+    this.scaleBar = null;
+    this.scaleBarText = null;
+    this.trackMarker = null;
+    this.titleText = null;
+    this.narrativeText = null;
+    this.examplesText = null;
+    this.objectCountText = null;
+    this.locale = LocaleManager.getInstance();
+
+    this.create();
+  }
+
+  /**
+   * Build indicator UI
+   */
+  create() {
+    const screenWidth = this.scene.cameras.main.width;
+    const screenHeight = this.scene.cameras.main.height;
+
+    // Readouts hug the reading-side edge
+    this.readoutX = this.locale.mirrorX(40, screenWidth);
+    const readoutOriginX = this.locale.isRTL() ? 1 : 0;
+
+    // Exponent readout (bottom-left)
+    this.exponentText = this.scene.add.text(this.readoutX, screenHeight - 130, '', {
+      fontSize: '32px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    }).setOrigin(readoutOriginX, 0);
+
+    this.metersText = this.scene.add.text(this.readoutX, screenHeight - 90, '', {
+      fontSize: '16px',
+      color: '#cccccc',
+      fontFamily: 'Arial'
+    }).setOrigin(readoutOriginX, 0);
+
+    // Scale bar (redrawn every update)
+    this.scaleBar = this.scene.add.graphics();
+    this.scaleBarText = this.scene.add.text(this.readoutX, screenHeight - 40, '', {
+      fontSize: '14px',
+      color: '#cccccc',
+      fontFamily: 'Arial'
+    }).setOrigin(readoutOriginX, 0);
+
+    // Scale level description (top-center)
+    this.titleText = this.scene.add.text(screenWidth / 2, 70, '', this.locale.textStyle({
+      fontSize: '26px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    })).setOrigin(0.5);
+
+    this.narrativeText = this.scene.add.text(screenWidth / 2, 100, '', this.locale.textStyle({
+      fontSize: '15px',
+      color: '#cccccc',
+      fontFamily: 'Arial',
+      align: 'center',
+      wordWrap: { width: 800 }
+    })).setOrigin(0.5, 0);
+
+    this.examplesText = this.scene.add.text(screenWidth / 2, 160, '', this.locale.textStyle({
+      fontSize: '13px',
+      color: '#999999',
+      fontFamily: 'Arial',
+      fontStyle: 'italic',
+      align: 'center',
+      wordWrap: { width: 800 }
+    })).setOrigin(0.5, 0);
+
+    // Object count for the current level
+    this.objectCountText = this.scene.add.text(screenWidth / 2, 195, '', this.locale.textStyle({
+      fontSize: '16px',
+      color: '#cccccc',
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    // Navigation hint
+    const hint = this.scene.add.text(
+      screenWidth / 2,
+      screenHeight - 30,
+      this.locale.t('powersOfTen.hint'),
+      this.locale.textStyle({
+        fontSize: '14px',
+        color: '#888888',
+        fontFamily: 'Arial'
+      })
+    ).setOrigin(0.5);
+
+    this.container.add([
+      this.exponentText,
+      this.metersText,
+      this.scaleBar,
+      this.scaleBarText,
+      this.titleText,
+      this.narrativeText,
+      this.examplesText,
+      this.objectCountText,
+      hint
+    ]);
+
+    this.createTrack(screenWidth, screenHeight);
+  }
+
+  /**
+   * Create vertical exponent track (right edge; left edge when right-to-left)
+   *
+   * @param {number} screenWidth - Screen width
+   * @param {number} screenHeight - Screen height
+   */
+  createTrack(screenWidth, screenHeight) {
+    this.trackX = this.locale.mirrorX(screenWidth - 50, screenWidth);
+    this.trackTop = 110;
+    this.trackBottom = screenHeight - 110;
+
+    const track = this.scene.add.line(
+      0, 0,
+      this.trackX, this.trackTop,
+      this.trackX, this.trackBottom,
+      parseInt(COLORS.SECONDARY.replace('#', '0x'))
+    ).setOrigin(0);
+    track.setLineWidth(2);
+
+    const topLabel = this.scene.add.text(this.trackX, this.trackTop - 20, `10^${MAX_EXPONENT} m`, {
+      fontSize: '12px',
+      color: '#888888',
+      fontFamily: 'Arial'
+    }).setOrigin(0.5);
+
+    const bottomLabel = this.scene.add.text(this.trackX, this.trackBottom + 20, `10^${MIN_EXPONENT} m`, {
+      fontSize: '12px',
+      color: '#888888',
+      fontFamily: 'Arial'
+    }).setOrigin(0.5);
+
+    this.trackMarker = this.scene.add.circle(
+      this.trackX,
+      this.trackBottom,
+      7,
+      parseInt(COLORS.PRIMARY.replace('#', '0x'))
+    );
+
+    this.container.add([track, topLabel, bottomLabel, this.trackMarker]);
+  }
+
+  /**
+   * Update indicator for the current exponent
+   *
+   * @param {number} exponent - Current scale exponent
+   * @param {number} objectCount - Number of objects at the current level
+   */
+  updateScale(exponent, objectCount) {
+    const decimal = this.locale.formatNumber(exponent, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    this.exponentText.setText(`10^${decimal} m`);
+    this.metersText.setText(NumberFormatter.formatLength(Math.pow(10, exponent), NUMBER_FORMATS.SCIENTIFIC));
+
+    this.updateScaleBar(exponent);
+
+    // Position marker along the track (bottom = smallest, top = largest)
+    const progress = (exponent - MIN_EXPONENT) / (MAX_EXPONENT - MIN_EXPONENT);
+    this.trackMarker.y = Phaser.Math.Linear(this.trackBottom, this.trackTop, progress);
+
+    if (objectCount > 0) {
+      this.objectCountText.setText(this.locale.t('powersOfTen.objectCount', {
+        count: objectCount,
+        exponent: String(Math.round(exponent))
+      }));
+    } else {
+      this.objectCountText.setText(this.locale.t('powersOfTen.noObjects'));
+    }
+  }
+
+  /**
+   * Show the description of a scale level
+   *
+   * @param {Object|undefined} level - Scale level from DataManager.getScaleLevel()
+   */
+  setLevel(level) {
+    if (!level) {
+      this.titleText.setText('');
+      this.narrativeText.setText('');
+      this.examplesText.setText('');
+      return;
+    }
+
+    const examples = this.locale.localize(level, 'representativeObjects');
+
+    this.titleText.setText(this.locale.localize(level, 'title'));
+    this.narrativeText.setText(this.locale.localize(level, 'narrative'));
+    this.examplesText.setText(
+      examples.length > 0
+        ? this.locale.t('powersOfTen.examples', { list: new Intl.ListFormat(this.locale.getLocale()).format(examples) })
+        : ''
+    );
+  }
+
+  /**
+   * Redraw the scale bar
+   *
+   * The bar always represents a whole power of ten (the next one above
+   * the current exponent), so its length varies between
+   * PIXELS_PER_SCALE and 10 × PIXELS_PER_SCALE pixels.
+   *
+   * @param {number} exponent - Current scale exponent
+   */
+  updateScaleBar(exponent) {
+    const barExponent = Math.floor(exponent) + 1;
+    const barLength = POWERS_OF_TEN.PIXELS_PER_SCALE * Math.pow(10, barExponent - exponent);
+
+    // Grows away from the reading-side edge
+    const x = this.readoutX;
+    const end = x + (this.locale.isRTL() ? -barLength : barLength);
+    const y = this.scaleBarText.y - 10;
+
+    this.scaleBar.clear();
+    this.scaleBar.lineStyle(2, parseInt(COLORS.TEXT.replace('#', '0x')), 1);
+    this.scaleBar.lineBetween(x, y, end, y);
+    this.scaleBar.lineBetween(x, y - 6, x, y + 6);
+    this.scaleBar.lineBetween(end, y - 6, end, y + 6);
+
+    this.scaleBarText.setText(`10^${barExponent} m`);
+  }
+
+  /**
+   * @returns {Array<Object>} Help overlay targets (see ComponentBase)
+   */
+  getHelpTargets() {
+    return [
+      {
+        id: 'scaleTrack',
+        bounds: { x: this.trackX - 12, y: this.trackTop - 30, width: 24, height: this.trackBottom - this.trackTop + 60 }
+      },
+      { id: 'scaleReadout', bounds: ComponentBase.boundsOf([this.exponentText, this.metersText, this.scaleBarText]) },
+      { id: 'levelInfo', bounds: ComponentBase.boundsOf([this.titleText, this.narrativeText]) }
+    ].filter(target => target.bounds);
+  }
+
+  /**
+   * Destroy component and clean up
+   */
+  destroy() {
+    this.exponentText = null;
+    this.metersText = null;
+    this.scaleBar = null;
+    this.scaleBarText = null;
+    this.trackMarker = null;
+    this.titleText = null;
+    this.narrativeText = null;
+    this.examplesText = null;
+    this.objectCountText = null;
+
+    super.destroy();
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * ScaleRenderer - Render the objects that belong to the current scale
+ *
+ * An object is visible when its `scaleLevel` matches the current exponent
+ * rounded to the nearest integer (each level spans exponent ±0.5).
+ *
+ * CRITICAL: Objects are drawn at TRUE relative size for the current zoom:
+ * POWERS_OF_TEN.PIXELS_PER_SCALE pixels always represent 10^exponent meters,
+ * so objects shrink smoothly as the student zooms out.
+ *
+ * Objects fade out near the edges of their level so the hand-over between
+ * levels is gradual instead of popping. The row reads right-to-left in
+ * right-to-left languages. Object colors, outlines and patterns follow the
+ * color mode (ObjectStyle, by position in the row).
+ *
+ * Events:
+ * - 'visibleObjectsChanged' (objectIds) - emitted when the level changes
+ */
+
+import Phaser from 'phaser';
+import { ComponentBase } from '@/components/ComponentBase.js';
+import { DataManager } from '@/managers/DataManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { StateManager } from '@/managers/StateManager.js';
+import { NumberFormatter } from '@/utils/NumberFormatter.js';
+import { ObjectStyle } from '@/utils/ObjectStyle.js';
+import { COLORS, COLOR_MODES, NUMBER_FORMATS, POWERS_OF_TEN } from '@/utils/Constants.js';
+
+export class ScaleRenderer extends ComponentBase {
+  /**
+   * Constructor
+   *
+   * @param {Phaser.Scene} scene - Parent scene
+   * @param {Object} config - Configuration
+   */
+  constructor(scene, config = {}) {
+    super(scene, config);
+
+    this.dataManager = DataManager.getInstance();
+    this.locale = LocaleManager.getInstance();
+
+    this.colorMode = StateManager.getInstance().getColorMode();
+
+    this.currentLevel = null;       // Integer level currently displayed
+    this.objectViews = new Map();   // Map of object ID → {obj, sprite, nameText, sizeText, pattern}
+    this.patternGraphics = null;    // Color-mode patterns, redrawn with the layout
+
+    if (this.colorMode !== COLOR_MODES.STANDARD) {
+      this.patternGraphics = this.scene.add.graphics();
+      this.container.add(this.patternGraphics);
+    }
+  }
+
+  /**
+   * Render objects for a (possibly fractional) exponent
+   *
+   * @param {number} exponent - Current scale exponent
+   */
+  render(exponent) {
+    const level = Math.round(exponent);
+
+    if (level !== this.currentLevel) {
+      this.buildLevel(level);
+    }
+
+    this.layoutObjects(exponent);
+  }
+
+  /**
+   * Recreate object views for a new level
+   *
+   * @param {number} level - Integer scale level
+   */
+  buildLevel(level) {
+    this.clearObjects();
+    this.currentLevel = level;
+
+    // Largest first so the layout reads left-to-right from big to small
+    const objects = this.dataManager.getObjectsAtScale(level, 0);
+
+    objects.forEach((obj, index) => {
+      const style = ObjectStyle.getStyle(obj, index, this.colorMode);
+
+      const sprite = this.scene.add.circle(0, 0, 1);
+      ObjectStyle.applyToSprite(sprite, style);
+
+      const nameText = this.scene.add.text(0, 0, this.locale.localize(obj, 'name'), this.locale.textStyle({
+        fontSize: '18px',
+        color: COLORS.TEXT,
+        fontFamily: 'Arial',
+        fontStyle: 'bold'
+      })).setOrigin(0.5);
+
+      // Powers of Ten is about exponents, so sizes are always scientific
+      const sizeText = this.scene.add.text(0, 0, NumberFormatter.formatLength(obj.diameter, NUMBER_FORMATS.SCIENTIFIC), {
+        fontSize: '13px',
+        color: '#cccccc',
+        fontFamily: 'Arial'
+      }).setOrigin(0.5);
+
+      this.container.add([sprite, nameText, sizeText]);
+      this.objectViews.set(obj.id, { obj, sprite, nameText, sizeText, pattern: style.pattern });
+    });
+
+    // Patterns go above the new sprites
+    if (this.patternGraphics) {
+      this.container.bringToTop(this.patternGraphics);
+    }
+
+    console.log(`[ScaleRenderer] Level 10^${level} m: ${objects.length} objects`);
+
+    this.emit('visibleObjectsChanged', this.getVisibleObjectIds());
+  }
+
+  /**
+   * Size and position visible objects for the current exponent
+   *
+   * @param {number} exponent - Current scale exponent
+   */
+  layoutObjects(exponent) {
+    this.patternGraphics?.clear();
+    if (this.objectViews.size === 0) return;
+
+    const screenWidth = this.scene.cameras.main.width;
+    const screenHeight = this.scene.cameras.main.height;
+    const gap = 60;
+
+    // PIXELS_PER_SCALE pixels represent 10^exponent meters
+    const pixelsPerMeter = POWERS_OF_TEN.PIXELS_PER_SCALE / Math.pow(10, exponent);
+
+    // Fade out as the exponent approaches the edge of this level (±0.5)
+    const edgeDistance = 0.5 - Math.abs(exponent - this.currentLevel);
+    const alpha = Phaser.Math.Clamp(edgeDistance / POWERS_OF_TEN.FADE_WIDTH, 0, 1);
+
+    const views = Array.from(this.objectViews.values());
+    const sizes = views.map(view => Math.max(2, view.obj.diameter * pixelsPerMeter));
+
+    // Lay objects out in a single centered row
+    const totalWidth = sizes.reduce((sum, size) => sum + size, 0) + gap * (views.length - 1);
+    let x = (screenWidth - totalWidth) / 2;
+    const centerY = screenHeight / 2;
+
+    views.forEach((view, index) => {
+      const size = sizes[index];
+      const objectX = this.locale.mirrorX(x + size / 2, screenWidth);
+
+      view.sprite.setPosition(objectX, centerY);
+      view.sprite.setRadius(size / 2);
+      view.nameText.setPosition(objectX, centerY + size / 2 + 20);
+      view.sizeText.setPosition(objectX, centerY + size / 2 + 42);
+
+      [view.sprite, view.nameText, view.sizeText].forEach(item => item.setAlpha(alpha));
+
+      if (this.patternGraphics) {
+        ObjectStyle.drawPattern(this.patternGraphics, objectX, centerY, size / 2, view.pattern, alpha);
+      }
+
+      x += size + gap;
+    });
+  }
+
+  /**
+   * Get IDs of objects displayed at the current level
+   *
+   * @returns {Array<string>} Visible object IDs
+   */
+  getVisibleObjectIds() {
+    return Array.from(this.objectViews.keys());
+  }
+
+  /**
+   * Destroy all object views
+   */
+  clearObjects() {
+    this.objectViews.forEach(view => {
+      view.sprite.destroy();
+      view.nameText.destroy();
+      view.sizeText.destroy();
+    });
+    this.objectViews.clear();
+  }
+
+  /**
+   * Destroy component and clean up
+   */
+  destroy() {
+    this.clearObjects();
+    this.currentLevel = null;
+    this.patternGraphics = null;
+
+    super.destroy();
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * ZoomController - Continuous zoom input for Powers of Ten mode
+ *
+ * Converts mouse wheel and keyboard input into a continuously changing
+ * scale exponent (10^exponent meters).
+ *
+ * Input:
+ * - Mouse wheel: scroll up zooms out (larger exponent), down zooms in
+ * - Up / Down arrows (or W / S): hold to zoom out / in
+ * - Page Up / Page Down: request a jump to the next populated level
+ * - Home: jump back to human scale
+ *
+ * Zoom has momentum: input adds velocity, velocity decays every frame.
+ * The exponent is always clamped to [MIN_EXPONENT, MAX_EXPONENT].
+ *
+ * Events:
+ * - 'exponentChanged' (exponent) - emitted whenever the exponent moves
+ * - 'levelJumpRequested' (direction) - 1 = larger scales, -1 = smaller scales
+ */
+
+import Phaser from 'phaser';
+import { ComponentBase } from '@/components/ComponentBase.js';
+import { MIN_EXPONENT, MAX_EXPONENT, POWERS_OF_TEN } from '@/utils/Constants.js';
+
+export class ZoomController extends ComponentBase {
+  /**
+   * Constructor
+   *
+   * @param {Phaser.Scene} scene - Parent scene
+   * @param {Object} config - Configuration
+   */
+  constructor(scene, config = {}) {
+    super(scene, config);
+
+    this.exponent = config.startExponent ?? POWERS_OF_TEN.START_EXPONENT;
+    this.velocity = 0;  // Exponents per second (positive = zooming out)
+    this.zoomTween = null;  // Active zoomTo() tween, if any
+
+    this.create();
+  }
+
+  /**
+   * Register input handlers
+   */
+  create() {
+    this.scene.input.on('wheel', this.onWheel, this);
+
+    this.keys = this.scene.input.keyboard.addKeys({
+      up: Phaser.Input.Keyboard.KeyCodes.UP,
+      down: Phaser.Input.Keyboard.KeyCodes.DOWN,
+      w: Phaser.Input.Keyboard.KeyCodes.W,
+      s: Phaser.Input.Keyboard.KeyCodes.S,
+      home: Phaser.Input.Keyboard.KeyCodes.HOME,
+      pageUp: Phaser.Input.Keyboard.KeyCodes.PAGE_UP,
+      pageDown: Phaser.Input.Keyboard.KeyCodes.PAGE_DOWN
+    });
+
+    this.keys.home.on('down', this.reset, this);
+    this.keys.pageUp.on('down', this.onPageUp, this);
+    this.keys.pageDown.on('down', this.onPageDown, this);
+  }
+
+  /**
+   * Request a jump to the next populated level above
+   */
+  onPageUp() {
+    this.emit('levelJumpRequested', 1);
+  }
+
+  /**
+   * Request a jump to the next populated level below
+   */
+  onPageDown() {
+    this.emit('levelJumpRequested', -1);
+  }
+
+  /**
+   * Handle mouse wheel input
+   *
+   * @param {Phaser.Input.Pointer} pointer - Active pointer
+   * @param {Array} gameObjects - Game objects under the pointer
+   * @param {number} deltaX - Horizontal wheel delta
+   * @param {number} deltaY - Vertical wheel delta (negative = scroll up)
+   */
+  onWheel(pointer, gameObjects, deltaX, deltaY) {
+    this.stopZoomTween();
+
+    // Scroll up (negative delta) zooms out to larger scales
+    this.addVelocity(-deltaY * POWERS_OF_TEN.WHEEL_IMPULSE);
+  }
+
+  /**
+   * Add zoom velocity (clamped to MAX_VELOCITY)
+   *
+   * @param {number} amount - Velocity change in exponents per second
+   */
+  addVelocity(amount) {
+    this.velocity = Phaser.Math.Clamp(
+      this.velocity + amount,
+      -POWERS_OF_TEN.MAX_VELOCITY,
+      POWERS_OF_TEN.MAX_VELOCITY
+    );
+  }
+
+  /**
+   * Advance zoom by one frame
+   *
+   * @param {number} delta - Time since last update (ms)
+   */
+  update(delta) {
+    const seconds = delta / 1000;
+
+    // Manual input overrides an automatic zoomTo()
+    const zoomKeyDown = this.keys.up.isDown || this.keys.w.isDown ||
+      this.keys.down.isDown || this.keys.s.isDown;
+    if (zoomKeyDown) {
+      this.stopZoomTween();
+    }
+
+    if (this.zoomTween) return;
+
+    // Held keys accelerate the zoom
+    if (this.keys.up.isDown || this.keys.w.isDown) {
+      this.addVelocity(POWERS_OF_TEN.KEY_ACCELERATION * seconds);
+    } else if (this.keys.down.isDown || this.keys.s.isDown) {
+      this.addVelocity(-POWERS_OF_TEN.KEY_ACCELERATION * seconds);
+    } else {
+      // Frame-rate independent damping (DAMPING is defined per 60 FPS frame)
+      this.velocity *= Math.pow(POWERS_OF_TEN.DAMPING, delta / (1000 / 60));
+    }
+
+    // Stop drifting once the motion is imperceptible
+    if (Math.abs(this.velocity) < 0.001) {
+      this.velocity = 0;
+      return;
+    }
+
+    this.setExponent(this.exponent + this.velocity * seconds);
+  }
+
+  /**
+   * Set the current exponent directly
+   *
+   * @param {number} exponent - Scale exponent
+   */
+  setExponent(exponent) {
+    const clamped = Phaser.Math.Clamp(exponent, MIN_EXPONENT, MAX_EXPONENT);
+
+    // Hitting either end of the scale stops the zoom
+    if (clamped !== exponent) {
+      this.velocity = 0;
+    }
+
+    this.exponent = clamped;
+    this.emit('exponentChanged', this.exponent);
+  }
+
+  /**
+   * Smoothly zoom to a target exponent
+   *
+   * @param {number} targetExponent - Exponent to zoom to
+   * @param {number} duration - Tween duration in milliseconds
+   */
+  zoomTo(targetExponent, duration = 800) {
+    this.stopZoomTween();
+    this.velocity = 0;
+
+    this.zoomTween = this.scene.tweens.addCounter({
+      from: this.exponent,
+      to: targetExponent,
+      duration: duration,
+      ease: 'Quad.easeInOut',
+      onUpdate: (tween) => {
+        this.setExponent(tween.getValue());
+      },
+      onComplete: () => {
+        this.zoomTween = null;
+      }
+    });
+  }
+
+  /**
+   * Stop an in-progress zoomTo() tween
+   */
+  stopZoomTween() {
+    if (this.zoomTween) {
+      this.zoomTween.stop();
+      this.zoomTween = null;
+    }
+  }
+
+  /**
+   * Return to the starting (human) scale
+   */
+  reset() {
+    this.stopZoomTween();
+    this.velocity = 0;
+    this.setExponent(POWERS_OF_TEN.START_EXPONENT);
+  }
+
+  /**
+   * Get current exponent
+   *
+   * @returns {number} Current scale exponent
+   */
+  getExponent() {
+    return this.exponent;
+  }
+
+  /**
+   * Get current zoom velocity
+   *
+   * @returns {number} Velocity in exponents per second
+   */
+  getVelocity() {
+    return this.velocity;
+  }
+
+  /**
+   * Destroy component and remove input handlers
+   */
+  destroy() {
+    this.stopZoomTween();
+
+    if (this.scene) {
+      this.scene.input.off('wheel', this.onWheel, this);
+    }
+
+    if (this.keys) {
+      this.keys.home.off('down', this.reset, this);
+      this.keys.pageUp.off('down', this.onPageUp, this);
+      this.keys.pageDown.off('down', this.onPageDown, this);
+      Object.values(this.keys).forEach(key => this.scene?.input.keyboard.removeKey(key));
+      this.keys = null;
+    }
+
+    super.destroy();
+  }
+}
@@ -0,0 +1,513 @@
+/**
+ * HelpOverlay - Context help and first-run walkthrough
+ *
+ * Dims the screen and explains the current mode (and comparison phase)
+ * in a panel, with coach marks - an outline, a callout and a connector
+ * line - pointing at live UI elements. Targets come from the scenes'
+ * getHelpTargets() (see ComponentBase) as {id, bounds} in screen pixels;
+ * each callout reads the help.targets.<id> message.
+ *
+ * Help mode marks every target at once. Walkthrough mode steps through a
+ * welcome, the explanation, then one target at a time (Next, Enter or →).
+ *
+ * While open, the overlay is FocusManager's 'help' scope: Tab only reaches
+ * its buttons, the main button takes focus on every page, and each page is
+ * read aloud.
+ *
+ * The overlay never changes StateManager itself: Close, Skip and Done emit
+ * 'closeRequested', and the owning scene decides what that means.
+ */
+
+import Phaser from 'phaser';
+import { ComponentBase } from '@/components/ComponentBase.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { COLORS, HELP } from '@/utils/Constants.js';
+
+const PANEL_TOP = 70;          // Below the overlay buttons (pixels)
+const PANEL_PADDING = 18;
+const BUTTON_HEIGHT = 34;
+const SCREEN_MARGIN = 12;
+const HIGHLIGHT_PADDING = 6;   // Outline distance around a target
+const CALLOUT_GAP = 18;        // Distance between outline and callout
+
+/**
+ * Grow a rectangle on every side
+ *
+ * @param {Object} bounds - {x, y, width, height}
+ * @param {number} padding - Pixels to add on each side
+ * @returns {Object} Padded rectangle
+ */
+function padBounds(bounds, padding) {
+  return {
+    x: bounds.x - padding,
+    y: bounds.y - padding,
+    width: bounds.width + 2 * padding,
+    height: bounds.height + 2 * padding
+  };
+}
+
+/**
+ * Area shared by two rectangles
+ *
+ * @param {Object} a - {x, y, width, height}
+ * @param {Object} b - {x, y, width, height}
+ * @returns {number} Overlap in square pixels (0 if disjoint)
+ */
+function overlapArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * Point of a rectangle closest to another point
+ *
+ * @param {Object} rect - {x, y, width, height}
+ * @param {number} x - Point X
+ * @param {number} y - Point Y
+ * @returns {Object} {x, y}
+ */
+function closestPoint(rect, x, y) {
+  return {
+    x: Phaser.Math.Clamp(x, rect.x, rect.x + rect.width),
+    y: Phaser.Math.Clamp(y, rect.y, rect.y + rect.height)
+  };
+}
+
+export class HelpOverlay extends ComponentBase {
+  /**
+   * Constructor
+   *
+   * @param {Phaser.Scene} scene - Parent scene
+   * @param {Object} config - Configuration
+   */
+  constructor(scene, config = {}) {
+    super(scene, config);
+
+    this.locale = LocaleManager.getInstance();
+    this.focusManager = FocusManager.getInstance();
+
+    this.context = null;  // {mode, phase, targets}
+    this.walkthrough = false;
+    this.step = 0;
+    this.items = [];  // Panel and coach marks, rebuilt on every render
+    this.primaryButton = null;  // Focus item of the main action
+
+    this.create();
+    this.scene.input.keyboard?.on('keydown', this.onKeyDown, this);
+
+    this.hide();
+  }
+
+  /**
+   * Build the dimmed backdrop
+   */
+  create() {
+    const width = this.scene.cameras.main.width;
+    const height = this.scene.cameras.main.height;
+
+    // Interactive so clicks don't reach the scenes underneath
+    this.dim = this.scene.add.rectangle(width / 2, height / 2, width, height, 0x000000, 0.45).setInteractive();
+
+    this.container.add(this.dim);
+    this.container.setDepth(HELP.DEPTH);
+  }
+
+  /**
+   * Show help for a mode and phase
+   *
+   * @param {Object} context - Help context
+   * @param {string} context.mode - 'comparison' or 'powersOfTen'
+   * @param {string} context.phase - Comparison phase (comparison mode)
+   * @param {Array<Object>} context.targets - [{id, bounds}] to point at
+   * @param {boolean} context.walkthrough - Step through targets one at a time
+   */
+  open({ mode, phase, targets, walkthrough = false }) {
+    this.context = { mode, phase, targets };
+    this.walkthrough = walkthrough;
+    this.step = 0;
+
+    this.show();
+    this.focusManager.setScope('help');
+    this.render();
+  }
+
+  /**
+   * Follow a phase change while open (targets have moved)
+   *
+   * @param {Object} context - {mode, phase, targets}
+   */
+  setContext({ mode, phase, targets }) {
+    if (!this.context) return;
+
+    this.context = { mode, phase, targets };
+    this.step = Math.min(this.step, this.getSteps().length - 1);
+    this.render();
+  }
+
+  /**
+   * Hide the overlay and drop its content
+   */
+  close() {
+    this.clearItems();
+    this.context = null;
+    this.walkthrough = false;
+    this.hide();
+    this.focusManager.setScope(null);
+  }
+
+  /**
+   * Restart as a walkthrough ("Take the tour")
+   */
+  startWalkthrough() {
+    this.walkthrough = true;
+    this.step = 0;
+    this.render();
+  }
+
+  /**
+   * Advance the walkthrough; the last step requests closing
+   */
+  next() {
+    if (this.step < this.getSteps().length - 1) {
+      this.step++;
+      this.render();
+    } else {
+      this.emit('closeRequested');
+    }
+  }
+
+  /**
+   * → advances the walkthrough (Enter activates the focused button)
+   * @param {KeyboardEvent} event - DOM keyboard event
+   */
+  onKeyDown(event) {
+    if (!this.isVisible || !this.walkthrough) return;
+
+    if (event.key === 'ArrowRight') {
+      this.next();
+    }
+  }
+
+  /**
+   * Title, explanation and shortcuts for the current mode and phase
+   * @returns {Object} {title, body, shortcuts}
+   */
+  getExplanation() {
+    const { mode, phase } = this.context;
+    const prefix = mode === 'powersOfTen' ? 'help.powersOfTen' : `help.comparison.${phase}`;
+
+    return {
+      title: this.locale.t(`${prefix}.title`),
+      body: this.locale.t(`${prefix}.body`),
+      shortcuts: this.locale.t(mode === 'powersOfTen' ? 'help.powersOfTen.shortcuts' : 'help.comparison.shortcuts')
+    };
+  }
+
+  /**
+   * Walkthrough pages: welcome, explanation, then one per target
+   * @returns {Array<Object>} [{title, body, marks}]
+   */
+  getSteps() {
+    const explanation = this.getExplanation();
+
+    return [
+      { title: this.locale.t('help.welcome.title'), body: this.locale.t('help.welcome.body'), marks: [] },
+      { title: explanation.title, body: explanation.body, marks: [] },
+      ...this.context.targets.map(target => ({ title: explanation.title, marks: [target] }))
+    ];
+  }
+
+  /**
+   * Rebuild panel and coach marks for the current page
+   */
+  render() {
+    this.clearItems();
+
+    const page = this.walkthrough
+      ? this.getSteps()[this.step]
+      : { ...this.getExplanation(), marks: this.context.targets };
+
+    // Callouts keep clear of the panel, the targets and each other
+    const panel = this.renderPanel(page);
+    const obstacles = [panel, ...page.marks.map(mark => padBounds(mark.bounds, HIGHLIGHT_PADDING))];
+
+    page.marks.forEach(mark => this.addCoachMark(mark, obstacles));
+
+    this.focusManager.announce([
+      page.title,
+      page.body,
+      page.shortcuts,
+      ...page.marks.map(mark => this.locale.t(`help.targets.${mark.id}`))
+    ].filter(Boolean).join('\n'));
+    this.focusManager.focus(this.primaryButton, { announce: false });
+  }
+
+  /**
+   * Draw the explanation panel at the top or bottom, whichever covers
+   * less of the marked elements
+   *
+   * @param {Object} page - {title, body, shortcuts, marks}
+   * @returns {Object} Panel bounds
+   */
+  renderPanel(page) {
+    const width = this.scene.cameras.main.width;
+    const height = this.scene.cameras.main.height;
+    const centerX = width / 2;
+    const textWidth = HELP.PANEL_WIDTH - 2 * PANEL_PADDING;
+
+    const background = this.addItem(this.scene.add.rectangle(centerX, 0, HELP.PANEL_WIDTH, 10, 0x111827, 0.95));
+    background.setStrokeStyle(2, parseInt(COLORS.PRIMARY.replace('#', '0x')), 0.8);
+
+    const texts = [[this.addPanelText(page.title, { fontSize: '22px', fontStyle: 'bold', color: COLORS.PRIMARY }, textWidth), 8]];
+    if (page.body) {
+      texts.push([this.addPanelText(page.body, { fontSize: '15px' }, textWidth), 10]);
+    }
+    if (page.shortcuts) {
+      texts.push([this.addPanelText(page.shortcuts, { fontSize: '13px', color: '#aaaaaa' }, textWidth), 10]);
+    }
+
+    const contentHeight = texts.reduce((sum, [text, gap]) => sum + text.height + gap, 0);
+    const panelHeight = 2 * PANEL_PADDING + contentHeight + BUTTON_HEIGHT;
+    const top = this.choosePanelTop(panelHeight, page.marks, height);
+
+    background.setSize(HELP.PANEL_WIDTH, panelHeight);
+    background.setPosition(centerX, top + panelHeight / 2);
+
+    let y = top + PANEL_PADDING;
+    texts.forEach(([text, gap]) => {
+      text.setPosition(centerX, y);
+      y += text.height + gap;
+    });
+
+    this.renderButtons(top + panelHeight - PANEL_PADDING - BUTTON_HEIGHT / 2, centerX);
+
+    return { x: centerX - HELP.PANEL_WIDTH / 2, y: top, width: HELP.PANEL_WIDTH, height: panelHeight };
+  }
+
+  /**
+   * Pick the panel position that hides the least of the targets
+   *
+   * @param {number} panelHeight - Panel height (pixels)
+   * @param {Array<Object>} marks - Targets shown on this page
+   * @param {number} screenHeight - Screen height (pixels)
+   * @returns {number} Panel top edge
+   */
+  choosePanelTop(panelHeight, marks, screenHeight) {
+    const x = (this.scene.cameras.main.width - HELP.PANEL_WIDTH) / 2;
+    const covered = top => marks.reduce((sum, mark) => sum + overlapArea(
+      { x, y: top, width: HELP.PANEL_WIDTH, height: panelHeight },
+      padBounds(mark.bounds, HIGHLIGHT_PADDING)
+    ), 0);
+
+    const bottom = screenHeight - SCREEN_MARGIN - panelHeight;
+    return covered(PANEL_TOP) < covered(bottom) ? PANEL_TOP : bottom;
+  }
+
+  /**
+   * Step counter and buttons along the bottom of the panel
+   *
+   * @param {number} y - Button row center
+   * @param {number} centerX - Panel center
+   */
+  renderButtons(y, centerX) {
+    const side = this.locale.isRTL() ? -1 : 1;
+    const inset = HELP.PANEL_WIDTH / 2 - PANEL_PADDING;
+    let buttons;
+
+    if (this.walkthrough) {
+      const total = this.getSteps().length;
+
+      this.addItem(this.scene.add.text(
+        centerX - side * inset,
+        y,
+        this.locale.t('help.step', { step: this.step + 1, total }),
+        this.locale.textStyle({ fontSize: '14px', color: '#aaaaaa', fontFamily: 'Arial' })
+      ).setOrigin(side > 0 ? 0 : 1, 0.5));
+
+      buttons = [
+        { key: 'help.skip', onClick: () => this.emit('closeRequested') },
+        { key: this.step === total - 1 ? 'help.done' : 'help.next', onClick: () => this.next(), primary: true }
+      ];
+    } else {
+      buttons = [
+        { key: 'help.tour', onClick: () => this.startWalkthrough() },
+        { key: 'help.close', onClick: () => this.emit('closeRequested'), primary: true }
+      ];
+    }
+
+    // Laid out from the trailing edge; the main action comes last in reading order
+    let edge = centerX + side * inset;
+    [...buttons].reverse().forEach(button => {
+      edge -= side * (this.addButton(edge, y, button) + 10);
+    });
+  }
+
+  /**
+   * Add a panel button ending at the given edge
+   *
+   * @param {number} edge - Trailing edge X
+   * @param {number} y - Center Y
+   * @param {Object} button - {key, onClick, primary}
+   * @returns {number} Button width
+   */
+  addButton(edge, y, { key, onClick, primary = false }) {
+    const side = this.locale.isRTL() ? -1 : 1;
+    const color = parseInt((primary ? COLORS.PRIMARY : COLORS.SECONDARY).replace('#', '0x'));
+
+    const label = this.scene.add.text(0, y, this.locale.t(key), this.locale.textStyle({
+      fontSize: '15px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    const width = label.width + 28;
+    const x = edge - side * width / 2;
+    label.x = x;
+
+    const background = this.scene.add.rectangle(x, y, width, BUTTON_HEIGHT, color).setInteractive({ useHandCursor: true });
+    background.on('pointerover', () => background.setFillStyle(color, 0.8));
+    background.on('pointerout', () => background.setFillStyle(color, 1));
+    background.on('pointerdown', onClick);
+
+    const item = this.focusManager.register(background, { label: label.text, scope: 'help' });
+    if (primary) {
+      this.primaryButton = item;
+    }
+
+    this.addItem(background);
+    this.addItem(label);
+
+    return width;
+  }
+
+  /**
+   * Outline a target and attach its callout
+   *
+   * @param {Object} mark - {id, bounds}
+   * @param {Array<Object>} obstacles - Rectangles to keep clear of (grows)
+   */
+  addCoachMark(mark, obstacles) {
+    const color = parseInt(HELP.HIGHLIGHT_COLOR.replace('#', '0x'));
+    const outline = padBounds(mark.bounds, HIGHLIGHT_PADDING);
+
+    const callout = this.addItem(this.scene.add.text(0, 0, this.locale.t(`help.targets.${mark.id}`), this.locale.textStyle({
+      fontSize: '14px',
+      color: '#000000',
+      fontFamily: 'Arial',
+      backgroundColor: HELP.HIGHLIGHT_COLOR,
+      padding: { x: 8, y: 5 },
+      wordWrap: { width: HELP.CALLOUT_WIDTH }
+    })));
+
+    const box = this.placeCallout(outline, callout.width, callout.height, obstacles);
+    callout.setPosition(box.x, box.y);
+    obstacles.push(box);
+
+    // Connector joins the nearest points of outline and callout
+    const from = closestPoint(outline, box.x + box.width / 2, box.y + box.height / 2);
+    const to = closestPoint(box, from.x, from.y);
+
+    const graphics = this.addItem(this.scene.add.graphics());
+    graphics.lineStyle(3, color, 1);
+    graphics.strokeRoundedRect(outline.x, outline.y, outline.width, outline.height, 6);
+    graphics.lineStyle(2, color, 1);
+    graphics.lineBetween(from.x, from.y, to.x, to.y);
+  }
+
+  /**
+   * Find a free spot for a callout: below, above, beside, then further
+   * below or above
+   *
+   * @param {Object} outline - Target outline
+   * @param {number} width - Callout width
+   * @param {number} height - Callout height
+   * @param {Array<Object>} obstacles - Rectangles to keep clear of
+   * @returns {Object} Callout bounds
+   */
+  placeCallout(outline, width, height, obstacles) {
+    const screenWidth = this.scene.cameras.main.width;
+    const screenHeight = this.scene.cameras.main.height;
+    const clampX = x => Phaser.Math.Clamp(x, SCREEN_MARGIN, screenWidth - SCREEN_MARGIN - width);
+    const clampY = y => Phaser.Math.Clamp(y, SCREEN_MARGIN, screenHeight - SCREEN_MARGIN - height);
+
+    const x = clampX(outline.x + outline.width / 2 - width / 2);
+    const besideY = clampY(outline.y + outline.height / 2 - height / 2);
+    const below = offset => ({ x, y: outline.y + outline.height + offset, width, height });
+    const above = offset => ({ x, y: outline.y - offset - height, width, height });
+
+    const candidates = [
+      below(CALLOUT_GAP),
+      above(CALLOUT_GAP),
+      { x: outline.x + outline.width + CALLOUT_GAP, y: besideY, width, height },
+      { x: outline.x - CALLOUT_GAP - width, y: besideY, width, height }
+    ];
+    for (let row = 1; row <= 3; row++) {
+      candidates.push(below(CALLOUT_GAP + row * (height + 6)), above(CALLOUT_GAP + row * (height + 6)));
+    }
+
+    const onScreen = candidates.filter(box =>
+      box.x >= SCREEN_MARGIN && box.x + width <= screenWidth - SCREEN_MARGIN &&
+      box.y >= SCREEN_MARGIN && box.y + height <= screenHeight - SCREEN_MARGIN);
+
+    return onScreen.find(box => obstacles.every(obstacle => overlapArea(box, obstacle) === 0)) ??
+      onScreen[0] ??
+      { x, y: clampY(outline.y + outline.height + CALLOUT_GAP), width, height };
+  }
+
+  /**
+   * Add a centered, wrapped panel text
+   *
+   * @param {string} content - Text
+   * @param {Object} style - Style overrides
+   * @param {number} wrapWidth - Wrap width (pixels)
+   * @returns {Phaser.GameObjects.Text} Text (positioned later)
+   */
+  addPanelText(content, style, wrapWidth) {
+    return this.addItem(this.scene.add.text(0, 0, content, this.locale.textStyle({
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      align: 'center',
+      wordWrap: { width: wrapWidth },
+      lineSpacing: 3,
+      ...style
+    })).setOrigin(0.5, 0));
+  }
+
+  /**
+   * Track a game object for the next clearItems()
+   *
+   * @param {Phaser.GameObjects.GameObject} item - Game object
+   * @returns {Phaser.GameObjects.GameObject} The same object
+   */
+  addItem(item) {
+    this.container.add(item);
+    this.items.push(item);
+    return item;
+  }
+
+  /**
+   * Remove the current page
+   */
+  clearItems() {
+    this.items.forEach(item => item.destroy());
+    this.items = [];
+  }
+
+  /**
+   * Destroy component and clean up
+   */
+  destroy() {
+    this.scene?.input.keyboard?.off('keydown', this.onKeyDown, this);
+
+    if (this.context) {
+      this.focusManager.setScope(null);
+    }
+
+    this.items = [];
+    this.primaryButton = null;
+
+    super.destroy();
+  }
+}
@@ -0,0 +1,380 @@
+/**
+ * HistoryDrawer - Comparisons viewed this session, restorable with a click
+ *
+ * Lists the compared entries of StateManager's history, newest first and
+ * each comparison once, with its size ratio and (for pairs) the distance
+ * on the entry's date. Clicking a row calls StateManager.restoreHistory();
+ * the comparison scene rebuilds it from 'historyRestored'. The Undo and
+ * Redo buttons emit 'undoRequested' / 'redoRequested' so the owning scene
+ * handles them like its keyboard shortcuts; they step through every
+ * entry, including selections that were never compared.
+ *
+ * The drawer hugs the trailing edge (left in right-to-left languages),
+ * follows 'historyChanged' and the number format while open, and closes
+ * with its close button or Escape.
+ */
+
+import { ComponentBase } from '@/components/ComponentBase.js';
+import { DataManager } from '@/managers/DataManager.js';
+import { StateManager } from '@/managers/StateManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { NumberFormatter } from '@/utils/NumberFormatter.js';
+import { ScaleCalculator } from '@/utils/ScaleCalculator.js';
+import { COLORS, COMPARISON_MODES, HISTORY } from '@/utils/Constants.js';
+
+const HEADER_HEIGHT = 84;   // Title and Undo/Redo buttons (pixels)
+
+/**
+ * @param {Object} entry - History entry
+ * @returns {string} Same for every entry of the same comparison
+ */
+function comparisonKey(entry) {
+  return `${entry.comparisonMode}|${entry.objectIds.join(',')}`;
+}
+
+export class HistoryDrawer extends ComponentBase {
+  /**
+   * Constructor
+   *
+   * @param {Phaser.Scene} scene - Parent scene
+   * @param {Object} config - Configuration
+   */
+  constructor(scene, config = {}) {
+    super(scene, config);
+
+    this.dataManager = DataManager.getInstance();
+    this.stateManager = StateManager.getInstance();
+    this.locale = LocaleManager.getInstance();
+    this.focusManager = FocusManager.getInstance();
+
+    this.rows = [];  // Row objects, rebuilt on every refresh
+
+    this.create();
+    this.hide();
+
+    this.stateManager.on('historyChanged', this.refresh, this);
+    this.stateManager.on('numberFormatChanged', this.refresh, this);
+    this.scene.input.keyboard?.on('keydown-ESC', this.close, this);
+  }
+
+  /**
+   * Build panel, title, close button and Undo/Redo buttons
+   */
+  create() {
+    const width = this.scene.cameras.main.width;
+    const side = this.locale.isRTL() ? -1 : 1;
+    const panelHeight = HEADER_HEIGHT + HISTORY.MAX_ROWS * HISTORY.ROW_HEIGHT + HISTORY.PADDING;
+
+    this.centerX = this.locale.mirrorX(width - HISTORY.MARGIN - HISTORY.DRAWER_WIDTH / 2, width);
+    this.textX = this.centerX - side * (HISTORY.DRAWER_WIDTH / 2 - HISTORY.PADDING);
+    this.rowWidth = HISTORY.DRAWER_WIDTH - 2 * HISTORY.PADDING;
+
+    // Interactive so clicks on the drawer don't reach the scene beneath it
+    this.background = this.scene.add.rectangle(
+      this.centerX,
+      HISTORY.DRAWER_TOP + panelHeight / 2,
+      HISTORY.DRAWER_WIDTH,
+      panelHeight,
+      0x111827,
+      0.95
+    ).setInteractive();
+    this.background.setStrokeStyle(2, parseInt(COLORS.PRIMARY.replace('#', '0x')), 0.8);
+
+    this.titleText = this.scene.add.text(this.textX, HISTORY.DRAWER_TOP + HISTORY.PADDING, this.locale.t('history.title'), this.locale.textStyle({
+      fontSize: '18px',
+      fontStyle: 'bold',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    })).setOrigin(side > 0 ? 0 : 1, 0);
+
+    const closeX = this.centerX + side * (HISTORY.DRAWER_WIDTH / 2 - 22);
+    const closeY = HISTORY.DRAWER_TOP + 22;
+
+    this.closeButton = this.scene.add.circle(closeX, closeY, 14, parseInt(COLORS.SECONDARY.replace('#', '0x')))
+      .setInteractive({ useHandCursor: true });
+    this.closeText = this.scene.add.text(closeX, closeY, '×', {
+      fontSize: '20px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    }).setOrigin(0.5);
+
+    this.closeButton.on('pointerover', () => this.closeButton.setFillStyle(parseInt(COLORS.PRIMARY.replace('#', '0x')), 1));
+    this.closeButton.on('pointerout', () => this.closeButton.setFillStyle(parseInt(COLORS.SECONDARY.replace('#', '0x')), 1));
+    this.closeButton.on('pointerdown', () => this.close());
+
+    this.focusManager.register(this.closeButton, { label: this.locale.t('history.close') });
+
+    // Undo first on the reading side
+    const buttonY = HISTORY.DRAWER_TOP + 62;
+    this.undoButton = this.createButton(this.textX + side * 55, buttonY, 'history.undo', () => this.emit('undoRequested'));
+    this.redoButton = this.createButton(this.textX + side * 175, buttonY, 'history.redo', () => this.emit('redoRequested'));
+
+    this.container.add([this.background, this.titleText, this.closeButton, this.closeText]);
+    this.container.setDepth(HISTORY.DEPTH);
+  }
+
+  /**
+   * Create a header button
+   *
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {string} key - Catalog key of the label
+   * @param {Function} onClick - Click handler
+   * @returns {Object} {background, label}
+   */
+  createButton(x, y, key, onClick) {
+    const background = this.scene.add.rectangle(x, y, 110, 30, parseInt(COLORS.SECONDARY.replace('#', '0x')))
+      .setInteractive({ useHandCursor: true });
+    const label = this.scene.add.text(x, y, this.locale.t(key), this.locale.textStyle({
+      fontSize: '15px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    background.on('pointerdown', onClick);
+
+    this.focusManager.register(background, { label: label.text, group: 'historyActions' });
+
+    this.container.add([background, label]);
+    return { background, label };
+  }
+
+  /**
+   * Open or close the drawer
+   */
+  toggle() {
+    if (this.isVisible) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Open the drawer with the current history
+   */
+  open() {
+    this.show();
+    this.refresh();
+    this.focusManager.announce(this.locale.t('history.title'));
+  }
+
+  /**
+   * Close the drawer (close button, Escape, History button)
+   */
+  close() {
+    if (this.isVisible) {
+      this.hide();
+      this.clearRows();
+    }
+  }
+
+  /**
+   * Rebuild the rows (history or number format changed)
+   */
+  refresh() {
+    if (!this.isVisible) return;
+
+    this.clearRows();
+    this.updateButtons();
+
+    const { entries, index } = this.stateManager.getHistory();
+    const comparisons = this.getComparisons(entries);
+
+    if (comparisons.length === 0) {
+      this.addRowItem(this.scene.add.text(this.textX, HISTORY.DRAWER_TOP + HEADER_HEIGHT, this.locale.t('history.empty'), this.locale.textStyle({
+        fontSize: '14px',
+        color: '#aaaaaa',
+        fontFamily: 'Arial',
+        wordWrap: { width: this.rowWidth }
+      })).setOrigin(this.locale.isRTL() ? 1 : 0, 0));
+      return;
+    }
+
+    // Highlight what is on screen, even if it was reached through an older entry
+    const current = entries[index];
+    const currentKey = current?.compared ? comparisonKey(current) : null;
+
+    comparisons.forEach((comparison, row) => this.createRow(comparison, row, comparisonKey(comparison) === currentKey));
+  }
+
+  /**
+   * Compared entries to list: newest first, each comparison once, only
+   * if all its objects are still loaded
+   *
+   * @param {Array<Object>} entries - History entries, oldest first
+   * @returns {Array<Object>} Entries with their history `index`
+   */
+  getComparisons(entries) {
+    const seen = new Set();
+    const comparisons = [];
+
+    for (let index = entries.length - 1; index >= 0 && comparisons.length < HISTORY.MAX_ROWS; index--) {
+      const entry = entries[index];
+      const key = comparisonKey(entry);
+
+      if (!entry.compared || seen.has(key)) continue;
+      if (!entry.objectIds.every(id => this.dataManager.getObjectById(id))) continue;
+
+      seen.add(key);
+      comparisons.push({ ...entry, index });
+    }
+
+    return comparisons;
+  }
+
+  /**
+   * Add one comparison row
+   *
+   * @param {Object} entry - History entry with its `index`
+   * @param {number} row - Row number (0 = top)
+   * @param {boolean} isCurrent - True if the entry is on screen
+   */
+  createRow(entry, row, isCurrent) {
+    const top = HISTORY.DRAWER_TOP + HEADER_HEIGHT + row * HISTORY.ROW_HEIGHT;
+    const originX = this.locale.isRTL() ? 1 : 0;
+    const label = this.describe(entry);
+    const details = this.getDetails(entry);
+
+    const background = this.scene.add.rectangle(
+      this.centerX,
+      top + (HISTORY.ROW_HEIGHT - 6) / 2,
+      this.rowWidth,
+      HISTORY.ROW_HEIGHT - 6,
+      0x1f2937
+    ).setInteractive({ useHandCursor: true });
+
+    if (isCurrent) {
+      background.setStrokeStyle(2, parseInt(COLORS.PRIMARY.replace('#', '0x')));
+    }
+
+    const name = this.scene.add.text(this.textX + (originX ? -8 : 8), top + 6, label, this.locale.textStyle({
+      fontSize: '15px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      wordWrap: { width: this.rowWidth - 16 },
+      maxLines: 1
+    })).setOrigin(originX, 0);
+
+    const detail = this.scene.add.text(this.textX + (originX ? -8 : 8), top + 28, details, this.locale.textStyle({
+      fontSize: '12px',
+      color: '#aaaaaa',
+      fontFamily: 'Arial',
+      wordWrap: { width: this.rowWidth - 16 },
+      maxLines: 1
+    })).setOrigin(originX, 0);
+
+    background.on('pointerover', () => background.setFillStyle(0x374151));
+    background.on('pointerout', () => background.setFillStyle(0x1f2937));
+    background.on('pointerdown', () => this.stateManager.restoreHistory(entry.index));
+
+    this.focusManager.register(background, {
+      label: `${label}, ${details}`,
+      group: 'history',
+      isPressed: () => isCurrent
+    });
+
+    [background, name, detail].forEach(item => this.addRowItem(item));
+  }
+
+  /**
+   * Name a history entry (rows and announcements)
+   *
+   * @param {Object} entry - {comparisonMode, objectIds, compared}
+   * @returns {string} e.g. "Earth vs Moon", "Selecting Earth, Mars"
+   */
+  describe(entry) {
+    const names = entry.objectIds.map(id => {
+      const obj = this.dataManager.getObjectById(id);
+      return obj ? this.locale.localize(obj, 'name') : id;
+    });
+
+    if (names.length === 0) {
+      return this.locale.t('history.emptySelection');
+    }
+    if (!entry.compared) {
+      return this.locale.t('history.selection', { names: names.join(', ') });
+    }
+
+    if (entry.comparisonMode === COMPARISON_MODES.ROUTE) {
+      return this.locale.t('recent.route', { first: names[0], last: names[names.length - 1], count: names.length });
+    }
+
+    return entry.comparisonMode === COMPARISON_MODES.LINEUP
+      ? this.locale.t('recent.lineup', { first: names[0], count: names.length - 1 })
+      : this.locale.t('recent.pair', { first: names[0], second: names[1] });
+  }
+
+  /**
+   * Size ratio (largest to smallest) and, for pairs, the distance on the
+   * entry's date (for light routes, the length of the whole route)
+   *
+   * @param {Object} entry - Compared history entry
+   * @returns {string} Details line
+   */
+  getDetails(entry) {
+    const diameters = entry.objectIds.map(id => this.dataManager.getObjectById(id).diameter);
+    const ratio = ScaleCalculator.calculateSizeRatio(Math.max(...diameters), Math.min(...diameters));
+    const parts = [this.locale.t('history.ratio', { ratio: this.locale.formatNumber(ratio, { maximumFractionDigits: 2 }) })];
+
+    if (entry.comparisonMode === COMPARISON_MODES.ROUTE) {
+      const date = entry.date === null ? new Date() : new Date(entry.date);
+      const legs = this.dataManager.getRouteOnDate(entry.objectIds, date);
+
+      parts.push(legs.every(Boolean)
+        ? this.locale.t('history.routeLength', {
+          distance: NumberFormatter.formatLength(legs.reduce((sum, leg) => sum + leg.distance, 0), this.stateManager.getNumberFormat())
+        })
+        : this.locale.t('history.noDistance'));
+    } else if (entry.objectIds.length === 2) {
+      const date = entry.date === null ? new Date() : new Date(entry.date);
+      const distanceData = this.dataManager.getDistanceOnDate(entry.objectIds[0], entry.objectIds[1], date);
+
+      parts.push(distanceData
+        ? this.locale.t('history.distance', { distance: NumberFormatter.formatLength(distanceData.distance, this.stateManager.getNumberFormat()) })
+        : this.locale.t('history.noDistance'));
+    }
+
+    return parts.join(' · ');
+  }
+
+  /**
+   * Grey out Undo/Redo when there is nothing to step to
+   */
+  updateButtons() {
+    [[this.undoButton, this.stateManager.canUndo()], [this.redoButton, this.stateManager.canRedo()]].forEach(([button, enabled]) => {
+      button.background.setFillStyle(parseInt((enabled ? COLORS.PRIMARY : COLORS.SECONDARY).replace('#', '0x')), 1);
+      button.label.setAlpha(enabled ? 1 : 0.5);
+    });
+  }
+
+  /**
+   * @param {Phaser.GameObjects.GameObject} item - Row object to keep until the next refresh
+   */
+  addRowItem(item) {
+    this.container.add(item);
+    this.rows.push(item);
+  }
+
+  /**
+   * Remove every row
+   */
+  clearRows() {
+    this.rows.forEach(item => item.destroy());
+    this.rows = [];
+  }
+
+  /**
+   * Destroy component and clean up
+   */
+  destroy() {
+    this.stateManager.off('historyChanged', this.refresh, this);
+    this.stateManager.off('numberFormatChanged', this.refresh, this);
+    this.scene?.input.keyboard?.off('keydown-ESC', this.close, this);
+
+    this.rows = [];
+
+    super.destroy();
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * InfoPanel - Detail panel for one cosmic object
+ *
+ * Shows the object chosen with StateManager.setSelectedInfoObject():
+ * description, physical properties, educational facts, cited sources and
+ * the catalogued distances to other objects. Opens and closes with
+ * StateManager.setInfoPanelOpen(); the close button and Escape close it.
+ *
+ * The panel only reacts to StateManager events ('infoPanelChanged',
+ * 'selectedInfoObjectChanged'), so anything that knows an object ID can
+ * open it. Comparison components emit 'infoRequested' (objectId) and the
+ * scene forwards the request.
+ *
+ * Lengths and masses follow the user's number format; call refresh()
+ * when it changes or when packs are loaded. Text follows the interface
+ * language; the panel sits on the left in right-to-left languages.
+ * Opening the panel reads the object's name and description aloud.
+ */
+
+import { ComponentBase } from '@/components/ComponentBase.js';
+import { DataManager } from '@/managers/DataManager.js';
+import { StateManager } from '@/managers/StateManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { NumberFormatter } from '@/utils/NumberFormatter.js';
+import { ObjectStyle } from '@/utils/ObjectStyle.js';
+import { COLORS, INFO_PANEL } from '@/utils/Constants.js';
+
+export class InfoPanel extends ComponentBase {
+  /**
+   * Constructor
+   *
+   * @param {Phaser.Scene} scene - Parent scene
+   * @param {Object} config - Configuration
+   */
+  constructor(scene, config = {}) {
+    super(scene, config);
+
+    this.dataManager = DataManager.getInstance();
+    this.stateManager = StateManager.getInstance();
+    this.locale = LocaleManager.getInstance();
+    this.focusManager = FocusManager.getInstance();
+
+    this.objectId = null;
+    this.contentItems = [];  // Texts rebuilt for every object
+
+    this.create();
+    this.hide();
+
+    // React to info panel state
+    this.stateManager.on('infoPanelChanged', this.onInfoPanelChanged, this);
+    this.stateManager.on('selectedInfoObjectChanged', this.onSelectedInfoObjectChanged, this);
+    this.scene.input.keyboard?.on('keydown-ESC', this.close, this);
+
+    this.onSelectedInfoObjectChanged(this.stateManager.getSelectedInfoObject());
+    this.onInfoPanelChanged(this.stateManager.isInfoPanelOpen());
+  }
+
+  /**
+   * Build panel background and close button
+   */
+  create() {
+    const width = this.scene.cameras.main.width;
+    const height = this.scene.cameras.main.height;
+    const panelHeight = height - INFO_PANEL.TOP - INFO_PANEL.MARGIN;
+    const side = this.locale.isRTL() ? -1 : 1;
+
+    // Panel hugs the trailing edge (right, or left when right-to-left)
+    this.centerX = this.locale.mirrorX(width - INFO_PANEL.MARGIN - INFO_PANEL.WIDTH / 2, width);
+    this.textX = this.centerX - side * (INFO_PANEL.WIDTH / 2 - INFO_PANEL.PADDING);
+    this.textWidth = INFO_PANEL.WIDTH - 2 * INFO_PANEL.PADDING - 30;  // Leave room for the close button
+
+    // Interactive so clicks on the panel don't reach objects beneath it
+    this.background = this.scene.add.rectangle(
+      this.centerX,
+      INFO_PANEL.TOP + panelHeight / 2,
+      INFO_PANEL.WIDTH,
+      panelHeight,
+      0x111827,
+      0.95
+    ).setInteractive();
+    this.background.setStrokeStyle(2, parseInt(COLORS.PRIMARY.replace('#', '0x')), 0.8);
+
+    const closeX = this.centerX + side * (INFO_PANEL.WIDTH / 2 - 22);
+    const closeY = INFO_PANEL.TOP + 22;
+
+    this.closeButton = this.scene.add.circle(closeX, closeY, 14, parseInt(COLORS.SECONDARY.replace('#', '0x')))
+      .setInteractive({ useHandCursor: true });
+    this.closeText = this.scene.add.text(closeX, closeY, '×', {
+      fontSize: '20px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    }).setOrigin(0.5);
+
+    this.closeButton.on('pointerover', () => this.closeButton.setFillStyle(parseInt(COLORS.PRIMARY.replace('#', '0x')), 1));
+    this.closeButton.on('pointerout', () => this.closeButton.setFillStyle(parseInt(COLORS.SECONDARY.replace('#', '0x')), 1));
+    this.closeButton.on('pointerdown', () => this.close());
+
+    this.focusManager.register(this.closeButton, { label: this.locale.t('a11y.closeDetails') });
+
+    this.container.add([this.background, this.closeButton, this.closeText]);
+    this.container.setDepth(INFO_PANEL.DEPTH);
+  }
+
+  /**
+   * Close the panel (close button, Escape)
+   */
+  close() {
+    if (this.isVisible) {
+      this.stateManager.setInfoPanelOpen(false);
+    }
+  }
+
+  /**
+   * Show or hide the panel
+   * @param {boolean} isOpen - Panel open state
+   */
+  onInfoPanelChanged(isOpen) {
+    if (isOpen && this.objectId) {
+      if (!this.isVisible) {
+        this.announceObject();
+      }
+      this.show();
+    } else {
+      this.hide();
+    }
+  }
+
+  /**
+   * Show a different object
+   * @param {string|null} objectId - Object ID or null
+   */
+  onSelectedInfoObjectChanged(objectId) {
+    this.objectId = objectId;
+    this.refresh();
+
+    if (this.isVisible) {
+      this.announceObject();
+    }
+  }
+
+  /**
+   * Read the current object's name and description aloud
+   */
+  announceObject() {
+    const obj = this.dataManager.getObjectById(this.objectId);
+    if (!obj) return;
+
+    this.focusManager.announce(`${this.locale.localize(obj, 'name')}\n${this.locale.localize(obj, 'description')}`);
+  }
+
+  /**
+   * Rebuild the content for the current object
+   *
+   * Called after the number format changed or packs were loaded; closes
+   * the panel if its object was unloaded.
+   */
+  refresh() {
+    this.clearContent();
+
+    const obj = this.objectId ? this.dataManager.getObjectById(this.objectId) : null;
+    if (!obj) {
+      if (this.objectId) {
+        console.log(`[InfoPanel] Object ${this.objectId} is no longer loaded`);
+        this.objectId = null;
+        this.close();
+      }
+      return;
+    }
+
+    this.renderObject(obj);
+  }
+
+  /**
+   * Lay out the sections for one object, top to bottom
+   *
+   * @param {Object} obj - Object data
+   */
+  renderObject(obj) {
+    const format = this.stateManager.getNumberFormat();
+    const facts = this.locale.localize(obj, 'educationalFacts') ?? [];
+    const sources = obj.sources ?? [];
+    let y = INFO_PANEL.TOP + INFO_PANEL.PADDING;
+
+    y = this.addText(y, this.locale.localize(obj, 'name'), {
+      fontSize: '24px',
+      fontStyle: 'bold',
+      color: ObjectStyle.getTextColor(obj, this.stateManager.getColorMode())
+    });
+
+    // Pack categories without a translation are shown as-is
+    const categoryKey = `categories.${obj.category}`;
+    y = this.addText(y, this.locale.has(categoryKey) ? this.locale.t(categoryKey) : obj.category, { fontSize: '13px', color: '#aaaaaa' }, 10);
+
+    y = this.addText(y, this.locale.localize(obj, 'description'), { fontSize: '14px' }, 14);
+
+    y = this.addHeading(y, 'info.properties');
+    y = this.addText(y, [
+      this.locale.t('info.diameter', { value: NumberFormatter.formatLength(obj.diameter, format, obj.displayUnits?.diameter) }),
+      this.locale.t('info.mass', { value: NumberFormatter.formatMass(obj.mass, format, obj.displayUnits?.mass) })
+    ].join('\n'), { fontSize: '14px' }, 14);
+
+    if (facts.length > 0) {
+      y = this.addHeading(y, 'info.facts');
+      y = this.addText(y, facts.map(fact => `• ${fact}`).join('\n'), { fontSize: '13px' }, 14);
+    }
+
+    y = this.addHeading(y, 'info.distances');
+    y = this.addText(y, this.getDistanceLines(obj, format).join('\n'), { fontSize: '13px' }, 14);
+
+    y = this.addHeading(y, 'info.sources');
+    this.addText(y, sources.length > 0 ? sources.join('\n') : this.locale.t('info.noSources'), { fontSize: '12px', color: '#aaaaaa' });
+  }
+
+  /**
+   * List catalogued distances, nearest first
+   *
+   * @param {Object} obj - Object data
+   * @param {string} format - NUMBER_FORMATS value
+   * @returns {Array<string>} One line per distance
+   */
+  getDistanceLines(obj, format) {
+    const distances = this.dataManager.getDistancesFrom(obj.id);
+
+    if (distances.length === 0) {
+      return [this.locale.t('info.noDistances')];
+    }
+
+    const lines = distances.slice(0, INFO_PANEL.MAX_DISTANCES).map(({ object, distance }) => this.locale.t('info.distanceRow', {
+      name: this.locale.localize(object, 'name'),
+      distance: NumberFormatter.formatLength(distance.distance, format),
+      time: NumberFormatter.formatTime(distance.lightTravelTime, format)
+    }));
+
+    if (distances.length > INFO_PANEL.MAX_DISTANCES) {
+      lines.push(this.locale.t('info.more', { count: distances.length - INFO_PANEL.MAX_DISTANCES }));
+    }
+
+    return lines;
+  }
+
+  /**
+   * Add a section heading
+   *
+   * @param {number} y - Top of the heading
+   * @param {string} key - Catalog key
+   * @returns {number} Top of the next element
+   */
+  addHeading(y, key) {
+    return this.addText(y, this.locale.t(key), { fontSize: '15px', fontStyle: 'bold', color: COLORS.PRIMARY }, 4);
+  }
+
+  /**
+   * Add a wrapped text aligned to the panel's reading edge
+   *
+   * @param {number} y - Top of the text
+   * @param {string} content - Text
+   * @param {Object} style - Style overrides (fontSize, color, ...)
+   * @param {number} gap - Space below the text (pixels)
+   * @returns {number} Top of the next element
+   */
+  addText(y, content, style, gap = 6) {
+    const text = this.scene.add.text(this.textX, y, content, this.locale.textStyle({
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      wordWrap: { width: this.textWidth },
+      lineSpacing: 3,
+      ...style
+    })).setOrigin(this.locale.isRTL() ? 1 : 0, 0);
+
+    this.container.add(text);
+    this.contentItems.push(text);
+
+    return y + text.height + gap;
+  }
+
+  /**
+   * Remove the current object's texts
+   */
+  clearContent() {
+    this.contentItems.forEach(item => item.destroy());
+    this.contentItems = [];
+  }
+
+  /**
+   * Destroy component and clean up
+   */
+  destroy() {
+    this.stateManager.off('infoPanelChanged', this.onInfoPanelChanged, this);
+    this.stateManager.off('selectedInfoObjectChanged', this.onSelectedInfoObjectChanged, this);
+    this.scene?.input.keyboard?.off('keydown-ESC', this.close, this);
+
+    this.contentItems = [];
+
+    super.destroy();
+  }
+}
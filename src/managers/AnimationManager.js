@@ -8,9 +8,16 @@
  * - Auto-cancel conflicting animations
  * - Promise-based animation completion
  * - Pause/resume capabilities
+ * - Global pause: pauseAll() holds every animation, including those
+ *   started before resumeAll(); an animation paused on its own
+ *   (pauseAnimation()) stays paused after resumeAll()
+ *
+ * StateManager's isAnimating() and isPaused() follow the active
+ * animations and the global pause.
  */
 
 import Phaser from 'phaser';
+import { StateManager } from './StateManager.js';
 
 export class AnimationManager extends Phaser.Events.EventEmitter {
   static instance = null;
@@ -32,6 +39,10 @@ export class AnimationManager extends Phaser.Events.EventEmitter {
     // Map of animation ID → tween object
     this.activeAnimations = new Map();
 
+    // Global pause, and the IDs it is holding (resumed by resumeAll())
+    this.paused = false;
+    this.heldAnimations = new Set();
+
     console.log('[AnimationManager] Initialized');
   }
 
@@ -40,6 +51,8 @@ export class AnimationManager extends Phaser.Events.EventEmitter {
    *
    * Auto-cancels any existing animation with the same ID
    * Returns a Promise that resolves when animation completes
+   * Create the tween with `paused: true`; it starts held while
+   * everything is paused
    *
    * @param {string} id - Unique animation identifier
    * @param {Phaser.Tweens.Tween} tween - The tween to manage
@@ -55,7 +68,7 @@ export class AnimationManager extends Phaser.Events.EventEmitter {
       // Handle successful completion
       tween.on('complete', () => {
         console.log(`[AnimationManager] Animation complete: ${id}`);
-        this.activeAnimations.delete(id);
+        this.release(id, tween);
         this.emit('animationComplete', id);
         resolve();
       });
@@ -63,7 +76,7 @@ export class AnimationManager extends Phaser.Events.EventEmitter {
       // Handle early termination
       tween.on('stop', () => {
         console.log(`[AnimationManager] Animation stopped: ${id}`);
-        this.activeAnimations.delete(id);
+        this.release(id, tween);
         this.emit('animationStopped', id);
         reject(new Error(`Animation ${id} was stopped`));
       });
@@ -71,10 +84,29 @@ export class AnimationManager extends Phaser.Events.EventEmitter {
       // Register and play
       this.activeAnimations.set(id, tween);
       tween.play();
+      if (this.paused) {
+        tween.pause();
+        this.heldAnimations.add(id);
+      }
+      this.syncState();
       this.emit('animationStarted', id);
     });
   }
 
+  /**
+   * Forget a finished or stopped animation (unless its ID was reused)
+   *
+   * @param {string} id - Animation identifier
+   * @param {Phaser.Tweens.Tween} tween - The tween that ended
+   */
+  release(id, tween) {
+    if (this.activeAnimations.get(id) !== tween) return;
+
+    this.activeAnimations.delete(id);
+    this.heldAnimations.delete(id);
+    this.syncState();
+  }
+
   /**
    * Cancel a specific animation by ID
    *
@@ -87,6 +119,8 @@ export class AnimationManager extends Phaser.Events.EventEmitter {
       console.log(`[AnimationManager] Cancelling animation: ${id}`);
       tween.stop();
       this.activeAnimations.delete(id);
+      this.heldAnimations.delete(id);
+      this.syncState();
       this.emit('animationCancelled', id);
       return true;
     }
@@ -108,6 +142,8 @@ export class AnimationManager extends Phaser.Events.EventEmitter {
     });
 
     this.activeAnimations.clear();
+    this.heldAnimations.clear();
+    this.syncState();
     return count;
   }
 
@@ -140,13 +176,26 @@ export class AnimationManager extends Phaser.Events.EventEmitter {
   }
 
   /**
-   * Pause a specific animation
+   * Check if pauseAll() is in effect
+   *
+   * @returns {boolean} True while globally paused
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Pause a specific animation (one held by pauseAll() then stays paused
+   * after resumeAll())
    *
    * @param {string} id - Animation identifier
    * @returns {boolean} True if animation was paused, false if not found
    */
   pauseAnimation(id) {
     const tween = this.activeAnimations.get(id);
+    if (tween && this.heldAnimations.delete(id)) {
+      return true;
+    }
     if (tween && !tween.isPaused()) {
       console.log(`[AnimationManager] Pausing animation: ${id}`);
       tween.pause();
@@ -157,13 +206,19 @@ export class AnimationManager extends Phaser.Events.EventEmitter {
   }
 
   /**
-   * Resume a paused animation
+   * Resume a paused animation (while everything is paused, it waits for
+   * resumeAll())
    *
    * @param {string} id - Animation identifier
-   * @returns {boolean} True if animation was resumed, false if not found
+   * @returns {boolean} True if animation was resumed (or will be), false
+   *   if not found or not paused
    */
   resumeAnimation(id) {
     const tween = this.activeAnimations.get(id);
+    if (tween && this.paused && tween.isPaused()) {
+      this.heldAnimations.add(id);
+      return true;
+    }
     if (tween && tween.isPaused()) {
       console.log(`[AnimationManager] Resuming animation: ${id}`);
       tween.resume();
@@ -174,37 +229,41 @@ export class AnimationManager extends Phaser.Events.EventEmitter {
   }
 
   /**
-   * Pause all active animations
+   * Pause all active animations, and those started until resumeAll()
    *
    * @returns {number} Number of animations paused
    */
   pauseAll() {
     let count = 0;
+    this.paused = true;
     this.activeAnimations.forEach((tween, id) => {
       if (!tween.isPaused()) {
         tween.pause();
+        this.heldAnimations.add(id);
         this.emit('animationPaused', id);
         count++;
       }
     });
+    this.syncState();
     console.log(`[AnimationManager] Paused ${count} animations`);
     return count;
   }
 
   /**
-   * Resume all paused animations
+   * Resume the animations held by pauseAll()
    *
    * @returns {number} Number of animations resumed
    */
   resumeAll() {
     let count = 0;
-    this.activeAnimations.forEach((tween, id) => {
-      if (tween.isPaused()) {
-        tween.resume();
-        this.emit('animationResumed', id);
-        count++;
-      }
+    this.paused = false;
+    this.heldAnimations.forEach(id => {
+      this.activeAnimations.get(id).resume();
+      this.emit('animationResumed', id);
+      count++;
     });
+    this.heldAnimations.clear();
+    this.syncState();
     console.log(`[AnimationManager] Resumed ${count} animations`);
     return count;
   }
@@ -224,5 +283,17 @@ export class AnimationManager extends Phaser.Events.EventEmitter {
    */
   clear() {
     this.activeAnimations.clear();
+    this.heldAnimations.clear();
+    this.paused = false;
+    this.syncState();
+  }
+
+  /**
+   * Mirror the animation and pause state into StateManager
+   */
+  syncState() {
+    const stateManager = StateManager.getInstance();
+    stateManager.setAnimating(this.activeAnimations.size > 0);
+    stateManager.setPaused(this.paused);
   }
 }
@@ -5,12 +5,32 @@
  * to prevent memory leaks!
  *
  * Responsibilities:
- * - Load JSON data files (cosmic-objects, physical-constants)
+ * - Load JSON data files (cosmic-objects, physical-constants, scale-levels)
+ * - Validate data against the schemas (SchemaValidator)
+ * - Convert quantities to base units (m, kg, s) so consumers never see
+ *   the units data authors wrote them in
  * - Build indexes for O(1) lookup
- * - Provide query interface for objects and distances
+ * - Provide query interface for objects, distances and scale levels
  * - Handle bidirectional distance lookups
+ * - Derive missing distances from positional data (orbits, RA/Dec)
+ * - Compute date-specific distances from orbital elements (Ephemeris)
+ * - Merge and unload custom object packs (ids namespaced "<pack>:<id>")
  */
 
+import { PositionCalculator } from '@/utils/PositionCalculator.js';
+import { Ephemeris } from '@/utils/Ephemeris.js';
+import { SchemaValidator, DataValidationError } from '@/utils/SchemaValidator.js';
+import { Units, BASE_UNITS } from '@/utils/Units.js';
+import { OBJECT_PACKS } from '@/utils/Constants.js';
+
+// Catalog keys describing derived distances, by derivation method
+// ({from}, {to} and {date} are filled in by LocaleManager.describeDistance())
+const DERIVED_DESCRIPTION_KEYS = {
+  orbital: 'distance.descriptions.orbital',
+  positional: 'distance.descriptions.positional',
+  ephemeris: 'distance.descriptions.ephemeris'
+};
+
 export class DataManager {
   static instance = null;
 
@@ -28,8 +48,14 @@ export class DataManager {
 
     this.cosmicObjects = null;
     this.constants = null;
+    this.scaleLevels = null;
+    this.packs = new Map();           // Pack id → {id, name, version, source, objects, distances}
+    this.allObjects = [];             // Built-in objects followed by pack objects
     this.objectsById = new Map();
     this.distanceCache = new Map();
+    this.derivedDistanceCache = new Map();
+    this.levelsByExponent = new Map();
+    this.objectsByScaleLevel = new Map();
   }
 
   /**
@@ -61,22 +87,17 @@ export class DataManager {
       // Queue JSON files for loading
       scene.load.json('cosmic-objects', '/assets/data/cosmic-objects.json');
       scene.load.json('physical-constants', '/assets/data/physical-constants.json');
+      scene.load.json('scale-levels', '/assets/data/scale-levels.json');
 
       // Handle successful load
       scene.load.once('complete', () => {
         try {
           // Extract data from cache (not from scene!)
-          this.cosmicObjects = scene.cache.json.get('cosmic-objects');
-          this.constants = scene.cache.json.get('physical-constants');
-
-          // Validate data structure
-          this.validateData();
-
-          // Build lookup indexes
-          this.buildIndexes();
-
-          console.log(`[DataManager] Loaded ${this.cosmicObjects.objects.length} objects`);
-          console.log(`[DataManager] Loaded ${this.cosmicObjects.distances.length} distances`);
+          this.loadFromData({
+            cosmicObjects: scene.cache.json.get('cosmic-objects'),
+            constants: scene.cache.json.get('physical-constants'),
+            scaleLevels: scene.cache.json.get('scale-levels')
+          });
 
           resolve();
         } catch (error) {
@@ -97,53 +118,176 @@ export class DataManager {
   }
 
   /**
-   * Validate loaded data structure
+   * Validate and index already-parsed data
+   *
+   * Used by loadAllData() and by Node tooling (scripts/data.js), which
+   * reads the JSON files itself since there is no Phaser loader.
    *
-   * @throws {Error} if data structure is invalid
+   * @param {Object} data - {cosmicObjects, constants, scaleLevels} parsed JSON
+   * @throws {DataValidationError} if data is invalid
+   */
+  loadFromData({ cosmicObjects, constants, scaleLevels }) {
+    this.cosmicObjects = cosmicObjects;
+    this.constants = constants;
+    this.scaleLevels = scaleLevels;
+
+    // Validate data structure
+    this.validateData();
+
+    // Data authors may use natural units (km, AU, ly, ...); store base units
+    this.cosmicObjects = this.normalizeUnits(this.cosmicObjects);
+
+    // Build lookup indexes
+    this.buildIndexes();
+
+    console.log(`[DataManager] Loaded ${this.cosmicObjects.objects.length} objects`);
+    console.log(`[DataManager] Loaded ${this.cosmicObjects.distances.length} distances`);
+    console.log(`[DataManager] Loaded ${this.scaleLevels.levels.length} scale levels`);
+  }
+
+  /**
+   * Validate loaded data against the schemas
+   *
+   * Collects every problem in every file before failing, so a broken data
+   * file can be fixed in one pass.
+   *
+   * @throws {DataValidationError} with the full problem list if data is invalid
    */
   validateData() {
-    if (!this.cosmicObjects || !this.cosmicObjects.objects) {
-      throw new Error('Invalid cosmic-objects.json: missing objects array');
+    const problems = SchemaValidator.validateAll({
+      cosmicObjects: this.cosmicObjects,
+      constants: this.constants,
+      scaleLevels: this.scaleLevels
+    });
+
+    if (problems.length > 0) {
+      problems.forEach(problem => {
+        console.error('[DataManager]', SchemaValidator.formatProblem(problem));
+      });
+      throw new DataValidationError(problems);
     }
+  }
+
+  /**
+   * Convert validated cosmic-objects data (or pack data) to base units
+   *
+   * Returns new objects; the parsed JSON is left untouched. The authored
+   * units are kept in `displayUnits` so display code can show values the
+   * way the data author wrote them (e.g. a distance in light years).
+   *
+   * @param {Object} data - {objects, distances} with units as authored
+   * @returns {Object} Copy with meters, kilograms and seconds throughout
+   */
+  normalizeUnits(data) {
+    return {
+      ...data,
+      objects: data.objects.map(obj => this.normalizeObjectUnits(obj)),
+      distances: (data.distances ?? []).map(entry => this.normalizeDistanceUnits(entry))
+    };
+  }
+
+  /**
+   * @param {Object} obj - Validated object data
+   * @returns {Object} Copy in base units (orbit and position included)
+   */
+  normalizeObjectUnits(obj) {
+    const normalized = {
+      ...obj,
+      diameter: Units.toBase(obj.diameter, obj.diameterUnit),
+      diameterUnit: BASE_UNITS.length,
+      mass: Units.toBase(obj.mass, obj.massUnit),
+      massUnit: BASE_UNITS.mass,
+      displayUnits: { diameter: obj.diameterUnit, mass: obj.massUnit }
+    };
+
+    if (obj.orbit) {
+      const { semiMajorAxisUnit = BASE_UNITS.length, ...orbit } = obj.orbit;
+      orbit.semiMajorAxis = Units.toBase(orbit.semiMajorAxis, semiMajorAxisUnit);
+
+      // The semi-major axis rate is given in the same unit, per century
+      if (orbit.ratesPerCentury?.semiMajorAxis !== undefined) {
+        orbit.ratesPerCentury = {
+          ...orbit.ratesPerCentury,
+          semiMajorAxis: Units.toBase(orbit.ratesPerCentury.semiMajorAxis, semiMajorAxisUnit)
+        };
+      }
 
-    if (!this.cosmicObjects.distances) {
-      throw new Error('Invalid cosmic-objects.json: missing distances array');
+      normalized.orbit = orbit;
     }
 
-    if (!this.constants || !this.constants.speedOfLight) {
-      throw new Error('Invalid physical-constants.json: missing speedOfLight');
+    if (obj.position) {
+      const { distanceUnit = BASE_UNITS.length, ...position } = obj.position;
+      position.distance = Units.toBase(position.distance, distanceUnit);
+      normalized.position = position;
     }
 
-    // Validate each object has required fields
-    this.cosmicObjects.objects.forEach((obj, index) => {
-      if (!obj.id || !obj.name || obj.diameter === undefined) {
-        throw new Error(
-          `Invalid object at index ${index}: missing required fields (id, name, diameter)`
-        );
-      }
-    });
+    return normalized;
+  }
+
+  /**
+   * @param {Object} entry - Validated distance entry
+   * @returns {Object} Copy in base units
+   */
+  normalizeDistanceUnits(entry) {
+    return {
+      ...entry,
+      distance: Units.toBase(entry.distance, entry.unit),
+      unit: BASE_UNITS.length,
+      lightTravelTime: Units.toBase(entry.lightTravelTime, entry.lightTravelTimeUnit),
+      lightTravelTimeUnit: BASE_UNITS.time,
+      displayUnits: { distance: entry.unit, lightTravelTime: entry.lightTravelTimeUnit }
+    };
   }
 
   /**
    * Build lookup indexes for O(1) access
    */
   buildIndexes() {
+    const packs = Array.from(this.packs.values());
+
+    // Built-in objects first, then packs in load order
+    this.allObjects = [
+      ...this.cosmicObjects.objects,
+      ...packs.flatMap(pack => pack.objects)
+    ];
+    const allDistances = [
+      ...this.cosmicObjects.distances,
+      ...packs.flatMap(pack => pack.distances)
+    ];
+
     // Build object ID index
     this.objectsById.clear();
-    this.cosmicObjects.objects.forEach(obj => {
+    this.allObjects.forEach(obj => {
       this.objectsById.set(obj.id, obj);
     });
 
     // Build distance cache for bidirectional lookup
     // CRITICAL: Distances stored once but queryable both ways
     this.distanceCache.clear();
-    this.cosmicObjects.distances.forEach(dist => {
+    allDistances.forEach(dist => {
       const key = `${dist.from}-${dist.to}`;
       this.distanceCache.set(key, dist);
     });
+    this.derivedDistanceCache.clear();
+
+    // Build scale level index (exponent → level)
+    this.levelsByExponent.clear();
+    this.scaleLevels.levels.forEach(level => {
+      this.levelsByExponent.set(level.exponent, level);
+    });
+
+    // Group objects by their scaleLevel for zoom-based views
+    this.objectsByScaleLevel.clear();
+    this.allObjects.forEach(obj => {
+      if (!this.objectsByScaleLevel.has(obj.scaleLevel)) {
+        this.objectsByScaleLevel.set(obj.scaleLevel, []);
+      }
+      this.objectsByScaleLevel.get(obj.scaleLevel).push(obj);
+    });
 
     console.log(`[DataManager] Built ${this.objectsById.size} object indexes`);
     console.log(`[DataManager] Built ${this.distanceCache.size} distance indexes`);
+    console.log(`[DataManager] Built ${this.levelsByExponent.size} scale level indexes`);
   }
 
   /**
@@ -162,16 +306,15 @@ export class DataManager {
    * CRITICAL: Checks BOTH directions (earth-moon === moon-earth)
    * Distance is stored once but queryable bidirectionally
    *
+   * Falls back to resolveDistance() when no explicit entry exists; derived
+   * results carry `derived: true` so the UI can label them.
+   *
    * @param {string} fromId - First object ID
    * @param {string} toId - Second object ID
    * @returns {Object|undefined} Distance data or undefined if not found
    */
   getDistance(fromId, toId) {
-    const key1 = `${fromId}-${toId}`;
-    const key2 = `${toId}-${fromId}`;
-
-    // Check both directions
-    const distance = this.distanceCache.get(key1) || this.distanceCache.get(key2);
+    const distance = this.findDistance(fromId, toId);
 
     if (!distance) {
       console.warn(`[DataManager] No distance found between ${fromId} and ${toId}`);
@@ -180,13 +323,327 @@ export class DataManager {
     return distance;
   }
 
+  /**
+   * Like getDistance(), but silent when no distance is known
+   *
+   * For bulk queries (e.g. sorting the object library by distance from
+   * Earth) where missing distances are expected.
+   *
+   * @param {string} fromId - First object ID
+   * @param {string} toId - Second object ID
+   * @returns {Object|undefined} Distance data or undefined if not found
+   */
+  findDistance(fromId, toId) {
+    // Check both directions
+    return this.distanceCache.get(`${fromId}-${toId}`) ||
+      this.distanceCache.get(`${toId}-${fromId}`) ||
+      this.resolveDistance(fromId, toId);
+  }
+
+  /**
+   * Get every catalogued distance from one object to others
+   *
+   * Only explicit `distances` entries (data files and packs) are listed;
+   * derived distances exist for almost every pair and are not enumerated.
+   *
+   * @param {string} objectId - Object ID
+   * @returns {Array<Object>} [{object, distance}] nearest first, where
+   *   object is the other object's data and distance the distance entry
+   */
+  getDistancesFrom(objectId) {
+    const results = [];
+
+    this.distanceCache.forEach(entry => {
+      if (entry.from !== objectId && entry.to !== objectId) return;
+
+      const other = this.getObjectById(entry.from === objectId ? entry.to : entry.from);
+      if (other) {
+        results.push({ object: other, distance: entry });
+      }
+    });
+
+    return results.sort((a, b) => a.distance.distance - b.distance.distance);
+  }
+
+  /**
+   * Derive the distance between two objects from their positional data
+   *
+   * Results are cached (in both directions) since orbit averaging is
+   * comparatively expensive.
+   *
+   * @param {string} fromId - First object ID
+   * @param {string} toId - Second object ID
+   * @returns {Object|undefined} Derived distance data shaped like a
+   *   `distances` entry plus minDistance, maxDistance, derived and
+   *   derivationMethod ('orbital' | 'positional'), or undefined if either
+   *   object lacks positional data. Instead of a description it has a
+   *   descriptionKey (see LocaleManager.describeDistance()).
+   */
+  resolveDistance(fromId, toId) {
+    const key = `${fromId}-${toId}`;
+    if (this.derivedDistanceCache.has(key)) {
+      return this.derivedDistanceCache.get(key);
+    }
+
+    const fromObj = this.getObjectById(fromId);
+    const toObj = this.getObjectById(toId);
+    if (!fromObj || !toObj) return undefined;
+
+    const separation = PositionCalculator.resolveSeparation(
+      fromObj,
+      toObj,
+      id => this.getObjectById(id)
+    );
+    if (!separation) return undefined;
+
+    const speedOfLight = this.getSpeedOfLight();
+
+    const derived = {
+      from: fromId,
+      to: toId,
+      distance: separation.average,
+      minDistance: separation.min,
+      maxDistance: separation.max,
+      unit: 'm',
+      lightTravelTime: separation.average / speedOfLight,
+      lightTravelTimeUnit: 's',
+      descriptionKey: DERIVED_DESCRIPTION_KEYS[separation.method],
+      derived: true,
+      derivationMethod: separation.method
+    };
+
+    console.log(`[DataManager] Derived distance ${fromId} ↔ ${toId}: ${separation.average.toExponential(3)} m (${separation.method})`);
+
+    this.derivedDistanceCache.set(key, derived);
+    this.derivedDistanceCache.set(`${toId}-${fromId}`, derived);
+
+    return derived;
+  }
+
+  /**
+   * Whether the distance between two objects depends on the date
+   * (both have orbits in the same frame, e.g. Earth–Mars)
+   *
+   * @param {string} fromId - First object ID
+   * @param {string} toId - Second object ID
+   * @returns {boolean} True if getDistanceOnDate() gives date-specific results
+   */
+  isDistanceTimeDependent(fromId, toId) {
+    const fromObj = this.getObjectById(fromId);
+    const toObj = this.getObjectById(toId);
+    if (!fromObj || !toObj) return false;
+
+    return Ephemeris.isTimeDependent(fromObj, toObj, id => this.getObjectById(id));
+  }
+
+  /**
+   * Get the distance between two objects on a specific date
+   *
+   * Uses the bundled orbital elements for time-dependent pairs; any other
+   * pair falls back to getDistance(). Results are not cached (one Kepler
+   * solve per body is cheap).
+   *
+   * @param {string} fromId - First object ID
+   * @param {string} toId - Second object ID
+   * @param {Date} date - Date of the comparison
+   * @returns {Object|undefined} Distance data shaped like getDistance(),
+   *   with derivationMethod 'ephemeris', the `date` and a descriptionKey
+   *   for dated results
+   */
+  getDistanceOnDate(fromId, toId, date) {
+    if (!this.isDistanceTimeDependent(fromId, toId)) {
+      return this.getDistance(fromId, toId);
+    }
+
+    const fromObj = this.getObjectById(fromId);
+    const toObj = this.getObjectById(toId);
+    const distance = Ephemeris.getSeparation(fromObj, toObj, date, id => this.getObjectById(id));
+
+    return {
+      from: fromId,
+      to: toId,
+      distance,
+      unit: 'm',
+      lightTravelTime: distance / this.getSpeedOfLight(),
+      lightTravelTimeUnit: 's',
+      descriptionKey: DERIVED_DESCRIPTION_KEYS.ephemeris,
+      derived: true,
+      derivationMethod: 'ephemeris',
+      date
+    };
+  }
+
+  /**
+   * Whether any leg of a light route (consecutive objects) depends on the date
+   *
+   * @param {Array<string>} objectIds - Stops in order
+   * @returns {boolean} True if at least one leg is time-dependent
+   */
+  isRouteTimeDependent(objectIds) {
+    return objectIds.slice(1).some((toId, index) => this.isDistanceTimeDependent(objectIds[index], toId));
+  }
+
+  /**
+   * Get the legs of a light route on a specific date
+   *
+   * @param {Array<string>} objectIds - Stops in order
+   * @param {Date} date - Date of the comparison
+   * @returns {Array<Object|undefined>} getDistanceOnDate() for each pair of
+   *   consecutive stops (undefined where the distance is unknown)
+   */
+  getRouteOnDate(objectIds, date) {
+    return objectIds.slice(1).map((toId, index) => this.getDistanceOnDate(objectIds[index], toId, date));
+  }
+
+  /**
+   * Find the next date on which two objects are closest or farthest apart
+   *
+   * @param {string} fromId - First object ID
+   * @param {string} toId - Second object ID
+   * @param {Date} startDate - Search forward from this date
+   * @param {boolean} findMinimum - True for closest approach, false for farthest
+   * @returns {Date|null} Date of the extreme, or null for pairs that are
+   *   not time-dependent
+   */
+  findExtremeDistanceDate(fromId, toId, startDate, findMinimum = true) {
+    if (!this.isDistanceTimeDependent(fromId, toId)) return null;
+
+    const result = Ephemeris.findExtremeSeparation(
+      this.getObjectById(fromId),
+      this.getObjectById(toId),
+      startDate,
+      id => this.getObjectById(id),
+      { findMinimum }
+    );
+
+    return result ? result.date : null;
+  }
+
+  // ========================================
+  // Object Packs
+  // ========================================
+
+  /**
+   * Validate and merge a custom object pack
+   *
+   * Pack object ids are namespaced as "<pack id>:<local id>"; references
+   * to local ids inside the pack (distances, orbit parents) are rewritten
+   * to match, references to loaded ids (e.g. "earth") are kept.
+   *
+   * @param {Object} data - Parsed pack {pack: {id, name}, objects, distances}
+   * @param {string} source - Where the pack came from (URL or file name),
+   *   used in problem reports
+   * @returns {Object} Pack summary from getLoadedPacks()
+   * @throws {DataValidationError} if the pack is invalid or conflicts
+   *   with loaded data
+   */
+  loadPack(data, source = 'pack') {
+    const problems = SchemaValidator.validatePack(data, {
+      constants: this.constants,
+      file: source,
+      externalObjects: this.objectsById,
+      externalDistances: Array.from(this.distanceCache.values())
+    });
+
+    const packId = data?.pack?.id;
+    if (this.packs.has(packId)) {
+      problems.push({ file: source, path: 'pack.id', message: `a pack with id "${packId}" is already loaded` });
+    }
+
+    if (problems.length > 0) {
+      problems.forEach(problem => {
+        console.error('[DataManager]', SchemaValidator.formatProblem(problem));
+      });
+      throw new DataValidationError(problems);
+    }
+
+    const localIds = new Set(data.objects.map(obj => obj.id));
+    const resolveId = id => (localIds.has(id) ? `${packId}${OBJECT_PACKS.ID_SEPARATOR}${id}` : id);
+    const normalized = this.normalizeUnits(data);
+
+    const objects = normalized.objects.map(obj => ({
+      ...obj,
+      id: resolveId(obj.id),
+      ...(obj.orbit && { orbit: { ...obj.orbit, parent: resolveId(obj.orbit.parent) } })
+    }));
+
+    const distances = normalized.distances.map(entry => ({
+      ...entry,
+      from: resolveId(entry.from),
+      to: resolveId(entry.to)
+    }));
+
+    this.packs.set(packId, {
+      id: packId,
+      name: data.pack.name,
+      version: data.pack.version ?? null,
+      source,
+      objects,
+      distances
+    });
+    this.buildIndexes();
+
+    console.log(`[DataManager] Loaded pack "${packId}" from ${source}: ${objects.length} objects, ${distances.length} distances`);
+
+    return this.getPackSummary(this.packs.get(packId));
+  }
+
+  /**
+   * Remove a loaded pack and its objects and distances
+   *
+   * @param {string} packId - Pack id
+   * @returns {boolean} True if the pack was loaded
+   */
+  unloadPack(packId) {
+    if (!this.packs.delete(packId)) return false;
+
+    this.buildIndexes();
+    console.log(`[DataManager] Unloaded pack "${packId}"`);
+    return true;
+  }
+
+  /**
+   * Get summaries of loaded packs, in load order
+   *
+   * @returns {Array<Object>} [{id, name, version, source, objectIds, distanceCount}]
+   */
+  getLoadedPacks() {
+    return Array.from(this.packs.values()).map(pack => this.getPackSummary(pack));
+  }
+
+  /**
+   * @param {Object} pack - Stored pack
+   * @returns {Object} Pack summary
+   */
+  getPackSummary(pack) {
+    return {
+      id: pack.id,
+      name: pack.name,
+      version: pack.version,
+      source: pack.source,
+      objectIds: pack.objects.map(obj => obj.id),
+      distanceCount: pack.distances.length
+    };
+  }
+
+  /**
+   * Get the pack an object belongs to
+   *
+   * @param {string} objectId - Object ID
+   * @returns {string|null} Pack id, or null for built-in objects
+   */
+  getObjectPackId(objectId) {
+    const separator = objectId.indexOf(OBJECT_PACKS.ID_SEPARATOR);
+    return separator === -1 ? null : objectId.slice(0, separator);
+  }
+
   /**
    * Get all objects
    *
    * @returns {Array} Array of all cosmic objects
    */
   getAllObjects() {
-    return this.cosmicObjects.objects;
+    return this.allObjects;
   }
 
   /**
@@ -196,7 +653,89 @@ export class DataManager {
    * @returns {Array} Array of objects in category
    */
   getObjectsByCategory(category) {
-    return this.cosmicObjects.objects.filter(obj => obj.category === category);
+    return this.allObjects.filter(obj => obj.category === category);
+  }
+
+  // ========================================
+  // Scale Level Queries
+  // ========================================
+
+  /**
+   * Get all scale levels
+   *
+   * @returns {Array} Scale levels in ascending exponent order
+   */
+  getAllScaleLevels() {
+    return [...this.scaleLevels.levels].sort((a, b) => a.exponent - b.exponent);
+  }
+
+  /**
+   * Get the scale level for an exponent
+   *
+   * Each level covers its integer exponent ±0.5, so fractional exponents
+   * from continuous zooming are rounded to the nearest level
+   *
+   * @param {number} exponent - Scale exponent (may be fractional)
+   * @returns {Object|undefined} Scale level or undefined if out of range
+   */
+  getScaleLevel(exponent) {
+    return this.levelsByExponent.get(Math.round(exponent));
+  }
+
+  /**
+   * Get objects whose scaleLevel lies within a tolerance of an exponent
+   *
+   * @param {number} exponent - Scale exponent (may be fractional)
+   * @param {number} tolerance - Maximum |scaleLevel - exponent| (default: one level, ±0.5)
+   * @returns {Array} Matching objects, largest first
+   */
+  getObjectsAtScale(exponent, tolerance = 0.5) {
+    const results = [];
+
+    const minLevel = Math.ceil(exponent - tolerance);
+    const maxLevel = Math.floor(exponent + tolerance);
+
+    for (let level = minLevel; level <= maxLevel; level++) {
+      const objects = this.objectsByScaleLevel.get(level);
+      if (objects) {
+        results.push(...objects);
+      }
+    }
+
+    return results.sort((a, b) => b.diameter - a.diameter);
+  }
+
+  /**
+   * Find the nearest scale level that contains catalogued objects
+   *
+   * @param {number} exponent - Scale exponent to search from
+   * @param {number} direction - 1 = strictly larger scales, -1 = strictly smaller,
+   *                             0 = either direction (including the current level)
+   * @returns {Object|null} Nearest populated scale level, or null if none exists
+   */
+  getNearestPopulatedLevel(exponent, direction = 0) {
+    const current = Math.round(exponent);
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    this.objectsByScaleLevel.forEach((objects, level) => {
+      const offset = level - current;
+
+      if (direction > 0 && offset <= 0) return;
+      if (direction < 0 && offset >= 0) return;
+
+      const levelData = this.levelsByExponent.get(level);
+      if (!levelData) return;
+
+      const distance = Math.abs(offset);
+      // Prefer the smaller scale on ties so results are deterministic
+      if (distance < nearestDistance || (distance === nearestDistance && level < nearest.exponent)) {
+        nearest = levelData;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
   }
 
   /**
@@ -0,0 +1,437 @@
+/**
+ * FocusManager - Singleton for keyboard focus and screen-reader output
+ *
+ * Phaser game objects live on a canvas, out of reach of the keyboard and
+ * of assistive technology. Components register their interactive objects
+ * here and the manager provides:
+ *
+ * - Tab / Shift+Tab through every registered object currently on screen,
+ *   topmost scene first, then in registration order
+ * - Arrow keys between the members of a group (e.g. the sort buttons)
+ * - Enter / Space to activate (by default the object's 'pointerdown'
+ *   handlers run, exactly as for a click)
+ * - A focus ring drawn in the focused object's scene
+ * - A visually hidden ARIA live region in Phaser's DOM container:
+ *   announce() reads a message aloud, and every focus change announces
+ *   the focused object's label
+ *
+ * Composite widgets (the object library grid) register once with onKey()
+ * and getBounds() and move their own active item. Modal layers (the help
+ * overlay) call setScope(); while a scope is set, only objects registered
+ * with that scope are reachable.
+ *
+ * Objects unregister themselves when destroyed. Clicking anywhere hides
+ * the focus ring, so it only shows while the keyboard is in use.
+ *
+ * Events:
+ * - 'focusChanged' (item|null)
+ */
+
+import Phaser from 'phaser';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FOCUS } from '@/utils/Constants.js';
+
+// Arrow key → step within a group (left-to-right reading order)
+const ARROW_STEPS = {
+  ArrowRight: 1,
+  ArrowDown: 1,
+  ArrowLeft: -1,
+  ArrowUp: -1
+};
+
+export class FocusManager extends Phaser.Events.EventEmitter {
+  static instance = null;
+
+  static getInstance() {
+    if (!FocusManager.instance) {
+      FocusManager.instance = new FocusManager();
+    }
+    return FocusManager.instance;
+  }
+
+  constructor() {
+    if (FocusManager.instance) {
+      throw new Error('FocusManager already instantiated. Use getInstance()');
+    }
+
+    super(); // Initialize EventEmitter
+
+    this.items = [];           // Registered objects, in registration order
+    this.focused = null;       // Focused item
+    this.scope = null;         // Active modal scope (null = whole screen)
+    this.scopeReturn = null;   // Item focused before the scope was entered
+    this.rings = new Map();    // Scene → focus ring graphics
+    this.liveRegion = null;    // ARIA live region element
+    this.announceTimer = null;
+    this.game = null;
+    this.win = null;
+
+    // Bound once so the listeners can be removed again
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onPointerDown = this.onPointerDown.bind(this);
+  }
+
+  /**
+   * Create the live region and start listening for keys
+   * Called once during app boot
+   *
+   * @param {Phaser.Game} game - Game instance (DOM container, step events)
+   * @param {Window} win - Browser window
+   */
+  init(game, win = window) {
+    this.game = game;
+    this.win = win;
+
+    const region = win.document.createElement('div');
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+
+    // Visually hidden, but read by screen readers
+    Object.assign(region.style, {
+      position: 'absolute',
+      width: '1px',
+      height: '1px',
+      margin: '-1px',
+      padding: '0',
+      border: '0',
+      overflow: 'hidden',
+      clip: 'rect(0 0 0 0)',
+      whiteSpace: 'nowrap'
+    });
+
+    (game.domContainer ?? win.document.body).appendChild(region);
+    this.liveRegion = region;
+
+    win.addEventListener('keydown', this.onKeyDown);
+    win.addEventListener('pointerdown', this.onPointerDown, true);
+    game.events.on(Phaser.Core.Events.POST_STEP, this.drawRing, this);
+
+    console.log('[FocusManager] Initialized');
+  }
+
+  // ========================================
+  // Registration
+  // ========================================
+
+  /**
+   * Make a game object reachable from the keyboard
+   *
+   * @param {Phaser.GameObjects.GameObject} gameObject - Interactive object
+   * @param {Object} options - Focus options
+   * @param {string|Function} options.label - Spoken name, or a function returning it
+   * @param {string} options.role - 'button' (default, "…, button") or 'none' (label read as-is)
+   * @param {Function} options.isPressed - Returns true if the button is the active choice
+   * @param {Function} options.onActivate - Enter / Space (default: emit 'pointerdown')
+   * @param {string} options.group - Arrow keys move between members of a group
+   * @param {string} options.scope - Modal scope (see setScope())
+   * @param {Function} options.onKey - (KeyboardEvent) → true if handled (composite widgets)
+   * @param {Function} options.getBounds - Focus ring bounds (default: gameObject.getBounds())
+   * @param {HTMLElement} options.element - DOM element that takes real focus (inputs)
+   * @returns {Object} Item (pass to focus() or unregister())
+   */
+  register(gameObject, options = {}) {
+    const item = { gameObject, role: 'button', scope: null, ...options };
+
+    this.items.push(item);
+    gameObject.once(Phaser.GameObjects.Events.DESTROY, () => this.unregister(item));
+
+    return item;
+  }
+
+  /**
+   * Forget an object (called automatically when it is destroyed)
+   * @param {Object} item - Item from register()
+   */
+  unregister(item) {
+    this.items = this.items.filter(other => other !== item);
+
+    if (this.focused === item) this.blur();
+    if (this.scopeReturn === item) this.scopeReturn = null;
+  }
+
+  /**
+   * Restrict focus to one modal layer, or lift the restriction
+   *
+   * Leaving the scope returns focus to the object focused before.
+   *
+   * @param {string|null} scope - Scope name, or null for the whole screen
+   */
+  setScope(scope) {
+    if (scope === this.scope) return;
+
+    if (this.scope === null) {
+      this.scopeReturn = this.focused;
+    }
+
+    this.scope = scope;
+    this.blur();
+
+    if (scope === null && this.scopeReturn && this.isReachable(this.scopeReturn)) {
+      this.focus(this.scopeReturn, { announce: false });
+    }
+    if (scope === null) {
+      this.scopeReturn = null;
+    }
+  }
+
+  // ========================================
+  // Focus
+  // ========================================
+
+  /**
+   * Focus an item
+   *
+   * @param {Object} item - Item from register()
+   * @param {Object} options - {announce: read the item's label (default true)}
+   */
+  focus(item, { announce = true } = {}) {
+    if (this.focused === item) return;
+
+    this.focused = item;
+
+    // Leave a registered text field (even one focused by clicking)
+    const activeElement = this.win.document.activeElement;
+    if (activeElement !== item.element && this.items.some(other => other.element === activeElement)) {
+      activeElement.blur();
+    }
+    item.element?.focus();
+
+    if (announce) {
+      this.announce(this.describe(item));
+    }
+
+    this.emit('focusChanged', item);
+  }
+
+  /**
+   * Drop focus (the focus ring disappears)
+   */
+  blur() {
+    if (!this.focused) return;
+
+    this.focused.element?.blur();
+    this.focused = null;
+    this.emit('focusChanged', null);
+  }
+
+  /**
+   * @param {Object} item - Item from register()
+   * @returns {boolean} True if the item has keyboard focus
+   */
+  isFocused(item) {
+    return item !== null && this.focused === item;
+  }
+
+  /**
+   * @returns {boolean} True if anything has keyboard focus
+   */
+  hasFocus() {
+    return this.focused !== null;
+  }
+
+  /**
+   * Check whether an item can take focus right now: its scene is running,
+   * it and every container around it are visible, and it belongs to the
+   * active scope
+   *
+   * @param {Object} item - Item from register()
+   * @returns {boolean} True if reachable
+   */
+  isReachable(item) {
+    const scene = item.gameObject.scene;
+    if (!scene || !scene.sys.isActive() || item.scope !== this.scope) return false;
+
+    for (let object = item.gameObject; object; object = object.parentContainer) {
+      if (!object.visible) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Reachable items in Tab order: topmost scene first, then registration order
+   * @returns {Array<Object>} Items
+   */
+  getTabOrder() {
+    const sceneIndex = item => this.game.scene.getIndex(item.gameObject.scene);
+
+    return this.items
+      .filter(item => this.isReachable(item))
+      .sort((a, b) => sceneIndex(b) - sceneIndex(a));
+  }
+
+  /**
+   * Move focus through a list, wrapping around
+   *
+   * @param {Array<Object>} order - Items
+   * @param {number} direction - 1 forwards, -1 backwards
+   */
+  moveFocus(order, direction) {
+    if (order.length === 0) return;
+
+    // A DOM input focused by clicking counts as the current item
+    const activeElement = this.win.document.activeElement;
+    const current = this.focused ?? order.find(item => item.element && item.element === activeElement);
+    const index = order.indexOf(current);
+
+    const next = index === -1
+      ? (direction > 0 ? 0 : order.length - 1)
+      : (index + direction + order.length) % order.length;
+
+    this.focus(order[next]);
+  }
+
+  /**
+   * Spoken description of an item
+   *
+   * @param {Object} item - Item from register()
+   * @returns {string} e.g. "Back, button"
+   */
+  describe(item) {
+    const label = typeof item.label === 'function' ? item.label() : item.label;
+    if (item.role === 'none') return label;
+
+    const locale = LocaleManager.getInstance();
+    return locale.t(item.isPressed?.() ? 'a11y.buttonPressed' : 'a11y.button', { label });
+  }
+
+  // ========================================
+  // Input
+  // ========================================
+
+  /**
+   * Tab, arrow keys, Enter and Space
+   * @param {KeyboardEvent} event - DOM keyboard event
+   */
+  onKeyDown(event) {
+    if (event.key === 'Tab') {
+      const order = this.getTabOrder();
+      if (order.length === 0) return;
+
+      event.preventDefault();
+      this.moveFocus(order, event.shiftKey ? -1 : 1);
+      return;
+    }
+
+    // Other keys typed into a text field belong to it
+    const tagName = this.win.document.activeElement?.tagName;
+    if (tagName === 'INPUT' || tagName === 'TEXTAREA') return;
+
+    const item = this.focused;
+    if (!item || !this.isReachable(item)) return;
+
+    if (item.onKey?.(event)) {
+      event.preventDefault();
+      return;
+    }
+
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      this.activate(item);
+      return;
+    }
+
+    if (ARROW_STEPS[event.key] && item.group) {
+      event.preventDefault();
+
+      // Horizontal arrows follow the reading direction
+      const horizontal = event.key === 'ArrowLeft' || event.key === 'ArrowRight';
+      const flip = horizontal && LocaleManager.getInstance().isRTL() ? -1 : 1;
+      const group = this.getTabOrder().filter(other => other.group === item.group);
+
+      this.moveFocus(group, ARROW_STEPS[event.key] * flip);
+    }
+  }
+
+  /**
+   * Clicking hides the focus ring (keyboard focus only shows while the
+   * keyboard is in use)
+   */
+  onPointerDown() {
+    this.blur();
+  }
+
+  /**
+   * Run an item's action
+   * @param {Object} item - Item from register()
+   */
+  activate(item) {
+    if (item.onActivate) {
+      item.onActivate();
+    } else {
+      item.gameObject.emit('pointerdown');
+    }
+  }
+
+  // ========================================
+  // Focus Ring
+  // ========================================
+
+  /**
+   * Redraw the focus ring after every game step (focused objects move,
+   * scroll and disappear)
+   */
+  drawRing() {
+    this.rings.forEach(ring => ring.clear());
+
+    const item = this.focused;
+    if (!item) return;
+
+    if (!this.isReachable(item)) {
+      this.blur();
+      return;
+    }
+
+    const bounds = item.getBounds ? item.getBounds() : item.gameObject.getBounds();
+    if (!bounds) return;
+
+    const padding = FOCUS.RING_PADDING;
+    const ring = this.getRing(item.gameObject.scene);
+
+    ring.lineStyle(FOCUS.RING_WIDTH, parseInt(FOCUS.RING_COLOR.replace('#', '0x')), 1);
+    ring.strokeRoundedRect(
+      bounds.x - padding,
+      bounds.y - padding,
+      bounds.width + 2 * padding,
+      bounds.height + 2 * padding,
+      6
+    );
+  }
+
+  /**
+   * Focus ring graphics for a scene (created on first use, dropped when
+   * the scene shuts down)
+   *
+   * @param {Phaser.Scene} scene - Scene
+   * @returns {Phaser.GameObjects.Graphics} Ring graphics
+   */
+  getRing(scene) {
+    if (!this.rings.has(scene)) {
+      this.rings.set(scene, scene.add.graphics().setDepth(FOCUS.RING_DEPTH));
+      scene.events.once('shutdown', () => this.rings.delete(scene));
+    }
+    return this.rings.get(scene);
+  }
+
+  // ========================================
+  // Screen Reader
+  // ========================================
+
+  /**
+   * Read a message aloud through the live region
+   *
+   * @param {string} message - Text (line breaks are read as pauses)
+   */
+  announce(message) {
+    if (!this.liveRegion || !message) return;
+
+    // Clearing first makes screen readers repeat an identical message
+    this.liveRegion.textContent = '';
+    clearTimeout(this.announceTimer);
+
+    this.announceTimer = setTimeout(() => {
+      this.liveRegion.textContent = message.replace(/\.?\n+/g, '. ');
+    }, FOCUS.ANNOUNCE_DELAY);
+  }
+}
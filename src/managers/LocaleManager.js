@@ -0,0 +1,414 @@
+/**
+ * LocaleManager - Singleton for interface language and locale formatting
+ *
+ * CRITICAL: Like DataManager, this manager must NOT store scene
+ * references after init()
+ *
+ * Responsibilities:
+ * - Load message catalogs (public/assets/locales/<code>.json)
+ * - Look up messages with {placeholder} interpolation and plural forms
+ * - Format numbers and dates for the current locale (Intl)
+ * - Pick translated object fields (`translations` in the data files)
+ * - Report text direction so components can lay out right-to-left
+ *
+ * Catalog format:
+ * {
+ *   "locale": "es",
+ *   "name": "Español",          // Shown in the language picker
+ *   "direction": "ltr",         // "rtl" for Arabic, Hebrew, ...
+ *   "messages": {
+ *     "menu": { "title": "..." },
+ *     "selector": { "counter": "{count} / {max} seleccionados" },
+ *     "packs": { "row": { "one": "{count} objeto", "other": "{count} objetos" } }
+ *   }
+ * }
+ *
+ * A message that is an object holds plural forms keyed by Intl.PluralRules
+ * category (zero, one, two, few, many, other); the `count` parameter picks
+ * the form. Missing messages fall back to LOCALES.DEFAULT, then to the key.
+ *
+ * Events:
+ * - 'localeChanged' (locale) - the interface language changed
+ */
+
+import Phaser from 'phaser';
+import { LOCALES } from '@/utils/Constants.js';
+
+export class LocaleManager extends Phaser.Events.EventEmitter {
+  static instance = null;
+
+  static getInstance() {
+    if (!LocaleManager.instance) {
+      LocaleManager.instance = new LocaleManager();
+    }
+    return LocaleManager.instance;
+  }
+
+  constructor() {
+    if (LocaleManager.instance) {
+      throw new Error('LocaleManager already instantiated. Use getInstance()');
+    }
+
+    super(); // Initialize EventEmitter
+
+    this.catalogs = new Map();        // Locale code → catalog
+    this.locale = LOCALES.DEFAULT;
+    this.numberFormats = new Map();   // "<locale>|<options>" → Intl.NumberFormat
+    this.pluralRules = new Map();     // Locale code → Intl.PluralRules
+  }
+
+  /**
+   * Load all catalogs and pick the starting language
+   *
+   * CRITICAL: Do NOT store scene reference after init completes!
+   *
+   * @param {Phaser.Scene} scene - Scene with active loader
+   * @param {Window} win - Browser window (?lang= and navigator.languages)
+   * @param {Object} options - {savedLocale: language chosen on an earlier visit}
+   * @returns {Promise} Resolves when catalogs are loaded
+   */
+  async init(scene, win = window, { savedLocale = null } = {}) {
+    console.log('[LocaleManager] Initializing...');
+
+    const catalogs = await new Promise((resolve, reject) => {
+      LOCALES.AVAILABLE.forEach(code => {
+        scene.load.json(`locale-${code}`, `/assets/locales/${code}.json`);
+      });
+
+      scene.load.once('complete', () => {
+        resolve(LOCALES.AVAILABLE.map(code => scene.cache.json.get(`locale-${code}`)));
+      });
+
+      scene.load.once('loaderror', (file) => {
+        reject(new Error(`Failed to load ${file.key}: ${file.src}`));
+      });
+
+      scene.load.start();
+    });
+
+    this.loadCatalogs(catalogs);
+    this.setLocale(this.pickInitialLocale(win, savedLocale), { silent: true });
+
+    console.log(`[LocaleManager] Initialization complete (${this.locale})`);
+  }
+
+  /**
+   * Register parsed catalogs
+   *
+   * Messages missing from a catalog are logged once here; at runtime they
+   * fall back to the default language.
+   *
+   * @param {Array<Object>} catalogs - Parsed catalogs
+   */
+  loadCatalogs(catalogs) {
+    catalogs.forEach(catalog => {
+      this.catalogs.set(catalog.locale, catalog);
+    });
+
+    const reference = this.catalogs.get(LOCALES.DEFAULT);
+    if (!reference) {
+      throw new Error(`Missing catalog for default locale "${LOCALES.DEFAULT}"`);
+    }
+
+    this.catalogs.forEach((catalog, code) => {
+      const missing = LocaleManager.findMissingKeys(reference.messages, catalog.messages);
+      if (missing.length > 0) {
+        console.warn(`[LocaleManager] ${code}: ${missing.length} untranslated messages (${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ', …' : ''})`);
+      }
+    });
+  }
+
+  /**
+   * Choose the first supported language from ?lang=, the saved choice
+   * and the browser
+   *
+   * @param {Window} win - Browser window
+   * @param {string|null} savedLocale - Language chosen on an earlier visit
+   * @returns {string} Locale code
+   */
+  pickInitialLocale(win, savedLocale = null) {
+    const requested = new URLSearchParams(win.location?.search ?? '').get(LOCALES.QUERY_PARAM);
+    const candidates = [requested, savedLocale, ...(win.navigator?.languages ?? [])].filter(Boolean);
+
+    for (const candidate of candidates) {
+      const code = this.resolveLocale(candidate);
+      if (code) return code;
+    }
+
+    return LOCALES.DEFAULT;
+  }
+
+  /**
+   * Map a language tag to a loaded catalog ("es-MX" → "es")
+   *
+   * @param {string} tag - BCP 47 language tag
+   * @returns {string|null} Loaded locale code, or null
+   */
+  resolveLocale(tag) {
+    if (this.catalogs.has(tag)) return tag;
+
+    const language = tag.split('-')[0].toLowerCase();
+    return this.catalogs.has(language) ? language : null;
+  }
+
+  // ========================================
+  // Current Language
+  // ========================================
+
+  /**
+   * Switch the interface language
+   *
+   * @param {string} locale - Loaded locale code
+   * @param {Object} options - {silent: true} skips the event (boot)
+   */
+  setLocale(locale, { silent = false } = {}) {
+    if (!this.catalogs.has(locale)) {
+      throw new Error(`Unknown locale: ${locale}`);
+    }
+
+    const changed = this.locale !== locale;
+    this.locale = locale;
+
+    // Let the browser (screen readers, fonts) know the page language
+    if (typeof document !== 'undefined') {
+      document.documentElement.lang = locale;
+      document.documentElement.dir = this.getDirection();
+    }
+
+    if (changed) {
+      console.log(`[LocaleManager] Locale: ${locale}`);
+    }
+
+    if (changed && !silent) {
+      this.emit('localeChanged', locale);
+    }
+  }
+
+  /**
+   * @returns {string} Current locale code
+   */
+  getLocale() {
+    return this.locale;
+  }
+
+  /**
+   * Get the languages offered in the picker
+   *
+   * @returns {Array<Object>} [{locale, name}] in LOCALES.AVAILABLE order
+   */
+  getAvailableLocales() {
+    return Array.from(this.catalogs.values()).map(catalog => ({
+      locale: catalog.locale,
+      name: catalog.name
+    }));
+  }
+
+  /**
+   * @returns {string} 'ltr' | 'rtl'
+   */
+  getDirection() {
+    return this.catalogs.get(this.locale)?.direction === 'rtl' ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * @returns {boolean} True if the current language is written right-to-left
+   */
+  isRTL() {
+    return this.getDirection() === 'rtl';
+  }
+
+  // ========================================
+  // Messages
+  // ========================================
+
+  /**
+   * Translate a message
+   *
+   * Numeric parameters are formatted for the locale; `count` also picks
+   * the plural form.
+   *
+   * @param {string} key - Dotted message key, e.g. "selector.counter"
+   * @param {Object} params - Placeholder values
+   * @returns {string} Translated message (the key itself if unknown)
+   */
+  t(key, params = {}) {
+    let message = this.lookup(this.locale, key) ?? this.lookup(LOCALES.DEFAULT, key);
+
+    if (message === undefined) {
+      console.warn(`[LocaleManager] Missing message "${key}"`);
+      return key;
+    }
+
+    if (typeof message === 'object') {
+      const category = this.getPluralRules().select(params.count ?? 0);
+      message = message[category] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      if (value === undefined) return placeholder;
+      return typeof value === 'number' ? this.formatNumber(value) : String(value);
+    });
+  }
+
+  /**
+   * @param {string} key - Dotted message key
+   * @returns {boolean} True if the current or default catalog has the message
+   */
+  has(key) {
+    return this.lookup(this.locale, key) !== undefined || this.lookup(LOCALES.DEFAULT, key) !== undefined;
+  }
+
+  /**
+   * @param {string} locale - Locale code
+   * @param {string} key - Dotted message key
+   * @returns {string|Object|undefined} Message or plural forms
+   */
+  lookup(locale, key) {
+    let node = this.catalogs.get(locale)?.messages;
+
+    for (const part of key.split('.')) {
+      if (node === undefined || node === null || typeof node !== 'object') return undefined;
+      node = node[part];
+    }
+
+    return typeof node === 'string' || LocaleManager.isPluralForms(node) ? node : undefined;
+  }
+
+  /**
+   * Pick a translated field of a data record
+   *
+   * Objects and scale levels may carry
+   * `translations: { "es": { "name": "Tierra", ... } }`;
+   * untranslated fields keep the data file's (English) value.
+   *
+   * @param {Object} record - Object or scale level data
+   * @param {string} field - Field name (e.g. 'name', 'educationalFacts')
+   * @returns {*} Translated value, or record[field]
+   */
+  localize(record, field) {
+    return record?.translations?.[this.locale]?.[field] ?? record?.[field];
+  }
+
+  /**
+   * Describe a distance entry
+   *
+   * Catalogued distances carry their own description; distances
+   * DataManager derives carry a descriptionKey instead, filled in here
+   * with the objects' names and the date, so a cached entry follows
+   * later language changes.
+   *
+   * @param {Object} entry - Distance data (DataManager.getDistance() or getDistanceOnDate())
+   * @param {Function} getObject - (id) => object data
+   * @returns {string} Description
+   */
+  describeDistance(entry, getObject) {
+    if (!entry.descriptionKey) {
+      return this.localize(entry, 'description');
+    }
+
+    return this.t(entry.descriptionKey, {
+      from: this.localize(getObject(entry.from), 'name'),
+      to: this.localize(getObject(entry.to), 'name'),
+      date: entry.date ? this.formatDate(entry.date) : ''
+    });
+  }
+
+  // ========================================
+  // Numbers and Dates
+  // ========================================
+
+  /**
+   * Format a number for the current locale
+   *
+   * @param {number} value - Number
+   * @param {Object} options - Intl.NumberFormat options
+   * @returns {string} e.g. "1,234.5" (en), "1234,5" (fr)
+   */
+  formatNumber(value, options = {}) {
+    const cacheKey = `${this.locale}|${JSON.stringify(options)}`;
+
+    if (!this.numberFormats.has(cacheKey)) {
+      this.numberFormats.set(cacheKey, new Intl.NumberFormat(this.locale, options));
+    }
+
+    return this.numberFormats.get(cacheKey).format(value);
+  }
+
+  /**
+   * Format a calendar date (UTC) for the current locale
+   *
+   * @param {Date} date - Date
+   * @returns {string} e.g. "Jan 16, 2025" (en), "16 ene 2025" (es)
+   */
+  formatDate(date) {
+    return date.toLocaleDateString(this.locale, { dateStyle: 'medium', timeZone: 'UTC' });
+  }
+
+  /**
+   * @returns {Intl.PluralRules} Plural rules for the current locale
+   */
+  getPluralRules() {
+    if (!this.pluralRules.has(this.locale)) {
+      this.pluralRules.set(this.locale, new Intl.PluralRules(this.locale));
+    }
+    return this.pluralRules.get(this.locale);
+  }
+
+  // ========================================
+  // Right-to-Left Layout
+  // ========================================
+
+  /**
+   * Mirror a horizontal position for right-to-left languages
+   *
+   * @param {number} x - Position in a left-to-right layout
+   * @param {number} width - Width of the area being mirrored
+   * @returns {number} x, or width - x when right-to-left
+   */
+  mirrorX(x, width) {
+    return this.isRTL() ? width - x : x;
+  }
+
+  /**
+   * Add the text direction to a Phaser text style
+   *
+   * @param {Object} style - Phaser text style
+   * @returns {Object} Style with `rtl` set for right-to-left languages
+   */
+  textStyle(style) {
+    return this.isRTL() ? { ...style, rtl: true } : style;
+  }
+
+  // ========================================
+  // Catalog Helpers
+  // ========================================
+
+  /**
+   * @param {*} node - Catalog node
+   * @returns {boolean} True if node is a plural-forms object
+   */
+  static isPluralForms(node) {
+    return node !== null && typeof node === 'object' && typeof node.other === 'string';
+  }
+
+  /**
+   * List message keys present in reference but missing from messages
+   *
+   * @param {Object} reference - Default catalog messages
+   * @param {Object} messages - Catalog messages to check
+   * @param {string} prefix - Key prefix (recursion)
+   * @returns {Array<string>} Dotted keys
+   */
+  static findMissingKeys(reference, messages = {}, prefix = '') {
+    return Object.entries(reference).flatMap(([name, node]) => {
+      const key = `${prefix}${name}`;
+
+      if (typeof node === 'string' || LocaleManager.isPluralForms(node)) {
+        return messages?.[name] === undefined ? [key] : [];
+      }
+
+      return LocaleManager.findMissingKeys(node, messages?.[name], `${key}.`);
+    });
+  }
+}
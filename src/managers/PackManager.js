@@ -0,0 +1,313 @@
+/**
+ * PackManager - Singleton for loading custom object packs at runtime
+ *
+ * Lets a teacher add classroom-specific objects (a school bus, the ISS,
+ * a local mountain) without rebuilding the app. Validation and merging
+ * happen in DataManager.loadPack(); this manager handles the sources:
+ *
+ * - URL query parameters: ?pack=<url> (repeatable or comma-separated)
+ *   and ?packs=<manifest url>
+ * - Drag-and-drop: a pack (or manifest) .json file dropped onto the page
+ * - Pack manifests: { "packs": ["school.json", "https://.../iss.json"] },
+ *   relative URLs resolve against the manifest's own URL
+ *
+ * Pack file format:
+ * {
+ *   "pack": { "id": "classroom", "name": "Room 12" },
+ *   "objects": [ ...same fields as cosmic-objects.json... ],
+ *   "distances": [ { "from": "school-bus", "to": "earth", ... } ]   // optional
+ * }
+ *
+ * Events:
+ * - 'packLoaded' (summary) - a pack was merged
+ * - 'packUnloaded' (packId) - a pack was removed
+ * - 'packLoadFailed' ({source, message, problems}) - load or validation failed
+ * - 'packsChanged' (packs) - after any load/unload, with getLoadedPacks()
+ */
+
+import Phaser from 'phaser';
+import { DataManager } from '@/managers/DataManager.js';
+import { DataValidationError } from '@/utils/SchemaValidator.js';
+import { OBJECT_PACKS } from '@/utils/Constants.js';
+
+export class PackManager extends Phaser.Events.EventEmitter {
+  static instance = null;
+
+  static getInstance() {
+    if (!PackManager.instance) {
+      PackManager.instance = new PackManager();
+    }
+    return PackManager.instance;
+  }
+
+  constructor() {
+    if (PackManager.instance) {
+      throw new Error('PackManager already instantiated. Use getInstance()');
+    }
+
+    super(); // Initialize EventEmitter
+
+    this.dataManager = DataManager.getInstance();
+    this.failures = [];         // Failures not yet shown to the user
+    this.dropTarget = null;     // Element with drag-and-drop listeners
+
+    // Bound once so the listeners can be removed again
+    this.onDragOver = this.onDragOver.bind(this);
+    this.onDrop = this.onDrop.bind(this);
+  }
+
+  /**
+   * Load packs named in the page URL and enable drag-and-drop
+   * Called once during app boot, after DataManager.init()
+   *
+   * Failures never block boot; they are kept for takeFailures().
+   *
+   * @param {Window} win - Browser window (URL and drop target)
+   * @returns {Promise} Resolves when all URL packs have been attempted
+   */
+  async init(win = window) {
+    this.enableDragAndDrop(win.document.body);
+    await this.loadFromQuery(win.location.search, win.location.href);
+    console.log(`[PackManager] Initialized (${this.dataManager.getLoadedPacks().length} packs loaded)`);
+  }
+
+  // ========================================
+  // Sources
+  // ========================================
+
+  /**
+   * Load packs and manifests named in a query string
+   *
+   * @param {string} search - Query string, e.g. "?pack=a.json,b.json&packs=m.json"
+   * @param {string} baseUrl - URL relative pack URLs resolve against
+   * @returns {Promise}
+   */
+  async loadFromQuery(search, baseUrl) {
+    const params = new URLSearchParams(search);
+    const split = name => params.getAll(name)
+      .flatMap(value => value.split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+
+    for (const manifestUrl of split(OBJECT_PACKS.MANIFEST_PARAM)) {
+      await this.loadManifest(manifestUrl, baseUrl);
+    }
+
+    for (const packUrl of split(OBJECT_PACKS.QUERY_PARAM)) {
+      await this.loadFromUrl(packUrl, baseUrl);
+    }
+  }
+
+  /**
+   * Fetch and load a pack
+   *
+   * @param {string} url - Pack URL (a malformed one is a reported failure)
+   * @param {string} baseUrl - URL a relative pack URL resolves against
+   * @returns {Promise<Object|null>} Pack summary, or null on failure
+   */
+  async loadFromUrl(url, baseUrl) {
+    let href;
+
+    try {
+      href = new URL(url, baseUrl).href;
+      const data = await this.fetchJson(href);
+      return this.loadPackData(data, href);
+    } catch (error) {
+      this.reportFailure(href ?? url, error);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a manifest and load every pack it lists (in order)
+   *
+   * @param {string} url - Manifest URL (a malformed one is a reported failure)
+   * @param {string} baseUrl - URL a relative manifest URL resolves against
+   * @returns {Promise<Array<Object>>} Summaries of the packs that loaded
+   */
+  async loadManifest(url, baseUrl) {
+    let href;
+    let manifest;
+
+    try {
+      href = new URL(url, baseUrl).href;
+      manifest = await this.fetchJson(href);
+    } catch (error) {
+      this.reportFailure(href ?? url, error);
+      return [];
+    }
+
+    return this.loadManifestData(manifest, href);
+  }
+
+  /**
+   * Load every pack listed in a parsed manifest
+   *
+   * @param {Object} manifest - {packs: [url, ...]}
+   * @param {string} baseUrl - URL the pack URLs resolve against
+   * @returns {Promise<Array<Object>>} Summaries of the packs that loaded
+   */
+  async loadManifestData(manifest, baseUrl) {
+    if (!Array.isArray(manifest?.packs) || !manifest.packs.every(entry => typeof entry === 'string')) {
+      this.reportFailure(baseUrl, new Error('Manifest must be { "packs": ["pack.json", ...] }'));
+      return [];
+    }
+
+    const loaded = [];
+    for (const entry of manifest.packs) {
+      const summary = await this.loadFromUrl(entry, baseUrl);
+      if (summary) loaded.push(summary);
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Validate and merge parsed pack data
+   *
+   * @param {Object} data - Parsed pack
+   * @param {string} source - URL or file name (for problem reports)
+   * @returns {Object|null} Pack summary, or null on failure
+   */
+  loadPackData(data, source) {
+    try {
+      const summary = this.dataManager.loadPack(data, source);
+
+      this.emit('packLoaded', summary);
+      this.emit('packsChanged', this.dataManager.getLoadedPacks());
+      return summary;
+    } catch (error) {
+      this.reportFailure(source, error);
+      return null;
+    }
+  }
+
+  /**
+   * Unload a pack
+   *
+   * @param {string} packId - Pack id
+   * @returns {boolean} True if the pack was loaded
+   */
+  unloadPack(packId) {
+    if (!this.dataManager.unloadPack(packId)) return false;
+
+    this.emit('packUnloaded', packId);
+    this.emit('packsChanged', this.dataManager.getLoadedPacks());
+    return true;
+  }
+
+  /**
+   * @param {string} url - Absolute URL
+   * @returns {Promise<*>} Parsed JSON
+   * @throws {Error} on network, HTTP or JSON errors
+   */
+  async fetchJson(url) {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+    }
+
+    return response.json();
+  }
+
+  // ========================================
+  // Drag and Drop
+  // ========================================
+
+  /**
+   * Accept pack files dropped anywhere on an element
+   *
+   * @param {HTMLElement} element - Drop target
+   */
+  enableDragAndDrop(element) {
+    this.disableDragAndDrop();
+
+    this.dropTarget = element;
+    element.addEventListener('dragover', this.onDragOver);
+    element.addEventListener('drop', this.onDrop);
+  }
+
+  /**
+   * Remove drag-and-drop listeners
+   */
+  disableDragAndDrop() {
+    if (!this.dropTarget) return;
+
+    this.dropTarget.removeEventListener('dragover', this.onDragOver);
+    this.dropTarget.removeEventListener('drop', this.onDrop);
+    this.dropTarget = null;
+  }
+
+  /**
+   * @param {DragEvent} event - Drag event
+   */
+  onDragOver(event) {
+    // Required for the browser to allow a drop
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  }
+
+  /**
+   * Load every dropped .json file as a pack or manifest
+   *
+   * @param {DragEvent} event - Drop event
+   */
+  async onDrop(event) {
+    event.preventDefault();
+
+    const files = Array.from(event.dataTransfer?.files ?? []);
+
+    for (const file of files) {
+      let data;
+
+      try {
+        data = JSON.parse(await file.text());
+      } catch (error) {
+        this.reportFailure(file.name, new Error(`Not a JSON file (${error.message})`));
+        continue;
+      }
+
+      // Dropped manifests resolve relative to the page
+      if (Array.isArray(data?.packs)) {
+        await this.loadManifestData(data, window.location.href);
+      } else {
+        this.loadPackData(data, file.name);
+      }
+    }
+  }
+
+  // ========================================
+  // Failures
+  // ========================================
+
+  /**
+   * Record and announce a failed load
+   *
+   * @param {string} source - URL or file name
+   * @param {Error} error - Failure (DataValidationError carries problems)
+   */
+  reportFailure(source, error) {
+    const failure = {
+      source,
+      message: error.message,
+      problems: error instanceof DataValidationError ? error.problems : []
+    };
+
+    console.error(`[PackManager] Failed to load ${source}: ${error.message}`);
+
+    this.failures.push(failure);
+    this.emit('packLoadFailed', failure);
+  }
+
+  /**
+   * Get and clear failures that have not been shown yet
+   *
+   * @returns {Array<Object>} [{source, message, problems}]
+   */
+  takeFailures() {
+    const failures = this.failures;
+    this.failures = [];
+    return failures;
+  }
+}
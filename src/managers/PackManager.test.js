@@ -0,0 +1,54 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { PackManager } from './PackManager.js';
+
+// Phaser needs a browser; PackManager only uses its EventEmitter
+vi.mock('phaser', async () => {
+  const { EventEmitter } = await import('node:events');
+  return { default: { Events: { EventEmitter } } };
+});
+
+/**
+ * @param {string} search - Query string
+ * @returns {Object} Enough of a window for PackManager.init()
+ */
+function createWindow(search) {
+  return {
+    document: { body: { addEventListener: vi.fn(), removeEventListener: vi.fn() } },
+    location: { search, href: `https://example.org/app/${search}` }
+  };
+}
+
+describe('PackManager.init', () => {
+  let packManager;
+
+  beforeEach(() => {
+    PackManager.instance = null;
+    packManager = PackManager.getInstance();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 404, statusText: 'Not Found' })));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('reports malformed pack and manifest URLs instead of throwing', async () => {
+    await expect(packManager.init(createWindow('?packs=http://[&pack=http://['))).resolves.toBeUndefined();
+
+    const failures = packManager.takeFailures();
+    expect(failures.map(failure => failure.source)).toEqual(['http://[', 'http://[']);
+    failures.forEach(failure => expect(failure.message).toMatch(/Invalid URL/));
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('still loads the other URLs of the query', async () => {
+    await packManager.init(createWindow('?pack=http://[,packs/school.json'));
+
+    expect(fetch).toHaveBeenCalledWith('https://example.org/app/packs/school.json');
+    expect(packManager.takeFailures()).toEqual([
+      expect.objectContaining({ source: 'http://[' }),
+      { source: 'https://example.org/app/packs/school.json', message: 'HTTP 404 Not Found', problems: [] }
+    ]);
+  });
+});
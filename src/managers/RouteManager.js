@@ -0,0 +1,362 @@
+/**
+ * RouteManager - Singleton for shareable deep links
+ *
+ * A link encodes what is on screen, so a teacher can send students
+ * straight to "Earth vs Jupiter, distance phase" instead of the menu:
+ *
+ *   #mode=comparison&objects=earth,jupiter&phase=distanceAnimation
+ *   #mode=comparison&objects=earth,mars&date=2026-10-19&numbers=words
+ *   #mode=comparison&objects=sun,earth&phase=lightTravel&axis=hybrid
+ *   #mode=comparison&compare=route&objects=sun,earth,moon&phase=lightTravel
+ *   #mode=powersOfTen&scale=7&motion=reduced&colors=colorBlind
+ *
+ * Parameter names are listed in ROUTES.PARAMS. Links are written to the
+ * URL hash; the same parameters are also read from the query string
+ * (the hash wins). ?lang= and ?pack= stay in the query string, where
+ * LocaleManager and PackManager read them, so a copied link keeps the
+ * interface language and any custom packs its objects come from.
+ *
+ * BootScene calls init() once data, catalogs and packs are loaded: the
+ * route is validated against DataManager (unknown ids are dropped with a
+ * warning), display options are applied to StateManager, and BootScene
+ * starts the route's mode instead of the menu. The mode's scene then
+ * collects the rest of the route with takeRoute().
+ */
+
+import { DataManager } from '@/managers/DataManager.js';
+import { StateManager } from '@/managers/StateManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import {
+  ROUTES,
+  LOCALES,
+  COMPARISON_MODES,
+  COMPARISON_PHASES,
+  SELECTION_LIMITS,
+  NUMBER_FORMATS,
+  SCALE_MODES,
+  COLOR_MODES,
+  MIN_EXPONENT,
+  MAX_EXPONENT
+} from '@/utils/Constants.js';
+
+// Modes a link can open
+const MODES = ['comparison', 'powersOfTen'];
+
+// Comparison phases in the order the scene runs them
+const PHASES = Object.values(COMPARISON_PHASES);
+
+export class RouteManager {
+  static instance = null;
+
+  static getInstance() {
+    if (!RouteManager.instance) {
+      RouteManager.instance = new RouteManager();
+    }
+    return RouteManager.instance;
+  }
+
+  constructor() {
+    if (RouteManager.instance) {
+      throw new Error('RouteManager already instantiated. Use getInstance()');
+    }
+
+    this.dataManager = DataManager.getInstance();
+    this.stateManager = StateManager.getInstance();
+    this.route = null;    // Parsed route not yet taken by its scene
+    this.win = null;
+  }
+
+  /**
+   * Read the route from the page URL and apply its display options
+   * Called once during app boot, after DataManager, LocaleManager,
+   * StateManager and PackManager are ready
+   *
+   * @param {Window} win - Browser window (URL and clipboard)
+   * @returns {Object|null} Parsed route (see parse()), or null without one
+   */
+  init(win = window) {
+    this.win = win;
+    this.route = this.parse(win.location.search, win.location.hash);
+
+    if (this.route) {
+      this.applyDisplayOptions(this.route);
+      console.log('[RouteManager] Route:', this.route);
+    }
+
+    return this.route;
+  }
+
+  // ========================================
+  // Parsing
+  // ========================================
+
+  /**
+   * Parse and validate a route
+   *
+   * Invalid values are dropped (with a warning) rather than failing, so a
+   * link that names an unloaded object still opens its mode.
+   *
+   * @param {string} search - Query string, e.g. "?lang=es&mode=powersOfTen"
+   * @param {string} hash - Hash, e.g. "#mode=comparison&objects=earth,moon"
+   * @returns {Object|null} {mode, comparisonMode, objectIds, phase, date,
+   *   scale, numberFormat, distanceScale, reducedMotion, colorMode} (unset
+   *   values are null), or null if the URL has no route parameters
+   */
+  parse(search, hash) {
+    const params = new URLSearchParams(search);
+    new URLSearchParams(hash.replace(/^#/, '')).forEach((value, key) => params.set(key, value));
+
+    const names = Object.values(ROUTES.PARAMS);
+    if (!names.some(name => params.has(name))) return null;
+
+    const read = name => params.get(ROUTES.PARAMS[name])?.trim() || null;
+    const pick = (name, allowed) => {
+      const value = read(name);
+      if (value !== null && !allowed.includes(value)) {
+        console.warn(`[RouteManager] Ignoring ${ROUTES.PARAMS[name]}=${value}`);
+        return null;
+      }
+      return value;
+    };
+
+    const route = {
+      ...RouteManager.createRoute(),
+      mode: pick('MODE', MODES),
+      date: this.parseDate(read('DATE')),
+      scale: this.parseScale(read('SCALE')),
+      numberFormat: pick('NUMBERS', Object.values(NUMBER_FORMATS)),
+      distanceScale: pick('AXIS', Object.values(SCALE_MODES)),
+      reducedMotion: { reduced: true, full: false }[pick('MOTION', ['reduced', 'full'])] ?? null,
+      colorMode: pick('COLORS', Object.values(COLOR_MODES))
+    };
+
+    if (route.mode === 'comparison') {
+      Object.assign(route, this.parseComparison(
+        read('OBJECTS'),
+        pick('COMPARISON', Object.values(COMPARISON_MODES)),
+        pick('PHASE', PHASES)
+      ));
+    }
+
+    return route;
+  }
+
+  /**
+   * Validate the objects, comparison mode and phase of a comparison route
+   *
+   * @param {string|null} objects - Comma-separated object ids
+   * @param {string|null} comparisonMode - 'pair' | 'lineup' | 'route' | null
+   * @param {string|null} phase - Requested phase
+   * @returns {Object} {comparisonMode, objectIds, phase}
+   */
+  parseComparison(objects, comparisonMode, phase) {
+    const objectIds = [];
+
+    (objects ?? '').split(',').map(id => id.trim()).filter(Boolean).forEach(id => {
+      if (!this.dataManager.getObjectById(id)) {
+        console.warn(`[RouteManager] Ignoring unknown object: ${id}`);
+      } else if (!objectIds.includes(id)) {
+        objectIds.push(id);
+      }
+    });
+
+    // Two objects are a pair unless the link asks for a lineup
+    const mode = comparisonMode ?? (objectIds.length > 2 ? COMPARISON_MODES.LINEUP : COMPARISON_MODES.PAIR);
+    const limit = SELECTION_LIMITS[mode];
+
+    if (objectIds.length < 2 || objectIds.length > limit) {
+      if (objectIds.length > 0) {
+        console.warn(`[RouteManager] ${objectIds.length} objects cannot make a ${mode} comparison, opening the library`);
+      }
+      return { comparisonMode: mode, objectIds: [], phase: null };
+    }
+
+    // Distance and light travel need a pair; a lineup stops at the sizes
+    // and a route goes from its sizes straight to the light
+    let target = phase ?? COMPARISON_PHASES.SCALE_DISPLAY;
+    if (target === COMPARISON_PHASES.SELECTION) {
+      target = COMPARISON_PHASES.SCALE_DISPLAY;
+    } else if (mode === COMPARISON_MODES.LINEUP && PHASES.indexOf(target) > PHASES.indexOf(COMPARISON_PHASES.SCALE_DISPLAY)) {
+      target = COMPARISON_PHASES.SCALE_DISPLAY;
+    } else if (mode === COMPARISON_MODES.ROUTE && target === COMPARISON_PHASES.DISTANCE_ANIMATION) {
+      target = COMPARISON_PHASES.SCALE_DISPLAY;
+    }
+
+    return { comparisonMode: mode, objectIds, phase: target };
+  }
+
+  /**
+   * @param {string|null} value - YYYY-MM-DD
+   * @returns {Date|null} Midnight UTC of that day, or null if invalid
+   */
+  parseDate(value) {
+    if (value === null) return null;
+
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+    if (!date || isNaN(date.getTime())) {
+      console.warn(`[RouteManager] Ignoring ${ROUTES.PARAMS.DATE}=${value}`);
+      return null;
+    }
+    return date;
+  }
+
+  /**
+   * @param {string|null} value - Scale exponent
+   * @returns {number|null} Exponent within the scale bounds, or null if invalid
+   */
+  parseScale(value) {
+    if (value === null) return null;
+
+    const exponent = Number(value);
+    if (!Number.isFinite(exponent)) {
+      console.warn(`[RouteManager] Ignoring ${ROUTES.PARAMS.SCALE}=${value}`);
+      return null;
+    }
+    return Math.min(Math.max(exponent, MIN_EXPONENT), MAX_EXPONENT);
+  }
+
+  /**
+   * Apply a route's number format, distance scale, motion and color preferences
+   * @param {Object} route - Parsed route
+   */
+  applyDisplayOptions(route) {
+    if (route.numberFormat) this.stateManager.setNumberFormat(route.numberFormat);
+    if (route.distanceScale) this.stateManager.setDistanceScale(route.distanceScale);
+    if (route.reducedMotion !== null) this.stateManager.setReducedMotion(route.reducedMotion);
+    if (route.colorMode) this.stateManager.setColorMode(route.colorMode);
+  }
+
+  /**
+   * Queue a comparison for CosmicComparisonScene as if it came from a link
+   * (MenuScene's recent comparisons)
+   *
+   * @param {Array<string>} objectIds - Object IDs to compare
+   * @param {string} comparisonMode - COMPARISON_MODES value
+   */
+  openComparison(objectIds, comparisonMode) {
+    this.route = {
+      ...RouteManager.createRoute(),
+      mode: 'comparison',
+      ...this.parseComparison(objectIds.join(','), comparisonMode, null)
+    };
+  }
+
+  /**
+   * @returns {Object} Route with nothing set
+   */
+  static createRoute() {
+    return {
+      mode: null,
+      comparisonMode: null,
+      objectIds: [],
+      phase: null,
+      date: null,
+      scale: null,
+      numberFormat: null,
+      distanceScale: null,
+      reducedMotion: null,
+      colorMode: null
+    };
+  }
+
+  /**
+   * Mode the app should open in
+   * @returns {string|null} 'comparison' | 'powersOfTen', or null for the menu
+   */
+  getStartMode() {
+    return this.route?.mode ?? null;
+  }
+
+  /**
+   * Hand the route to the scene of its mode (once)
+   *
+   * @param {string} mode - Mode of the calling scene
+   * @returns {Object|null} Route, or null if there is none for this mode
+   */
+  takeRoute(mode) {
+    if (this.route?.mode !== mode) return null;
+
+    const route = this.route;
+    this.route = null;
+    return route;
+  }
+
+  // ========================================
+  // Links
+  // ========================================
+
+  /**
+   * Build a link to the current state
+   *
+   * Display options are only written when they differ from the defaults,
+   * so a link does not switch off a reader's own reduced-motion setting.
+   *
+   * @returns {string} Absolute URL
+   */
+  buildLink() {
+    const state = this.stateManager;
+    const params = new URLSearchParams();
+    const mode = state.getCurrentMode();
+
+    if (mode) params.set(ROUTES.PARAMS.MODE, mode);
+
+    if (mode === 'comparison') {
+      const objectIds = state.getSelectedObjects();
+
+      if (state.getComparisonMode() !== COMPARISON_MODES.PAIR) {
+        params.set(ROUTES.PARAMS.COMPARISON, state.getComparisonMode());
+      }
+
+      if (objectIds.length >= 2 && state.getComparisonPhase() !== COMPARISON_PHASES.SELECTION) {
+        params.set(ROUTES.PARAMS.OBJECTS, objectIds.join(','));
+        params.set(ROUTES.PARAMS.PHASE, state.getComparisonPhase());
+
+        // Planets move: pin the date so everyone sees the same distances
+        if (state.getComparisonMode() !== COMPARISON_MODES.LINEUP && this.dataManager.isRouteTimeDependent(objectIds)) {
+          params.set(ROUTES.PARAMS.DATE, state.getComparisonDate().toISOString().slice(0, 10));
+        }
+      }
+    } else if (mode === 'powersOfTen') {
+      params.set(ROUTES.PARAMS.SCALE, String(Math.round(state.getCurrentScale() * 100) / 100));
+    }
+
+    if (state.getNumberFormat() !== NUMBER_FORMATS.SCIENTIFIC) {
+      params.set(ROUTES.PARAMS.NUMBERS, state.getNumberFormat());
+    }
+    if (state.getDistanceScale() !== SCALE_MODES.LINEAR) {
+      params.set(ROUTES.PARAMS.AXIS, state.getDistanceScale());
+    }
+    if (state.isReducedMotion()) {
+      params.set(ROUTES.PARAMS.MOTION, 'reduced');
+    }
+    if (state.getColorMode() !== COLOR_MODES.STANDARD) {
+      params.set(ROUTES.PARAMS.COLORS, state.getColorMode());
+    }
+
+    // Keep packs and other query parameters; replace any route read from there
+    const url = new URL(this.win.location.href);
+    Object.values(ROUTES.PARAMS).forEach(name => url.searchParams.delete(name));
+    url.searchParams.set(LOCALES.QUERY_PARAM, LocaleManager.getInstance().getLocale());
+    url.hash = params.toString().replace(/%2C/g, ',');  // Readable object lists
+
+    return url.href;
+  }
+
+  /**
+   * Copy a link to the current state to the clipboard
+   *
+   * @returns {Promise<string>} The link; rejects if the clipboard is
+   *   unavailable (e.g. not a secure context) or access was denied
+   */
+  async copyLink() {
+    const link = this.buildLink();
+
+    if (!this.win.navigator.clipboard) {
+      throw new Error('Clipboard not available');
+    }
+
+    await this.win.navigator.clipboard.writeText(link);
+    console.log(`[RouteManager] Copied ${link}`);
+    return link;
+  }
+}
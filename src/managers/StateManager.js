@@ -4,12 +4,29 @@
  * Extends Phaser.Events.EventEmitter to emit state change events
  * Components listen for these events to update reactively
  *
- * CRITICAL: FIFO selection logic - when adding 3rd object,
- * remove FIRST element, not second!
+ * CRITICAL: FIFO selection logic - when adding an object beyond the
+ * selection limit, remove the FIRST element, not the last!
+ *
+ * Comparison history: every selection change is recorded as a snapshot
+ * {comparisonMode, objectIds, compared, date}, so an object evicted by
+ * the FIFO rule or a cleared selection can be brought back with undo()
+ * and redo(). restoreHistory() emits 'historyRestored' and the scene
+ * rebuilds the snapshot; changes made while it does so are not recorded.
  */
 
 import Phaser from 'phaser';
-import { MAX_SELECTIONS } from '@/utils/Constants.js';
+import {
+  MAX_SELECTIONS,
+  COMPARISON_MODES,
+  SELECTION_LIMITS,
+  NUMBER_FORMATS,
+  SCALE_MODES,
+  COLOR_MODES,
+  MOTION,
+  HISTORY,
+  COMPARISON_PHASES
+} from '@/utils/Constants.js';
+import { isComparisonTransition } from '@/utils/ComparisonMachine.js';
 
 export class StateManager extends Phaser.Events.EventEmitter {
   static instance = null;
@@ -36,8 +53,13 @@ export class StateManager extends Phaser.Events.EventEmitter {
         isPaused: false          // Global pause state
       },
       comparison: {
-        selectedObjects: [],     // Array of selected object IDs (max 2)
-        animationPhase: 'selection'  // 'selection' | 'scaleDisplay' | 'distanceAnimation' | 'lightTravel'
+        mode: COMPARISON_MODES.PAIR,    // 'pair' | 'lineup' | 'route'
+        maxSelections: MAX_SELECTIONS,  // Selection limit for current mode
+        selectedObjects: [],     // Array of selected object IDs (max maxSelections)
+        animationPhase: COMPARISON_PHASES.SELECTION,  // COMPARISON_PHASES value
+        date: null,              // Timestamp (ms) for date-dependent distances, null = now
+        history: [],             // Selection snapshots, oldest first (see recordHistory())
+        historyIndex: -1         // Snapshot currently shown, -1 = none
       },
       powersOfTen: {
         currentExponent: 0,      // Current scale exponent
@@ -48,10 +70,17 @@ export class StateManager extends Phaser.Events.EventEmitter {
       ui: {
         infoPanelOpen: false,    // Info panel visibility
         selectedInfoObject: null, // Object selected for info display
-        helpVisible: false       // Help overlay visibility
+        helpVisible: false,      // Help overlay visibility
+        numberFormat: NUMBER_FORMATS.SCIENTIFIC,  // How lengths and times are written
+        distanceScale: SCALE_MODES.LINEAR,        // Distance view axis (see SCALE_MODES)
+        reducedMotion: false,    // Replace tweens with stepwise transitions
+        colorMode: COLOR_MODES.STANDARD  // Object colors (see COLOR_MODES)
       }
     };
 
+    this.systemMotionQuery = null;  // prefers-reduced-motion MediaQueryList, once watched
+    this.restoringHistory = false;  // True while 'historyRestored' listeners rebuild a snapshot
+
     console.log('[StateManager] Initialized');
   }
 
@@ -64,8 +93,18 @@ export class StateManager extends Phaser.Events.EventEmitter {
     this.state.app.isAnimating = false;
     this.state.app.isPaused = false;
 
+    this.state.comparison.mode = COMPARISON_MODES.PAIR;
+    this.state.comparison.maxSelections = MAX_SELECTIONS;
     this.state.comparison.selectedObjects = [];
-    this.state.comparison.animationPhase = 'selection';
+    this.state.comparison.animationPhase = COMPARISON_PHASES.SELECTION;
+    this.state.comparison.date = null;
+    this.state.comparison.history = [];
+    this.state.comparison.historyIndex = -1;
+
+    this.state.powersOfTen.currentExponent = 0;
+    this.state.powersOfTen.currentLevel = null;
+    this.state.powersOfTen.zoomVelocity = 0;
+    this.state.powersOfTen.visibleObjects = [];
 
     console.log('[StateManager] State initialized');
     this.emit('stateManagerReady');
@@ -112,21 +151,88 @@ export class StateManager extends Phaser.Events.EventEmitter {
     return this.state.app.isAnimating;
   }
 
+  /**
+   * Set global pause state (AnimationManager pauseAll() / resumeAll())
+   * @param {boolean} isPaused - Pause state
+   */
+  setPaused(isPaused) {
+    if (this.state.app.isPaused !== isPaused) {
+      this.state.app.isPaused = isPaused;
+      this.emit('pausedChanged', isPaused);
+    }
+  }
+
+  /**
+   * Check if animations are globally paused
+   * @returns {boolean} True if paused
+   */
+  isPaused() {
+    return this.state.app.isPaused;
+  }
+
   // ========================================
   // Comparison State Methods
   // ========================================
 
+  /**
+   * Set comparison mode
+   *
+   * Pair mode allows MAX_SELECTIONS (2) objects, lineup mode allows up to
+   * MAX_LINEUP_SELECTIONS and route mode up to MAX_ROUTE_STOPS, in the
+   * order they were picked (SELECTION_LIMITS). Switching modes clears the
+   * current selection.
+   *
+   * @param {string} mode - COMPARISON_MODES value
+   */
+  setComparisonMode(mode) {
+    if (!Object.values(COMPARISON_MODES).includes(mode)) {
+      throw new Error(`Unknown comparison mode: ${mode}`);
+    }
+
+    if (this.state.comparison.mode === mode) return;
+
+    this.state.comparison.mode = mode;
+    this.state.comparison.maxSelections = SELECTION_LIMITS[mode];
+
+    console.log(`[StateManager] Comparison mode: ${mode} (max ${this.state.comparison.maxSelections})`);
+
+    this.clearSelection();
+    this.emit('comparisonModeChanged', mode);
+  }
+
+  /**
+   * Get current comparison mode
+   * @returns {string} 'pair' | 'lineup' | 'route'
+   */
+  getComparisonMode() {
+    return this.state.comparison.mode;
+  }
+
+  /**
+   * Get selection limit for the current comparison mode
+   * @returns {number} Maximum number of selected objects
+   */
+  getMaxSelections() {
+    return this.state.comparison.maxSelections;
+  }
+
   /**
    * Select an object for comparison
    *
-   * CRITICAL: FIFO logic - removes FIRST element when adding 3rd
-   * User selects Earth, Moon, Sun → removes Earth (not Moon)
+   * CRITICAL: FIFO logic - removes FIRST element when the limit is exceeded
+   * Pair mode: user selects Earth, Moon, Sun → removes Earth (not Moon)
+   *
+   * In pair mode 'selectionComplete' fires as soon as two objects are
+   * selected; in lineup mode the user confirms explicitly, so the scene
+   * reads getSelectedObjects() instead.
    *
    * @param {string} objectId - Object ID to select
    */
   selectObject(objectId) {
+    const { maxSelections } = this.state.comparison;
+
     // CRITICAL: Use shift() to remove FIRST element, not pop()!
-    if (this.state.comparison.selectedObjects.length >= MAX_SELECTIONS) {
+    if (this.state.comparison.selectedObjects.length >= maxSelections) {
       const removed = this.state.comparison.selectedObjects.shift();
       console.log(`[StateManager] Max selections reached. Removed: ${removed}`);
     }
@@ -136,13 +242,44 @@ export class StateManager extends Phaser.Events.EventEmitter {
     console.log(`[StateManager] Selected objects:`, this.state.comparison.selectedObjects);
 
     this.emit('objectSelected', objectId);
+    this.recordHistory();
 
-    // Emit selection complete if we have 2 objects
-    if (this.state.comparison.selectedObjects.length === MAX_SELECTIONS) {
-      this.emit('selectionComplete', this.state.comparison.selectedObjects);
+    // Emit selection complete if we have a full pair
+    if (this.state.comparison.mode === COMPARISON_MODES.PAIR &&
+        this.state.comparison.selectedObjects.length === maxSelections) {
+      this.emit('selectionComplete', this.getSelectedObjects());
     }
   }
 
+  /**
+   * Remove a single object from the selection
+   * @param {string} objectId - Object ID to deselect
+   */
+  deselectObject(objectId) {
+    const index = this.state.comparison.selectedObjects.indexOf(objectId);
+    if (index === -1) return;
+
+    this.state.comparison.selectedObjects.splice(index, 1);
+    console.log(`[StateManager] Object deselected: ${objectId}`);
+    this.emit('objectDeselected', objectId);
+    this.recordHistory();
+  }
+
+  /**
+   * Replace the selection with a complete one (the objects being compared)
+   *
+   * Unlike selectObject() this does not emit 'selectionComplete'; the
+   * scene calls it once the comparison has started.
+   *
+   * @param {Array<string>} objectIds - Selected object IDs
+   */
+  setSelectedObjects(objectIds) {
+    this.state.comparison.selectedObjects = [...objectIds];
+    console.log(`[StateManager] Selected objects:`, this.state.comparison.selectedObjects);
+    this.emit('selectionChanged', this.getSelectedObjects());
+    this.recordHistory(true);
+  }
+
   /**
    * Clear selected objects
    */
@@ -150,6 +287,7 @@ export class StateManager extends Phaser.Events.EventEmitter {
     this.state.comparison.selectedObjects = [];
     console.log('[StateManager] Selection cleared');
     this.emit('selectionCleared');
+    this.recordHistory();
   }
 
   /**
@@ -162,13 +300,29 @@ export class StateManager extends Phaser.Events.EventEmitter {
 
   /**
    * Set comparison animation phase
-   * @param {string} phase - Phase name
+   *
+   * Only changes the comparison state machine allows are accepted
+   * (ComparisonMachine); anything else is refused with a warning.
+   * Setting the current phase again re-announces it.
+   *
+   * @param {string} phase - COMPARISON_PHASES value
+   * @returns {boolean} True if the phase was set
    */
   setComparisonPhase(phase) {
+    if (!Object.values(COMPARISON_PHASES).includes(phase)) {
+      throw new Error(`Unknown comparison phase: ${phase}`);
+    }
+
     const oldPhase = this.state.comparison.animationPhase;
+    if (oldPhase !== phase && !isComparisonTransition(oldPhase, phase)) {
+      console.warn(`[StateManager] Illegal comparison phase change: ${oldPhase} → ${phase}`);
+      return false;
+    }
+
     this.state.comparison.animationPhase = phase;
     console.log(`[StateManager] Comparison phase: ${oldPhase} → ${phase}`);
     this.emit('comparisonPhaseChanged', phase);
+    return true;
   }
 
   /**
@@ -179,6 +333,170 @@ export class StateManager extends Phaser.Events.EventEmitter {
     return this.state.comparison.animationPhase;
   }
 
+  /**
+   * Set the date used for date-dependent distances (e.g. Earth–Mars)
+   * @param {Date|null} date - Comparison date, or null for the current date
+   */
+  setComparisonDate(date) {
+    this.state.comparison.date = date ? date.getTime() : null;
+
+    // A comparison's entry keeps the date it was last looked at
+    const current = this.state.comparison.history[this.state.comparison.historyIndex];
+    if (current?.compared && !this.restoringHistory) {
+      current.date = this.state.comparison.date;
+      this.emit('historyChanged', this.getHistory());
+    }
+
+    console.log(`[StateManager] Comparison date: ${date ? date.toISOString().slice(0, 10) : 'now'}`);
+    this.emit('comparisonDateChanged', this.getComparisonDate());
+  }
+
+  /**
+   * Get the date used for date-dependent distances
+   * @returns {Date} Comparison date (the current date if none was set)
+   */
+  getComparisonDate() {
+    const { date } = this.state.comparison;
+    return date === null ? new Date() : new Date(date);
+  }
+
+  // ========================================
+  // Comparison History Methods
+  // ========================================
+
+  /**
+   * Record the current selection as the newest history entry
+   *
+   * Entries after the current one (undone changes) are dropped, as in a
+   * browser's history. Completing a selection (compared = true) upgrades
+   * the entry for the same objects instead of adding a second one, and
+   * switching the mode of an empty selection is not worth an undo step.
+   *
+   * @param {boolean} compared - True once the objects are being compared
+   */
+  recordHistory(compared = false) {
+    if (this.restoringHistory) return;
+
+    const comparison = this.state.comparison;
+    const snapshot = {
+      comparisonMode: comparison.mode,
+      objectIds: [...comparison.selectedObjects],
+      compared,
+      date: comparison.date
+    };
+
+    const current = comparison.history[comparison.historyIndex];
+    const sameObjects = current &&
+      current.comparisonMode === snapshot.comparisonMode &&
+      current.objectIds.join(',') === snapshot.objectIds.join(',');
+
+    const bothEmpty = current && !current.compared &&
+      current.objectIds.length === 0 && snapshot.objectIds.length === 0;
+
+    if (sameObjects && current.compared === compared) return;  // Nothing changed
+
+    if ((sameObjects && compared) || bothEmpty) {
+      comparison.history[comparison.historyIndex] = snapshot;
+    } else {
+      comparison.history = comparison.history.slice(0, comparison.historyIndex + 1);
+      comparison.history.push(snapshot);
+
+      if (comparison.history.length > HISTORY.MAX_ENTRIES) {
+        comparison.history.shift();
+      }
+      comparison.historyIndex = comparison.history.length - 1;
+    }
+
+    this.emit('historyChanged', this.getHistory());
+  }
+
+  /**
+   * Go back to the previous selection
+   * @returns {Object|null} Restored snapshot, or null if there is none
+   */
+  undo() {
+    return this.canUndo() ? this.restoreHistory(this.state.comparison.historyIndex - 1) : null;
+  }
+
+  /**
+   * Go forward again after undo()
+   * @returns {Object|null} Restored snapshot, or null if there is none
+   */
+  redo() {
+    return this.canRedo() ? this.restoreHistory(this.state.comparison.historyIndex + 1) : null;
+  }
+
+  /**
+   * @returns {boolean} True if there is an earlier snapshot
+   */
+  canUndo() {
+    return this.state.comparison.historyIndex > 0;
+  }
+
+  /**
+   * @returns {boolean} True if there is a later snapshot
+   */
+  canRedo() {
+    return this.state.comparison.historyIndex < this.state.comparison.history.length - 1;
+  }
+
+  /**
+   * Make a history entry current again
+   *
+   * Mode, selection and date are set directly (no per-change events);
+   * 'historyRestored' listeners rebuild the screen. The history itself
+   * is kept, so redo() still works after jumping back.
+   *
+   * @param {number} index - Entry index (see getHistory())
+   * @returns {Object|null} Restored snapshot, or null if the index is invalid
+   */
+  restoreHistory(index) {
+    const comparison = this.state.comparison;
+    const entry = comparison.history[index];
+    if (!entry) return null;
+
+    comparison.historyIndex = index;
+    comparison.mode = entry.comparisonMode;
+    comparison.maxSelections = SELECTION_LIMITS[entry.comparisonMode];
+    comparison.selectedObjects = [...entry.objectIds];
+    comparison.date = entry.date;
+
+    console.log(`[StateManager] History ${index + 1}/${comparison.history.length}: ${entry.objectIds.join(', ') || 'empty selection'}`);
+
+    const snapshot = { ...entry, objectIds: [...entry.objectIds] };
+
+    this.restoringHistory = true;
+    try {
+      this.emit('historyRestored', snapshot);
+    } finally {
+      this.restoringHistory = false;
+    }
+
+    this.emit('historyChanged', this.getHistory());
+    return snapshot;
+  }
+
+  /**
+   * Check whether a history entry is being rebuilt (listeners mirroring
+   * selection changes into StateManager should ignore them meanwhile)
+   * @returns {boolean} True inside 'historyRestored'
+   */
+  isRestoringHistory() {
+    return this.restoringHistory;
+  }
+
+  /**
+   * Get the comparison history
+   * @returns {Object} {entries: [{comparisonMode, objectIds, compared, date}],
+   *   index} - entries oldest first, index of the current one (-1 = none)
+   */
+  getHistory() {
+    return {
+      entries: this.state.comparison.history.map(entry => ({ ...entry, objectIds: [...entry.objectIds] })),
+      index: this.state.comparison.historyIndex
+    };
+  }
+
   // ========================================
   // Powers of Ten State Methods
   // ========================================
@@ -189,8 +507,15 @@ export class StateManager extends Phaser.Events.EventEmitter {
    */
   setScale(exponent) {
     const oldExponent = this.state.powersOfTen.currentExponent;
+    if (oldExponent === exponent) return;
+
     this.state.powersOfTen.currentExponent = exponent;
-    console.log(`[StateManager] Scale changed: 10^${oldExponent} → 10^${exponent}`);
+
+    // Continuous zoom calls this every frame - only log whole-level changes
+    if (Math.round(oldExponent) !== Math.round(exponent)) {
+      console.log(`[StateManager] Scale changed: 10^${Math.round(oldExponent)} → 10^${Math.round(exponent)}`);
+    }
+
     this.emit('scaleChanged', exponent);
   }
 
@@ -202,6 +527,60 @@ export class StateManager extends Phaser.Events.EventEmitter {
     return this.state.powersOfTen.currentExponent;
   }
 
+  /**
+   * Set current scale level
+   * @param {Object|null} level - Scale level entry from DataManager.getScaleLevel()
+   */
+  setCurrentLevel(level) {
+    if (this.state.powersOfTen.currentLevel === level) return;
+
+    this.state.powersOfTen.currentLevel = level;
+    console.log(`[StateManager] Scale level: ${level ? level.title : 'none'}`);
+    this.emit('scaleLevelChanged', level);
+  }
+
+  /**
+   * Get current scale level
+   * @returns {Object|null} Current scale level entry
+   */
+  getCurrentLevel() {
+    return this.state.powersOfTen.currentLevel;
+  }
+
+  /**
+   * Set current zoom velocity
+   * Updated every frame, so no event is emitted
+   * @param {number} velocity - Zoom velocity in exponents per second
+   */
+  setZoomVelocity(velocity) {
+    this.state.powersOfTen.zoomVelocity = velocity;
+  }
+
+  /**
+   * Get current zoom velocity
+   * @returns {number} Zoom velocity in exponents per second
+   */
+  getZoomVelocity() {
+    return this.state.powersOfTen.zoomVelocity;
+  }
+
+  /**
+   * Set objects visible at the current scale
+   * @param {Array<string>} objectIds - Visible object IDs
+   */
+  setVisibleObjects(objectIds) {
+    this.state.powersOfTen.visibleObjects = [...objectIds];
+    this.emit('visibleObjectsChanged', this.getVisibleObjects());
+  }
+
+  /**
+   * Get objects visible at the current scale
+   * @returns {Array<string>} Visible object IDs
+   */
+  getVisibleObjects() {
+    return [...this.state.powersOfTen.visibleObjects]; // Return copy
+  }
+
   // ========================================
   // UI State Methods
   // ========================================
@@ -215,6 +594,14 @@ export class StateManager extends Phaser.Events.EventEmitter {
     this.emit('infoPanelChanged', isOpen);
   }
 
+  /**
+   * Check if the info panel is open
+   * @returns {boolean} Panel open state
+   */
+  isInfoPanelOpen() {
+    return this.state.ui.infoPanelOpen;
+  }
+
   /**
    * Set selected object for info display
    * @param {string|null} objectId - Object ID or null
@@ -224,12 +611,155 @@ export class StateManager extends Phaser.Events.EventEmitter {
     this.emit('selectedInfoObjectChanged', objectId);
   }
 
+  /**
+   * Get object selected for info display
+   * @returns {string|null} Object ID or null
+   */
+  getSelectedInfoObject() {
+    return this.state.ui.selectedInfoObject;
+  }
+
+  /**
+   * Set how lengths and durations are written (user preference)
+   * @param {string} format - NUMBER_FORMATS value
+   */
+  setNumberFormat(format) {
+    if (!Object.values(NUMBER_FORMATS).includes(format)) {
+      throw new Error(`Unknown number format: ${format}`);
+    }
+
+    if (this.state.ui.numberFormat === format) return;
+
+    this.state.ui.numberFormat = format;
+    console.log(`[StateManager] Number format: ${format}`);
+    this.emit('numberFormatChanged', format);
+  }
+
+  /**
+   * Get how lengths and durations are written
+   * @returns {string} NUMBER_FORMATS value
+   */
+  getNumberFormat() {
+    return this.state.ui.numberFormat;
+  }
+
+  /**
+   * Set how the distance view maps meters to the screen (user preference)
+   * @param {string} mode - SCALE_MODES value
+   */
+  setDistanceScale(mode) {
+    if (!Object.values(SCALE_MODES).includes(mode)) {
+      throw new Error(`Unknown scale mode: ${mode}`);
+    }
+
+    if (this.state.ui.distanceScale === mode) return;
+
+    this.state.ui.distanceScale = mode;
+    console.log(`[StateManager] Distance scale: ${mode}`);
+    this.emit('distanceScaleChanged', mode);
+  }
+
+  /**
+   * Get how the distance view maps meters to the screen
+   * @returns {string} SCALE_MODES value
+   */
+  getDistanceScale() {
+    return this.state.ui.distanceScale;
+  }
+
+  /**
+   * Turn reduced motion on or off (user preference)
+   * @param {boolean} enabled - Replace animations with stepwise transitions
+   */
+  setReducedMotion(enabled) {
+    if (this.state.ui.reducedMotion === enabled) return;
+
+    this.state.ui.reducedMotion = enabled;
+    console.log(`[StateManager] Reduced motion: ${enabled}`);
+    this.emit('reducedMotionChanged', enabled);
+  }
+
+  /**
+   * Check whether animations should be replaced by stepwise transitions
+   * @returns {boolean} Reduced motion state
+   */
+  isReducedMotion() {
+    return this.state.ui.reducedMotion;
+  }
+
+  /**
+   * Follow the system's prefers-reduced-motion setting (at boot and
+   * whenever it changes)
+   * @param {Window} win - Browser window
+   */
+  watchSystemMotionPreference(win = window) {
+    const query = win.matchMedia?.(MOTION.MEDIA_QUERY);
+    if (!query) return;
+
+    this.systemMotionQuery = query;
+    this.setReducedMotion(query.matches);
+    query.addEventListener('change', event => this.setReducedMotion(event.matches));
+  }
+
+  /**
+   * Return the preferences to their defaults (reduced motion follows the
+   * system setting again), e.g. after "Reset all data"
+   */
+  resetPreferences() {
+    this.setNumberFormat(NUMBER_FORMATS.SCIENTIFIC);
+    this.setDistanceScale(SCALE_MODES.LINEAR);
+    this.setReducedMotion(this.systemMotionQuery?.matches ?? false);
+    this.setColorMode(COLOR_MODES.STANDARD);
+  }
+
+  /**
+   * Set how objects are colored (user preference)
+   * @param {string} colorMode - COLOR_MODES value
+   */
+  setColorMode(colorMode) {
+    if (!Object.values(COLOR_MODES).includes(colorMode)) {
+      throw new Error(`Unknown color mode: ${colorMode}`);
+    }
+
+    if (this.state.ui.colorMode === colorMode) return;
+
+    this.state.ui.colorMode = colorMode;
+    console.log(`[StateManager] Color mode: ${colorMode}`);
+    this.emit('colorModeChanged', colorMode);
+  }
+
+  /**
+   * Get how objects are colored
+   * @returns {string} COLOR_MODES value
+   */
+  getColorMode() {
+    return this.state.ui.colorMode;
+  }
+
+  /**
+   * Set help overlay visibility
+   * @param {boolean} visible - Help visible state
+   */
+  setHelpVisible(visible) {
+    if (this.state.ui.helpVisible === visible) return;
+
+    this.state.ui.helpVisible = visible;
+    this.emit('helpVisibilityChanged', visible);
+  }
+
+  /**
+   * Check if the help overlay is visible
+   * @returns {boolean} Help visible state
+   */
+  isHelpVisible() {
+    return this.state.ui.helpVisible;
+  }
+
   /**
    * Toggle help visibility
    */
   toggleHelp() {
-    this.state.ui.helpVisible = !this.state.ui.helpVisible;
-    this.emit('helpVisibilityChanged', this.state.ui.helpVisible);
+    this.setHelpVisible(!this.state.ui.helpVisible);
   }
 
   // ========================================
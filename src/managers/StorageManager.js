@@ -0,0 +1,400 @@
+/**
+ * StorageManager - Singleton for settings and progress kept between visits
+ *
+ * Everything is saved as one JSON entry in localStorage (STORAGE.KEY):
+ *
+ * {
+ *   "version": 1,
+ *   "preferences": {                 // null = never chosen, use the default
+ *     "numberFormat": "words",       // NUMBER_FORMATS value
+ *     "distanceScale": "hybrid",     // SCALE_MODES value
+ *     "reducedMotion": true,         // Overrides the system setting once chosen
+ *     "colorMode": "colorBlind",     // COLOR_MODES value
+ *     "locale": "es"                 // Interface language
+ *   },
+ *   "recentComparisons": [           // Newest first, at most STORAGE.MAX_RECENT
+ *     { "objectIds": ["earth", "mars"], "comparisonMode": "pair", "comparedAt": 1792368000000 }
+ *   ],
+ *   "progress": {
+ *     "walkthroughs": { "comparison": true }   // Help tours finished or skipped, by mode
+ *   }
+ * }
+ *
+ * Versions: an entry written by an older release is upgraded step by step
+ * through MIGRATIONS when it is loaded, then saved back. Version 0 is the
+ * data kept before this entry existed: only the walkthrough list, under
+ * STORAGE.LEGACY_WALKTHROUGH_KEY. An entry from a newer release is left
+ * untouched (defaults are used, nothing is saved) so switching back to
+ * that release loses nothing.
+ *
+ * Storage may be unavailable (privacy mode, blocked cookies, full quota)
+ * or hold corrupt JSON. Either way the app keeps working with the
+ * defaults and remembers changes until the page is closed; isAvailable()
+ * lets the menu say so.
+ *
+ * Boot order (BootScene): init() before LocaleManager (saved language),
+ * applyPreferences() after StateManager, watchChanges() after
+ * RouteManager so a link's display options last only for that visit.
+ */
+
+import { StateManager } from '@/managers/StateManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { STORAGE, NUMBER_FORMATS, SCALE_MODES, COLOR_MODES, COMPARISON_MODES } from '@/utils/Constants.js';
+
+/**
+ * @returns {Object} Current-version entry with nothing saved
+ */
+function createDefaults() {
+  return {
+    version: STORAGE.VERSION,
+    preferences: {
+      numberFormat: null,
+      distanceScale: null,
+      reducedMotion: null,
+      colorMode: null,
+      locale: null
+    },
+    recentComparisons: [],
+    progress: {
+      walkthroughs: {}
+    }
+  };
+}
+
+// Upgrades, keyed by the version they upgrade from
+const MIGRATIONS = {
+  // 0 → 1: walkthrough list from its own key into the versioned entry
+  0: data => ({
+    ...createDefaults(),
+    version: 1,
+    progress: { walkthroughs: data.walkthroughs }
+  })
+};
+
+export class StorageManager {
+  static instance = null;
+
+  static getInstance() {
+    if (!StorageManager.instance) {
+      StorageManager.instance = new StorageManager();
+    }
+    return StorageManager.instance;
+  }
+
+  constructor() {
+    if (StorageManager.instance) {
+      throw new Error('StorageManager already instantiated. Use getInstance()');
+    }
+
+    this.storage = null;        // window.localStorage, or null if unavailable
+    this.data = createDefaults();
+    this.readOnly = false;      // Entry from a newer release: never overwrite it
+    this.watching = false;
+  }
+
+  /**
+   * Load (and if needed migrate) the saved entry
+   * Called once during app boot, before LocaleManager.init()
+   *
+   * @param {Window} win - Browser window
+   */
+  init(win = window) {
+    this.storage = StorageManager.probe(win);
+
+    if (!this.storage) {
+      console.warn('[StorageManager] localStorage unavailable, settings last until the page is closed');
+      return;
+    }
+
+    this.data = this.load();
+    console.log(`[StorageManager] Initialized (version ${this.data.version}, ${this.data.recentComparisons.length} recent comparisons)`);
+  }
+
+  /**
+   * Check that localStorage can be written
+   *
+   * @param {Window} win - Browser window
+   * @returns {Storage|null} The storage, or null if access throws
+   */
+  static probe(win) {
+    try {
+      const storage = win.localStorage;
+      const key = `${STORAGE.KEY}.probe`;
+      storage.setItem(key, '1');
+      storage.removeItem(key);
+      return storage;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @returns {boolean} True if changes are saved between visits
+   */
+  isAvailable() {
+    return this.storage !== null && !this.readOnly;
+  }
+
+  // ========================================
+  // Loading and Saving
+  // ========================================
+
+  /**
+   * Read the entry, migrating older versions
+   * @returns {Object} Current-version data
+   */
+  load() {
+    let data;
+
+    try {
+      const raw = this.storage.getItem(STORAGE.KEY);
+      data = raw === null ? this.readVersionZero() : JSON.parse(raw);
+    } catch (error) {
+      console.warn('[StorageManager] Saved data is corrupt, starting over:', error);
+      return createDefaults();
+    }
+
+    if (data === null) return createDefaults();
+
+    const version = Number.isInteger(data?.version) ? data.version : 0;
+
+    if (version > STORAGE.VERSION) {
+      console.warn(`[StorageManager] Saved data is from a newer version (${version}), not saving changes`);
+      this.readOnly = true;
+      return createDefaults();
+    }
+
+    if (version === STORAGE.VERSION) {
+      return StorageManager.sanitize(data);
+    }
+
+    const migrated = StorageManager.sanitize(this.migrate({ ...data, version }));
+    this.save(migrated);
+    this.remove(STORAGE.LEGACY_WALKTHROUGH_KEY);
+    return migrated;
+  }
+
+  /**
+   * Data saved before the versioned entry existed
+   * @returns {Object|null} Version 0 data, or null if there is none
+   */
+  readVersionZero() {
+    const walkthroughs = this.storage.getItem(STORAGE.LEGACY_WALKTHROUGH_KEY);
+    if (walkthroughs === null) return null;
+
+    return { version: 0, walkthroughs: JSON.parse(walkthroughs) ?? {} };
+  }
+
+  /**
+   * Apply every migration from the data's version to STORAGE.VERSION
+   *
+   * A version no migration starts from (hand-edited, e.g. -1) is treated
+   * like corrupt data: the defaults replace it.
+   *
+   * @param {Object} data - Data with a numeric version
+   * @returns {Object} Current-version data
+   */
+  migrate(data) {
+    let migrated = data;
+
+    while (migrated.version < STORAGE.VERSION) {
+      const from = migrated.version;
+      if (!Object.hasOwn(MIGRATIONS, from)) {
+        console.warn(`[StorageManager] Saved data has an unknown version (${from}), starting over`);
+        return createDefaults();
+      }
+      migrated = MIGRATIONS[from](migrated);
+      console.log(`[StorageManager] Migrated saved data: version ${from} → ${migrated.version}`);
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Drop values this release does not understand (hand-edited or damaged
+   * entries must never reach StateManager, whose setters throw)
+   *
+   * @param {Object} data - Current-version data
+   * @returns {Object} Data with only valid values
+   */
+  static sanitize(data) {
+    const clean = createDefaults();
+    const preferences = data.preferences ?? {};
+
+    if (Object.values(NUMBER_FORMATS).includes(preferences.numberFormat)) {
+      clean.preferences.numberFormat = preferences.numberFormat;
+    }
+    if (Object.values(SCALE_MODES).includes(preferences.distanceScale)) {
+      clean.preferences.distanceScale = preferences.distanceScale;
+    }
+    if (typeof preferences.reducedMotion === 'boolean') {
+      clean.preferences.reducedMotion = preferences.reducedMotion;
+    }
+    if (Object.values(COLOR_MODES).includes(preferences.colorMode)) {
+      clean.preferences.colorMode = preferences.colorMode;
+    }
+    if (typeof preferences.locale === 'string') {
+      clean.preferences.locale = preferences.locale;
+    }
+
+    clean.recentComparisons = (Array.isArray(data.recentComparisons) ? data.recentComparisons : [])
+      .filter(entry => Array.isArray(entry?.objectIds) && entry.objectIds.every(id => typeof id === 'string'))
+      .filter(entry => Object.values(COMPARISON_MODES).includes(entry.comparisonMode))
+      .slice(0, STORAGE.MAX_RECENT);
+
+    Object.entries(data.progress?.walkthroughs ?? {}).forEach(([mode, done]) => {
+      if (done === true) clean.progress.walkthroughs[mode] = true;
+    });
+
+    return clean;
+  }
+
+  /**
+   * Write the entry (ignored when storage is unavailable)
+   * @param {Object} data - Data to save (defaults to the current data)
+   */
+  save(data = this.data) {
+    if (!this.storage || this.readOnly) return;
+
+    try {
+      this.storage.setItem(STORAGE.KEY, JSON.stringify(data));
+    } catch (error) {
+      console.warn('[StorageManager] Could not save:', error);
+    }
+  }
+
+  /**
+   * @param {string} key - localStorage key to delete
+   */
+  remove(key) {
+    try {
+      this.storage?.removeItem(key);
+    } catch (error) {
+      console.warn(`[StorageManager] Could not remove ${key}:`, error);
+    }
+  }
+
+  /**
+   * Erase everything saved ("Reset all data")
+   *
+   * Only the stored data is cleared; callers reset the running app
+   * (StateManager.resetPreferences(), the language).
+   */
+  clearAll() {
+    this.data = createDefaults();
+    this.remove(STORAGE.KEY);
+    this.remove(STORAGE.LEGACY_WALKTHROUGH_KEY);
+
+    console.log('[StorageManager] All saved data erased');
+  }
+
+  // ========================================
+  // Preferences
+  // ========================================
+
+  /**
+   * @param {string} name - 'numberFormat' | 'distanceScale' | 'reducedMotion' | 'colorMode' | 'locale'
+   * @returns {*} Saved value, or null if never chosen
+   */
+  getPreference(name) {
+    return this.data.preferences[name] ?? null;
+  }
+
+  /**
+   * @param {string} name - Preference name
+   * @param {*} value - New value
+   */
+  setPreference(name, value) {
+    if (this.data.preferences[name] === value) return;
+
+    this.data.preferences[name] = value;
+    this.save();
+  }
+
+  /**
+   * Apply the saved preferences to StateManager
+   * Called once during app boot, after StateManager.init()
+   */
+  applyPreferences() {
+    const stateManager = StateManager.getInstance();
+    const { numberFormat, distanceScale, reducedMotion, colorMode } = this.data.preferences;
+
+    if (numberFormat) stateManager.setNumberFormat(numberFormat);
+    if (distanceScale) stateManager.setDistanceScale(distanceScale);
+    if (reducedMotion !== null) stateManager.setReducedMotion(reducedMotion);
+    if (colorMode) stateManager.setColorMode(colorMode);
+  }
+
+  /**
+   * Save preferences and comparisons as they change from now on
+   * Called once during app boot, after RouteManager.init()
+   */
+  watchChanges() {
+    if (this.watching) return;
+    this.watching = true;
+
+    const stateManager = StateManager.getInstance();
+
+    stateManager.on('numberFormatChanged', format => this.setPreference('numberFormat', format));
+    stateManager.on('distanceScaleChanged', mode => this.setPreference('distanceScale', mode));
+    stateManager.on('reducedMotionChanged', enabled => this.setPreference('reducedMotion', enabled));
+    stateManager.on('colorModeChanged', colorMode => this.setPreference('colorMode', colorMode));
+    stateManager.on('selectionChanged', objectIds => this.addRecentComparison(objectIds, stateManager.getComparisonMode()));
+
+    LocaleManager.getInstance().on('localeChanged', locale => this.setPreference('locale', locale));
+  }
+
+  // ========================================
+  // Recent Comparisons
+  // ========================================
+
+  /**
+   * Remember a comparison (moving it to the front if it is already listed)
+   *
+   * @param {Array<string>} objectIds - Compared object IDs, in order
+   * @param {string} comparisonMode - COMPARISON_MODES value
+   */
+  addRecentComparison(objectIds, comparisonMode) {
+    if (objectIds.length < 2) return;
+
+    const key = objectIds.join(',');
+    const others = this.data.recentComparisons.filter(entry => entry.objectIds.join(',') !== key);
+
+    this.data.recentComparisons = [
+      { objectIds: [...objectIds], comparisonMode, comparedAt: Date.now() },
+      ...others
+    ].slice(0, STORAGE.MAX_RECENT);
+
+    this.save();
+  }
+
+  /**
+   * @returns {Array<Object>} [{objectIds, comparisonMode, comparedAt}], newest first
+   */
+  getRecentComparisons() {
+    return this.data.recentComparisons.map(entry => ({ ...entry, objectIds: [...entry.objectIds] }));
+  }
+
+  // ========================================
+  // Progress
+  // ========================================
+
+  /**
+   * @param {string} mode - App mode
+   * @returns {boolean} True if the mode's walkthrough was finished or skipped
+   */
+  isWalkthroughDone(mode) {
+    return this.data.progress.walkthroughs[mode] === true;
+  }
+
+  /**
+   * Remember that a mode's walkthrough was finished or skipped
+   * @param {string} mode - App mode
+   */
+  markWalkthroughDone(mode) {
+    if (this.isWalkthroughDone(mode)) return;
+
+    this.data.progress.walkthroughs[mode] = true;
+    this.save();
+  }
+}
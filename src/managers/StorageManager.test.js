@@ -0,0 +1,55 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { StorageManager } from './StorageManager.js';
+import { STORAGE } from '../utils/Constants.js';
+
+// Phaser needs a browser; the managers StorageManager imports only use its EventEmitter
+vi.mock('phaser', async () => {
+  const { EventEmitter } = await import('node:events');
+  return { default: { Events: { EventEmitter } } };
+});
+
+/**
+ * @param {Object} entries - Initial localStorage contents
+ * @returns {Object} Enough of a window for StorageManager.init()
+ */
+function createWindow(entries = {}) {
+  const items = new Map(Object.entries(entries));
+  return {
+    localStorage: {
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: key => items.delete(key)
+    }
+  };
+}
+
+describe('StorageManager.init', () => {
+  let storageManager;
+
+  beforeEach(() => {
+    StorageManager.instance = null;
+    storageManager = StorageManager.getInstance();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('migrates version 0 walkthroughs into the versioned entry', () => {
+    const win = createWindow({ [STORAGE.LEGACY_WALKTHROUGH_KEY]: '{"comparison":true}' });
+    storageManager.init(win);
+
+    expect(storageManager.data.version).toBe(STORAGE.VERSION);
+    expect(storageManager.data.progress.walkthroughs).toEqual({ comparison: true });
+    expect(win.localStorage.getItem(STORAGE.LEGACY_WALKTHROUGH_KEY)).toBeNull();
+  });
+
+  it('starts over when no migration exists for the saved version', () => {
+    const win = createWindow({
+      [STORAGE.KEY]: JSON.stringify({ version: -1, preferences: { numberFormat: 'words' } })
+    });
+
+    expect(() => storageManager.init(win)).not.toThrow();
+    expect(storageManager.data).toEqual(StorageManager.sanitize({}));
+    expect(console.warn).toHaveBeenCalledWith('[StorageManager] Saved data has an unknown version (-1), starting over');
+    expect(JSON.parse(win.localStorage.getItem(STORAGE.KEY)).version).toBe(STORAGE.VERSION);
+  });
+});
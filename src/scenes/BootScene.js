@@ -4,17 +4,38 @@
  * CRITICAL: This scene:
  * - Loads all JSON data files
  * - Initializes singleton managers
+ * - Restores saved settings and progress (StorageManager)
+ * - Loads interface language catalogs (?lang=, the saved or the browser language)
+ * - Loads custom object packs from the URL (?pack=, ?packs=)
+ * - Starts keyboard focus handling and the screen-reader live region
+ * - Follows the system's reduced-motion setting
+ * - Reads a deep link from the URL (RouteManager)
  * - Shows loading progress
- * - Transitions to MenuScene when ready
+ * - Transitions to MenuScene when ready, or straight to the linked mode
  *
- * Lifecycle: preload() → create() → MenuScene
+ * Lifecycle: preload() → create() → MenuScene (or a mode + UIOverlayScene)
  */
 
 import Phaser from 'phaser';
 import { DataManager } from '@/managers/DataManager.js';
 import { StateManager } from '@/managers/StateManager.js';
+import { PackManager } from '@/managers/PackManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { RouteManager } from '@/managers/RouteManager.js';
+import { StorageManager } from '@/managers/StorageManager.js';
+import { SchemaValidator, DataValidationError } from '@/utils/SchemaValidator.js';
 import { COLORS } from '@/utils/Constants.js';
 
+// Problems listed on screen; the full list is always in the console
+const MAX_LISTED_PROBLEMS = 18;
+
+// Scene a deep link opens, by mode
+const MODE_SCENES = {
+  comparison: 'CosmicComparisonScene',
+  powersOfTen: 'PowersOfTenScene'
+};
+
 export class BootScene extends Phaser.Scene {
   constructor() {
     super({ key: 'BootScene' });
@@ -96,13 +117,47 @@ export class BootScene extends Phaser.Scene {
       await DataManager.getInstance().init(this);
       console.log('[BootScene] DataManager initialized');
 
-      // Initialize StateManager
+      // Settings and progress from earlier visits (works without storage)
+      const storageManager = StorageManager.getInstance();
+      storageManager.init();
+      console.log('[BootScene] StorageManager initialized');
+
+      // Load message catalogs and pick the interface language
+      await LocaleManager.getInstance().init(this, window, { savedLocale: storageManager.getPreference('locale') });
+      console.log('[BootScene] LocaleManager initialized');
+
+      // Initialize StateManager (saved preferences override the system's)
       StateManager.getInstance().init();
+      StateManager.getInstance().watchSystemMotionPreference();
+      storageManager.applyPreferences();
       console.log('[BootScene] StateManager initialized');
 
+      // Load custom object packs named in the URL (failures are shown in MenuScene)
+      await PackManager.getInstance().init();
+      console.log('[BootScene] PackManager initialized');
+
+      // Keyboard navigation and screen-reader announcements
+      FocusManager.getInstance().init(this.game);
+      console.log('[BootScene] FocusManager initialized');
+
+      // Deep link (needs the objects from packs, applies display options)
+      const routeManager = RouteManager.getInstance();
+      routeManager.init();
+      const startMode = routeManager.getStartMode();
+      console.log('[BootScene] RouteManager initialized');
+
+      // Save changes from here on, so a link's display options aren't kept
+      storageManager.watchChanges();
+
       // Brief delay to show completion
       await this.delay(500);
 
+      if (startMode) {
+        console.log(`[BootScene] Initialization complete. Opening linked mode: ${startMode}`);
+        this.startLinkedMode(startMode);
+        return;
+      }
+
       console.log('[BootScene] Initialization complete. Transitioning to MenuScene...');
 
       // Transition to menu
@@ -110,10 +165,28 @@ export class BootScene extends Phaser.Scene {
 
     } catch (error) {
       console.error('[BootScene] Initialization failed:', error);
-      this.showError(error.message);
+
+      if (error instanceof DataValidationError) {
+        this.showValidationErrors(error.problems);
+      } else {
+        this.showError(error.message);
+      }
     }
   }
 
+  /**
+   * Open a mode directly, as MenuScene does when its button is pressed
+   * (the mode's scene takes the rest of the route from RouteManager)
+   *
+   * @param {string} mode - 'comparison' | 'powersOfTen'
+   */
+  startLinkedMode(mode) {
+    StateManager.getInstance().setMode(mode);
+
+    this.scene.start(MODE_SCENES[mode]);
+    this.scene.launch('UIOverlayScene');
+  }
+
   /**
    * Display error message
    * @param {string} message - Error message
@@ -137,6 +210,48 @@ export class BootScene extends Phaser.Scene {
     }).setOrigin(0.5);
   }
 
+  /**
+   * Display every data validation problem
+   *
+   * Replaces the loading screen with a list of problems (file, JSON path,
+   * message) so a broken data file can be fixed in one pass.
+   *
+   * @param {Array<Object>} problems - Problems from SchemaValidator
+   */
+  showValidationErrors(problems) {
+    const width = this.cameras.main.width;
+    const height = this.cameras.main.height;
+
+    // Clear title and loading text
+    this.children.removeAll(true);
+
+    this.add.text(width / 2, 40, `Data validation failed: ${problems.length} problem${problems.length === 1 ? '' : 's'}`, {
+      fontSize: '24px',
+      color: '#ff0000',
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+
+    const listed = problems.slice(0, MAX_LISTED_PROBLEMS).map(problem => `• ${SchemaValidator.formatProblem(problem)}`);
+    if (problems.length > MAX_LISTED_PROBLEMS) {
+      listed.push(`…and ${problems.length - MAX_LISTED_PROBLEMS} more (see the browser console)`);
+    }
+
+    this.add.text(50, 80, listed.join('\n'), {
+      fontSize: '14px',
+      color: COLORS.TEXT,
+      fontFamily: 'monospace',
+      lineSpacing: 6,
+      wordWrap: { width: width - 100 }
+    });
+
+    this.add.text(width / 2, height - 30, 'Fix the data files and refresh the page', {
+      fontSize: '16px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    }).setOrigin(0.5);
+  }
+
   /**
    * Utility delay function
    * @param {number} ms - Milliseconds to delay
@@ -1,24 +1,71 @@
 /**
  * CosmicComparisonScene - Orchestrates cosmic object comparison workflow
  *
- * CRITICAL: Implements state machine for comparison workflow:
+ * CRITICAL: Driven by the comparison state machine (ComparisonMachine):
  * OBJECT_SELECTION → SCALE_DISPLAY → DISTANCE_ANIMATION → LIGHT_TRAVEL → Reset
  *
+ * The scene only sends events (selection confirmed, Show Distance, an
+ * animation finished, a key); the machine decides the next phase and
+ * calls the phase methods below as its actions. Backspace goes back a
+ * phase, N skips ahead.
+ *
+ * Component animations run through AnimationManager: Space or P pauses
+ * and resumes all of them, and they are cancelled before a comparison is
+ * cleared, so no tween outlives the sprites it moves.
+ *
+ * Pair comparisons (2 objects) run every phase. Lineup comparisons
+ * (3+ objects) stop at SCALE_DISPLAY, since distance and light travel
+ * are defined between two objects. Light routes (2+ objects in order)
+ * go from SCALE_DISPLAY straight to LIGHT_TRAVEL: "Send Light" sends the
+ * light from stop to stop, using the DataManager distance of each leg.
+ *
  * Components used:
- * - ObjectSelector: Choose 2 objects
+ * - ObjectSelector: Choose 2 objects (pair), up to 10 (lineup) or the
+ *   stops of a route
  * - ScaleDisplay: Show relative sizes
  * - DistanceAnimator: Separate objects to show distance
- * - LightSpeedTraveler: Animate light traveling between objects
+ * - RouteDisplay: The stops of a route and its split times
+ * - LightSpeedTraveler: Animate light traveling between objects (and
+ *   along a route, leg by leg; 'arrival' at each stop)
+ * - LightPlaybackBar: Pause, scrub, change the speed of or skip the
+ *   light's trip (the timer keeps the real travel time)
+ * - DistanceExplorer: Pan and zoom along the true, linear distance
+ *   ("Explore to scale", offered once the objects have separated)
+ * - DateControl: Pick the date for date-dependent pairs (e.g. Earth–Mars)
+ * - InfoPanel: Details for any object clicked in the selector, the scale
+ *   display or a distance overlay ('infoRequested' → StateManager)
+ *
+ * Results (size ratio, distance, light travel time, date changes) are
+ * read aloud through FocusManager.announce().
+ *
+ * A deep link (RouteManager) can open the scene on a given comparison and
+ * phase; the selection is mirrored in StateManager so "Copy link" can
+ * write it back out and undo/redo (StateManager history) can step
+ * through it. A restored history entry ('historyRestored') replaces
+ * whatever comparison is on screen.
  */
 
 import Phaser from 'phaser';
 import { StateManager } from '@/managers/StateManager.js';
 import { DataManager } from '@/managers/DataManager.js';
+import { PackManager } from '@/managers/PackManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { AnimationManager } from '@/managers/AnimationManager.js';
+import { RouteManager } from '@/managers/RouteManager.js';
 import { ObjectSelector } from '@/components/comparison/ObjectSelector.js';
 import { ScaleDisplay } from '@/components/comparison/ScaleDisplay.js';
 import { DistanceAnimator } from '@/components/comparison/DistanceAnimator.js';
+import { RouteDisplay } from '@/components/comparison/RouteDisplay.js';
 import { LightSpeedTraveler } from '@/components/comparison/LightSpeedTraveler.js';
-import { COLORS } from '@/utils/Constants.js';
+import { LightPlaybackBar } from '@/components/comparison/LightPlaybackBar.js';
+import { DistanceExplorer } from '@/components/comparison/DistanceExplorer.js';
+import { DateControl } from '@/components/comparison/DateControl.js';
+import { InfoPanel } from '@/components/ui/InfoPanel.js';
+import { ComponentBase } from '@/components/ComponentBase.js';
+import { NumberFormatter } from '@/utils/NumberFormatter.js';
+import { createComparisonMachine, COMPARISON_EVENTS } from '@/utils/ComparisonMachine.js';
+import { COLORS, COMPARISON_MODES, COMPARISON_PHASES, OBJECT_LIBRARY } from '@/utils/Constants.js';
 
 export class CosmicComparisonScene extends Phaser.Scene {
   constructor() {
@@ -31,6 +78,10 @@ export class CosmicComparisonScene extends Phaser.Scene {
     // Get manager references
     this.stateManager = StateManager.getInstance();
     this.dataManager = DataManager.getInstance();
+    this.packManager = PackManager.getInstance();
+    this.locale = LocaleManager.getInstance();
+    this.focusManager = FocusManager.getInstance();
+    this.animationManager = AnimationManager.getInstance();
 
     // CRITICAL: Register cleanup on shutdown to prevent memory leaks
     this.events.on('shutdown', this.cleanup, this);
@@ -38,11 +89,17 @@ export class CosmicComparisonScene extends Phaser.Scene {
     // Initialize components
     this.initializeComponents();
 
+    // Comparison phases
+    this.comparison = this.createComparisonMachine();
+
     // Register event listeners
     this.registerEventListeners();
 
     // Start in object selection phase
-    this.enterObjectSelectionPhase();
+    this.comparison.start();
+
+    // Opened from a link: jump to its comparison
+    this.restoreRoute(RouteManager.getInstance().takeRoute('comparison'));
 
     console.log('[CosmicComparisonScene] Scene created successfully');
   }
@@ -52,102 +109,212 @@ export class CosmicComparisonScene extends Phaser.Scene {
    */
   initializeComponents() {
     // Object selector (shown at start)
-    this.objectSelector = new ObjectSelector(this, 150, 150);
+    this.objectSelector = this.createObjectSelector();
 
     // Scale display (hidden initially)
     this.scaleDisplay = new ScaleDisplay(this);
     this.scaleDisplay.hide();
 
-    // Distance animator and light traveler will be created on-demand
+    // Object details (opens when an object is clicked)
+    this.infoPanel = new InfoPanel(this);
+
+    // Distance animator, route display, light traveler (and its playback bar), date control and explorer will be created on-demand
     this.distanceAnimator = null;
+    this.routeDisplay = null;
     this.lightTraveler = null;
+    this.playbackBar = null;
+    this.dateControl = null;
+    this.explorer = null;
 
-    // Track selected object IDs
+    // Track selected object IDs and the distance used for the current pair
     this.selectedIds = null;
+    this.distanceData = null;
   }
 
   /**
    * Register event listeners for components
    */
   registerEventListeners() {
-    // Listen for object selection completion
-    this.objectSelector.on('selectionComplete', this.onSelectionComplete, this);
+    // Listen for object selection (and its completion)
+    this.bindObjectSelector();
+    this.scaleDisplay.on('infoRequested', this.onInfoRequested, this);
+
+    // Undo, redo and the history drawer
+    this.stateManager.on('historyRestored', this.onHistoryRestored, this);
+
+    // Packs can be dropped onto the page at any time
+    this.packManager.on('packsChanged', this.onPacksChanged, this);
+
+    // Number format can be switched from the overlay at any time
+    this.stateManager.on('numberFormatChanged', this.onNumberFormatChanged, this);
+
+    // Backspace goes back a phase, N skips ahead
+    this.input.keyboard?.on('keydown', this.onPhaseKey, this);
 
     console.log('[CosmicComparisonScene] Event listeners registered');
   }
 
+  /**
+   * Create the comparison state machine, with the phase methods as its
+   * actions
+   * @returns {StateMachine} Machine (not started)
+   */
+  createComparisonMachine() {
+    return createComparisonMachine({
+      enterSelection: () => this.enterObjectSelectionPhase(),
+      enterScaleDisplay: context => this.enterScaleDisplayPhase(context.objectIds),
+      exitScaleDisplay: () => this.exitScaleDisplayPhase(),
+      enterDistanceAnimation: (context, event) => this.enterDistanceAnimationPhase(context.distanceData, {
+        immediate: event.type === COMPARISON_EVENTS.SKIP
+      }),
+      finishSeparation: () => this.distanceAnimator.finish(),
+      enterLightTravel: context => this.enterLightTravelPhase(context.legs),
+      finishLightTravel: () => this.lightTraveler.finish(),
+      completeLightTravel: () => this.completeLightTravelPhase()
+    });
+  }
+
+  /**
+   * Listen to the object selector
+   */
+  bindObjectSelector() {
+    this.objectSelector.on('objectSelected', this.onObjectSelected, this);
+    this.objectSelector.on('objectDeselected', this.onObjectDeselected, this);
+    this.objectSelector.on('selectionCleared', this.onSelectionCleared, this);
+    this.objectSelector.on('selectionComplete', this.onSelectionComplete, this);
+    this.objectSelector.on('modeChanged', this.onComparisonModeChanged, this);
+    this.objectSelector.on('infoRequested', this.onInfoRequested, this);
+  }
+
+  /**
+   * Stop listening to the object selector (before it is destroyed)
+   */
+  unbindObjectSelector() {
+    this.objectSelector.off('objectSelected', this.onObjectSelected, this);
+    this.objectSelector.off('objectDeselected', this.onObjectDeselected, this);
+    this.objectSelector.off('selectionCleared', this.onSelectionCleared, this);
+    this.objectSelector.off('selectionComplete', this.onSelectionComplete, this);
+    this.objectSelector.off('modeChanged', this.onComparisonModeChanged, this);
+    this.objectSelector.off('infoRequested', this.onInfoRequested, this);
+  }
+
   // ========================================
   // State Machine: Phase Methods
   // ========================================
 
   /**
    * Phase 1: Object Selection
-   * User selects 2 objects from library
+   * User selects 2 objects from library (the selector keeps its
+   * selection, so going back leaves it as it was)
    */
   enterObjectSelectionPhase() {
     console.log('[CosmicComparisonScene] Entering OBJECT_SELECTION phase');
 
-    this.stateManager.setComparisonPhase('selection');
+    // Remove the previous comparison, if any
+    this.clearComparison();
+
+    this.stateManager.setComparisonPhase(COMPARISON_PHASES.SELECTION);
 
     // Show object selector
     this.objectSelector.show();
-
-    // Hide other components
-    this.scaleDisplay.hide();
-
-    // Clean up previous distance animator and light traveler if they exist
-    if (this.distanceAnimator) {
-      this.distanceAnimator.destroy();
-      this.distanceAnimator = null;
-    }
-    if (this.lightTraveler) {
-      this.lightTraveler.destroy();
-      this.lightTraveler = null;
-    }
   }
 
   /**
    * Phase 2: Scale Display
-   * Show objects at accurate relative scale
+   * Show objects at accurate relative scale (also when coming back from
+   * the distance or the light travel)
+   *
+   * @param {Array<string>} objectIds - Compared object IDs
    */
-  enterScaleDisplayPhase() {
+  enterScaleDisplayPhase(objectIds) {
     console.log('[CosmicComparisonScene] Entering SCALE_DISPLAY phase');
 
-    this.stateManager.setComparisonPhase('scaleDisplay');
+    this.clearComparison();
+    this.selectedIds = objectIds;
+
+    this.stateManager.setComparisonPhase(COMPARISON_PHASES.SCALE_DISPLAY);
 
     // Hide object selector
     this.objectSelector.hide();
 
-    // Display objects at relative scale
     this.scaleDisplay.show();
+
+    // Routes: sizes in travel order, then straight to the light
+    if (this.isRoute()) {
+      this.scaleDisplay.displayLineup(this.selectedIds, { route: true });
+      this.focusManager.announce(this.scaleDisplay.getSummary());
+
+      // Create "Send Light" button
+      this.createDistanceButton();
+
+      if (this.dataManager.isRouteTimeDependent(this.selectedIds)) {
+        this.createDateControl();
+      }
+      return;
+    }
+
+    // Lineups end here: distance and light travel need exactly two objects
+    if (this.isLineup()) {
+      this.scaleDisplay.displayLineup(this.selectedIds);
+      this.focusManager.announce(this.scaleDisplay.getSummary());
+      this.createNewComparisonButton(50);  // Below the staggered lineup labels
+      return;
+    }
+
+    // Display objects at relative scale
     this.scaleDisplay.displayObjects(this.selectedIds[0], this.selectedIds[1]);
+    this.focusManager.announce(this.scaleDisplay.getSummary());
 
     // Create "Show Distance" button
     this.createDistanceButton();
+
+    // Planet pairs: let the student pick the date of the comparison
+    if (this.dataManager.isDistanceTimeDependent(this.selectedIds[0], this.selectedIds[1])) {
+      this.createDateControl();
+    }
+  }
+
+  /**
+   * Leave the scale display: its buttons and date control go, the sizes
+   * stay for the distance animation (a route replaces them on entering
+   * the light travel)
+   */
+  exitScaleDisplayPhase() {
+    this.destroyDistanceButton();
+    this.destroyDateControl();
+  }
+
+  /**
+   * Check whether the current selection is a lineup (3+ objects)
+   * @returns {boolean} True for lineup comparisons
+   */
+  isLineup() {
+    return this.selectedIds !== null && this.selectedIds.length > 2 && !this.isRoute();
+  }
+
+  /**
+   * Check whether the current selection is a light route
+   * @returns {boolean} True for route comparisons
+   */
+  isRoute() {
+    return this.selectedIds !== null && this.stateManager.getComparisonMode() === COMPARISON_MODES.ROUTE;
   }
 
   /**
    * Phase 3: Distance Animation
    * Animate objects separating to show real distance
+   *
+   * @param {Object} distanceData - Distance from requestDistance()
+   * @param {Object} options - {immediate: skip the separation animation}
    */
-  enterDistanceAnimationPhase() {
+  enterDistanceAnimationPhase(distanceData, { immediate = false } = {}) {
     console.log('[CosmicComparisonScene] Entering DISTANCE_ANIMATION phase');
 
-    this.stateManager.setComparisonPhase('distanceAnimation');
+    this.stateManager.setComparisonPhase(COMPARISON_PHASES.DISTANCE_ANIMATION);
 
-    // Get distance data
-    const distanceData = this.dataManager.getDistance(
-      this.selectedIds[0],
-      this.selectedIds[1]
-    );
+    this.distanceData = distanceData;
 
-    if (!distanceData) {
-      console.warn('[CosmicComparisonScene] No distance data found for these objects');
-      this.showNoDistanceMessage();
-      return;
-    }
-
-    console.log(`[CosmicComparisonScene] Distance: ${distanceData.distance} ${distanceData.unit}`);
+    console.log(`[CosmicComparisonScene] Distance: ${distanceData.distance} ${distanceData.unit}${distanceData.derived ? ' (derived)' : ''}`);
 
     // Get object sprites from scale display
     const sprites = this.scaleDisplay.getSprites();
@@ -155,6 +322,7 @@ export class CosmicComparisonScene extends Phaser.Scene {
     // Create distance animator
     this.distanceAnimator = new DistanceAnimator(this);
     this.distanceAnimator.on('separationComplete', this.onDistanceComplete, this);
+    this.distanceAnimator.on('infoRequested', this.onInfoRequested, this);
 
     // Animate separation with proportional sizing
     // Pass object data for size calculation and overlay creation
@@ -163,56 +331,244 @@ export class CosmicComparisonScene extends Phaser.Scene {
       sprites.obj2Sprite,
       distanceData.distance,
       this.scaleDisplay.obj1Data,  // Object 1 data (diameter, color, name)
-      this.scaleDisplay.obj2Data   // Object 2 data (diameter, color, name)
+      this.scaleDisplay.obj2Data,  // Object 2 data (diameter, color, name)
+      distanceData,                // Labels derived (estimated) distances
+      { immediate }
     );
   }
 
   /**
    * Phase 4: Light Travel
    * Animate light traveling between objects with timer
+   *
+   * @param {Array<Object>|null} legs - Distance data per leg for a route
+   *   (requestRoute()), null for a pair
    */
-  enterLightTravelPhase() {
+  enterLightTravelPhase(legs = null) {
     console.log('[CosmicComparisonScene] Entering LIGHT_TRAVEL phase');
 
-    this.stateManager.setComparisonPhase('lightTravel');
+    this.stateManager.setComparisonPhase(COMPARISON_PHASES.LIGHT_TRAVEL);
 
-    // Get distance data
-    const distanceData = this.dataManager.getDistance(
-      this.selectedIds[0],
-      this.selectedIds[1]
-    );
+    if (legs) {
+      this.startRouteTravel(legs);
+      return;
+    }
 
-    // Get object sprite positions
-    const sprites = this.scaleDisplay.getSprites();
+    // Same distance the separation animation used
+    const distanceData = this.distanceData;
 
-    const startPoint = {
-      x: sprites.obj1Sprite.x,
-      y: sprites.obj1Sprite.y
-    };
+    // Create light speed traveler; it follows the distance axis, also
+    // when the scale mode changes on the way
+    this.lightTraveler = new LightSpeedTraveler(this, [{
+      distance: distanceData.distance,
+      path: progress => this.distanceAnimator.getPointAt(progress),
+      from: this.selectedIds[0],
+      to: this.selectedIds[1]
+    }]);
 
-    const endPoint = {
-      x: sprites.obj2Sprite.x,
-      y: sprites.obj2Sprite.y
-    };
+    this.lightTraveler.on('travelComplete', this.onLightTravelComplete, this);
+    this.distanceAnimator.on('axisChanged', this.onAxisChanged, this);
 
-    // Create light speed traveler
-    this.lightTraveler = new LightSpeedTraveler(
-      this,
-      startPoint,
-      endPoint,
-      distanceData.distance
-    );
+    // Start animation
+    this.lightTraveler.animate();
+    this.playbackBar = new LightPlaybackBar(this, this.lightTraveler);
 
+    // The separated pair can now be explored at its true scale
+    this.createExploreButton();
+  }
+
+  /**
+   * Light travel along a route: the sizes make way for the route diagram
+   * and the light crosses it leg by leg
+   *
+   * @param {Array<Object>} legs - Distance data per leg (requestRoute())
+   */
+  startRouteTravel(legs) {
+    const stops = this.selectedIds.map(id => this.dataManager.getObjectById(id));
+
+    this.scaleDisplay.hide();
+
+    this.routeDisplay = new RouteDisplay(this, stops, legs);
+    this.routeDisplay.on('infoRequested', this.onInfoRequested, this);
+    this.focusManager.announce(this.routeDisplay.getSummary());
+
+    this.lightTraveler = new LightSpeedTraveler(this, legs.map((leg, index) => ({
+      distance: leg.distance,
+      path: progress => this.routeDisplay.getPointAt(index, progress),
+      from: this.selectedIds[index],
+      to: this.selectedIds[index + 1]
+    })));
+
+    this.lightTraveler.on('arrival', this.onLightArrival, this);
     this.lightTraveler.on('travelComplete', this.onLightTravelComplete, this);
 
-    // Start animation
     this.lightTraveler.animate();
+    this.playbackBar = new LightPlaybackBar(this, this.lightTraveler);
+  }
+
+  /**
+   * End of the comparison: the light has arrived
+   */
+  completeLightTravelPhase() {
+    if (this.routeDisplay) {
+      this.focusManager.announce(this.locale.t('a11y.routeTravel', {
+        time: NumberFormatter.formatTime(this.lightTraveler.travelTime, this.stateManager.getNumberFormat()),
+        from: this.routeDisplay.getName(0),
+        to: this.routeDisplay.getName(this.selectedIds.length - 1),
+        count: this.selectedIds.length
+      }));
+      this.createNewComparisonButton();
+      return;
+    }
+
+    this.focusManager.announce(this.locale.t('a11y.lightTravel', {
+      time: NumberFormatter.formatTime(this.distanceData.lightTravelTime, this.stateManager.getNumberFormat()),
+      from: this.locale.localize(this.scaleDisplay.obj1Data, 'name'),
+      to: this.locale.localize(this.scaleDisplay.obj2Data, 'name')
+    }));
+
+    // Show "New Comparison" button
+    this.createNewComparisonButton();
+  }
+
+  /**
+   * Ask for the distance between the pair on the comparison date
+   * ("Show Distance", N, a link); pairs without one get a message and
+   * stay on the sizes
+   *
+   * @param {string} type - COMPARISON_EVENTS.SHOW_DISTANCE, or SKIP to
+   *   leave out the separation animation
+   */
+  requestDistance(type = COMPARISON_EVENTS.SHOW_DISTANCE) {
+    // Get distance data (date-specific for orbiting pairs)
+    const distanceData = this.dataManager.getDistanceOnDate(
+      this.selectedIds[0],
+      this.selectedIds[1],
+      this.stateManager.getComparisonDate()
+    );
+
+    if (!distanceData) {
+      console.warn('[CosmicComparisonScene] No distance data found for these objects');
+      this.exitScaleDisplayPhase();
+      this.showNoDistanceMessage();
+      return;
+    }
+
+    this.comparison.send(type, { distanceData });
+  }
+
+  /**
+   * Ask for the distance of every leg of a route on the comparison date
+   * ("Send Light", N, a link); a route with an unknown leg gets a message
+   * naming it and stays on the sizes
+   *
+   * @param {string} type - COMPARISON_EVENTS.SEND_LIGHT or SKIP
+   */
+  requestRoute(type = COMPARISON_EVENTS.SEND_LIGHT) {
+    const legs = this.dataManager.getRouteOnDate(this.selectedIds, this.stateManager.getComparisonDate());
+    const missing = legs.findIndex(leg => !leg);
+
+    if (missing !== -1) {
+      const [fromId, toId] = this.selectedIds.slice(missing, missing + 2);
+      console.warn(`[CosmicComparisonScene] No distance data found for the leg ${fromId} → ${toId}`);
+      this.exitScaleDisplayPhase();
+      this.showNoDistanceMessage(this.locale.t('comparison.noRouteDistance', {
+        from: this.locale.localize(this.dataManager.getObjectById(fromId), 'name'),
+        to: this.locale.localize(this.dataManager.getObjectById(toId), 'name')
+      }));
+      return;
+    }
+
+    this.comparison.send(type, { legs });
+  }
+
+  /**
+   * Backspace goes back a phase, N skips ahead, Space or P pauses all
+   * animations (not while typing, with help open or with a modifier held;
+   * Space is left to the focused control, if any)
+   *
+   * @param {KeyboardEvent} event - DOM keyboard event
+   */
+  onPhaseKey(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (this.stateManager.isHelpVisible()) return;
+    if (document.activeElement?.tagName === 'INPUT') return;
+
+    if (event.key === 'Backspace') {
+      event.preventDefault();
+      if (this.comparison.can(COMPARISON_EVENTS.BACK)) {
+        this.comparison.send(COMPARISON_EVENTS.BACK);
+      }
+    } else if (event.key.toLowerCase() === 'n') {
+      // From the sizes, skipping needs the distance (or the route's legs) first
+      if (this.comparison.matches(COMPARISON_PHASES.SCALE_DISPLAY) && this.distanceButton) {
+        if (this.isRoute()) {
+          this.requestRoute(COMPARISON_EVENTS.SKIP);
+        } else {
+          this.requestDistance(COMPARISON_EVENTS.SKIP);
+        }
+      } else if (this.comparison.can(COMPARISON_EVENTS.SKIP)) {
+        this.comparison.send(COMPARISON_EVENTS.SKIP);
+      }
+    } else if (event.key.toLowerCase() === 'p' || (event.key === ' ' && !this.focusManager.hasFocus())) {
+      event.preventDefault();
+      this.togglePauseAll();
+    }
+  }
+
+  /**
+   * Pause every running animation, or resume them (AnimationManager keeps
+   * StateManager's isPaused() in step)
+   */
+  togglePauseAll() {
+    if (this.animationManager.isPaused()) {
+      this.animationManager.resumeAll();
+      this.focusManager.announce(this.locale.t('a11y.animationsResumed'));
+    } else if (this.animationManager.isAnimating()) {
+      this.animationManager.pauseAll();
+      this.focusManager.announce(this.locale.t('a11y.animationsPaused'));
+    }
+  }
+
+  /**
+   * Cancel every running animation and lift a global pause, before the
+   * sprites they move are destroyed
+   */
+  stopAnimations() {
+    this.animationManager.cancelAll();
+    this.animationManager.resumeAll();
   }
 
   // ========================================
   // Event Handlers
   // ========================================
 
+  /**
+   * Mirror a selector click into StateManager (recorded in the history)
+   * @param {string} objectId - Selected object ID
+   */
+  onObjectSelected(objectId) {
+    if (this.stateManager.isRestoringHistory()) return;
+    this.stateManager.selectObject(objectId);
+  }
+
+  /**
+   * Mirror a deselection (lineup mode) into StateManager
+   * @param {string} objectId - Deselected object ID
+   */
+  onObjectDeselected(objectId) {
+    if (this.stateManager.isRestoringHistory()) return;
+    this.stateManager.deselectObject(objectId);
+  }
+
+  /**
+   * Mirror a cleared selector into StateManager
+   */
+  onSelectionCleared() {
+    if (this.stateManager.isRestoringHistory()) return;
+    this.stateManager.clearSelection();
+  }
+
   /**
    * Handle object selection completion
    * @param {Array<string>} selectedIds - Array of selected object IDs
@@ -220,10 +576,166 @@ export class CosmicComparisonScene extends Phaser.Scene {
   onSelectionComplete(selectedIds) {
     console.log('[CosmicComparisonScene] Selection complete:', selectedIds);
 
-    this.selectedIds = selectedIds;
+    this.stateManager.setSelectedObjects(selectedIds);
 
     // Transition to scale display phase
-    this.enterScaleDisplayPhase();
+    this.comparison.send(COMPARISON_EVENTS.SELECT, { objectIds: selectedIds });
+  }
+
+  /**
+   * Jump to the comparison a deep link describes
+   *
+   * The route is already validated (RouteManager.parse()); a link without
+   * a full selection only sets the comparison mode and date.
+   *
+   * @param {Object|null} route - Route from RouteManager.takeRoute()
+   */
+  restoreRoute(route) {
+    if (!route) return;
+
+    // The selector reports the change back through onComparisonModeChanged()
+    this.objectSelector.setMode(route.comparisonMode);
+
+    if (route.date) {
+      this.stateManager.setComparisonDate(route.date);
+    }
+
+    if (route.objectIds.length === 0) return;
+
+    console.log(`[CosmicComparisonScene] Opening linked comparison: ${route.objectIds.join(', ')} (${route.phase})`);
+
+    this.onSelectionComplete(route.objectIds);
+
+    // Light travel links skip the separation animation (routes have none)
+    if (route.phase === COMPARISON_PHASES.DISTANCE_ANIMATION) {
+      this.requestDistance(COMPARISON_EVENTS.SHOW_DISTANCE);
+    } else if (route.phase === COMPARISON_PHASES.LIGHT_TRAVEL) {
+      if (this.isRoute()) {
+        this.requestRoute(COMPARISON_EVENTS.SEND_LIGHT);
+      } else {
+        this.requestDistance(COMPARISON_EVENTS.SKIP);
+      }
+    }
+  }
+
+  /**
+   * Show a history entry (undo, redo or the history drawer)
+   *
+   * Objects unloaded since the entry was recorded are left out; a
+   * comparison that no longer has two objects reopens as a selection.
+   *
+   * @param {Object} snapshot - {comparisonMode, objectIds, compared, date}
+   */
+  onHistoryRestored(snapshot) {
+    const objectIds = snapshot.objectIds.filter(id => this.dataManager.getObjectById(id));
+
+    console.log(`[CosmicComparisonScene] Restoring history: ${objectIds.join(', ') || 'empty selection'}${snapshot.compared ? ' (compared)' : ''}`);
+
+    // The selector reports the change back through onComparisonModeChanged()
+    this.objectSelector.setMode(snapshot.comparisonMode);
+    this.objectSelector.setSelection(objectIds);
+
+    this.comparison.send(COMPARISON_EVENTS.RESET);
+
+    if (snapshot.compared && objectIds.length >= 2) {
+      this.onSelectionComplete(objectIds);
+    }
+  }
+
+  /**
+   * Handle comparison mode change in the selector
+   * @param {string} mode - 'pair' | 'lineup' | 'route'
+   */
+  onComparisonModeChanged(mode) {
+    console.log(`[CosmicComparisonScene] Comparison mode: ${mode}`);
+    this.stateManager.setComparisonMode(mode);
+  }
+
+  /**
+   * Open the info panel for a clicked object
+   * @param {string} objectId - Object ID
+   */
+  onInfoRequested(objectId) {
+    console.log(`[CosmicComparisonScene] Info requested: ${objectId}`);
+    this.stateManager.setSelectedInfoObject(objectId);
+    this.stateManager.setInfoPanelOpen(true);
+  }
+
+  /**
+   * Handle object packs being loaded or unloaded
+   *
+   * A comparison that uses an unloaded object is reset; the selector is
+   * rebuilt so new pack objects appear and the info panel relists
+   * distances (or closes if its object is gone).
+   */
+  onPacksChanged() {
+    const selectionRemoved = this.selectedIds?.some(id => !this.dataManager.getObjectById(id));
+    if (selectionRemoved) {
+      console.log('[CosmicComparisonScene] Selected object was unloaded, resetting');
+      this.reset();
+    }
+
+    if (this.stateManager.getComparisonPhase() === COMPARISON_PHASES.SELECTION) {
+      this.refreshObjectSelector();
+    }
+
+    this.infoPanel.refresh();
+  }
+
+  /**
+   * Recreate the object selector with the current object list
+   * (keeping its search, category and sort)
+   */
+  refreshObjectSelector() {
+    const view = this.objectSelector.getViewState();
+
+    this.unbindObjectSelector();
+    this.objectSelector.destroy();
+
+    this.objectSelector = this.createObjectSelector();
+    this.bindObjectSelector();
+    this.objectSelector.setMode(this.stateManager.getComparisonMode());
+    this.objectSelector.setViewState(view);
+  }
+
+  /**
+   * Create the object selector with its card grid at the reading-side
+   * edge of the screen
+   * @returns {ObjectSelector} New selector
+   */
+  createObjectSelector() {
+    const gridCenterX = 40 + (OBJECT_LIBRARY.COLUMNS * (OBJECT_LIBRARY.CARD_WIDTH + OBJECT_LIBRARY.GAP) - OBJECT_LIBRARY.GAP) / 2;
+    return new ObjectSelector(this, this.locale.mirrorX(gridCenterX, this.cameras.main.width), 90);
+  }
+
+  /**
+   * Handle date change in the date control
+   * @param {Date} date - New comparison date
+   */
+  onComparisonDateChanged(date) {
+    this.stateManager.setComparisonDate(date);
+    this.updateDateReadout();
+    this.focusManager.announce(this.dateControl.getSummary());
+  }
+
+  /**
+   * Jump to the next closest approach or farthest separation (of a
+   * route's first date-dependent leg)
+   * @param {boolean} findMinimum - True for closest, false for farthest
+   */
+  onExtremeDateRequested(findMinimum) {
+    const [fromId, toId] = this.getDatedPair();
+    const date = this.dataManager.findExtremeDistanceDate(
+      fromId,
+      toId,
+      this.dateControl.getDate(),
+      findMinimum
+    );
+
+    if (date) {
+      this.dateControl.setDate(date);
+      this.onComparisonDateChanged(date);
+    }
   }
 
   /**
@@ -232,8 +744,30 @@ export class CosmicComparisonScene extends Phaser.Scene {
   onDistanceComplete() {
     console.log('[CosmicComparisonScene] Distance animation complete');
 
+    this.focusManager.announce(this.distanceAnimator.getSummary());
+
     // Transition to light travel phase
-    this.enterLightTravelPhase();
+    this.comparison.send(COMPARISON_EVENTS.SEPARATION_COMPLETE);
+  }
+
+  /**
+   * The light reached a stop of the route: fill in its split time
+   *
+   * @param {Object} arrival - {leg, from, to, legTime, elapsedTime}
+   */
+  onLightArrival(arrival) {
+    if (!this.routeDisplay) return;
+
+    console.log(`[CosmicComparisonScene] Light reached ${arrival.to} (leg ${arrival.leg + 1})`);
+
+    this.routeDisplay.markArrival(arrival);
+
+    const format = this.stateManager.getNumberFormat();
+    this.focusManager.announce(this.locale.t('a11y.lightArrival', {
+      name: this.routeDisplay.getName(arrival.leg + 1),
+      time: NumberFormatter.formatTime(arrival.legTime, format),
+      total: NumberFormatter.formatTime(arrival.elapsedTime, format)
+    }));
   }
 
   /**
@@ -242,8 +776,7 @@ export class CosmicComparisonScene extends Phaser.Scene {
   onLightTravelComplete() {
     console.log('[CosmicComparisonScene] Light travel complete');
 
-    // Show "New Comparison" button
-    this.createNewComparisonButton();
+    this.comparison.send(COMPARISON_EVENTS.TRAVEL_COMPLETE);
   }
 
   // ========================================
@@ -251,9 +784,10 @@ export class CosmicComparisonScene extends Phaser.Scene {
   // ========================================
 
   /**
-   * Create "Show Distance" button
+   * Create "Show Distance" button ("Send Light" for a route)
    */
   createDistanceButton() {
+    const isRoute = this.isRoute();
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
 
@@ -269,12 +803,12 @@ export class CosmicComparisonScene extends Phaser.Scene {
     ).setInteractive();
 
     // Button text
-    const buttonText = this.add.text(width / 2, buttonY, 'Show Distance', {
+    const buttonText = this.add.text(width / 2, buttonY, this.locale.t(isRoute ? 'comparison.sendLight' : 'comparison.showDistance'), this.locale.textStyle({
       fontSize: '20px',
       color: COLORS.TEXT,
       fontFamily: 'Arial',
       fontStyle: 'bold'
-    }).setOrigin(0.5);
+    })).setOrigin(0.5);
 
     // Hover effects
     button.on('pointerover', () => {
@@ -287,29 +821,229 @@ export class CosmicComparisonScene extends Phaser.Scene {
       buttonText.setScale(1);
     });
 
-    // Click handler
-    button.on('pointerdown', () => {
-      // Destroy button
-      button.destroy();
-      buttonText.destroy();
+    this.focusManager.register(button, { label: buttonText.text });
 
-      // Enter distance animation phase
-      this.enterDistanceAnimationPhase();
-    });
+    // Click handler: enter distance animation phase (a route's light travel)
+    button.on('pointerdown', () => (isRoute ? this.requestRoute() : this.requestDistance()));
 
     // Store references for potential cleanup
     this.distanceButton = button;
     this.distanceButtonText = buttonText;
   }
 
+  /**
+   * Create "Explore to scale" button (opens the DistanceExplorer)
+   */
+  createExploreButton() {
+    const width = this.cameras.main.width;
+    const buttonX = this.locale.mirrorX(140, width);
+    const buttonY = this.cameras.main.height - 80;
+    const color = parseInt(COLORS.SECONDARY.replace('#', '0x'));
+
+    const button = this.add.rectangle(buttonX, buttonY, 200, 44, color).setInteractive();
+
+    const buttonText = this.add.text(buttonX, buttonY, this.locale.t('explorer.open'), this.locale.textStyle({
+      fontSize: '18px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    button.on('pointerover', () => button.setFillStyle(parseInt(COLORS.PRIMARY.replace('#', '0x')), 1));
+    button.on('pointerout', () => button.setFillStyle(color, 1));
+
+    this.focusManager.register(button, { label: buttonText.text });
+
+    button.on('pointerdown', () => this.openExplorer());
+
+    this.exploreButton = button;
+    this.exploreButtonText = buttonText;
+  }
+
+  /**
+   * Remove the "Explore to scale" button
+   */
+  destroyExploreButton() {
+    this.exploreButton?.destroy();
+    this.exploreButtonText?.destroy();
+    this.exploreButton = null;
+    this.exploreButtonText = null;
+  }
+
+  /**
+   * Open the to-scale view of the current pair
+   */
+  openExplorer() {
+    if (this.explorer) return;
+
+    this.explorer = new DistanceExplorer(
+      this,
+      this.scaleDisplay.obj1Data,
+      this.scaleDisplay.obj2Data,
+      this.distanceData.distance
+    );
+    this.explorer.on('closeRequested', this.closeExplorer, this);
+
+    this.focusManager.announce(this.explorer.getSummary());
+  }
+
+  /**
+   * Close the to-scale view (back to the distance animation)
+   */
+  closeExplorer() {
+    if (this.explorer) {
+      this.explorer.off('closeRequested', this.closeExplorer, this);
+      this.explorer.destroy();
+      this.explorer = null;
+    }
+  }
+
+  /**
+   * Remove the "Show Distance" / "Send Light" button
+   */
+  destroyDistanceButton() {
+    this.distanceButton?.destroy();
+    this.distanceButtonText?.destroy();
+    this.distanceButton = null;
+    this.distanceButtonText = null;
+  }
+
+  /**
+   * Keep the light pulse on the distance axis while it changes scale mode
+   */
+  onAxisChanged() {
+    this.lightTraveler?.updatePosition();
+  }
+
+  /**
+   * Rewrite every displayed length and duration in the new number format
+   */
+  onNumberFormatChanged() {
+    this.scaleDisplay?.refreshNumberFormat();
+    this.distanceAnimator?.refreshNumberFormat();
+    this.routeDisplay?.refreshNumberFormat();
+    this.lightTraveler?.refreshNumberFormat();
+    this.explorer?.refreshNumberFormat();
+    this.infoPanel?.refresh();
+    this.updateDateReadout();
+  }
+
+  /**
+   * Collect the elements the help overlay can point at in the current phase
+   *
+   * @returns {Array<Object>} [{id, bounds}] in screen pixels (see ComponentBase)
+   */
+  getHelpTargets() {
+    // The to-scale view covers everything else
+    if (this.explorer) {
+      return this.explorer.getHelpTargets();
+    }
+
+    const components = [
+      this.objectSelector,
+      this.scaleDisplay,
+      this.dateControl,
+      this.distanceAnimator,
+      this.routeDisplay,
+      this.lightTraveler,
+      this.playbackBar
+    ].filter(component => component?.isVisible);
+
+    const targets = components.flatMap(component => component.getHelpTargets());
+
+    if (this.distanceButton) {
+      targets.push({ id: this.isRoute() ? 'sendLight' : 'showDistance', bounds: ComponentBase.boundsOf([this.distanceButton]) });
+    }
+
+    if (this.exploreButton) {
+      targets.push({ id: 'explore', bounds: ComponentBase.boundsOf([this.exploreButton]) });
+    }
+
+    return targets;
+  }
+
+  /**
+   * Create date control for date-dependent pairs and routes
+   */
+  createDateControl() {
+    this.dateControl = new DateControl(this, this.stateManager.getComparisonDate());
+    this.dateControl.on('dateChanged', this.onComparisonDateChanged, this);
+    this.dateControl.on('extremeRequested', this.onExtremeDateRequested, this);
+
+    this.updateDateReadout();
+  }
+
+  /**
+   * Show the distance and light travel time for the chosen date (for a
+   * route, its whole length)
+   */
+  updateDateReadout() {
+    if (!this.dateControl) return;
+
+    const format = this.stateManager.getNumberFormat();
+
+    if (this.isRoute()) {
+      const legs = this.dataManager.getRouteOnDate(this.selectedIds, this.dateControl.getDate());
+
+      this.dateControl.setReadout(legs.every(Boolean)
+        ? [
+          this.locale.t('comparison.dateRouteDistance', {
+            distance: NumberFormatter.formatLength(legs.reduce((sum, leg) => sum + leg.distance, 0), format)
+          }),
+          this.locale.t('comparison.dateLightTime', {
+            time: NumberFormatter.formatTime(legs.reduce((sum, leg) => sum + leg.lightTravelTime, 0), format)
+          })
+        ].join('\n')
+        : this.locale.t('comparison.noDistance'));
+      return;
+    }
+
+    const distanceData = this.dataManager.getDistanceOnDate(
+      this.selectedIds[0],
+      this.selectedIds[1],
+      this.dateControl.getDate()
+    );
+
+    this.dateControl.setReadout([
+      this.locale.t('comparison.dateDistance', { distance: NumberFormatter.formatLength(distanceData.distance, format) }),
+      this.locale.t('comparison.dateLightTime', { time: NumberFormatter.formatTime(distanceData.lightTravelTime, format) })
+    ].join('\n'));
+  }
+
+  /**
+   * The objects whose distance the date control changes: the pair, or a
+   * route's first date-dependent leg
+   *
+   * @returns {Array<string>} [fromId, toId]
+   */
+  getDatedPair() {
+    const index = Math.max(0, this.selectedIds.findIndex((id, i) =>
+      i < this.selectedIds.length - 1 && this.dataManager.isDistanceTimeDependent(id, this.selectedIds[i + 1])));
+
+    return this.selectedIds.slice(index, index + 2);
+  }
+
+  /**
+   * Destroy the date control if it exists
+   */
+  destroyDateControl() {
+    if (this.dateControl) {
+      this.dateControl.off('dateChanged', this.onComparisonDateChanged, this);
+      this.dateControl.off('extremeRequested', this.onExtremeDateRequested, this);
+      this.dateControl.destroy();
+      this.dateControl = null;
+    }
+  }
+
   /**
    * Create "New Comparison" button
+   *
+   * @param {number} bottomOffset - Distance of the button from the bottom edge
    */
-  createNewComparisonButton() {
+  createNewComparisonButton(bottomOffset = 150) {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
 
-    const buttonY = height - 150;
+    const buttonY = height - bottomOffset;
 
     // Button background
     const button = this.add.rectangle(
@@ -321,12 +1055,12 @@ export class CosmicComparisonScene extends Phaser.Scene {
     ).setInteractive();
 
     // Button text
-    const buttonText = this.add.text(width / 2, buttonY, 'New Comparison', {
+    const buttonText = this.add.text(width / 2, buttonY, this.locale.t('comparison.newComparison'), this.locale.textStyle({
       fontSize: '20px',
       color: COLORS.TEXT,
       fontFamily: 'Arial',
       fontStyle: 'bold'
-    }).setOrigin(0.5);
+    })).setOrigin(0.5);
 
     // Hover effects
     button.on('pointerover', () => {
@@ -339,48 +1073,64 @@ export class CosmicComparisonScene extends Phaser.Scene {
       buttonText.setScale(1);
     });
 
-    // Click handler
-    button.on('pointerdown', () => {
-      // Destroy button
-      button.destroy();
-      buttonText.destroy();
+    this.focusManager.register(button, { label: buttonText.text });
 
-      // Reset and start over
-      this.reset();
-    });
+    // Click handler: reset and start over
+    button.on('pointerdown', () => this.reset());
+
+    this.newComparisonButton = button;
+    this.newComparisonButtonText = buttonText;
+  }
+
+  /**
+   * Remove the "New Comparison" button
+   */
+  destroyNewComparisonButton() {
+    this.newComparisonButton?.destroy();
+    this.newComparisonButtonText?.destroy();
+    this.newComparisonButton = null;
+    this.newComparisonButtonText = null;
   }
 
   /**
    * Show message when no distance data is available
+   * (neither a catalogued distance nor positional data for both objects)
+   *
+   * @param {string} text - Message (default: the pair's)
    */
-  showNoDistanceMessage() {
+  showNoDistanceMessage(text = this.locale.t('comparison.noDistance')) {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
 
     const message = this.add.text(
       width / 2,
       height / 2,
-      'Distance data not available for these objects',
-      {
+      text,
+      this.locale.textStyle({
         fontSize: '20px',
         color: '#ffaa00',
         fontFamily: 'Arial',
         align: 'center',
         backgroundColor: '#000000',
         padding: { x: 20, y: 10 }
-      }
+      })
     ).setOrigin(0.5);
 
-    // Fade out after 3 seconds
-    this.time.delayedCall(3000, () => {
-      this.tweens.add({
-        targets: message,
-        alpha: 0,
-        duration: 500,
-        onComplete: () => message.destroy()
-      });
+    this.focusManager.announce(message.text);
+
+    // Fade out after 3 seconds (or just disappear with reduced motion);
+    // paused with the other animations, and gone with the comparison
+    const fade = this.tweens.add({
+      targets: message,
+      alpha: 0,
+      delay: 3000,
+      duration: this.stateManager.isReducedMotion() ? 0 : 500,
+      paused: true
     });
 
+    this.animationManager.startAnimation('noDistanceMessage', fade)
+      .then(() => message.destroy(), () => message.destroy());
+
     // Show new comparison button
     this.createNewComparisonButton();
   }
@@ -391,12 +1141,40 @@ export class CosmicComparisonScene extends Phaser.Scene {
   reset() {
     console.log('[CosmicComparisonScene] Resetting scene...');
 
+    // Stop tweens before clearing the comparison destroys their targets
+    this.stopAnimations();
+
+    // Clear selection
+    this.objectSelector.clearSelection();
+    this.stateManager.clearSelection();
+
+    // Return to object selection phase
+    this.comparison.send(COMPARISON_EVENTS.RESET);
+
+    console.log('[CosmicComparisonScene] Reset complete');
+  }
+
+  /**
+   * Remove the current comparison (sizes, distance, route, light, date
+   * control and buttons), leaving the selector and its selection alone
+   */
+  clearComparison() {
+    this.stopAnimations();
+
     // Destroy components
     this.scaleDisplay.destroy();
     if (this.distanceAnimator) {
       this.distanceAnimator.destroy();
       this.distanceAnimator = null;
     }
+    if (this.routeDisplay) {
+      this.routeDisplay.destroy();
+      this.routeDisplay = null;
+    }
+    if (this.playbackBar) {
+      this.playbackBar.destroy();
+      this.playbackBar = null;
+    }
     if (this.lightTraveler) {
       this.lightTraveler.destroy();
       this.lightTraveler = null;
@@ -404,16 +1182,17 @@ export class CosmicComparisonScene extends Phaser.Scene {
 
     // Recreate scale display
     this.scaleDisplay = new ScaleDisplay(this);
+    this.scaleDisplay.on('infoRequested', this.onInfoRequested, this);
     this.scaleDisplay.hide();
 
-    // Clear selection
-    this.selectedIds = null;
-    this.objectSelector.clearSelection();
-
-    // Return to object selection phase
-    this.enterObjectSelectionPhase();
+    this.closeExplorer();
+    this.destroyDateControl();
+    this.destroyDistanceButton();
+    this.destroyExploreButton();
+    this.destroyNewComparisonButton();
 
-    console.log('[CosmicComparisonScene] Reset complete');
+    this.selectedIds = null;
+    this.distanceData = null;
   }
 
   /**
@@ -425,21 +1204,49 @@ export class CosmicComparisonScene extends Phaser.Scene {
     console.log('[CosmicComparisonScene] Cleaning up...');
 
     // Remove event listeners
-    this.objectSelector.off('selectionComplete', this.onSelectionComplete, this);
+    this.unbindObjectSelector();
+    this.stateManager.off('historyRestored', this.onHistoryRestored, this);
+    this.scaleDisplay?.off('infoRequested', this.onInfoRequested, this);
+    this.packManager.off('packsChanged', this.onPacksChanged, this);
+    this.stateManager.off('numberFormatChanged', this.onNumberFormatChanged, this);
+    this.input.keyboard?.off('keydown', this.onPhaseKey, this);
+    this.comparison?.destroy();
 
     if (this.distanceAnimator) {
       this.distanceAnimator.off('separationComplete', this.onDistanceComplete, this);
     }
 
     if (this.lightTraveler) {
+      this.lightTraveler.off('arrival', this.onLightArrival, this);
       this.lightTraveler.off('travelComplete', this.onLightTravelComplete, this);
     }
 
+    this.routeDisplay?.off('infoRequested', this.onInfoRequested, this);
+
+    this.destroyDateControl();
+    this.stopAnimations();
+
     // Destroy components
     this.objectSelector?.destroy();
     this.scaleDisplay?.destroy();
     this.distanceAnimator?.destroy();
+    this.routeDisplay?.destroy();
+    this.playbackBar?.destroy();
     this.lightTraveler?.destroy();
+    this.closeExplorer();
+    this.infoPanel?.destroy();
+
+    // Destroyed with the scene; don't offer it to the help overlay
+    this.distanceButton = null;
+    this.distanceButtonText = null;
+    this.exploreButton = null;
+    this.exploreButtonText = null;
+    this.newComparisonButton = null;
+    this.newComparisonButtonText = null;
+
+    // Start the next session with the panel closed and nothing selected
+    this.stateManager.setInfoPanelOpen(false);
+    this.stateManager.clearSelection();
 
     console.log('[CosmicComparisonScene] Cleanup complete');
   }
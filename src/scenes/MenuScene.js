@@ -5,15 +5,35 @@
  * - Mode selection buttons (Cosmic Comparison, Powers of Ten)
  * - Application title
  * - Help/About access
+ * - Custom object pack list with Unload buttons (packs are added via
+ *   ?pack=<url>, ?packs=<manifest> or by dropping a .json file)
+ * - Language picker (restarts the menu in the chosen language; right-to-left
+ *   languages mirror the pack panel and picker)
+ * - Display settings: reduced motion and object color mode (bottom-right;
+ *   bottom-left when right-to-left), and "Reset all data"
+ * - Recent comparisons (top-left; top-right when right-to-left), which
+ *   reopen a comparison directly
+ *
+ * Every button is registered with FocusManager (Tab, arrow keys within the
+ * mode and language groups, Enter/Space).
  *
  * Navigation:
  * - Cosmic Comparison → CosmicComparisonScene + UIOverlayScene
- * - Powers of Ten → PowersOfTenScene + UIOverlayScene (future)
+ * - Powers of Ten → PowersOfTenScene + UIOverlayScene
  */
 
 import Phaser from 'phaser';
 import { StateManager } from '@/managers/StateManager.js';
-import { COLORS } from '@/utils/Constants.js';
+import { DataManager } from '@/managers/DataManager.js';
+import { PackManager } from '@/managers/PackManager.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { RouteManager } from '@/managers/RouteManager.js';
+import { StorageManager } from '@/managers/StorageManager.js';
+import { COLORS, COLOR_MODES, COMPARISON_MODES, STORAGE } from '@/utils/Constants.js';
+
+// Pack rows shown before collapsing into "+N more"
+const MAX_PACK_ROWS = 4;
 
 export class MenuScene extends Phaser.Scene {
   constructor() {
@@ -26,6 +46,10 @@ export class MenuScene extends Phaser.Scene {
     const width = this.cameras.main.width;
     const height = this.cameras.main.height;
 
+    this.locale = LocaleManager.getInstance();
+    this.focusManager = FocusManager.getInstance();
+    this.storageManager = StorageManager.getInstance();
+
     // Title
     this.add.text(width / 2, height / 3, 'Powers Explorer', {
       fontSize: '64px',
@@ -35,22 +59,416 @@ export class MenuScene extends Phaser.Scene {
     }).setOrigin(0.5);
 
     // Subtitle
-    this.add.text(width / 2, height / 3 + 60, 'Explore the Universe from Quarks to Quasars', {
+    this.add.text(width / 2, height / 3 + 60, this.locale.t('menu.subtitle'), this.locale.textStyle({
       fontSize: '18px',
       color: COLORS.TEXT,
       fontFamily: 'Arial'
-    }).setOrigin(0.5);
+    })).setOrigin(0.5);
 
     // Create mode selection buttons
     this.createCosmicComparisonButton(width, height);
     this.createPowersOfTenButton(width, height);
 
     // Footer text
-    this.add.text(width / 2, height - 40, 'Educational Tool for Scale Visualization', {
+    this.add.text(width / 2, height - 40, this.locale.t('menu.footer'), this.locale.textStyle({
       fontSize: '14px',
       color: '#888888',
       fontFamily: 'Arial'
-    }).setOrigin(0.5);
+    })).setOrigin(0.5);
+
+    // Interface language
+    this.createLanguagePicker(width);
+
+    // Custom object packs
+    this.packManager = PackManager.getInstance();
+    this.createPackPanel(width, height);
+
+    // Reduced motion, color mode and "Reset all data"
+    this.createDisplaySettings(width, height);
+
+    // Comparisons from earlier visits
+    this.createRecentComparisons(width);
+
+    this.packManager.on('packsChanged', this.renderPackList, this);
+    this.packManager.on('packLoaded', this.onPackLoaded, this);
+    this.packManager.on('packLoadFailed', this.showPackFailures, this);
+    this.events.once('shutdown', this.cleanup, this);
+
+    // Failures from packs loaded before the menu was shown (e.g. at boot)
+    this.showPackFailures();
+  }
+
+  /**
+   * Create the language picker (top-right; top-left when right-to-left)
+   *
+   * Choosing a language restarts the menu so every text is rebuilt;
+   * scenes started afterwards read the new language when they create.
+   *
+   * @param {number} width - Screen width
+   */
+  createLanguagePicker(width) {
+    const rtl = this.locale.isRTL();
+    const y = 30;
+    let x = this.locale.mirrorX(width - 30, width);
+
+    // Laid out from the screen edge inwards
+    const direction = rtl ? 1 : -1;
+    const originX = rtl ? 0 : 1;
+    const color = parseInt(COLORS.SECONDARY.replace('#', '0x'));
+    const focusItems = [];  // Registered afterwards, in reading order
+
+    [...this.locale.getAvailableLocales()].reverse().forEach(({ locale, name }) => {
+      const current = locale === this.locale.getLocale();
+
+      const label = this.add.text(x, y, name, {
+        fontSize: '14px',
+        color: current ? COLORS.TEXT : '#cccccc',
+        fontFamily: 'Arial',
+        fontStyle: current ? 'bold' : 'normal'
+      }).setOrigin(originX, 0.5);
+
+      const button = this.add.rectangle(x + direction * label.width / 2, y, label.width + 16, 28, color, current ? 1 : 0.5)
+        .setInteractive();
+      label.setDepth(1);
+
+      focusItems.unshift({ button, name, current });
+
+      button.on('pointerdown', () => {
+        if (current) return;
+
+        console.log(`[MenuScene] Language selected: ${locale}`);
+        this.locale.setLocale(locale);
+        this.scene.restart();
+      });
+
+      x += direction * (label.width + 24);
+    });
+
+    focusItems.forEach(({ button, name, current }) => {
+      this.focusManager.register(button, { label: name, group: 'languages', isPressed: () => current });
+    });
+
+    this.add.text(x, y, this.locale.t('menu.language'), this.locale.textStyle({
+      fontSize: '14px',
+      color: '#888888',
+      fontFamily: 'Arial'
+    })).setOrigin(originX, 0.5);
+  }
+
+  /**
+   * Create the display settings panel (bottom-right; bottom-left when right-to-left)
+   *
+   * Each button cycles its setting; components read the settings when
+   * they are created, so the choice applies to the next mode started.
+   *
+   * @param {number} width - Screen width
+   * @param {number} height - Screen height
+   */
+  createDisplaySettings(width, height) {
+    const stateManager = StateManager.getInstance();
+    const rtl = this.locale.isRTL();
+    const x = this.locale.mirrorX(width - 40, width);
+    const originX = rtl ? 0 : 1;
+    const buttonX = x + (rtl ? 1 : -1) * 140;
+    const top = height - 220;
+    const color = parseInt(COLORS.SECONDARY.replace('#', '0x'));
+
+    this.add.text(x, top, this.locale.t('settings.title'), this.locale.textStyle({
+      fontSize: '16px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    })).setOrigin(originX, 0);
+
+    const settings = [
+      {
+        label: () => this.locale.t('settings.motion', {
+          value: this.locale.t(stateManager.isReducedMotion() ? 'settings.motionReduced' : 'settings.motionFull')
+        }),
+        cycle: () => stateManager.setReducedMotion(!stateManager.isReducedMotion())
+      },
+      {
+        label: () => this.locale.t('settings.colors', {
+          value: this.locale.t(`colorModes.${stateManager.getColorMode()}`)
+        }),
+        cycle: () => {
+          const modes = Object.values(COLOR_MODES);
+          const index = modes.indexOf(stateManager.getColorMode());
+          stateManager.setColorMode(modes[(index + 1) % modes.length]);
+        }
+      }
+    ];
+
+    settings.forEach(({ label, cycle }, index) => {
+      const y = top + 50 + index * 44;
+
+      const button = this.add.rectangle(buttonX, y, 280, 34, color).setInteractive();
+      const buttonText = this.add.text(buttonX, y, label(), this.locale.textStyle({
+        fontSize: '14px',
+        color: COLORS.TEXT,
+        fontFamily: 'Arial'
+      })).setOrigin(0.5);
+
+      button.on('pointerover', () => button.setFillStyle(color, 0.8));
+      button.on('pointerout', () => button.setFillStyle(color, 1));
+      button.on('pointerdown', () => {
+        cycle();
+        buttonText.setText(label());
+        this.focusManager.announce(buttonText.text);
+      });
+
+      this.focusManager.register(button, { label: () => buttonText.text, group: 'settings' });
+    });
+
+    this.createResetButton(buttonX, top + 50 + settings.length * 44, color);
+
+    // Private browsing and the like: say that nothing is kept
+    if (!this.storageManager.isAvailable()) {
+      this.add.text(x, top + 50 + (settings.length + 1) * 44 - 14, this.locale.t('settings.notSaved'), this.locale.textStyle({
+        fontSize: '12px',
+        color: '#888888',
+        fontFamily: 'Arial',
+        wordWrap: { width: 280 }
+      })).setOrigin(originX, 0);
+    }
+  }
+
+  /**
+   * Create the "Reset all data" button
+   *
+   * The first press asks for confirmation on the button itself; a second
+   * press within STORAGE.RESET_CONFIRM_DELAY erases saved settings, recent
+   * comparisons and tour progress, and restarts the menu with the defaults.
+   *
+   * @param {number} x - Button center X
+   * @param {number} y - Button center Y
+   * @param {number} color - Button color
+   */
+  createResetButton(x, y, color) {
+    const button = this.add.rectangle(x, y, 280, 34, color).setInteractive();
+    const buttonText = this.add.text(x, y, this.locale.t('settings.reset'), this.locale.textStyle({
+      fontSize: '14px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    let confirmTimer = null;
+
+    button.on('pointerover', () => button.setFillStyle(color, 0.8));
+    button.on('pointerout', () => button.setFillStyle(color, 1));
+    button.on('pointerdown', () => {
+      if (!confirmTimer) {
+        buttonText.setText(this.locale.t('settings.resetConfirm'));
+        this.focusManager.announce(buttonText.text);
+
+        confirmTimer = this.time.delayedCall(STORAGE.RESET_CONFIRM_DELAY, () => {
+          buttonText.setText(this.locale.t('settings.reset'));
+          confirmTimer = null;
+        });
+        return;
+      }
+
+      confirmTimer.remove();
+      this.resetAllData();
+    });
+
+    this.focusManager.register(button, { label: () => buttonText.text, group: 'settings' });
+  }
+
+  /**
+   * Erase saved data and return to the default settings and language
+   */
+  resetAllData() {
+    console.log('[MenuScene] Resetting all data');
+
+    // Preferences first: their change events would save them again
+    StateManager.getInstance().resetPreferences();
+    this.storageManager.clearAll();
+    this.locale.setLocale(this.locale.pickInitialLocale(window), { silent: true });
+
+    this.focusManager.announce(this.locale.t('settings.resetDone'));
+    this.scene.restart();
+  }
+
+  /**
+   * Create the recent comparisons list (top-left; top-right when right-to-left)
+   *
+   * Only comparisons whose objects are all loaded are offered (a pack may
+   * have been unloaded since).
+   *
+   * @param {number} width - Screen width
+   */
+  createRecentComparisons(width) {
+    const dataManager = DataManager.getInstance();
+    const recent = this.storageManager.getRecentComparisons()
+      .filter(entry => entry.objectIds.every(id => dataManager.getObjectById(id)));
+
+    if (recent.length === 0) return;
+
+    const rtl = this.locale.isRTL();
+    const x = this.locale.mirrorX(40, width);
+    const originX = rtl ? 1 : 0;
+
+    this.add.text(x, 24, this.locale.t('recent.title'), this.locale.textStyle({
+      fontSize: '16px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    })).setOrigin(originX, 0);
+
+    recent.forEach(({ objectIds, comparisonMode }, index) => {
+      const names = objectIds.map(id => this.locale.localize(dataManager.getObjectById(id), 'name'));
+      const label = {
+        [COMPARISON_MODES.PAIR]: () => this.locale.t('recent.pair', { first: names[0], second: names[1] }),
+        [COMPARISON_MODES.LINEUP]: () => this.locale.t('recent.lineup', { first: names[0], count: names.length - 1 }),
+        [COMPARISON_MODES.ROUTE]: () => this.locale.t('recent.route', { first: names[0], last: names[names.length - 1], count: names.length })
+      }[comparisonMode]();
+
+      const row = this.add.text(x, 52 + index * 24, label, this.locale.textStyle({
+        fontSize: '14px',
+        color: '#cccccc',
+        fontFamily: 'Arial'
+      })).setOrigin(originX, 0).setInteractive({ useHandCursor: true });
+
+      row.on('pointerover', () => row.setColor(COLORS.TEXT));
+      row.on('pointerout', () => row.setColor('#cccccc'));
+      row.on('pointerdown', () => {
+        console.log(`[MenuScene] Reopening comparison: ${objectIds.join(', ')}`);
+        RouteManager.getInstance().openComparison(objectIds, comparisonMode);
+        this.startCosmicComparison();
+      });
+
+      this.focusManager.register(row, { label, group: 'recent' });
+    });
+  }
+
+  /**
+   * Create the object pack panel (bottom-left; bottom-right when right-to-left)
+   *
+   * @param {number} width - Screen width
+   * @param {number} height - Screen height
+   */
+  createPackPanel(width, height) {
+    const rtl = this.locale.isRTL();
+    const x = this.locale.mirrorX(40, width);
+    const originX = rtl ? 1 : 0;
+    const top = height - 220;
+
+    this.add.text(x, top, this.locale.t('packs.title'), this.locale.textStyle({
+      fontSize: '16px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    })).setOrigin(originX, 0);
+
+    this.add.text(x, top + 24, this.locale.t('packs.hint'), this.locale.textStyle({
+      fontSize: '12px',
+      color: '#888888',
+      fontFamily: 'Arial'
+    })).setOrigin(originX, 0);
+
+    this.packStatusText = this.add.text(x, top + 44, '', this.locale.textStyle({
+      fontSize: '12px',
+      color: '#ff6666',
+      fontFamily: 'Arial',
+      wordWrap: { width: 420 }
+    })).setOrigin(originX, 0);
+
+    this.packListTop = top + 84;
+    this.packList = this.add.container(x, this.packListTop);
+
+    this.renderPackList();
+  }
+
+  /**
+   * Rebuild the list of loaded packs
+   */
+  renderPackList() {
+    this.packList.removeAll(true);
+
+    const packs = DataManager.getInstance().getLoadedPacks();
+
+    // Rows run leftwards from the panel's right edge in right-to-left languages
+    const rtl = this.locale.isRTL();
+    const side = rtl ? -1 : 1;
+    const originX = rtl ? 1 : 0;
+    const rowStyle = this.locale.textStyle({
+      fontSize: '13px',
+      color: '#cccccc',
+      fontFamily: 'Arial'
+    });
+
+    if (packs.length === 0) {
+      this.packList.add(this.add.text(0, 0, this.locale.t('packs.none'), rowStyle).setOrigin(originX, 0));
+      return;
+    }
+
+    packs.slice(0, MAX_PACK_ROWS).forEach((pack, index) => {
+      const y = index * 26;
+
+      const label = this.add.text(0, y, this.locale.t('packs.row', {
+        name: pack.name,
+        count: pack.objectIds.length
+      }), rowStyle).setOrigin(originX, 0);
+
+      const button = this.add.rectangle(side * 330, y + 8, 70, 22, parseInt(COLORS.SECONDARY.replace('#', '0x')))
+        .setInteractive();
+      const buttonText = this.add.text(side * 330, y + 8, this.locale.t('packs.unload'), this.locale.textStyle({
+        fontSize: '12px',
+        color: COLORS.TEXT,
+        fontFamily: 'Arial'
+      })).setOrigin(0.5);
+
+      this.focusManager.register(button, { label: this.locale.t('a11y.unloadPack', { name: pack.name }) });
+
+      button.on('pointerdown', () => {
+        console.log(`[MenuScene] Unloading pack ${pack.id}`);
+        this.packManager.unloadPack(pack.id);
+      });
+
+      this.packList.add([label, button, buttonText]);
+    });
+
+    if (packs.length > MAX_PACK_ROWS) {
+      this.packList.add(this.add.text(0, MAX_PACK_ROWS * 26, this.locale.t('packs.more', {
+        count: packs.length - MAX_PACK_ROWS
+      }), { ...rowStyle, color: '#888888' }).setOrigin(originX, 0));
+    }
+  }
+
+  /**
+   * Confirm a successful pack load
+   * @param {Object} summary - Pack summary
+   */
+  onPackLoaded(summary) {
+    this.packStatusText.setColor('#66cc66');
+    this.packStatusText.setText(this.locale.t('packs.loaded', { name: summary.name, source: summary.source }));
+  }
+
+  /**
+   * Show pending pack load failures (first problem of the latest failure)
+   */
+  showPackFailures() {
+    const failures = this.packManager.takeFailures();
+    if (failures.length === 0) return;
+
+    const latest = failures[failures.length - 1];
+    const detail = latest.problems.length > 0
+      ? `${latest.problems[0].path}: ${latest.problems[0].message}`
+      : latest.message;
+    const more = failures.length > 1 ? this.locale.t('packs.moreFailed', { count: failures.length - 1 }) : '';
+
+    this.packStatusText.setColor('#ff6666');
+    this.packStatusText.setText(this.locale.t('packs.failed', { source: latest.source, detail }) + more);
+  }
+
+  /**
+   * Remove manager listeners on shutdown
+   */
+  cleanup() {
+    this.packManager?.off('packsChanged', this.renderPackList, this);
+    this.packManager?.off('packLoaded', this.onPackLoaded, this);
+    this.packManager?.off('packLoadFailed', this.showPackFailures, this);
   }
 
   /**
@@ -69,19 +487,19 @@ export class MenuScene extends Phaser.Scene {
     ).setInteractive();
 
     // Button text
-    const buttonText = this.add.text(width / 2, buttonY, 'Cosmic Comparison', {
+    const buttonText = this.add.text(width / 2, buttonY, this.locale.t('menu.comparison'), this.locale.textStyle({
       fontSize: '24px',
       color: COLORS.TEXT,
       fontFamily: 'Arial',
       fontStyle: 'bold'
-    }).setOrigin(0.5);
+    })).setOrigin(0.5);
 
     // Description
-    this.add.text(width / 2, buttonY + 45, 'Compare sizes and distances of cosmic objects', {
+    this.add.text(width / 2, buttonY + 45, this.locale.t('menu.comparisonDescription'), this.locale.textStyle({
       fontSize: '14px',
       color: '#cccccc',
       fontFamily: 'Arial'
-    }).setOrigin(0.5);
+    })).setOrigin(0.5);
 
     // Hover effects
     button.on('pointerover', () => {
@@ -94,6 +512,8 @@ export class MenuScene extends Phaser.Scene {
       buttonText.setScale(1);
     });
 
+    this.focusManager.register(button, { label: buttonText.text, group: 'modes' });
+
     // Click handler
     button.on('pointerdown', () => {
       console.log('[MenuScene] Cosmic Comparison selected');
@@ -102,38 +522,53 @@ export class MenuScene extends Phaser.Scene {
   }
 
   /**
-   * Create Powers of Ten mode button (placeholder for future)
+   * Create Powers of Ten mode button
    */
   createPowersOfTenButton(width, height) {
     const buttonY = height / 2 + 120;
 
-    // Button background (disabled style)
+    // Button background
     const button = this.add.rectangle(
       width / 2,
       buttonY,
       300,
       60,
-      parseInt(COLORS.SECONDARY.replace('#', '0x'))
-    );
+      parseInt(COLORS.PRIMARY.replace('#', '0x'))
+    ).setInteractive();
 
     // Button text
-    this.add.text(width / 2, buttonY, 'Powers of Ten', {
+    const buttonText = this.add.text(width / 2, buttonY, this.locale.t('menu.powersOfTen'), this.locale.textStyle({
       fontSize: '24px',
-      color: '#999999',
+      color: COLORS.TEXT,
       fontFamily: 'Arial',
       fontStyle: 'bold'
-    }).setOrigin(0.5);
+    })).setOrigin(0.5);
 
     // Description
-    this.add.text(width / 2, buttonY + 45, 'Zoom through 61 levels of scale (Coming Soon)', {
+    this.add.text(width / 2, buttonY + 45, this.locale.t('menu.powersOfTenDescription'), this.locale.textStyle({
       fontSize: '14px',
-      color: '#777777',
+      color: '#cccccc',
       fontFamily: 'Arial'
-    }).setOrigin(0.5);
+    })).setOrigin(0.5);
+
+    // Hover effects
+    button.on('pointerover', () => {
+      button.setFillStyle(parseInt(COLORS.PRIMARY.replace('#', '0x')), 0.8);
+      buttonText.setScale(1.05);
+    });
 
-    // Future: Enable this button when PowersOfTenScene is implemented
-    // button.setInteractive();
-    // button.on('pointerdown', () => this.startPowersOfTen());
+    button.on('pointerout', () => {
+      button.setFillStyle(parseInt(COLORS.PRIMARY.replace('#', '0x')), 1);
+      buttonText.setScale(1);
+    });
+
+    this.focusManager.register(button, { label: buttonText.text, group: 'modes' });
+
+    // Click handler
+    button.on('pointerdown', () => {
+      console.log('[MenuScene] Powers of Ten selected');
+      this.startPowersOfTen();
+    });
   }
 
   /**
@@ -154,7 +589,7 @@ export class MenuScene extends Phaser.Scene {
   }
 
   /**
-   * Start Powers of Ten mode (future implementation)
+   * Start Powers of Ten mode
    */
   startPowersOfTen() {
     // Update state
@@ -163,10 +598,10 @@ export class MenuScene extends Phaser.Scene {
     // Stop this scene
     this.scene.stop('MenuScene');
 
-    // Start Powers of Ten scene (to be implemented)
-    // this.scene.start('PowersOfTenScene');
+    // Start Powers of Ten scene
+    this.scene.start('PowersOfTenScene');
 
     // Launch overlay scene (runs in parallel)
-    // this.scene.launch('UIOverlayScene');
+    this.scene.launch('UIOverlayScene');
   }
 }
@@ -0,0 +1,179 @@
+/**
+ * PowersOfTenScene - Continuous zoom from the Planck length to the observable universe
+ *
+ * Core mechanism:
+ * Mouse wheel / keyboard input → ZoomController exponent → ScaleRenderer
+ * object visibility + ScaleIndicator readout → StateManager.setScale()
+ *
+ * Data driven: the current scale level (title, narrative, background style)
+ * comes from DataManager.getScaleLevel()
+ *
+ * Components used:
+ * - ZoomController: Handle input, calculate exponent
+ * - ScaleRenderer: Render objects for current scale
+ * - ScaleIndicator: Display current scale info
+ *
+ * Runs alongside UIOverlayScene (Back button, mode indicator)
+ *
+ * Starts at human scale, or at the exponent of a deep link (RouteManager).
+ */
+
+import Phaser from 'phaser';
+import { StateManager } from '@/managers/StateManager.js';
+import { DataManager } from '@/managers/DataManager.js';
+import { RouteManager } from '@/managers/RouteManager.js';
+import { ZoomController } from '@/components/powers-of-ten/ZoomController.js';
+import { ScaleRenderer } from '@/components/powers-of-ten/ScaleRenderer.js';
+import { ScaleIndicator } from '@/components/powers-of-ten/ScaleIndicator.js';
+import { POWERS_OF_TEN, BACKGROUND_STYLES } from '@/utils/Constants.js';
+
+export class PowersOfTenScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'PowersOfTenScene' });
+  }
+
+  create() {
+    console.log('[PowersOfTenScene] Creating scene...');
+
+    // Get manager references
+    this.stateManager = StateManager.getInstance();
+    this.dataManager = DataManager.getInstance();
+
+    // CRITICAL: Register cleanup on shutdown to prevent memory leaks
+    this.events.on('shutdown', this.cleanup, this);
+
+    // Initialize components
+    this.initializeComponents();
+
+    // Register event listeners
+    this.registerEventListeners();
+
+    // Start at human scale, or where a link points
+    const route = RouteManager.getInstance().takeRoute('powersOfTen');
+    this.zoomController.setExponent(route?.scale ?? POWERS_OF_TEN.START_EXPONENT);
+
+    console.log('[PowersOfTenScene] Scene created successfully');
+  }
+
+  /**
+   * Initialize all components
+   */
+  initializeComponents() {
+    this.scaleRenderer = new ScaleRenderer(this);
+    this.scaleIndicator = new ScaleIndicator(this);
+    this.zoomController = new ZoomController(this);
+  }
+
+  /**
+   * Register event listeners for components
+   */
+  registerEventListeners() {
+    this.zoomController.on('exponentChanged', this.onExponentChanged, this);
+    this.zoomController.on('levelJumpRequested', this.onLevelJumpRequested, this);
+    this.scaleRenderer.on('visibleObjectsChanged', this.onVisibleObjectsChanged, this);
+
+    console.log('[PowersOfTenScene] Event listeners registered');
+  }
+
+  /**
+   * Advance zoom every frame
+   *
+   * @param {number} time - Current time (ms)
+   * @param {number} delta - Time since last frame (ms)
+   */
+  update(time, delta) {
+    this.zoomController.update(delta);
+    this.stateManager.setZoomVelocity(this.zoomController.getVelocity());
+  }
+
+  // ========================================
+  // Event Handlers
+  // ========================================
+
+  /**
+   * Handle exponent change from zoom input
+   * @param {number} exponent - New scale exponent
+   */
+  onExponentChanged(exponent) {
+    this.scaleRenderer.render(exponent);
+    this.scaleIndicator.updateScale(exponent, this.scaleRenderer.getVisibleObjectIds().length);
+    this.stateManager.setScale(exponent);
+
+    const level = this.dataManager.getScaleLevel(exponent);
+    if (level !== this.stateManager.getCurrentLevel()) {
+      this.onLevelChanged(level);
+    }
+  }
+
+  /**
+   * Handle crossing into a new scale level
+   * @param {Object|undefined} level - New scale level
+   */
+  onLevelChanged(level) {
+    this.stateManager.setCurrentLevel(level ?? null);
+    this.scaleIndicator.setLevel(level);
+
+    const background = BACKGROUND_STYLES[level?.backgroundStyle] ?? BACKGROUND_STYLES.stellar;
+    this.cameras.main.setBackgroundColor(background);
+  }
+
+  /**
+   * Jump to the next level that has catalogued objects
+   * @param {number} direction - 1 = larger scales, -1 = smaller scales
+   */
+  onLevelJumpRequested(direction) {
+    const target = this.dataManager.getNearestPopulatedLevel(
+      this.zoomController.getExponent(),
+      direction
+    );
+
+    if (target) {
+      this.zoomController.zoomTo(target.exponent);
+    }
+  }
+
+  /**
+   * Handle change of objects displayed at the current level
+   * @param {Array<string>} objectIds - Visible object IDs
+   */
+  onVisibleObjectsChanged(objectIds) {
+    this.stateManager.setVisibleObjects(objectIds);
+  }
+
+  /**
+   * Collect the elements the help overlay can point at
+   *
+   * @returns {Array<Object>} [{id, bounds}] in screen pixels (see ComponentBase)
+   */
+  getHelpTargets() {
+    return this.scaleIndicator?.getHelpTargets() ?? [];
+  }
+
+  /**
+   * Cleanup event listeners and components
+   *
+   * CRITICAL: Called on scene shutdown to prevent memory leaks
+   */
+  cleanup() {
+    console.log('[PowersOfTenScene] Cleaning up...');
+
+    // Remove event listeners
+    this.zoomController?.off('exponentChanged', this.onExponentChanged, this);
+    this.zoomController?.off('levelJumpRequested', this.onLevelJumpRequested, this);
+    this.scaleRenderer?.off('visibleObjectsChanged', this.onVisibleObjectsChanged, this);
+
+    // Destroy components
+    this.zoomController?.destroy();
+    this.scaleRenderer?.destroy();
+    this.scaleIndicator?.destroy();
+
+    this.zoomController = null;
+    this.scaleRenderer = null;
+    this.scaleIndicator = null;
+
+    this.stateManager.setZoomVelocity(0);
+    this.stateManager.setCurrentLevel(null);
+
+    console.log('[PowersOfTenScene] Cleanup complete');
+  }
+}
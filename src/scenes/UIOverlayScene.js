@@ -5,7 +5,21 @@
  * Provides:
  * - Back button (return to menu)
  * - Mode indicator
- * - Help button (future)
+ * - Number format toggle (comparison mode): scientific → engineering →
+ *   plain words → astronomical
+ * - Copy link: puts a deep link to the current comparison or scale on the
+ *   clipboard (RouteManager)
+ * - History (comparison mode): a drawer listing the comparisons viewed so
+ *   far; Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) undo and redo selection
+ *   changes through StateManager's history
+ * - Help: the "?" button or H explains the current mode and comparison
+ *   phase, with coach marks on the elements the scenes report through
+ *   getHelpTargets(); Esc closes it. Each mode runs a walkthrough on first
+ *   use and remembers (StorageManager) once it was finished or skipped.
+ *
+ * Text comes from LocaleManager; in right-to-left languages the Back and
+ * Numbers buttons swap sides. The buttons are registered with FocusManager
+ * and come first in the Tab order.
  *
  * CRITICAL: Must properly clean up event listeners in shutdown event
  * to prevent memory leaks!
@@ -13,7 +27,20 @@
 
 import Phaser from 'phaser';
 import { StateManager } from '@/managers/StateManager.js';
-import { COLORS } from '@/utils/Constants.js';
+import { LocaleManager } from '@/managers/LocaleManager.js';
+import { FocusManager } from '@/managers/FocusManager.js';
+import { RouteManager } from '@/managers/RouteManager.js';
+import { StorageManager } from '@/managers/StorageManager.js';
+import { ComponentBase } from '@/components/ComponentBase.js';
+import { HelpOverlay } from '@/components/ui/HelpOverlay.js';
+import { HistoryDrawer } from '@/components/ui/HistoryDrawer.js';
+import { COLORS, NUMBER_FORMATS, HELP, ROUTES } from '@/utils/Constants.js';
+
+// Main scene whose elements the help overlay points at, by mode
+const HELP_SCENES = {
+  comparison: 'CosmicComparisonScene',
+  powersOfTen: 'PowersOfTenScene'
+};
 
 export class UIOverlayScene extends Phaser.Scene {
   constructor() {
@@ -28,13 +55,31 @@ export class UIOverlayScene extends Phaser.Scene {
 
     // Get StateManager reference
     this.stateManager = StateManager.getInstance();
+    this.locale = LocaleManager.getInstance();
+    this.focusManager = FocusManager.getInstance();
+    this.storageManager = StorageManager.getInstance();
 
     // Subscribe to state changes
     this.stateManager.on('modeChanged', this.updateMode, this);
+    this.stateManager.on('numberFormatChanged', this.updateNumberFormatButton, this);
+    this.stateManager.on('helpVisibilityChanged', this.onHelpVisibilityChanged, this);
+    this.stateManager.on('comparisonPhaseChanged', this.onComparisonPhaseChanged, this);
+    this.stateManager.on('historyRestored', this.onHistoryRestored, this);
+    this.stateManager.on('pausedChanged', this.updatePauseIndicator, this);
 
     // Create UI elements
     this.createBackButton();
+    this.createHelpButton();
+    this.createCopyLinkButton();
+    this.createHistoryButton();
+    this.createNumberFormatButton();
+    this.createHistoryDrawer();
     this.createModeIndicator();
+    this.createPauseIndicator();
+    this.createHelpOverlay();
+
+    // First visit to this mode: walk through the screen once it is laid out
+    this.time.delayedCall(HELP.WALKTHROUGH_DELAY, this.startFirstRunWalkthrough, [], this);
 
     console.log('[UIOverlayScene] Overlay UI created');
   }
@@ -43,7 +88,7 @@ export class UIOverlayScene extends Phaser.Scene {
    * Create back button
    */
   createBackButton() {
-    const buttonX = 60;
+    const buttonX = this.locale.mirrorX(60, this.cameras.main.width);
     const buttonY = 30;
 
     // Button background
@@ -56,11 +101,11 @@ export class UIOverlayScene extends Phaser.Scene {
     ).setInteractive();
 
     // Button text
-    this.backButtonText = this.add.text(buttonX, buttonY, 'Back', {
+    this.backButtonText = this.add.text(buttonX, buttonY, this.locale.t('overlay.back'), this.locale.textStyle({
       fontSize: '18px',
       color: COLORS.TEXT,
       fontFamily: 'Arial'
-    }).setOrigin(0.5);
+    })).setOrigin(0.5);
 
     // Hover effects
     this.backButton.on('pointerover', () => {
@@ -73,37 +118,393 @@ export class UIOverlayScene extends Phaser.Scene {
       this.backButtonText.setScale(1);
     });
 
+    this.focusManager.register(this.backButton, { label: this.backButtonText.text });
+
     // Click handler
     this.backButton.on('pointerdown', () => {
       this.returnToMenu();
     });
   }
 
+  /**
+   * Create help button ("?", next to the back button)
+   */
+  createHelpButton() {
+    const buttonX = this.locale.mirrorX(130, this.cameras.main.width);
+    const buttonY = 30;
+    const color = parseInt(COLORS.SECONDARY.replace('#', '0x'));
+
+    this.helpButton = this.add.circle(buttonX, buttonY, 18, color).setInteractive({ useHandCursor: true });
+
+    this.helpButtonText = this.add.text(buttonX, buttonY, '?', {
+      fontSize: '22px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+
+    this.helpButton.on('pointerover', () => this.helpButton.setFillStyle(parseInt(COLORS.PRIMARY.replace('#', '0x')), 1));
+    this.helpButton.on('pointerout', () => this.helpButton.setFillStyle(color, 1));
+    this.helpButton.on('pointerdown', () => this.stateManager.toggleHelp());
+
+    this.focusManager.register(this.helpButton, { label: this.locale.t('help.button') });
+  }
+
+  /**
+   * Create the "Copy link" button (next to the help button)
+   */
+  createCopyLinkButton() {
+    const buttonX = this.locale.mirrorX(230, this.cameras.main.width);
+    const buttonY = 30;
+    const color = parseInt(COLORS.SECONDARY.replace('#', '0x'));
+
+    this.copyLinkButton = this.add.rectangle(buttonX, buttonY, 140, 40, color).setInteractive();
+
+    this.copyLinkButtonText = this.add.text(buttonX, buttonY, this.locale.t('overlay.copyLink'), this.locale.textStyle({
+      fontSize: '16px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    this.copyLinkButton.on('pointerover', () => this.copyLinkButton.setFillStyle(color, 0.8));
+    this.copyLinkButton.on('pointerout', () => this.copyLinkButton.setFillStyle(color, 1));
+    this.copyLinkButton.on('pointerdown', () => this.copyLink());
+
+    this.focusManager.register(this.copyLinkButton, { label: () => this.copyLinkButtonText.text });
+
+    this.copyLinkTimer = null;  // Restores the label after "Link copied"
+  }
+
+  /**
+   * Copy a link to the current state, confirming on the button
+   *
+   * Without clipboard access (e.g. over plain http) the link is shown in
+   * a prompt to copy by hand.
+   */
+  async copyLink() {
+    const routeManager = RouteManager.getInstance();
+
+    try {
+      await routeManager.copyLink();
+    } catch (error) {
+      console.warn('[UIOverlayScene] Could not copy link:', error);
+      window.prompt(this.locale.t('overlay.copyLinkManual'), routeManager.buildLink());
+      return;
+    }
+
+    // Left the mode while the clipboard was busy
+    if (!this.copyLinkButtonText?.active) return;
+
+    this.copyLinkButtonText.setText(this.locale.t('overlay.linkCopied'));
+    this.focusManager.announce(this.copyLinkButtonText.text);
+
+    this.copyLinkTimer?.remove();
+    this.copyLinkTimer = this.time.delayedCall(ROUTES.COPIED_DURATION, () => {
+      this.copyLinkButtonText.setText(this.locale.t('overlay.copyLink'));
+      this.copyLinkTimer = null;
+    });
+  }
+
+  /**
+   * Create the "History" button (comparison mode, left of the number format)
+   */
+  createHistoryButton() {
+    const width = this.cameras.main.width;
+    const buttonX = this.locale.mirrorX(width - 280, width);
+    const buttonY = 30;
+    const color = parseInt(COLORS.SECONDARY.replace('#', '0x'));
+
+    this.historyButton = this.add.rectangle(buttonX, buttonY, 120, 40, color).setInteractive();
+
+    this.historyButtonText = this.add.text(buttonX, buttonY, this.locale.t('history.button'), this.locale.textStyle({
+      fontSize: '16px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    this.historyButton.on('pointerover', () => this.historyButton.setFillStyle(color, 0.8));
+    this.historyButton.on('pointerout', () => this.historyButton.setFillStyle(color, 1));
+    this.historyButton.on('pointerdown', () => this.historyDrawer.toggle());
+
+    this.focusManager.register(this.historyButton, {
+      label: this.historyButtonText.text,
+      isPressed: () => this.historyDrawer?.isVisible
+    });
+  }
+
+  /**
+   * Create the history drawer and the undo/redo shortcuts
+   */
+  createHistoryDrawer() {
+    this.historyDrawer = new HistoryDrawer(this);
+    this.historyDrawer.on('undoRequested', this.undo, this);
+    this.historyDrawer.on('redoRequested', this.redo, this);
+
+    this.input.keyboard.on('keydown', this.onHistoryKey, this);
+  }
+
+  /**
+   * Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes (⌘ on macOS) - unless
+   * the user is typing, where the shortcuts edit the text instead
+   *
+   * @param {KeyboardEvent} event - DOM keyboard event
+   */
+  onHistoryKey(event) {
+    if (!event.ctrlKey && !event.metaKey) return;
+    if (this.stateManager.getCurrentMode() !== 'comparison' || this.helpOverlay.isVisible) return;
+    if (document.activeElement?.tagName === 'INPUT') return;
+
+    const key = event.key.toLowerCase();
+
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      this.undo();
+    } else if (key === 'y' || key === 'z') {
+      event.preventDefault();
+      this.redo();
+    }
+  }
+
+  /**
+   * Go back to the previous selection or comparison
+   */
+  undo() {
+    if (!this.stateManager.undo()) {
+      this.focusManager.announce(this.locale.t('history.nothingToUndo'));
+    }
+  }
+
+  /**
+   * Go forward again after an undo
+   */
+  redo() {
+    if (!this.stateManager.redo()) {
+      this.focusManager.announce(this.locale.t('history.nothingToRedo'));
+    }
+  }
+
+  /**
+   * Say which selection undo, redo or the drawer brought back
+   *
+   * Restored comparisons are not announced here: the scene reads their
+   * size summary, which names the objects.
+   *
+   * @param {Object} snapshot - {comparisonMode, objectIds, compared, date}
+   */
+  onHistoryRestored(snapshot) {
+    if (snapshot.compared) return;
+
+    this.focusManager.announce(this.locale.t('history.restored', {
+      comparison: this.historyDrawer.describe(snapshot)
+    }));
+  }
+
+  /**
+   * Create help overlay and keyboard shortcuts (H toggles, Esc closes)
+   */
+  createHelpOverlay() {
+    this.helpOverlay = new HelpOverlay(this);
+    this.helpOverlay.on('closeRequested', this.closeHelp, this);
+
+    this.input.keyboard.on('keydown-H', this.onHelpKey, this);
+    this.input.keyboard.on('keydown-ESC', this.closeHelp, this);
+  }
+
+  /**
+   * Toggle help, unless the user is typing (e.g. in the library search)
+   */
+  onHelpKey() {
+    if (document.activeElement?.tagName === 'INPUT') return;
+
+    this.stateManager.toggleHelp();
+  }
+
+  /**
+   * Close help (Esc, Close, Skip, Done)
+   */
+  closeHelp() {
+    this.stateManager.setHelpVisible(false);
+  }
+
+  /**
+   * Open or close the overlay when help visibility changes
+   * @param {boolean} visible - Help visible state
+   */
+  onHelpVisibilityChanged(visible) {
+    if (visible) {
+      if (!this.helpOverlay.isVisible) {
+        this.helpOverlay.open(this.getHelpContext());
+      }
+      return;
+    }
+
+    // Leaving a walkthrough early still counts as having seen it
+    if (this.helpOverlay.walkthrough) {
+      this.storageManager.markWalkthroughDone(this.stateManager.getCurrentMode());
+    }
+
+    this.helpOverlay.close();
+  }
+
+  /**
+   * Re-point the coach marks at the new phase's elements
+   */
+  onComparisonPhaseChanged() {
+    if (!this.helpOverlay.isVisible) return;
+
+    // The scene builds the phase's components right after announcing it
+    this.time.delayedCall(0, () => {
+      if (this.helpOverlay?.isVisible) {
+        this.helpOverlay.setContext(this.getHelpContext());
+      }
+    });
+  }
+
+  /**
+   * Mode, phase and on-screen targets for the help overlay
+   * @returns {Object} {mode, phase, targets}
+   */
+  getHelpContext() {
+    const mode = this.stateManager.getCurrentMode();
+    const mainScene = HELP_SCENES[mode] ? this.scene.get(HELP_SCENES[mode]) : null;
+    const sceneTargets = mainScene?.sys.isActive() ? mainScene.getHelpTargets?.() ?? [] : [];
+
+    // Overlay buttons last: the walkthrough ends on "you can open help again"
+    const targets = [
+      ...sceneTargets,
+      { id: 'numberFormat', bounds: ComponentBase.boundsOf([this.numberFormatButton]) },
+      { id: 'history', bounds: ComponentBase.boundsOf([this.historyButton]) },
+      { id: 'copyLink', bounds: ComponentBase.boundsOf([this.copyLinkButton]) },
+      { id: 'backButton', bounds: ComponentBase.boundsOf([this.backButton]) },
+      { id: 'helpButton', bounds: ComponentBase.boundsOf([this.helpButton]) }
+    ].filter(target => target.bounds?.width > 0 && target.bounds.height > 0);
+
+    return { mode, phase: this.stateManager.getComparisonPhase(), targets };
+  }
+
+  /**
+   * Run the walkthrough if this mode's was never finished
+   */
+  startFirstRunWalkthrough() {
+    const mode = this.stateManager.getCurrentMode();
+    if (!HELP_SCENES[mode] || this.helpOverlay.isVisible || this.storageManager.isWalkthroughDone(mode)) return;
+
+    console.log(`[UIOverlayScene] First visit to ${mode}, starting walkthrough`);
+
+    this.helpOverlay.open({ ...this.getHelpContext(), walkthrough: true });
+    this.stateManager.setHelpVisible(true);
+  }
+
+  /**
+   * Create number format toggle (top right)
+   *
+   * Each click switches to the next NUMBER_FORMATS mode; the preference
+   * lives in StateManager so every component writes numbers the same way.
+   */
+  createNumberFormatButton() {
+    const width = this.cameras.main.width;
+    const buttonX = this.locale.mirrorX(width - 110, width);
+    const buttonY = 30;
+    const color = parseInt(COLORS.SECONDARY.replace('#', '0x'));
+
+    this.numberFormatButton = this.add.rectangle(buttonX, buttonY, 200, 40, color).setInteractive();
+
+    this.numberFormatButtonText = this.add.text(buttonX, buttonY, '', this.locale.textStyle({
+      fontSize: '16px',
+      color: COLORS.TEXT,
+      fontFamily: 'Arial'
+    })).setOrigin(0.5);
+
+    this.numberFormatButton.on('pointerover', () => this.numberFormatButton.setFillStyle(color, 0.8));
+    this.numberFormatButton.on('pointerout', () => this.numberFormatButton.setFillStyle(color, 1));
+    this.numberFormatButton.on('pointerdown', () => this.cycleNumberFormat());
+
+    this.focusManager.register(this.numberFormatButton, { label: () => this.numberFormatButtonText.text });
+
+    this.updateNumberFormatButton(this.stateManager.getNumberFormat());
+  }
+
+  /**
+   * Switch to the next number format
+   */
+  cycleNumberFormat() {
+    const formats = Object.values(NUMBER_FORMATS);
+    const index = formats.indexOf(this.stateManager.getNumberFormat());
+
+    this.stateManager.setNumberFormat(formats[(index + 1) % formats.length]);
+  }
+
+  /**
+   * Update number format button label
+   * @param {string} format - NUMBER_FORMATS value
+   */
+  updateNumberFormatButton(format) {
+    this.numberFormatButtonText.setText(this.locale.t('overlay.numbers', {
+      format: this.locale.t(`numberFormats.${format}`)
+    }));
+  }
+
   /**
    * Create mode indicator text
    */
   createModeIndicator() {
     const width = this.cameras.main.width;
 
-    this.modeIndicator = this.add.text(width / 2, 20, '', {
+    this.modeIndicator = this.add.text(width / 2, 20, '', this.locale.textStyle({
       fontSize: '16px',
       color: '#cccccc',
       fontFamily: 'Arial'
-    }).setOrigin(0.5);
+    })).setOrigin(0.5);
 
     // Update with current mode
     this.updateMode(this.stateManager.getCurrentMode());
   }
 
+  /**
+   * Create the "Paused" note under the mode indicator (Space / P in a
+   * comparison pauses every animation)
+   */
+  createPauseIndicator() {
+    const width = this.cameras.main.width;
+
+    this.pauseIndicator = this.add.text(width / 2, 44, this.locale.t('overlay.paused'), this.locale.textStyle({
+      fontSize: '14px',
+      color: '#ffaa00',
+      fontFamily: 'Arial',
+      fontStyle: 'bold'
+    })).setOrigin(0.5);
+
+    this.updatePauseIndicator(this.stateManager.isPaused());
+  }
+
+  /**
+   * Show the pause note while animations are globally paused
+   * @param {boolean} isPaused - Pause state
+   */
+  updatePauseIndicator(isPaused) {
+    this.pauseIndicator.setVisible(isPaused);
+  }
+
   /**
    * Update mode indicator when mode changes
    * @param {string} mode - Current mode
    */
   updateMode(mode) {
+    // Powers of Ten is about exponents, so it always uses scientific notation
+    this.numberFormatButton.setVisible(mode === 'comparison');
+    this.numberFormatButtonText.setVisible(mode === 'comparison');
+
+    // Undo history only covers comparisons
+    this.historyButton.setVisible(mode === 'comparison');
+    this.historyButtonText.setVisible(mode === 'comparison');
+    if (mode !== 'comparison') {
+      this.historyDrawer.close();
+    }
+
     if (mode === 'comparison') {
-      this.modeIndicator.setText('Cosmic Comparison Mode');
+      this.modeIndicator.setText(this.locale.t('overlay.comparisonMode'));
     } else if (mode === 'powersOfTen') {
-      this.modeIndicator.setText('Powers of Ten Mode');
+      this.modeIndicator.setText(this.locale.t('overlay.powersOfTenMode'));
     } else {
       this.modeIndicator.setText('');
     }
@@ -144,6 +545,24 @@ export class UIOverlayScene extends Phaser.Scene {
 
     // Remove StateManager event listeners
     this.stateManager.off('modeChanged', this.updateMode, this);
+    this.stateManager.off('numberFormatChanged', this.updateNumberFormatButton, this);
+    this.stateManager.off('helpVisibilityChanged', this.onHelpVisibilityChanged, this);
+    this.stateManager.off('comparisonPhaseChanged', this.onComparisonPhaseChanged, this);
+    this.stateManager.off('historyRestored', this.onHistoryRestored, this);
+    this.stateManager.off('pausedChanged', this.updatePauseIndicator, this);
+
+    this.input.keyboard?.off('keydown-H', this.onHelpKey, this);
+    this.input.keyboard?.off('keydown-ESC', this.closeHelp, this);
+    this.input.keyboard?.off('keydown', this.onHistoryKey, this);
+
+    this.historyDrawer?.destroy();
+    this.historyDrawer = null;
+
+    this.helpOverlay?.destroy();
+    this.helpOverlay = null;
+
+    // Next mode starts with help closed
+    this.stateManager.setHelpVisible(false);
 
     // Phaser automatically cleans up scene-specific events
     // But we must manually remove external event listeners
@@ -0,0 +1,175 @@
+/**
+ * ComparisonMachine - The phases of a cosmic comparison as a state machine
+ *
+ *   Phase               Event                  Next phase
+ *   selection           SELECT                 scaleDisplay
+ *   scaleDisplay        SHOW_DISTANCE, SKIP    distanceAnimation
+ *   scaleDisplay        SEND_LIGHT, SKIP       lightTravel (routes)
+ *   distanceAnimation   SEPARATION_COMPLETE    lightTravel
+ *   scaleDisplay        BACK                   selection
+ *   distanceAnimation   BACK                   scaleDisplay
+ *   lightTravel         BACK                   scaleDisplay
+ *   any                 RESET                  selection
+ *
+ * - SELECT needs at least two objects; SHOW_DISTANCE and SKIP need a pair
+ *   with a known distance (lineups stop at the sizes)
+ * - A light route has no separation: SEND_LIGHT (or SKIP) goes from the
+ *   sizes straight to the light, with a known distance for every leg
+ * - BACK returns to the previous stop: the sizes, or the library. Light
+ *   travel follows the separation automatically, so going back from it
+ *   also returns to the sizes
+ * - SKIP jumps ahead: from the sizes straight to the separated objects
+ *   (a route's light), past the rest of the separation, or to the end of
+ *   the light's trip
+ * - RESET returns to the library from any phase
+ *
+ * The definition is pure data; CosmicComparisonScene passes the actions
+ * that build and tear down its components (SCENE_ACTIONS). Unimplemented
+ * actions do nothing, so the machine runs in Node without Phaser.
+ */
+
+import { StateMachine } from './StateMachine.js';
+import { COMPARISON_PHASES } from './Constants.js';
+
+const { SELECTION, SCALE_DISPLAY, DISTANCE_ANIMATION, LIGHT_TRAVEL } = COMPARISON_PHASES;
+
+// Events the comparison machine accepts (payload in parentheses)
+export const COMPARISON_EVENTS = Object.freeze({
+  SELECT: 'SELECT',                            // ({objectIds}) Selection confirmed
+  SHOW_DISTANCE: 'SHOW_DISTANCE',              // ({distanceData}) "Show Distance" pressed
+  SEND_LIGHT: 'SEND_LIGHT',                    // ({legs}) "Send Light" pressed (routes)
+  SEPARATION_COMPLETE: 'SEPARATION_COMPLETE',  // Objects reached their distance
+  TRAVEL_COMPLETE: 'TRAVEL_COMPLETE',          // Light arrived
+  BACK: 'BACK',                                // Previous phase
+  SKIP: 'SKIP',                                // Jump ahead ({distanceData} or {legs} from the sizes)
+  RESET: 'RESET'                               // Start a new comparison
+});
+
+// Actions implemented by the scene, by phase
+export const SCENE_ACTIONS = [
+  'enterSelection',          // Clear the comparison, show the library
+  'enterScaleDisplay',       // Show the sizes (and Show Distance / Send Light / date control)
+  'exitScaleDisplay',        // Remove the Show Distance / Send Light button and date control
+  'enterDistanceAnimation',  // Separate the objects (event.type SKIP: without animation)
+  'finishSeparation',        // Jump to the end of the separation
+  'enterLightTravel',        // Send the light (across the pair, or along the route's legs)
+  'finishLightTravel',       // Jump to the light's arrival
+  'completeLightTravel'      // Announce the travel time, offer a new comparison
+];
+
+const { SELECT, SHOW_DISTANCE, SEND_LIGHT, SEPARATION_COMPLETE, TRAVEL_COMPLETE, BACK, SKIP, RESET } = COMPARISON_EVENTS;
+
+const RESET_TRANSITION = { target: SELECTION, actions: ['clearComparison'] };
+
+const STATES = {
+  [SELECTION]: {
+    entry: ['enterSelection'],
+    on: {
+      [SELECT]: { target: SCALE_DISPLAY, guard: 'isComparison', actions: ['assignObjects'] },
+      [RESET]: RESET_TRANSITION
+    }
+  },
+  [SCALE_DISPLAY]: {
+    entry: ['enterScaleDisplay'],
+    exit: ['exitScaleDisplay'],
+    on: {
+      [SHOW_DISTANCE]: { target: DISTANCE_ANIMATION, guard: 'hasDistance', actions: ['assignDistance'] },
+      [SEND_LIGHT]: { target: LIGHT_TRAVEL, guard: 'hasRoute', actions: ['assignRoute'] },
+      [SKIP]: [
+        { target: DISTANCE_ANIMATION, guard: 'hasDistance', actions: ['assignDistance'] },
+        { target: LIGHT_TRAVEL, guard: 'hasRoute', actions: ['assignRoute'] }
+      ],
+      [BACK]: RESET_TRANSITION,
+      [RESET]: RESET_TRANSITION
+    }
+  },
+  [DISTANCE_ANIMATION]: {
+    entry: ['enterDistanceAnimation'],
+    on: {
+      [SEPARATION_COMPLETE]: LIGHT_TRAVEL,
+      [SKIP]: { actions: ['finishSeparation'] },
+      [BACK]: SCALE_DISPLAY,
+      [RESET]: RESET_TRANSITION
+    }
+  },
+  [LIGHT_TRAVEL]: {
+    entry: ['startTravel', 'enterLightTravel'],
+    exit: ['stopTravel'],
+    on: {
+      [TRAVEL_COMPLETE]: { guard: 'isTravelling', actions: ['stopTravel', 'completeLightTravel'] },
+      [SKIP]: { guard: 'isTravelling', actions: ['finishLightTravel'] },
+      [BACK]: SCALE_DISPLAY,
+      [RESET]: RESET_TRANSITION
+    }
+  }
+};
+
+const GUARDS = {
+  isComparison: (context, event) => Array.isArray(event.objectIds) && event.objectIds.length >= 2,
+  hasDistance: (context, event) => context.objectIds.length === 2 && Boolean(event.distanceData),
+  hasRoute: (context, event) => Array.isArray(event.legs) &&
+    event.legs.length === context.objectIds.length - 1 && event.legs.every(Boolean),
+  isTravelling: context => context.travelling
+};
+
+// Actions on the machine's own context
+const CONTEXT_ACTIONS = {
+  assignObjects: (context, event) => {
+    context.objectIds = [...event.objectIds];
+    context.distanceData = null;
+    context.legs = null;
+  },
+  assignDistance: (context, event) => {
+    context.distanceData = event.distanceData;
+    context.legs = null;
+  },
+  assignRoute: (context, event) => {
+    context.distanceData = null;
+    context.legs = event.legs;
+  },
+  clearComparison: context => {
+    context.objectIds = [];
+    context.distanceData = null;
+    context.legs = null;
+    context.travelling = false;
+  },
+  startTravel: context => {
+    context.travelling = true;
+  },
+  stopTravel: context => {
+    context.travelling = false;
+  }
+};
+
+/**
+ * Create a comparison machine (call start() to enter the selection phase)
+ *
+ * Context: {objectIds, distanceData, legs, travelling}
+ *
+ * @param {Object} actions - Scene actions by SCENE_ACTIONS name, each (context, event)
+ * @returns {StateMachine} New machine
+ */
+export function createComparisonMachine(actions = {}) {
+  const sceneActions = Object.fromEntries(SCENE_ACTIONS.map(name => [name, actions[name] ?? (() => {})]));
+
+  return new StateMachine({
+    id: 'comparison',
+    initial: SELECTION,
+    context: { objectIds: [], distanceData: null, legs: null, travelling: false },
+    states: STATES,
+    guards: GUARDS,
+    actions: { ...sceneActions, ...CONTEXT_ACTIONS }
+  });
+}
+
+/**
+ * Check whether the comparison can move between two phases through some
+ * event (StateManager.setComparisonPhase() refuses anything else)
+ *
+ * @param {string} from - Current phase
+ * @param {string} to - Next phase
+ * @returns {boolean} True if the definition has such a transition
+ */
+export function isComparisonTransition(from, to) {
+  return StateMachine.getTargets({ states: STATES }, from).includes(to);
+}
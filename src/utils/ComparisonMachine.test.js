@@ -0,0 +1,321 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createComparisonMachine, isComparisonTransition, COMPARISON_EVENTS, SCENE_ACTIONS } from './ComparisonMachine.js';
+import { MACHINE_EVENTS } from './StateMachine.js';
+import { COMPARISON_PHASES } from './Constants.js';
+import { StateManager } from '@/managers/StateManager.js';
+
+// Phaser needs a browser; StateManager only uses its EventEmitter
+vi.mock('phaser', async () => {
+  const { EventEmitter } = await import('node:events');
+  return { default: { Events: { EventEmitter } } };
+});
+
+const { SELECTION, SCALE_DISPLAY, DISTANCE_ANIMATION, LIGHT_TRAVEL } = COMPARISON_PHASES;
+const { SELECT, SHOW_DISTANCE, SEND_LIGHT, SEPARATION_COMPLETE, TRAVEL_COMPLETE, BACK, SKIP, RESET } = COMPARISON_EVENTS;
+
+const PAIR = ['sun', 'earth'];
+const ROUTE = ['sun', 'earth', 'moon'];
+const DISTANCE = { from: 'sun', to: 'earth', distance: 1.496e11 };
+const LEGS = [{ distance: 1.496e11 }, { distance: 3.844e8 }];
+
+/**
+ * @param {Object} overrides - Scene actions to replace the spies
+ * @returns {Object} {machine, actions} with every SCENE_ACTIONS entry a spy
+ */
+function createMachine(overrides = {}) {
+  const actions = Object.fromEntries(SCENE_ACTIONS.map(name => [name, vi.fn(overrides[name])]));
+  const machine = createComparisonMachine(actions);
+  machine.start();
+  return { machine, actions };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('ComparisonMachine', () => {
+  describe('phase transitions', () => {
+    it('starts in the selection phase', () => {
+      const { machine, actions } = createMachine();
+
+      expect(machine.getState()).toBe(SELECTION);
+      expect(actions.enterSelection).toHaveBeenCalledTimes(1);
+    });
+
+    it('runs a pair through every phase in order', () => {
+      const { machine, actions } = createMachine();
+      const phases = [];
+      machine.on(MACHINE_EVENTS.TRANSITION, ({ to }) => phases.push(to));
+
+      expect(machine.send(SELECT, { objectIds: PAIR })).toBe(true);
+      expect(machine.send(SHOW_DISTANCE, { distanceData: DISTANCE })).toBe(true);
+      expect(machine.send(SEPARATION_COMPLETE)).toBe(true);
+      expect(machine.send(TRAVEL_COMPLETE)).toBe(true);
+
+      expect(phases).toEqual([SCALE_DISPLAY, DISTANCE_ANIMATION, LIGHT_TRAVEL, LIGHT_TRAVEL]);
+      expect(machine.context).toMatchObject({ objectIds: PAIR, distanceData: DISTANCE, travelling: false });
+      expect(actions.exitScaleDisplay).toHaveBeenCalledTimes(1);
+      expect(actions.enterLightTravel).toHaveBeenCalledTimes(1);
+      expect(actions.completeLightTravel).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects events the current phase does not handle', () => {
+      const { machine } = createMachine();
+      const rejected = vi.fn();
+      machine.on(MACHINE_EVENTS.REJECTED, rejected);
+
+      expect(machine.send(SHOW_DISTANCE, { distanceData: DISTANCE })).toBe(false);
+      expect(machine.send(SEPARATION_COMPLETE)).toBe(false);
+      expect(machine.send(TRAVEL_COMPLETE)).toBe(false);
+
+      expect(machine.getState()).toBe(SELECTION);
+      expect(rejected).toHaveBeenCalledTimes(3);
+      expect(rejected.mock.calls[0][0]).toMatchObject({ state: SELECTION, reason: 'unhandled' });
+    });
+
+    it('does not skip the separation from the sizes with SEPARATION_COMPLETE', () => {
+      const { machine } = createMachine();
+      machine.send(SELECT, { objectIds: PAIR });
+
+      expect(machine.send(SEPARATION_COMPLETE)).toBe(false);
+      expect(machine.getState()).toBe(SCALE_DISPLAY);
+    });
+  });
+
+  describe('guards', () => {
+    it('isComparison: SELECT needs at least two objects', () => {
+      const { machine } = createMachine();
+      const rejected = vi.fn();
+      machine.on(MACHINE_EVENTS.REJECTED, rejected);
+
+      expect(machine.can(SELECT, { objectIds: ['sun'] })).toBe(false);
+      expect(machine.send(SELECT, { objectIds: ['sun'] })).toBe(false);
+      expect(machine.send(SELECT, {})).toBe(false);
+      expect(rejected.mock.calls[0][0]).toMatchObject({ reason: 'guard' });
+      expect(machine.getState()).toBe(SELECTION);
+
+      expect(machine.send(SELECT, { objectIds: PAIR })).toBe(true);
+      expect(machine.getState()).toBe(SCALE_DISPLAY);
+    });
+
+    it('hasDistance: SHOW_DISTANCE needs a pair with a known distance', () => {
+      const { machine } = createMachine();
+
+      machine.send(SELECT, { objectIds: PAIR });
+      expect(machine.send(SHOW_DISTANCE, { distanceData: null })).toBe(false);
+      expect(machine.getState()).toBe(SCALE_DISPLAY);
+
+      // Lineups stop at the sizes
+      machine.send(RESET);
+      machine.send(SELECT, { objectIds: ROUTE });
+      expect(machine.send(SHOW_DISTANCE, { distanceData: DISTANCE })).toBe(false);
+      expect(machine.getState()).toBe(SCALE_DISPLAY);
+    });
+
+    it('hasRoute: SEND_LIGHT needs a known distance for every leg', () => {
+      const { machine, actions } = createMachine();
+      machine.send(SELECT, { objectIds: ROUTE });
+
+      expect(machine.send(SEND_LIGHT, { legs: LEGS.slice(0, 1) })).toBe(false);
+      expect(machine.send(SEND_LIGHT, { legs: [LEGS[0], null] })).toBe(false);
+      expect(machine.send(SEND_LIGHT, {})).toBe(false);
+      expect(machine.getState()).toBe(SCALE_DISPLAY);
+
+      expect(machine.send(SEND_LIGHT, { legs: LEGS })).toBe(true);
+      expect(machine.getState()).toBe(LIGHT_TRAVEL);
+      expect(machine.context.legs).toBe(LEGS);
+      expect(actions.enterDistanceAnimation).not.toHaveBeenCalled();
+    });
+
+    it('isTravelling: the light completes and skips only while it travels', () => {
+      const { machine, actions } = createMachine();
+      machine.send(SELECT, { objectIds: PAIR });
+      machine.send(SHOW_DISTANCE, { distanceData: DISTANCE });
+      machine.send(SEPARATION_COMPLETE);
+
+      expect(machine.context.travelling).toBe(true);
+      expect(machine.send(TRAVEL_COMPLETE)).toBe(true);
+      expect(machine.send(TRAVEL_COMPLETE)).toBe(false);
+      expect(machine.send(SKIP)).toBe(false);
+      expect(actions.completeLightTravel).toHaveBeenCalledTimes(1);
+      expect(actions.finishLightTravel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('BACK, SKIP and RESET', () => {
+    it('BACK returns to the sizes, then to the library', () => {
+      const { machine, actions } = createMachine();
+      machine.send(SELECT, { objectIds: PAIR });
+      machine.send(SHOW_DISTANCE, { distanceData: DISTANCE });
+
+      expect(machine.send(BACK)).toBe(true);
+      expect(machine.getState()).toBe(SCALE_DISPLAY);
+
+      machine.send(SHOW_DISTANCE, { distanceData: DISTANCE });
+      machine.send(SEPARATION_COMPLETE);
+      expect(machine.send(BACK)).toBe(true);
+      expect(machine.getState()).toBe(SCALE_DISPLAY);
+      expect(machine.context.travelling).toBe(false);
+
+      expect(machine.send(BACK)).toBe(true);
+      expect(machine.getState()).toBe(SELECTION);
+      expect(machine.context.objectIds).toEqual([]);
+      expect(actions.enterScaleDisplay).toHaveBeenCalledTimes(3);
+
+      expect(machine.send(BACK)).toBe(false);
+    });
+
+    it('SKIP from the sizes goes to the separation, or to a route\'s light', () => {
+      const { machine, actions } = createMachine();
+      machine.send(SELECT, { objectIds: PAIR });
+
+      expect(machine.send(SKIP, { distanceData: DISTANCE })).toBe(true);
+      expect(machine.getState()).toBe(DISTANCE_ANIMATION);
+      expect(actions.enterDistanceAnimation.mock.calls[0][1]).toMatchObject({ type: SKIP });
+
+      machine.send(RESET);
+      machine.send(SELECT, { objectIds: ROUTE });
+      expect(machine.send(SKIP, { legs: LEGS })).toBe(true);
+      expect(machine.getState()).toBe(LIGHT_TRAVEL);
+
+      machine.send(RESET);
+      machine.send(SELECT, { objectIds: ROUTE });
+      expect(machine.send(SKIP, {})).toBe(false);
+      expect(machine.getState()).toBe(SCALE_DISPLAY);
+    });
+
+    it('SKIP during an animation finishes it without changing phase', () => {
+      const { machine, actions } = createMachine();
+      machine.send(SELECT, { objectIds: PAIR });
+      machine.send(SHOW_DISTANCE, { distanceData: DISTANCE });
+
+      expect(machine.send(SKIP)).toBe(true);
+      expect(machine.getState()).toBe(DISTANCE_ANIMATION);
+      expect(actions.finishSeparation).toHaveBeenCalledTimes(1);
+
+      machine.send(SEPARATION_COMPLETE);
+      expect(machine.send(SKIP)).toBe(true);
+      expect(machine.getState()).toBe(LIGHT_TRAVEL);
+      expect(actions.finishLightTravel).toHaveBeenCalledTimes(1);
+    });
+
+    it('RESET returns to the library from every phase and clears the context', () => {
+      const paths = [
+        [],
+        [[SELECT, { objectIds: PAIR }]],
+        [[SELECT, { objectIds: PAIR }], [SHOW_DISTANCE, { distanceData: DISTANCE }]],
+        [[SELECT, { objectIds: ROUTE }], [SEND_LIGHT, { legs: LEGS }]]
+      ];
+
+      paths.forEach(path => {
+        const { machine, actions } = createMachine();
+        path.forEach(([type, payload]) => machine.send(type, payload));
+
+        expect(machine.send(RESET)).toBe(true);
+        expect(machine.getState()).toBe(SELECTION);
+        expect(machine.context).toEqual({ objectIds: [], distanceData: null, legs: null, travelling: false });
+        expect(actions.enterSelection).toHaveBeenCalledTimes(2);
+      });
+    });
+  });
+
+  describe('events sent from actions', () => {
+    it('are queued until the current transition is complete', () => {
+      const seen = [];
+      const { machine } = createMachine({
+        // Reduced motion: the separation completes at once
+        enterDistanceAnimation: () => {
+          expect(machine.send(SEPARATION_COMPLETE)).toBe(true);
+          seen.push(machine.getState());
+        },
+        enterLightTravel: () => {
+          machine.send(TRAVEL_COMPLETE);
+          seen.push(machine.getState());
+        }
+      });
+      const phases = [];
+      machine.on(MACHINE_EVENTS.TRANSITION, ({ from, to }) => phases.push(`${from}→${to}`));
+
+      machine.send(SELECT, { objectIds: PAIR });
+      machine.send(SHOW_DISTANCE, { distanceData: DISTANCE });
+
+      expect(seen).toEqual([DISTANCE_ANIMATION, LIGHT_TRAVEL]);
+      expect(phases).toEqual([
+        `${SELECTION}→${SCALE_DISPLAY}`,
+        `${SCALE_DISPLAY}→${DISTANCE_ANIMATION}`,
+        `${DISTANCE_ANIMATION}→${LIGHT_TRAVEL}`,
+        `${LIGHT_TRAVEL}→${LIGHT_TRAVEL}`
+      ]);
+      expect(machine.context.travelling).toBe(false);
+    });
+
+    it('are rejected once their turn comes if the phase does not take them', () => {
+      const { machine } = createMachine({
+        enterScaleDisplay: () => machine.send(TRAVEL_COMPLETE)
+      });
+      const rejected = vi.fn();
+      machine.on(MACHINE_EVENTS.REJECTED, rejected);
+
+      machine.send(SELECT, { objectIds: PAIR });
+
+      expect(machine.getState()).toBe(SCALE_DISPLAY);
+      expect(rejected).toHaveBeenCalledWith(expect.objectContaining({ state: SCALE_DISPLAY, reason: 'unhandled' }));
+    });
+  });
+
+  describe('isComparisonTransition', () => {
+    it('allows the transitions of the definition', () => {
+      expect(isComparisonTransition(SELECTION, SCALE_DISPLAY)).toBe(true);
+      expect(isComparisonTransition(SCALE_DISPLAY, DISTANCE_ANIMATION)).toBe(true);
+      expect(isComparisonTransition(SCALE_DISPLAY, LIGHT_TRAVEL)).toBe(true);
+      expect(isComparisonTransition(DISTANCE_ANIMATION, LIGHT_TRAVEL)).toBe(true);
+      expect(isComparisonTransition(LIGHT_TRAVEL, SCALE_DISPLAY)).toBe(true);
+      expect(isComparisonTransition(LIGHT_TRAVEL, SELECTION)).toBe(true);
+    });
+
+    it('refuses phases a comparison cannot jump to', () => {
+      expect(isComparisonTransition(SELECTION, DISTANCE_ANIMATION)).toBe(false);
+      expect(isComparisonTransition(SELECTION, LIGHT_TRAVEL)).toBe(false);
+      expect(isComparisonTransition(LIGHT_TRAVEL, DISTANCE_ANIMATION)).toBe(false);
+    });
+  });
+});
+
+describe('StateManager.setComparisonPhase', () => {
+  let stateManager;
+
+  beforeEach(() => {
+    StateManager.instance = null;
+    stateManager = StateManager.getInstance();
+  });
+
+  it('follows the transitions of the comparison machine', () => {
+    const changed = vi.fn();
+    stateManager.on('comparisonPhaseChanged', changed);
+
+    expect(stateManager.setComparisonPhase(SCALE_DISPLAY)).toBe(true);
+    expect(stateManager.setComparisonPhase(DISTANCE_ANIMATION)).toBe(true);
+    expect(stateManager.setComparisonPhase(LIGHT_TRAVEL)).toBe(true);
+    expect(stateManager.setComparisonPhase(SELECTION)).toBe(true);
+
+    expect(changed.mock.calls.map(([phase]) => phase)).toEqual([SCALE_DISPLAY, DISTANCE_ANIMATION, LIGHT_TRAVEL, SELECTION]);
+  });
+
+  it('rejects transitions isComparisonTransition disallows', () => {
+    const changed = vi.fn();
+    stateManager.on('comparisonPhaseChanged', changed);
+
+    expect(stateManager.setComparisonPhase(LIGHT_TRAVEL)).toBe(false);
+    expect(stateManager.setComparisonPhase(DISTANCE_ANIMATION)).toBe(false);
+
+    expect(stateManager.getComparisonPhase()).toBe(SELECTION);
+    expect(changed).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Illegal comparison phase change'));
+  });
+
+  it('accepts staying in the same phase and refuses unknown phases', () => {
+    expect(stateManager.setComparisonPhase(SELECTION)).toBe(true);
+    expect(() => stateManager.setComparisonPhase('warp')).toThrow('Unknown comparison phase');
+  });
+});
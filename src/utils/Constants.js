@@ -14,7 +14,7 @@ export const MAX_EXPONENT = 26;   // Observable universe (10^26 m)
 // Animation durations (milliseconds)
 export const ANIMATION_DURATION = {
   DISTANCE: 2000,    // Duration for distance separation animation
-  LIGHT_MAX: 10000   // Maximum duration for light travel animation (cap at 10s for UX)
+  LIGHT_MAX: 10000   // Light travel at the default "fit" speed (LIGHT_SPEEDS.FIT)
 };
 
 // UI colors
@@ -28,7 +28,159 @@ export const COLORS = {
 };
 
 // Object selection limits
-export const MAX_SELECTIONS = 2;
+export const MAX_SELECTIONS = 2;          // Pair comparison (size + distance + light travel)
+export const MAX_LINEUP_SELECTIONS = 10;  // Lineup comparison (sizes only)
+export const MAX_ROUTE_STOPS = 8;         // Light route (sizes + light travel, stop by stop)
+
+// Comparison modes
+export const COMPARISON_MODES = {
+  PAIR: 'pair',      // Exactly two objects
+  LINEUP: 'lineup',  // 2 to MAX_LINEUP_SELECTIONS objects side by side
+  ROUTE: 'route'     // 2 to MAX_ROUTE_STOPS objects in order, light travels from stop to stop
+};
+
+// Selection limit of each comparison mode
+export const SELECTION_LIMITS = {
+  [COMPARISON_MODES.PAIR]: MAX_SELECTIONS,
+  [COMPARISON_MODES.LINEUP]: MAX_LINEUP_SELECTIONS,
+  [COMPARISON_MODES.ROUTE]: MAX_ROUTE_STOPS
+};
+
+// Comparison phases, in the order CosmicComparisonScene runs them
+// (transitions: ComparisonMachine)
+export const COMPARISON_PHASES = {
+  SELECTION: 'selection',                   // Choosing objects in the library
+  SCALE_DISPLAY: 'scaleDisplay',            // Sizes side by side
+  DISTANCE_ANIMATION: 'distanceAnimation',  // Objects move apart to their distance (pairs)
+  LIGHT_TRAVEL: 'lightTravel'               // Light crosses the distance (pairs and routes)
+};
+
+// Number formatting modes (user preference, see NumberFormatter)
+export const NUMBER_FORMATS = {
+  SCIENTIFIC: 'scientific',      // 1.50 × 10^11 m
+  ENGINEERING: 'engineering',    // 150 × 10^9 m (exponent a multiple of 3)
+  WORDS: 'words',                // 150 million km
+  ASTRONOMICAL: 'astronomical'   // 1 AU, 4.25 ly, 778 kpc (best-fit unit)
+};
+
+// Distance axis scale modes (user preference, see ScaleCalculator.getDistanceLayout())
+export const SCALE_MODES = {
+  LINEAR: 'linear',              // Sizes and distance at one scale
+  LOGARITHMIC: 'logarithmic',    // Each tick 10× farther; sizes not to scale
+  HYBRID: 'hybrid'               // Sizes to scale, most of the empty gap cut out (axis break)
+};
+
+// Reduced motion (StateManager preference; follows prefers-reduced-motion)
+export const MOTION = {
+  MEDIA_QUERY: '(prefers-reduced-motion: reduce)',
+  STEP_DELAY: 500,          // Pause between the steps that replace a tween (ms)
+  LIGHT_STEPS: 5,           // Positions the light pulse jumps through
+  MIN_STEP_INTERVAL: 100    // Shortest time between light steps (ms)
+};
+
+// Object color modes (StateManager preference)
+export const COLOR_MODES = {
+  STANDARD: 'standard',              // Colors from the data files
+  HIGH_CONTRAST: 'highContrast',     // Bright palette, at least 7:1 against the black background
+  COLOR_BLIND: 'colorBlind'          // Okabe-Ito palette, distinguishable with any color vision
+};
+
+// Palettes for the non-standard color modes, assigned by position on screen
+export const PALETTES = {
+  highContrast: ['#FFFFFF', '#FFFF00', '#00FFFF', '#FF66FF', '#66FF66', '#FFA500'],
+  colorBlind: ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#CC79A7', '#D55E00']
+};
+
+// Patterns and outlines that keep objects apart without relying on color
+export const OBJECT_STYLE = {
+  PATTERNS: [null, 'stripes', 'dots', 'crosshatch', 'rings', 'diagonal', 'grid'],  // null = solid
+  PATTERN_SPACING: 8,       // Distance between pattern lines (pixels)
+  PATTERN_MIN_RADIUS: 8,    // Smaller objects stay solid (pixels)
+  PATTERN_COLOR: '#000000', // Every palette color is light enough for dark patterns
+  PATTERN_ALPHA: 0.55,
+  OUTLINE_COLOR: '#FFFFFF',
+  OUTLINE_WIDTH: 2
+};
+
+// Interface languages (catalogs in public/assets/locales/<code>.json)
+export const LOCALES = {
+  DEFAULT: 'en',                 // Fallback for missing messages
+  AVAILABLE: ['en', 'es', 'fr'],
+  QUERY_PARAM: 'lang'            // ?lang=es picks the language at boot
+};
+
+// Custom object packs
+export const OBJECT_PACKS = {
+  ID_SEPARATOR: ':',        // Namespaced id = <pack id>:<local id>, e.g. "classroom:school-bus"
+  QUERY_PARAM: 'pack',      // ?pack=<url> (repeatable, or comma-separated)
+  MANIFEST_PARAM: 'packs'   // ?packs=<manifest url>, manifest = { "packs": ["a.json", ...] }
+};
+
+// Saved preferences and progress (StorageManager): one versioned localStorage entry
+export const STORAGE = {
+  KEY: 'powersExplorer.data',
+  VERSION: 1,               // Bump together with a migration in StorageManager
+  MAX_RECENT: 5,            // Recent comparisons kept (newest first)
+  LEGACY_WALKTHROUGH_KEY: 'powersExplorer.walkthroughDone',  // Version 0: JSON {<mode>: true}
+  RESET_CONFIRM_DELAY: 3000 // "Reset all data" waits this long for the second press (ms)
+};
+
+// Shareable deep links (RouteManager), written to the URL hash
+export const ROUTES = {
+  PARAMS: {
+    MODE: 'mode',             // 'comparison' | 'powersOfTen'
+    OBJECTS: 'objects',       // Comma-separated object ids
+    COMPARISON: 'compare',    // 'pair' | 'lineup' | 'route' (default: from the number of objects)
+    PHASE: 'phase',           // Comparison phase to jump to, e.g. 'distanceAnimation'
+    DATE: 'date',             // YYYY-MM-DD for date-dependent distances
+    SCALE: 'scale',           // Powers of Ten exponent
+    NUMBERS: 'numbers',       // NUMBER_FORMATS value
+    AXIS: 'axis',             // SCALE_MODES value of the distance view
+    MOTION: 'motion',         // 'reduced' | 'full'
+    COLORS: 'colors'          // COLOR_MODES value
+  },
+  COPIED_DURATION: 1500       // "Link copied" confirmation on the button (ms)
+};
+
+// Comparison history (StateManager undo/redo, HistoryDrawer)
+export const HISTORY = {
+  MAX_ENTRIES: 50,          // Oldest snapshots are dropped beyond this
+  DRAWER_WIDTH: 340,        // Drawer width (pixels)
+  DRAWER_TOP: 70,           // Top edge, below the overlay buttons (pixels)
+  MARGIN: 20,               // Gap to the screen edge (pixels)
+  PADDING: 16,              // Inner padding (pixels)
+  ROW_HEIGHT: 58,           // One comparison per row (pixels)
+  MAX_ROWS: 8,              // Comparisons listed (newest first)
+  DEPTH: 900                // Above the mode's UI, below the help overlay
+};
+
+// Object library (ObjectSelector) layout
+export const OBJECT_LIBRARY = {
+  COLUMNS: 3,               // Cards per grid row
+  CARD_WIDTH: 200,          // Card size (pixels)
+  CARD_HEIGHT: 60,
+  GAP: 12,                  // Gap between cards (pixels)
+  BOTTOM_MARGIN: 24,        // Space below the grid (pixels)
+  SEARCH_WIDTH: 260,        // Search box width (pixels)
+  WHEEL_FACTOR: 0.6,        // Scroll distance per wheel delta unit
+  HOME_OBJECT_ID: 'earth'   // Reference object for the distance sort
+};
+
+// Object library sort orders
+export const LIBRARY_SORTS = {
+  CATALOG: 'catalog',       // Data file and pack load order
+  SIZE: 'size',             // Diameter
+  MASS: 'mass',
+  DISTANCE: 'distance'      // Distance from OBJECT_LIBRARY.HOME_OBJECT_ID
+};
+
+// Lineup (N-object) display settings
+export const LINEUP_DISPLAY = {
+  MIN_SLOT_WIDTH: 90,     // Minimum horizontal space per object (keeps labels readable)
+  GAP: 16,                // Horizontal gap between slots (pixels)
+  MAX_HEIGHT_RATIO: 0.5,  // Largest object may use at most 50% of screen height
+  LABEL_ROW_OFFSET: 44    // Vertical offset between staggered label rows (pixels)
+};
 
 // Scale display settings
 export const SCALE_DISPLAY = {
@@ -44,3 +196,120 @@ export const PROPORTIONAL_SIZING = {
   OVERLAY_OFFSET_Y: 120,    // Vertical distance above actual object (pixels)
   CONNECTOR_COLOR: 0xaaaaaa // Arrow connector color (gray)
 };
+
+// Distance view axis and scale modes (DistanceAnimator)
+export const DISTANCE_SCALE = {
+  SPAN: 0.7,                // Object 1 to object 2 spans 70% of the screen width
+  RULER_OFFSET: 130,        // Ruler below the objects' center line (pixels)
+  MAJOR_TICK: 10,           // Tick lengths (pixels)
+  MINOR_TICK: 5,
+  LABEL_GAP: 110,           // Labeled ticks at least this far apart (pixels)
+  LOG_MARKER_SIZE: 16,      // Objects on a logarithmic axis are markers (pixels)
+  HYBRID_SIZE: 120,         // Hybrid: the larger object's diameter (pixels)
+  HYBRID_SEGMENT: 0.3,      // Hybrid: each to-scale part is 30% of the span
+  BREAK_MARK: 6,            // Size of the "//" axis break marks (pixels)
+  MORPH_DURATION: 1200,     // Animated change of scale mode (ms)
+  TOGGLE_Y: 100,            // Mode buttons, below the size ratio (pixels)
+  TOGGLE_WIDTH: 130,        // One mode button (pixels)
+  TOGGLE_HEIGHT: 32
+};
+
+// Light route diagram (RouteDisplay) and its light travel
+export const LIGHT_ROUTE = {
+  SPAN: 0.8,                // First to last stop spans 80% of the screen width
+  CENTER_Y: 0.4,            // Stops' center line, as a fraction of the screen height
+  MARKER_SIZE: 22,          // Stop markers (pixels; the diagram is not to scale)
+  SPLITS_TOP: 0.52,         // Split times list, as a fraction of the screen height
+  SPLIT_LINE_HEIGHT: 22,    // One leg in the split times list (pixels)
+  MIN_LEG_DURATION: 400     // Shortest time-lapsed leg, so short hops stay visible (ms)
+};
+
+// Light travel playback speeds (LightSpeedTraveler.setSpeed())
+export const LIGHT_SPEEDS = {
+  REAL_TIME: 'realTime',    // 1 second of travel per second
+  MINUTE: 'minute',         // 1 minute of travel per second
+  YEAR: 'year',             // 1 year of travel per second
+  FIT: 'fit'                // Whole trip in ANIMATION_DURATION.LIGHT_MAX (default)
+};
+
+// Light travel playback bar (LightPlaybackBar)
+export const LIGHT_PLAYBACK = {
+  BOTTOM: 150,              // Bar center above the bottom edge (pixels)
+  HEIGHT: 30,               // Buttons (pixels)
+  BUTTON_WIDTH: 44,         // Play/pause and skip to arrival (pixels)
+  SPEED_WIDTH: 96,          // One speed preset (pixels)
+  TRACK_WIDTH: 300,         // Scrub track (pixels)
+  GAP: 8,
+  KEY_STEP: 0.05            // Arrow keys move the light by 5% of the trip
+};
+
+// To-scale pan/zoom view of a pair's distance (DistanceExplorer)
+export const DISTANCE_EXPLORER = {
+  TOP: 60,                  // Top edge, below the overlay buttons (pixels)
+  FIT_MARGIN: 0.1,          // "Fit both" leaves 10% of the width empty on each side
+  MIN_ZOOM: 0.25,           // Zoom out to 1/4 of the fitted scale at most
+  MAX_ZOOM_SCREENS: 10,     // Zoom in until the smaller object is 10 screens wide
+  WHEEL_ZOOM: 0.002,        // Zoom factor per wheel delta unit (exponential)
+  KEY_ZOOM: 2,              // + / − zoom factor
+  KEY_PAN: 0.2,             // Arrow keys pan by this fraction of the width
+  MIN_DOT_RADIUS: 2,        // Objects smaller than this are drawn as a dot (pixels)
+  MARKER_RADIUS: 10,        // Ring around dot-sized objects so they can be found (pixels)
+  MAX_CIRCLE_RADIUS: 1e5,   // Larger circles are drawn as a band (their edge is straight on screen)
+  MINIMAP_WIDTH: 560,       // Whole-distance strip (pixels)
+  MINIMAP_HEIGHT: 22,
+  MINIMAP_BOTTOM: 95,       // Minimap center above the bottom edge (pixels)
+  FIT_DURATION: 600,        // "Fit both" animation (ms)
+  DEPTH: 50                 // Above the distance animation, below the info panel
+};
+
+// Object info panel settings (comparison mode)
+export const INFO_PANEL = {
+  WIDTH: 400,           // Panel width (pixels)
+  MARGIN: 20,           // Gap to the screen edge (pixels)
+  TOP: 70,              // Top edge, below the overlay buttons (pixels)
+  PADDING: 18,          // Inner padding (pixels)
+  MAX_DISTANCES: 5,     // Catalogued distances listed before "…and N more"
+  DEPTH: 100            // Draws above comparison components created later
+};
+
+// Keyboard focus and screen-reader announcements (FocusManager)
+export const FOCUS = {
+  RING_COLOR: '#00E5FF',    // Focus ring, distinct from help highlights
+  RING_WIDTH: 3,
+  RING_PADDING: 4,          // Gap between object and ring (pixels)
+  RING_DEPTH: 2000,         // Above every other object in its scene
+  ANNOUNCE_DELAY: 50        // Live region is cleared first so repeats are read (ms)
+};
+
+// Help overlay and first-run walkthrough (UIOverlayScene)
+export const HELP = {
+  WALKTHROUGH_DELAY: 600,   // Wait for the mode's UI to be laid out (ms)
+  HIGHLIGHT_COLOR: '#FFD54F',  // Coach-mark outlines and callouts
+  PANEL_WIDTH: 640,         // Explanation panel width (pixels)
+  CALLOUT_WIDTH: 220,       // Coach-mark text wrap width (pixels)
+  DEPTH: 1000               // Above everything else in the overlay scene
+};
+
+// Powers of Ten zoom settings
+export const POWERS_OF_TEN = {
+  START_EXPONENT: 0,         // Start at human scale (10^0 m = 1 m)
+  PIXELS_PER_SCALE: 20,      // Screen length of 10^exponent meters (keeps a level within ~6-600px)
+  WHEEL_IMPULSE: 0.025,      // Velocity added per wheel delta unit (exponents/s)
+  KEY_ACCELERATION: 6,       // Acceleration while zoom key held (exponents/s²)
+  MAX_VELOCITY: 4,           // Maximum zoom speed (exponents/s)
+  DAMPING: 0.92,             // Velocity retained per 60 FPS frame
+  FADE_WIDTH: 0.15           // Exponent range over which objects fade at level edges
+};
+
+// Background colors for each scale-level backgroundStyle (scale-levels.json)
+export const BACKGROUND_STYLES = {
+  quantum: '#0B0418',      // Quantum foam and sub-nuclear scales
+  atomic: '#060C1E',       // Atoms and molecules
+  cellular: '#071610',     // Cells and microorganisms
+  human: '#0E1418',        // Everyday human-scale objects
+  terrestrial: '#08121C',  // Landscapes, cities, countries
+  planetary: '#02060E',    // Planets and moons
+  stellar: '#000000',      // Stars and planetary systems
+  galactic: '#05020C',     // Star clusters and galaxies
+  cosmic: '#000000'        // Galaxy clusters and the cosmic web
+};
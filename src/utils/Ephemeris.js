@@ -0,0 +1,264 @@
+/**
+ * Ephemeris - Date-specific positions from Keplerian orbital elements
+ *
+ * Pure functions (no Phaser, no managers) that place solar-system bodies
+ * at their actual positions on a given date, so separations such as
+ * Earth–Mars can be shown at opposition or conjunction instead of as a
+ * long-term average.
+ *
+ * Uses the `orbit` elements bundled in cosmic-objects.json (J2000 epoch,
+ * meters and degrees) plus optional `ratesPerCentury` for each element.
+ * Accuracy is that of the JPL "approximate positions of the planets"
+ * tables: well under 1% of a planetary separation within 1800–2050 AD.
+ *
+ * Frame: ecliptic J2000, origin at the root of each orbit chain.
+ * Fixed `position` data (equatorial) is rotated into the same frame.
+ */
+
+import { PositionCalculator } from '@/utils/PositionCalculator.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const MS_PER_DAY = 86400000;
+
+// Julian date of the Unix epoch and of the J2000 epoch (2000-01-01 12:00 TT)
+const JULIAN_DATE_UNIX_EPOCH = 2440587.5;
+const JULIAN_DATE_J2000 = 2451545.0;
+const DAYS_PER_CENTURY = 36525;
+
+// Obliquity of the ecliptic at J2000 (degrees)
+const OBLIQUITY_J2000 = 23.43928;
+
+// Kepler's equation solver
+const KEPLER_TOLERANCE = 1e-10;
+const KEPLER_MAX_ITERATIONS = 30;
+
+// Element names that may carry a rate per century
+const ORBITAL_ELEMENTS = [
+  'semiMajorAxis',
+  'eccentricity',
+  'inclination',
+  'meanLongitude',
+  'longitudeOfPerihelion',
+  'longitudeOfAscendingNode'
+];
+
+export class Ephemeris {
+  /**
+   * Convert a date to a Julian date
+   *
+   * @param {Date|number} date - Date or timestamp (ms)
+   * @returns {number} Julian date
+   */
+  static toJulianDate(date) {
+    const time = date instanceof Date ? date.getTime() : date;
+    return time / MS_PER_DAY + JULIAN_DATE_UNIX_EPOCH;
+  }
+
+  /**
+   * Julian centuries elapsed since J2000
+   *
+   * @param {Date|number} date - Date or timestamp (ms)
+   * @returns {number} Centuries (negative before 2000)
+   */
+  static centuriesSinceJ2000(date) {
+    return (Ephemeris.toJulianDate(date) - JULIAN_DATE_J2000) / DAYS_PER_CENTURY;
+  }
+
+  /**
+   * Orbital elements propagated to a date
+   *
+   * @param {Object} orbit - Orbit data (J2000 elements, optional ratesPerCentury)
+   * @param {number} centuries - Julian centuries since J2000
+   * @returns {Object} Elements with the same names as the orbit data
+   */
+  static getElementsAt(orbit, centuries) {
+    const rates = orbit.ratesPerCentury ?? {};
+    const elements = {};
+
+    ORBITAL_ELEMENTS.forEach(name => {
+      elements[name] = (orbit[name] ?? 0) + (rates[name] ?? 0) * centuries;
+    });
+
+    return elements;
+  }
+
+  /**
+   * Solve Kepler's equation M = E - e·sin(E) for the eccentric anomaly
+   *
+   * @param {number} meanAnomaly - Mean anomaly in radians
+   * @param {number} eccentricity - Orbital eccentricity (0 ≤ e < 1)
+   * @returns {number} Eccentric anomaly in radians
+   */
+  static solveKepler(meanAnomaly, eccentricity) {
+    // Wrap to [-π, π] so the Newton iteration starts close to the root
+    const M = Math.atan2(Math.sin(meanAnomaly), Math.cos(meanAnomaly));
+    let E = eccentricity < 0.8 ? M : Math.PI * Math.sign(M);
+
+    for (let i = 0; i < KEPLER_MAX_ITERATIONS; i++) {
+      const delta = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+      E -= delta;
+
+      if (Math.abs(delta) < KEPLER_TOLERANCE) break;
+    }
+
+    return E;
+  }
+
+  /**
+   * Position of a body relative to its orbit parent on a date
+   *
+   * @param {Object} orbit - Orbit data
+   * @param {Date|number} date - Date or timestamp (ms)
+   * @returns {Object} Ecliptic vector {x, y, z} in meters
+   */
+  static getOrbitalPosition(orbit, date) {
+    const el = Ephemeris.getElementsAt(orbit, Ephemeris.centuriesSinceJ2000(date));
+
+    const e = el.eccentricity;
+    const i = el.inclination * DEG_TO_RAD;
+    const node = el.longitudeOfAscendingNode * DEG_TO_RAD;
+    const perihelion = el.longitudeOfPerihelion * DEG_TO_RAD;
+    const argument = perihelion - node;  // Argument of perihelion
+    const E = Ephemeris.solveKepler(el.meanLongitude * DEG_TO_RAD - perihelion, e);
+
+    // Position in the orbital plane (x toward perihelion)
+    const xOrbit = el.semiMajorAxis * (Math.cos(E) - e);
+    const yOrbit = el.semiMajorAxis * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    const cosW = Math.cos(argument);
+    const sinW = Math.sin(argument);
+    const cosN = Math.cos(node);
+    const sinN = Math.sin(node);
+    const cosI = Math.cos(i);
+    const sinI = Math.sin(i);
+
+    return {
+      x: (cosW * cosN - sinW * sinN * cosI) * xOrbit + (-sinW * cosN - cosW * sinN * cosI) * yOrbit,
+      y: (cosW * sinN + sinW * cosN * cosI) * xOrbit + (-sinW * sinN + cosW * cosN * cosI) * yOrbit,
+      z: (sinW * sinI) * xOrbit + (cosW * sinI) * yOrbit
+    };
+  }
+
+  /**
+   * Rotate an equatorial vector into the ecliptic frame
+   *
+   * @param {Object} vector - Equatorial vector {x, y, z}
+   * @returns {Object} Ecliptic vector {x, y, z}
+   */
+  static equatorialToEcliptic(vector) {
+    const epsilon = OBLIQUITY_J2000 * DEG_TO_RAD;
+
+    return {
+      x: vector.x,
+      y: vector.y * Math.cos(epsilon) + vector.z * Math.sin(epsilon),
+      z: -vector.y * Math.sin(epsilon) + vector.z * Math.cos(epsilon)
+    };
+  }
+
+  /**
+   * Position of an object on a date
+   *
+   * Sums the orbit chain (e.g. Moon → Earth → Sun) and adds the fixed
+   * position of the chain's root.
+   *
+   * @param {Object} obj - Object data
+   * @param {Date|number} date - Date or timestamp (ms)
+   * @param {Function} getObject - Lookup function (id) → object
+   * @returns {Object|null} Ecliptic vector {x, y, z} in meters, or null
+   *   if the object lacks positional data
+   */
+  static getPosition(obj, date, getObject) {
+    const chain = PositionCalculator.getOrbitChain(obj, getObject);
+    if (!chain) return null;
+
+    const root = chain.root.position;
+    const position = Ephemeris.equatorialToEcliptic(
+      PositionCalculator.equatorialToCartesian(root.rightAscension, root.declination, root.distance)
+    );
+
+    chain.path.forEach(segment => {
+      const offset = Ephemeris.getOrbitalPosition(segment.orbit, date);
+      position.x += offset.x;
+      position.y += offset.y;
+      position.z += offset.z;
+    });
+
+    return position;
+  }
+
+  /**
+   * Whether the separation of two objects changes noticeably with the date
+   *
+   * True when both objects have positional data in the same fixed frame
+   * and at least one of them orbits something (e.g. Earth–Mars, Sun–Earth).
+   * Stars and galaxies are treated as fixed.
+   *
+   * @param {Object} objA - First object data
+   * @param {Object} objB - Second object data
+   * @param {Function} getObject - Lookup function (id) → object
+   * @returns {boolean} True if the separation is date-dependent
+   */
+  static isTimeDependent(objA, objB, getObject) {
+    const chainA = PositionCalculator.getOrbitChain(objA, getObject);
+    const chainB = PositionCalculator.getOrbitChain(objB, getObject);
+
+    if (!chainA || !chainB) return false;
+
+    return chainA.root.id === chainB.root.id &&
+      (chainA.path.length > 0 || chainB.path.length > 0);
+  }
+
+  /**
+   * Separation of two objects on a date
+   *
+   * @param {Object} objA - First object data
+   * @param {Object} objB - Second object data
+   * @param {Date|number} date - Date or timestamp (ms)
+   * @param {Function} getObject - Lookup function (id) → object
+   * @returns {number|null} Distance in meters, or null if either object
+   *   lacks positional data
+   */
+  static getSeparation(objA, objB, date, getObject) {
+    const posA = Ephemeris.getPosition(objA, date, getObject);
+    const posB = Ephemeris.getPosition(objB, date, getObject);
+
+    if (!posA || !posB) return null;
+
+    return PositionCalculator.vectorDistance(posA, posB);
+  }
+
+  /**
+   * Find the date of the closest approach or farthest separation
+   * within a time window (daily sampling)
+   *
+   * The default window of 800 days covers at least one full synodic
+   * period for every planet pair (Earth–Mars is ~780 days).
+   *
+   * @param {Object} objA - First object data
+   * @param {Object} objB - Second object data
+   * @param {Date|number} startDate - Start of the search window
+   * @param {Function} getObject - Lookup function (id) → object
+   * @param {Object} options - {findMinimum = true, spanDays = 800}
+   * @returns {Object|null} {date: Date, distance} or null if unresolvable
+   */
+  static findExtremeSeparation(objA, objB, startDate, getObject, options = {}) {
+    const findMinimum = options.findMinimum ?? true;
+    const spanDays = options.spanDays ?? 800;
+    const start = startDate instanceof Date ? startDate.getTime() : startDate;
+
+    let best = null;
+
+    for (let day = 1; day <= spanDays; day++) {
+      const time = start + day * MS_PER_DAY;
+      const distance = Ephemeris.getSeparation(objA, objB, time, getObject);
+
+      if (distance === null) return null;
+
+      if (!best || (findMinimum ? distance < best.distance : distance > best.distance)) {
+        best = { time, distance };
+      }
+    }
+
+    return best ? { date: new Date(best.time), distance: best.distance } : null;
+  }
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { Ephemeris } from './Ephemeris.js';
+import { PositionCalculator } from './PositionCalculator.js';
+import { Units } from './Units.js';
+import { DataManager } from '../managers/DataManager.js';
+import cosmicObjects from '../../public/assets/data/cosmic-objects.json';
+import constants from '../../public/assets/data/physical-constants.json';
+import scaleLevels from '../../public/assets/data/scale-levels.json';
+
+describe('Ephemeris', () => {
+  let getObject;
+
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    DataManager.instance = null;
+    const dataManager = DataManager.getInstance();
+    dataManager.loadFromData({ cosmicObjects, constants, scaleLevels });
+    getObject = id => dataManager.getObjectById(id);
+  });
+
+  /**
+   * @param {string} idA - First object id
+   * @param {string} idB - Second object id
+   * @param {string} date - ISO date
+   * @returns {number} Separation in AU
+   */
+  function separationInAU(idA, idB, date) {
+    const meters = Ephemeris.getSeparation(getObject(idA), getObject(idB), new Date(date), getObject);
+    return Units.fromBase(meters, 'AU');
+  }
+
+  it('finds Earth and Mars 0.373 AU apart at the 2003 opposition', () => {
+    expect(separationInAU('earth', 'mars', '2003-08-27T10:00:00Z')).toBeCloseTo(0.373, 2);
+  });
+
+  it('finds the Sun and Earth 0.983 AU apart at the 2024 perihelion', () => {
+    expect(separationInAU('sun', 'earth', '2024-01-03T00:39:00Z')).toBeCloseTo(0.983, 2);
+  });
+
+  it('treats planets as time-dependent and galaxies as fixed', () => {
+    expect(Ephemeris.isTimeDependent(getObject('earth'), getObject('mars'), getObject)).toBe(true);
+    expect(Ephemeris.isTimeDependent(getObject('sun'), getObject('andromeda-galaxy'), getObject)).toBe(false);
+  });
+});
+
+describe('PositionCalculator.resolveSeparation', () => {
+  const sun = { id: 'sun', position: { rightAscension: 0, declination: 0, distance: 0 } };
+  const earth = { id: 'earth', orbit: { parent: 'sun', semiMajorAxis: 1.496e11, eccentricity: 0.0167 } };
+  const objects = new Map([sun, earth].map(obj => [obj.id, obj]));
+  const getObject = id => objects.get(id);
+
+  it('returns null instead of throwing for an object without positional data', () => {
+    const rock = { id: 'rock' };
+
+    expect(PositionCalculator.resolveSeparation(rock, earth, getObject)).toBeNull();
+    expect(Ephemeris.getSeparation(earth, rock, new Date('2024-01-01'), getObject)).toBeNull();
+  });
+
+  it('returns null for an orbit whose parent is missing', () => {
+    const orphan = { id: 'orphan', orbit: { parent: 'nowhere', semiMajorAxis: 1e9, eccentricity: 0 } };
+
+    expect(PositionCalculator.resolveSeparation(orphan, earth, getObject)).toBeNull();
+  });
+});
@@ -0,0 +1,374 @@
+/**
+ * NumberFormatter - Format lengths, masses and durations in the user's chosen mode
+ *
+ * Modes (NUMBER_FORMATS):
+ * - scientific:   "1.50 × 10^11 m", "4.99 × 10^2 s"
+ * - engineering:  "150 × 10^9 m" (exponent always a multiple of 3)
+ * - words:        "150 million km", "8.32 minutes" (for younger students)
+ * - astronomical: best-fit unit - km near Earth, then AU, light-years and
+ *                 kiloparsecs/megaparsecs; masses in Earth or Sun masses;
+ *                 durations as in words mode
+ *
+ * The mode is a user preference kept in StateManager (getNumberFormat());
+ * components pass it in. Digits, scale words ("millones"), duration words
+ * and unit symbols follow the interface language via LocaleManager
+ * (catalog keys numbers.*, units.*, unitSymbols.*).
+ */
+
+import { NUMBER_FORMATS } from './Constants.js';
+import { Units, BASE_UNITS } from './Units.js';
+import { LocaleManager } from '../managers/LocaleManager.js';
+
+// Significant digits shown in every mode
+const DIGITS = 3;
+
+// Powers of ten that have a scale word (catalog key numbers.e<power>), largest first
+const SCALE_POWERS = [24, 21, 18, 15, 12, 9, 6];
+
+// Everyday length units, largest first (words mode, and astronomical mode near Earth)
+const EVERYDAY_LENGTH_UNITS = ['km', 'm', 'cm', 'mm', 'μm', 'nm', 'pm'];
+
+// Duration units, largest first: [unit, catalog key under units.*]
+const TIME_UNITS = [
+  ['yr', 'year'],
+  ['d', 'day'],
+  ['h', 'hour'],
+  ['min', 'minute'],
+  ['s', 'second'],
+  ['ms', 'millisecond']
+];
+
+// Astronomical mode switches from km to AU, and from AU to light-years, here
+const MIN_AU = 0.01;
+const MIN_LIGHT_YEARS = 0.1;
+// Beyond the Milky Way's scale, parsec multiples read better than light-years
+const MAX_LIGHT_YEARS = 1e5;
+
+// Astronomical mode writes masses in Earth masses, then Sun masses, from here
+const MIN_EARTH_MASSES = 0.01;
+const MIN_SUN_MASSES = 0.01;
+
+export class NumberFormatter {
+  /**
+   * Format a length (distance or size)
+   *
+   * @param {number} meters - Length in meters
+   * @param {string} mode - NUMBER_FORMATS value
+   * @param {string|null} displayUnit - Unit the data author used; repeated
+   *   in parentheses in scientific and engineering modes
+   * @returns {string} Formatted length
+   */
+  static formatLength(meters, mode = NUMBER_FORMATS.SCIENTIFIC, displayUnit = null) {
+    switch (mode) {
+      case NUMBER_FORMATS.ENGINEERING:
+        return NumberFormatter.withDisplayUnit(NumberFormatter.engineering(meters, BASE_UNITS.length), meters, displayUnit);
+      case NUMBER_FORMATS.WORDS:
+        return NumberFormatter.wordsLength(meters);
+      case NUMBER_FORMATS.ASTRONOMICAL:
+        return NumberFormatter.astronomicalLength(meters);
+      default:
+        return NumberFormatter.withDisplayUnit(NumberFormatter.scientific(meters, BASE_UNITS.length), meters, displayUnit);
+    }
+  }
+
+  /**
+   * Format a mass
+   *
+   * @param {number} kilograms - Mass in kilograms
+   * @param {string} mode - NUMBER_FORMATS value
+   * @param {string|null} displayUnit - Unit the data author used; repeated
+   *   in parentheses in scientific and engineering modes
+   * @returns {string} Formatted mass
+   */
+  static formatMass(kilograms, mode = NUMBER_FORMATS.SCIENTIFIC, displayUnit = null) {
+    switch (mode) {
+      case NUMBER_FORMATS.ENGINEERING:
+        return NumberFormatter.withDisplayUnit(NumberFormatter.engineering(kilograms, BASE_UNITS.mass), kilograms, displayUnit);
+      case NUMBER_FORMATS.WORDS:
+        return NumberFormatter.wordsWithUnit(kilograms, BASE_UNITS.mass);
+      case NUMBER_FORMATS.ASTRONOMICAL:
+        return NumberFormatter.astronomicalMass(kilograms);
+      default:
+        return NumberFormatter.withDisplayUnit(NumberFormatter.scientific(kilograms, BASE_UNITS.mass), kilograms, displayUnit);
+    }
+  }
+
+  /**
+   * Format a duration
+   *
+   * @param {number} seconds - Duration in seconds
+   * @param {string} mode - NUMBER_FORMATS value
+   * @returns {string} Formatted duration
+   */
+  static formatTime(seconds, mode = NUMBER_FORMATS.SCIENTIFIC) {
+    switch (mode) {
+      case NUMBER_FORMATS.SCIENTIFIC:
+        return NumberFormatter.scientific(seconds, BASE_UNITS.time);
+      case NUMBER_FORMATS.ENGINEERING:
+        return NumberFormatter.engineering(seconds, BASE_UNITS.time);
+      default:
+        return NumberFormatter.wordsTime(seconds);
+    }
+  }
+
+  /**
+   * "1.50 × 10^11 m"
+   *
+   * @param {number} value - Value in unit
+   * @param {string} unit - Unit symbol
+   * @returns {string}
+   */
+  static scientific(value, unit) {
+    const symbol = NumberFormatter.unitSymbol(unit);
+    if (value === 0) return `0 ${symbol}`.trim();
+
+    // Round first so 9.996 × 10^10 becomes 1.00 × 10^11, not 10.00 × 10^10
+    const rounded = Number(value.toPrecision(DIGITS));
+    const exponent = Math.floor(Math.log10(Math.abs(rounded)));
+    const mantissa = LocaleManager.getInstance().formatNumber(rounded / Math.pow(10, exponent), {
+      minimumFractionDigits: DIGITS - 1,
+      maximumFractionDigits: DIGITS - 1
+    });
+    return `${mantissa} × 10^${exponent} ${symbol}`.trim();
+  }
+
+  /**
+   * "150 × 10^9 m" - like scientific, but the exponent is a multiple of 3
+   * so it maps onto thousand / million / billion
+   *
+   * @param {number} value - Value in unit
+   * @param {string} unit - Unit symbol
+   * @returns {string}
+   */
+  static engineering(value, unit) {
+    const symbol = NumberFormatter.unitSymbol(unit);
+    if (value === 0) return `0 ${symbol}`;
+
+    // Round first so 999.7 × 10^3 becomes 1.00 × 10^6, not 1000 × 10^3
+    const rounded = Number(value.toPrecision(DIGITS));
+    const exponent = Math.floor(Math.log10(Math.abs(rounded)) / 3) * 3;
+    const mantissa = LocaleManager.getInstance().formatNumber(Number((rounded / Math.pow(10, exponent)).toPrecision(DIGITS)));
+
+    return exponent === 0
+      ? `${mantissa} ${symbol}`
+      : `${mantissa} × 10^${exponent} ${symbol}`;
+  }
+
+  /**
+   * Write a number with grouping and, above a million, a scale word
+   *
+   * 12742 → "12,700", 1.496e8 → "150 million" ("150 millones" in
+   * Spanish). Numbers too large for the word list fall back to scientific
+   * notation.
+   *
+   * @param {number} value - Number to write
+   * @returns {string}
+   */
+  static toWords(value) {
+    const abs = Math.abs(value);
+
+    if (abs >= Math.pow(10, SCALE_POWERS[0] + 3)) {
+      return NumberFormatter.scientific(value, '');
+    }
+
+    const power = SCALE_POWERS.find(candidate => abs >= Math.pow(10, candidate));
+    if (power) {
+      const amount = Number((value / Math.pow(10, power)).toPrecision(DIGITS));
+      return LocaleManager.getInstance().t(`numbers.e${power}`, {
+        count: amount,
+        value: NumberFormatter.groupDigits(amount)
+      });
+    }
+
+    return NumberFormatter.groupDigits(value);
+  }
+
+  /**
+   * @param {number} value - Number to write
+   * @returns {string} Value rounded to DIGITS significant digits, with
+   *   the locale's separators ("12,700", "8.32" in English; "12 700",
+   *   "8,32" in French)
+   */
+  static groupDigits(value) {
+    return LocaleManager.getInstance().formatNumber(value, { maximumSignificantDigits: DIGITS });
+  }
+
+  /**
+   * "150 million km", "3.5 cm"
+   *
+   * @param {number} meters - Length in meters
+   * @returns {string}
+   */
+  static wordsLength(meters) {
+    const abs = Math.abs(meters);
+    const smallest = EVERYDAY_LENGTH_UNITS[EVERYDAY_LENGTH_UNITS.length - 1];
+
+    // Below a picometer no everyday unit helps
+    if (abs > 0 && abs < Units.toBase(1, smallest)) {
+      return NumberFormatter.scientific(meters, BASE_UNITS.length);
+    }
+
+    const unit = NumberFormatter.lengthUnit(meters, NUMBER_FORMATS.WORDS);
+    return NumberFormatter.wordsWithUnit(Units.fromBase(meters, unit), unit);
+  }
+
+  /**
+   * Best-fit astronomical unit: "384,000 km", "1.52 AU", "4.25 ly", "778 kpc"
+   *
+   * @param {number} meters - Length in meters
+   * @returns {string}
+   */
+  static astronomicalLength(meters) {
+    if (Math.abs(meters) < Units.toBase(MIN_AU, 'AU')) {
+      return NumberFormatter.wordsLength(meters);
+    }
+
+    const unit = NumberFormatter.lengthUnit(meters, NUMBER_FORMATS.ASTRONOMICAL);
+    return NumberFormatter.wordsWithUnit(Units.fromBase(meters, unit), unit);
+  }
+
+  /**
+   * Unit formatLength() writes a length in: meters in scientific and
+   * engineering modes, the best-fit everyday or astronomical unit otherwise
+   *
+   * @param {number} meters - Length in meters
+   * @param {string} mode - NUMBER_FORMATS value
+   * @returns {string} Unit symbol
+   */
+  static lengthUnit(meters, mode) {
+    const abs = Math.abs(meters);
+
+    if (mode === NUMBER_FORMATS.ASTRONOMICAL && abs >= Units.toBase(MIN_AU, 'AU')) {
+      if (abs < Units.toBase(MIN_LIGHT_YEARS, 'ly')) return 'AU';
+      if (abs < Units.toBase(MAX_LIGHT_YEARS, 'ly')) return 'ly';
+      if (abs < Units.toBase(1, 'Mpc')) return 'kpc';
+      return abs < Units.toBase(1, 'Gpc') ? 'Mpc' : 'Gpc';
+    }
+
+    if (mode === NUMBER_FORMATS.WORDS || mode === NUMBER_FORMATS.ASTRONOMICAL) {
+      return EVERYDAY_LENGTH_UNITS.find(candidate => abs >= Units.toBase(1, candidate)) ?? BASE_UNITS.length;
+    }
+
+    return BASE_UNITS.length;
+  }
+
+  /**
+   * Format a length in a given unit, so a series of values (a ruler's
+   * ticks: "0 AU", "0.5 AU", "1 AU") does not switch units part way
+   *
+   * @param {number} meters - Length in meters
+   * @param {string} unit - Unit from lengthUnit()
+   * @param {string} mode - NUMBER_FORMATS value
+   * @returns {string} Formatted length
+   */
+  static formatLengthInUnit(meters, unit, mode) {
+    if (unit === BASE_UNITS.length) {
+      return NumberFormatter.formatLength(meters, mode);
+    }
+
+    return NumberFormatter.wordsWithUnit(Units.fromBase(meters, unit), unit);
+  }
+
+  /**
+   * Best-fit astronomical mass: "7.35 × 10^22 kg" → "0.0123 M⊕",
+   * "318 M⊕", "1 M☉"
+   *
+   * @param {number} kilograms - Mass in kilograms
+   * @returns {string}
+   */
+  static astronomicalMass(kilograms) {
+    const abs = Math.abs(kilograms);
+
+    if (abs < Units.toBase(MIN_EARTH_MASSES, 'M_earth')) {
+      return NumberFormatter.wordsWithUnit(kilograms, BASE_UNITS.mass);
+    }
+
+    const unit = abs < Units.toBase(MIN_SUN_MASSES, 'M_sun') ? 'M_earth' : 'M_sun';
+    return NumberFormatter.wordsWithUnit(Units.fromBase(kilograms, unit), unit);
+  }
+
+  /**
+   * "150 million km" - a worded number followed by a unit symbol; some
+   * languages join a scale word to the unit ("150 millones de km")
+   *
+   * @param {number} value - Value in unit
+   * @param {string} unit - Unit symbol
+   * @returns {string}
+   */
+  static wordsWithUnit(value, unit) {
+    const symbol = NumberFormatter.unitSymbol(unit);
+
+    if (!NumberFormatter.hasScaleWord(value)) {
+      return `${NumberFormatter.toWords(value)} ${symbol}`;
+    }
+
+    return LocaleManager.getInstance().t('numbers.withUnit', {
+      value: NumberFormatter.toWords(value),
+      unit: symbol
+    });
+  }
+
+  /**
+   * @param {number} value - Number to write
+   * @returns {boolean} True if toWords() writes it with a scale word
+   */
+  static hasScaleWord(value) {
+    const abs = Math.abs(value);
+    return abs >= Math.pow(10, SCALE_POWERS[SCALE_POWERS.length - 1]) && abs < Math.pow(10, SCALE_POWERS[0] + 3);
+  }
+
+  /**
+   * "8.32 minutes", "4.25 years", "2.5 million years"
+   *
+   * @param {number} seconds - Duration in seconds
+   * @returns {string}
+   */
+  static wordsTime(seconds) {
+    const abs = Math.abs(seconds);
+    const [unit, key] = seconds === 0
+      ? TIME_UNITS.find(([candidate]) => candidate === BASE_UNITS.time)
+      : TIME_UNITS.find(([candidate]) => abs >= Units.toBase(1, candidate)) ?? TIME_UNITS[TIME_UNITS.length - 1];
+
+    const locale = LocaleManager.getInstance();
+    const amount = Number(Units.fromBase(seconds, unit).toPrecision(DIGITS));
+
+    // "2.5 million years" / "2,5 millones de años" has its own message
+    const message = NumberFormatter.hasScaleWord(amount) && locale.has(`units.${key}Scaled`)
+      ? `units.${key}Scaled`
+      : `units.${key}`;
+
+    return locale.t(message, {
+      count: amount,
+      value: NumberFormatter.toWords(amount)
+    });
+  }
+
+  /**
+   * Repeat a quantity in the unit the data author used: "… m (4.25 ly)"
+   *
+   * @param {string} text - Formatted quantity
+   * @param {number} baseValue - Quantity in its base unit (m or kg)
+   * @param {string|null} displayUnit - Authored unit
+   * @returns {string}
+   */
+  static withDisplayUnit(text, baseValue, displayUnit) {
+    if (!displayUnit || Units.getFactor(displayUnit) === 1 || baseValue === 0) return text;
+
+    const value = Units.fromBase(baseValue, displayUnit);
+    const abs = Math.abs(value);
+    const inUnit = abs >= 0.01 && abs < 1e6
+      ? `${NumberFormatter.groupDigits(value)} ${NumberFormatter.unitSymbol(displayUnit)}`
+      : NumberFormatter.scientific(value, displayUnit);
+
+    return `${text} (${inUnit})`;
+  }
+
+  /**
+   * @param {string} unit - Unit symbol used in data files
+   * @returns {string} Symbol for the interface language ("AU" → "ua" in French)
+   */
+  static unitSymbol(unit) {
+    const locale = LocaleManager.getInstance();
+    return unit && locale.has(`unitSymbols.${unit}`) ? locale.t(`unitSymbols.${unit}`) : unit;
+  }
+}
@@ -0,0 +1,28 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { NumberFormatter } from './NumberFormatter.js';
+import { LocaleManager } from '../managers/LocaleManager.js';
+
+// Phaser needs a browser; LocaleManager only uses its EventEmitter
+vi.mock('phaser', async () => {
+  const { EventEmitter } = await import('node:events');
+  return { default: { Events: { EventEmitter } } };
+});
+
+describe('NumberFormatter', () => {
+  beforeEach(() => {
+    LocaleManager.instance = null;
+  });
+
+  describe('scientific', () => {
+    it('writes three significant digits', () => {
+      expect(NumberFormatter.scientific(1.496e11, 'm')).toBe('1.50 × 10^11 m');
+      expect(NumberFormatter.scientific(-1500, 'm')).toBe('-1.50 × 10^3 m');
+      expect(NumberFormatter.scientific(0, 'm')).toBe('0 m');
+    });
+
+    it('takes the exponent from the rounded value', () => {
+      expect(NumberFormatter.scientific(9.996e10, 'm')).toBe('1.00 × 10^11 m');
+      expect(NumberFormatter.scientific(-9.999e-4, 'm')).toBe('-1.00 × 10^-3 m');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * ObjectStyle - Fill colors, patterns and outlines for cosmic objects
+ *
+ * In the standard color mode objects use the color from the data files.
+ * The high-contrast and color-blind modes replace it with a palette
+ * color chosen by the object's position on screen (its "slot"), so the
+ * objects shown together never share a color, and add a white outline
+ * and a pattern (stripes, dots, …) so they stay distinguishable without
+ * relying on color at all.
+ *
+ * Patterns are drawn into a Graphics object as plain lines and dots
+ * clipped to the circle, so no masks are needed and callers can simply
+ * redraw them when a sprite moves or resizes.
+ */
+
+import { COLORS, COLOR_MODES, PALETTES, OBJECT_STYLE } from './Constants.js';
+
+export class ObjectStyle {
+  /**
+   * Get the style for an object
+   *
+   * @param {Object} obj - Object data
+   * @param {number} slot - Position among the objects shown together (0 = first)
+   * @param {string} colorMode - COLOR_MODES value
+   * @returns {Object} {color: '#RRGGBB', pattern: string|null, outline: boolean}
+   */
+  static getStyle(obj, slot, colorMode) {
+    const palette = PALETTES[colorMode];
+    if (!palette) {
+      return { color: obj.color, pattern: null, outline: false };
+    }
+
+    return {
+      color: palette[slot % palette.length],
+      pattern: OBJECT_STYLE.PATTERNS[slot % OBJECT_STYLE.PATTERNS.length],
+      outline: true
+    };
+  }
+
+  /**
+   * Color for text written in an object's color (e.g. a heading)
+   *
+   * @param {Object} obj - Object data
+   * @param {string} colorMode - COLOR_MODES value
+   * @returns {string} '#RRGGBB'
+   */
+  static getTextColor(obj, colorMode) {
+    return colorMode === COLOR_MODES.STANDARD ? obj.color : COLORS.TEXT;
+  }
+
+  /**
+   * Apply fill color and outline to a circle
+   *
+   * @param {Phaser.GameObjects.Arc} sprite - Object circle
+   * @param {Object} style - From getStyle()
+   */
+  static applyToSprite(sprite, style) {
+    sprite.setFillStyle(parseInt(style.color.replace('#', '0x')));
+
+    if (style.outline) {
+      sprite.setStrokeStyle(OBJECT_STYLE.OUTLINE_WIDTH, parseInt(OBJECT_STYLE.OUTLINE_COLOR.replace('#', '0x')));
+    }
+  }
+
+  /**
+   * Draw a pattern inside a circle
+   *
+   * Circles smaller than OBJECT_STYLE.PATTERN_MIN_RADIUS stay solid.
+   *
+   * @param {Phaser.GameObjects.Graphics} graphics - Target (not cleared)
+   * @param {number} x - Circle center X
+   * @param {number} y - Circle center Y
+   * @param {number} radius - Circle radius
+   * @param {string|null} pattern - OBJECT_STYLE.PATTERNS value
+   * @param {number} alpha - Opacity multiplier (follows the sprite's alpha)
+   */
+  static drawPattern(graphics, x, y, radius, pattern, alpha = 1) {
+    if (!pattern || radius < OBJECT_STYLE.PATTERN_MIN_RADIUS) return;
+
+    const color = parseInt(OBJECT_STYLE.PATTERN_COLOR.replace('#', '0x'));
+    const spacing = OBJECT_STYLE.PATTERN_SPACING;
+
+    graphics.lineStyle(1.5, color, OBJECT_STYLE.PATTERN_ALPHA * alpha);
+    graphics.fillStyle(color, OBJECT_STYLE.PATTERN_ALPHA * alpha);
+
+    switch (pattern) {
+      case 'stripes':
+        ObjectStyle.drawChords(graphics, x, y, radius, 0);
+        break;
+      case 'diagonal':
+        ObjectStyle.drawChords(graphics, x, y, radius, Math.PI / 4);
+        break;
+      case 'crosshatch':
+        ObjectStyle.drawChords(graphics, x, y, radius, Math.PI / 4);
+        ObjectStyle.drawChords(graphics, x, y, radius, -Math.PI / 4);
+        break;
+      case 'grid':
+        ObjectStyle.drawChords(graphics, x, y, radius, 0);
+        ObjectStyle.drawChords(graphics, x, y, radius, Math.PI / 2);
+        break;
+      case 'rings':
+        for (let ring = spacing; ring < radius; ring += spacing) {
+          graphics.strokeCircle(x, y, ring);
+        }
+        break;
+      case 'dots':
+        for (let dy = -radius + spacing / 2; dy < radius; dy += spacing) {
+          for (let dx = -radius + spacing / 2; dx < radius; dx += spacing) {
+            if (dx * dx + dy * dy < (radius - 2) * (radius - 2)) {
+              graphics.fillCircle(x + dx, y + dy, 1.5);
+            }
+          }
+        }
+        break;
+    }
+  }
+
+  /**
+   * Draw parallel lines across a circle, each cut at the circle's edge
+   *
+   * @param {Phaser.GameObjects.Graphics} graphics - Target
+   * @param {number} x - Circle center X
+   * @param {number} y - Circle center Y
+   * @param {number} radius - Circle radius
+   * @param {number} angle - Line direction (radians, 0 = horizontal)
+   */
+  static drawChords(graphics, x, y, radius, angle) {
+    const dirX = Math.cos(angle);
+    const dirY = Math.sin(angle);
+
+    for (let offset = -radius + OBJECT_STYLE.PATTERN_SPACING / 2; offset < radius; offset += OBJECT_STYLE.PATTERN_SPACING) {
+      const half = Math.sqrt(radius * radius - offset * offset);
+      const centerX = x - dirY * offset;
+      const centerY = y + dirX * offset;
+
+      graphics.lineBetween(centerX - dirX * half, centerY - dirY * half, centerX + dirX * half, centerY + dirY * half);
+    }
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * PositionCalculator - Derive distances from positional data
+ *
+ * Pure functions (no Phaser, no managers) that estimate the distance
+ * between two objects when no explicit distance entry exists.
+ *
+ * Objects may carry one of two kinds of positional data:
+ * - `orbit`: Keplerian elements around a parent object (meters, degrees)
+ *   e.g. planets around the Sun, the Moon around Earth
+ * - `position`: heliocentric equatorial coordinates
+ *   { rightAscension (deg), declination (deg), distance (m) }
+ *   e.g. the Sun (origin), stars, galaxies
+ *
+ * Every orbit chain must end at an object with a `position`.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Samples used to average the separation of two orbits over relative phase
+const ORBIT_PHASE_SAMPLES = 360;
+
+export class PositionCalculator {
+  /**
+   * Convert equatorial coordinates to Cartesian coordinates
+   *
+   * @param {number} rightAscension - Right ascension in degrees
+   * @param {number} declination - Declination in degrees
+   * @param {number} distance - Distance in meters
+   * @returns {Object} Cartesian vector {x, y, z} in meters
+   */
+  static equatorialToCartesian(rightAscension, declination, distance) {
+    const ra = rightAscension * DEG_TO_RAD;
+    const dec = declination * DEG_TO_RAD;
+
+    return {
+      x: distance * Math.cos(dec) * Math.cos(ra),
+      y: distance * Math.cos(dec) * Math.sin(ra),
+      z: distance * Math.sin(dec)
+    };
+  }
+
+  /**
+   * Euclidean distance between two Cartesian vectors
+   *
+   * @param {Object} a - Vector {x, y, z}
+   * @param {Object} b - Vector {x, y, z}
+   * @returns {number} Distance in the vectors' unit
+   */
+  static vectorDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+  }
+
+  /**
+   * Distance range of an orbit from its parent
+   *
+   * Mean is the time-averaged distance a(1 + e²/2)
+   *
+   * @param {Object} orbit - Orbit with semiMajorAxis (m) and eccentricity
+   * @returns {Object} {periapsis, apoapsis, mean} in meters
+   */
+  static getOrbitRange(orbit) {
+    const a = orbit.semiMajorAxis;
+    const e = orbit.eccentricity ?? 0;
+
+    return {
+      periapsis: a * (1 - e),
+      apoapsis: a * (1 + e),
+      mean: a * (1 + (e * e) / 2)
+    };
+  }
+
+  /**
+   * Time-averaged separation of two bodies on circular, coplanar orbits
+   * around the same parent
+   *
+   * Averages |r1 - r2| over every relative phase angle, which is what a
+   * long-term average of the real (unsynchronized) motion converges to.
+   *
+   * @param {number} r1 - First orbital radius (m)
+   * @param {number} r2 - Second orbital radius (m)
+   * @returns {number} Average separation in meters
+   */
+  static averageOrbitSeparation(r1, r2) {
+    let total = 0;
+
+    for (let i = 0; i < ORBIT_PHASE_SAMPLES; i++) {
+      const theta = ((i + 0.5) / ORBIT_PHASE_SAMPLES) * 2 * Math.PI;
+      total += Math.sqrt(r1 * r1 + r2 * r2 - 2 * r1 * r2 * Math.cos(theta));
+    }
+
+    return total / ORBIT_PHASE_SAMPLES;
+  }
+
+  /**
+   * Walk an object's orbit chain up to an object with a fixed position
+   *
+   * @param {Object} obj - Object data
+   * @param {Function} getObject - Lookup function (id) → object
+   * @returns {Object|null} {path: [{id, orbit}], root} or null if unresolvable
+   */
+  static getOrbitChain(obj, getObject) {
+    const path = [];
+    const visited = new Set();
+    let current = obj;
+
+    while (current && !current.position) {
+      if (!current.orbit || visited.has(current.id)) {
+        return null;  // No positional data, or a cyclic parent chain
+      }
+
+      visited.add(current.id);
+      path.push({ id: current.id, orbit: current.orbit });
+      current = getObject(current.orbit.parent);
+    }
+
+    if (!current) return null;
+
+    return { path, root: current };
+  }
+
+  /**
+   * Sum of apoapsis distances along part of an orbit chain
+   * (how far a body can wander from the frame it is compared in)
+   *
+   * @param {Array<Object>} path - Orbit chain segments
+   * @returns {number} Maximum offset in meters
+   */
+  static getMaxOffset(path) {
+    return path.reduce((sum, segment) => sum + PositionCalculator.getOrbitRange(segment.orbit).apoapsis, 0);
+  }
+
+  /**
+   * Estimate the distance between two objects from their positional data
+   *
+   * Cases:
+   * - One object orbits the other (directly or via a moon): orbit range
+   * - Both orbit a common parent: phase-averaged separation,
+   *   closest approach and farthest separation of the two orbits
+   * - Different fixed frames (stars, galaxies): distance between positions,
+   *   widened by any orbits on either side
+   *
+   * @param {Object} objA - First object data
+   * @param {Object} objB - Second object data
+   * @param {Function} getObject - Lookup function (id) → object
+   * @returns {Object|null} {average, min, max, method} in meters, or null
+   *   if either object lacks positional data
+   */
+  static resolveSeparation(objA, objB, getObject) {
+    const chainA = PositionCalculator.getOrbitChain(objA, getObject);
+    const chainB = PositionCalculator.getOrbitChain(objB, getObject);
+
+    if (!chainA || !chainB) return null;
+
+    // Different fixed frames: compare positions directly
+    if (chainA.root.id !== chainB.root.id) {
+      const posA = chainA.root.position;
+      const posB = chainB.root.position;
+      const base = PositionCalculator.vectorDistance(
+        PositionCalculator.equatorialToCartesian(posA.rightAscension, posA.declination, posA.distance),
+        PositionCalculator.equatorialToCartesian(posB.rightAscension, posB.declination, posB.distance)
+      );
+      const offset = PositionCalculator.getMaxOffset(chainA.path) + PositionCalculator.getMaxOffset(chainB.path);
+
+      return {
+        average: base,
+        min: Math.max(0, base - offset),
+        max: base + offset,
+        method: 'positional'
+      };
+    }
+
+    // Same frame: find the lowest common ancestor in the orbit chains
+    const idsA = [...chainA.path.map(segment => segment.id), chainA.root.id];
+    const idsB = [...chainB.path.map(segment => segment.id), chainB.root.id];
+    const ancestor = idsA.find(id => idsB.includes(id));
+
+    const pathA = chainA.path.slice(0, idsA.indexOf(ancestor));
+    const pathB = chainB.path.slice(0, idsB.indexOf(ancestor));
+
+    if (pathA.length === 0 && pathB.length === 0) {
+      return { average: 0, min: 0, max: 0, method: 'orbital' };
+    }
+
+    // One object is an ancestor of the other (e.g. Sun–Earth, Earth–Moon, Sun–Moon)
+    if (pathA.length === 0 || pathB.length === 0) {
+      const path = pathA.length === 0 ? pathB : pathA;
+      const primary = PositionCalculator.getOrbitRange(path[path.length - 1].orbit);
+      const offset = PositionCalculator.getMaxOffset(path.slice(0, -1));
+
+      return {
+        average: primary.mean,
+        min: Math.max(0, primary.periapsis - offset),
+        max: primary.apoapsis + offset,
+        method: 'orbital'
+      };
+    }
+
+    // Both orbit the common ancestor (e.g. Mars–Jupiter, Moon–Venus)
+    const rangeA = PositionCalculator.getOrbitRange(pathA[pathA.length - 1].orbit);
+    const rangeB = PositionCalculator.getOrbitRange(pathB[pathB.length - 1].orbit);
+    const offset = PositionCalculator.getMaxOffset(pathA.slice(0, -1)) +
+      PositionCalculator.getMaxOffset(pathB.slice(0, -1));
+
+    // Closest approach is 0 when the radial ranges overlap (e.g. Neptune–Pluto)
+    const gap = Math.max(rangeA.periapsis, rangeB.periapsis) - Math.min(rangeA.apoapsis, rangeB.apoapsis);
+
+    return {
+      average: PositionCalculator.averageOrbitSeparation(rangeA.mean, rangeB.mean),
+      min: Math.max(0, gap - offset),
+      max: rangeA.apoapsis + rangeB.apoapsis + offset,
+      method: 'orbital'
+    };
+  }
+}
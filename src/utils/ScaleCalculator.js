@@ -3,11 +3,11 @@
  *
  * This is a CRITICAL utility class that handles:
  * - Screen size calculations for cosmic objects
- * - Logarithmic distance scaling for astronomical distances
- * - Scientific notation formatting
+ * - Linear, logarithmic and hybrid (broken) axes for the distance view
+ * - Linear world ↔ screen transforms for the pan/zoom distance view
  */
 
-import { SCALE_DISPLAY } from './Constants.js';
+import { SCALE_DISPLAY, SCALE_MODES, DISTANCE_SCALE } from './Constants.js';
 
 export class ScaleCalculator {
   /**
@@ -32,111 +32,287 @@ export class ScaleCalculator {
     return Math.max(minScreenSize, Math.min(screenSize, maxScreenSize));
   }
 
+  // ========================================
+  // Distance Axis (scale modes)
+  // ========================================
+  //
+  // The distance view puts object 1's center at 0 px on an axis and
+  // object 2's center at layout.x2, at most `span` px away. A layout is
+  // one SCALE_MODES mapping from meters (measured from object 1's center)
+  // to axis pixels:
+  //
+  // - linear: one scale for sizes and distance - the honest picture, in
+  //   which planets are usually far below a pixel
+  // - logarithmic: every power of ten takes the same width, starting at a
+  //   power of ten no larger than object 1's radius; sizes cannot be drawn
+  //   on such an axis, so both objects are fixed-size markers
+  // - hybrid: sizes to scale (the larger object HYBRID_SIZE px wide), with
+  //   a to-scale stretch next to each object and the rest of the gap cut
+  //   out at an axis break; without a break when the gap fits
+  //
+  //   { mode, distance, span, x2, size1, size2,
+  //     pixelsPerMeter,       // linear, hybrid
+  //     min,                  // logarithmic: distance shown at 0 px
+  //     axisBreak }           // hybrid: {start, end, skipped} or null
+
   /**
-   * Convert real-world distance to screen distance using logarithmic scaling
-   *
-   * CRITICAL: Linear scaling won't work for astronomical distances!
-   * Earth-Sun distance (150 million km) would need a 150-million-pixel-wide screen.
+   * Lay out a pair along the distance axis
    *
-   * Uses Math.log1p() for better precision near zero.
+   * @param {string} mode - SCALE_MODES value
+   * @param {number} distance - Center-to-center distance in meters
+   * @param {number} diameter1 - Object 1 diameter in meters
+   * @param {number} diameter2 - Object 2 diameter in meters
+   * @param {number} span - Widest the axis may be, in pixels
+   * @returns {Object} Layout (see above); sizes are diameters in pixels
+   */
+  static getDistanceLayout(mode, distance, diameter1, diameter2, span) {
+    const layout = { mode, distance, span, x2: span, pixelsPerMeter: null, min: null, axisBreak: null };
+    const largest = Math.max(diameter1, diameter2);
+
+    if (mode === SCALE_MODES.LOGARITHMIC) {
+      // At least one power of ten below the distance
+      const radiusExponent = diameter1 > 0 ? Math.floor(Math.log10(diameter1 / 2)) : -Infinity;
+      const maxExponent = Math.ceil(Math.log10(distance)) - 1;
+      layout.min = Math.pow(10, Math.min(radiusExponent, maxExponent));
+      layout.size1 = DISTANCE_SCALE.LOG_MARKER_SIZE;
+      layout.size2 = DISTANCE_SCALE.LOG_MARKER_SIZE;
+      return layout;
+    }
+
+    if (mode === SCALE_MODES.HYBRID && largest > 0) {
+      const pixelsPerMeter = DISTANCE_SCALE.HYBRID_SIZE / largest;
+      const segment = span * DISTANCE_SCALE.HYBRID_SEGMENT;
+
+      layout.pixelsPerMeter = pixelsPerMeter;
+      if (distance * pixelsPerMeter <= span) {
+        layout.x2 = distance * pixelsPerMeter;
+      } else {
+        layout.axisBreak = { start: segment, end: span - segment, skipped: distance - 2 * segment / pixelsPerMeter };
+      }
+    } else {
+      layout.mode = SCALE_MODES.LINEAR;
+      layout.pixelsPerMeter = span / distance;
+    }
+
+    layout.size1 = diameter1 * layout.pixelsPerMeter;
+    layout.size2 = diameter2 * layout.pixelsPerMeter;
+    return layout;
+  }
+
+  /**
+   * Place a distance from object 1's center on a layout's axis
    *
-   * @param {number} realDistance - Real distance in meters
-   * @param {number} maxRealDistance - Maximum distance to scale against
-   * @param {number} screenWidth - Available screen width in pixels
-   * @returns {number} Screen distance in pixels
+   * @param {Object} layout - From getDistanceLayout()
+   * @param {number} meters - Distance from object 1's center
+   * @returns {number} Axis position in pixels (0 at object 1)
    */
-  static realToScreen(realDistance, maxRealDistance, screenWidth) {
-    // Guard against invalid inputs
-    if (realDistance <= 0) return 0;
-    if (maxRealDistance <= 0) return 0;
+  static distanceToAxis(layout, meters) {
+    const { distance, span, pixelsPerMeter, min, axisBreak } = layout;
+
+    if (layout.mode === SCALE_MODES.LOGARITHMIC) {
+      return meters <= min ? 0 : span * Math.log10(meters / min) / Math.log10(distance / min);
+    }
 
-    // Use logarithmic scaling for consistent visualization across all cosmic scales
-    // log1p(x) = log(1 + x) provides better precision near zero
-    const logReal = Math.log1p(realDistance);
-    const logMax = Math.log1p(maxRealDistance);
+    if (!axisBreak) {
+      return meters * pixelsPerMeter;
+    }
 
-    return (logReal / logMax) * screenWidth;
+    // Hybrid: to scale near either object, squeezed across the break
+    const shown = axisBreak.start / pixelsPerMeter;
+    if (meters <= shown) return meters * pixelsPerMeter;
+    if (meters >= distance - shown) return span - (distance - meters) * pixelsPerMeter;
+    return axisBreak.start + (meters - shown) / axisBreak.skipped * (axisBreak.end - axisBreak.start);
   }
 
   /**
-   * Calculate object size proportional to displayed distance
+   * Ruler ticks for a layout
    *
-   * CRITICAL: Distance uses logarithmic scaling, but object size relative to
-   * that scaled distance uses LINEAR proportion to maintain dimensional accuracy
+   * Linear stretches get evenly spaced ticks at 1, 2 or 5 × 10^n of the
+   * unit the labels use, so every label is a round number. A logarithmic
+   * axis gets a tick at every power of ten (labeled as often as they fit)
+   * and minor ticks at 2-9 × 10^n. Next to object 2 on a broken hybrid axis
+   * the ticks count back from the distance and stay unlabeled; the tick at
+   * the distance itself is labeled.
    *
-   * Example: Earth-Sun distance at 896px screen width (70% of 1280px)
-   * - Sun diameter: 1.39B meters → 1.39B/150B × 896 = ~8.3px
-   * - Earth diameter: 12.7M meters → 12.7M/150B × 896 = ~0.076px (floor to 1px)
+   * @param {Object} layout - From getDistanceLayout()
+   * @param {number} unitMeters - Length of the label unit in meters
+   * @returns {Array<Object>} [{meters, major, labeled}] in axis order
+   */
+  static getRulerTicks(layout, unitMeters = 1) {
+    const { distance } = layout;
+
+    if (layout.mode === SCALE_MODES.LOGARITHMIC) {
+      const first = Math.round(Math.log10(layout.min));
+      const last = Math.floor(Math.log10(distance) + 1e-9);
+      const decadeWidth = ScaleCalculator.distanceToAxis(layout, layout.min * 10);
+      const labelEvery = Math.max(1, Math.ceil(DISTANCE_SCALE.LABEL_GAP / decadeWidth));
+      const ticks = [];
+
+      for (let exponent = first; exponent <= last; exponent++) {
+        const decade = Math.pow(10, exponent);
+        ticks.push({ meters: decade, major: true, labeled: (exponent - first) % labelEvery === 0 });
+
+        for (let digit = 2; digit <= 9 && decadeWidth >= DISTANCE_SCALE.LABEL_GAP / 2; digit++) {
+          if (decade * digit < distance) ticks.push({ meters: decade * digit, major: false, labeled: false });
+        }
+      }
+      return ticks;
+    }
+
+    const { axisBreak, pixelsPerMeter } = layout;
+    const length = axisBreak ? axisBreak.start / pixelsPerMeter : distance;
+    const labels = Math.max(1, Math.floor(length * pixelsPerMeter / DISTANCE_SCALE.LABEL_GAP));
+    const step = ScaleCalculator.niceStep(length / unitMeters / labels) * unitMeters;
+    const count = Math.floor(length / step + 1e-9);
+    const ticks = [];
+
+    // Half steps as minor ticks
+    for (let index = 0; index <= count * 2; index++) {
+      const major = index % 2 === 0;
+      ticks.push({ meters: index * step / 2, major, labeled: major });
+    }
+
+    if (axisBreak) {
+      for (let index = count * 2; index > 0; index--) {
+        ticks.push({ meters: distance - index * step / 2, major: index % 2 === 0, labeled: false });
+      }
+      ticks.push({ meters: distance, major: true, labeled: true });
+    }
+
+    return ticks;
+  }
+
+  /**
+   * Round a step up to 1, 2 or 5 × 10^n
    *
-   * @param {number} realDiameter - Object diameter in meters
-   * @param {number} realDistance - Distance being displayed in meters
-   * @param {number} screenWidth - Available screen width in pixels
-   * @returns {number} Screen diameter in pixels (minimum 1px)
+   * @param {number} rough - Step before rounding (> 0)
+   * @returns {number} Step
    */
-  static calculateProportionalSize(realDiameter, realDistance, screenWidth) {
-    // Guard against invalid inputs
-    if (realDistance <= 0 || realDiameter <= 0) return 1;
-
-    // Calculate screen distance using logarithmic scaling
-    const screenDistance = ScaleCalculator.realToScreen(
-      realDistance,
-      realDistance,
-      screenWidth * 0.7
-    );
-
-    // Object size is LINEAR proportion of screen distance
-    // This preserves true dimensional relationships
-    const linearRatio = realDiameter / realDistance;
-    const screenSize = linearRatio * screenDistance;
-
-    // Floor at 1px minimum (no upper clamp for proportional accuracy)
-    return Math.max(1, screenSize);
+  static niceStep(rough) {
+    const power = Math.pow(10, Math.floor(Math.log10(rough)));
+    const nice = [1, 2, 5, 10].find(multiple => multiple * power >= rough * (1 - 1e-9));
+    return nice * power;
   }
 
+  // ========================================
+  // Linear View (pan and zoom)
+  // ========================================
+  //
+  // A view looks at a horizontal world axis in meters:
+  //
+  //   { origin, offset, pixelsPerMeter }
+  //
+  // The screen center shows the world position origin + offset. Positions
+  // of 10^26 m only keep about 10^10 m of precision, far more than a
+  // planet, so the view never works with absolute positions near the
+  // screen. origin is an exact world position (an object's, see
+  // rebaseView()) and everything is measured from it: an object at the
+  // origin lands on the screen with no rounding, at any zoom. Zooming in
+  // far from every object is still limited by the offset's precision, but
+  // there is nothing there to misplace.
+
   /**
-   * Calculate zoom factor between two scale exponents
+   * Screen X of a world position
    *
-   * @param {number} fromExponent - Starting exponent
-   * @param {number} toExponent - Target exponent
-   * @returns {number} Zoom factor (multiplicative)
+   * @param {number} worldX - World position (meters)
+   * @param {Object} view - {origin, offset, pixelsPerMeter}
+   * @param {number} centerX - Screen X of the view center
+   * @returns {number} Screen X (pixels)
    */
-  static getZoomFactor(fromExponent, toExponent) {
-    return Math.pow(10, toExponent - fromExponent);
+  static worldToScreen(worldX, view, centerX) {
+    return centerX + ((worldX - view.origin) - view.offset) * view.pixelsPerMeter;
   }
 
   /**
-   * Format scale measurement for display
+   * World position under a screen X, measured from the view's origin
+   * (add view.origin for the absolute position, losing precision)
    *
-   * Returns format: "1.50 × 10^8 m"
+   * @param {number} screenX - Screen X (pixels)
+   * @param {Object} view - {origin, offset, pixelsPerMeter}
+   * @param {number} centerX - Screen X of the view center
+   * @returns {number} Meters from view.origin
+   */
+  static screenToWorldOffset(screenX, view, centerX) {
+    return view.offset + (screenX - centerX) / view.pixelsPerMeter;
+  }
+
+  /**
+   * Zoom a view, keeping the world position under a screen X in place
    *
-   * Handles edge cases:
-   * - Zero → "0 m"
-   * - Very small values (< 1e-100) → "~0 m"
-   * - Negative values → includes sign
+   * @param {Object} view - {origin, offset, pixelsPerMeter}
+   * @param {number} factor - Zoom factor (> 1 zooms in)
+   * @param {number} screenX - Screen X that stays put (e.g. the pointer)
+   * @param {number} centerX - Screen X of the view center
+   * @returns {Object} New view
+   */
+  static zoomView(view, factor, screenX, centerX) {
+    const anchor = ScaleCalculator.screenToWorldOffset(screenX, view, centerX);
+    const pixelsPerMeter = view.pixelsPerMeter * factor;
+
+    return {
+      origin: view.origin,
+      offset: anchor - (screenX - centerX) / pixelsPerMeter,
+      pixelsPerMeter
+    };
+  }
+
+  /**
+   * Move a view by a screen distance (drag: the world follows the pointer)
    *
-   * @param {number} meters - Distance/size in meters
-   * @returns {string} Formatted string in scientific notation
+   * @param {Object} view - {origin, offset, pixelsPerMeter}
+   * @param {number} deltaX - Pointer movement (pixels)
+   * @returns {Object} New view
    */
-  static formatScale(meters) {
-    // Handle zero
-    if (meters === 0) {
-      return '0 m';
-    }
+  static panView(view, deltaX) {
+    return { ...view, offset: view.offset - deltaX / view.pixelsPerMeter };
+  }
 
-    // Handle very small values (below practical precision)
-    if (Math.abs(meters) < 1e-100) {
-      return '~0 m';
-    }
+  /**
+   * Move a view's origin to the anchor nearest its center, so whatever
+   * the view is closing in on is measured without rounding
+   *
+   * @param {Object} view - {origin, offset, pixelsPerMeter}
+   * @param {Array<number>} anchors - Exact world positions (e.g. object centers)
+   * @returns {Object} New view showing the same place
+   */
+  static rebaseView(view, anchors) {
+    const distanceTo = anchor => Math.abs((anchor - view.origin) - view.offset);
+    const nearest = anchors.reduce((best, anchor) => (distanceTo(anchor) < distanceTo(best) ? anchor : best));
 
-    // Handle negative values
-    const sign = meters < 0 ? '-' : '';
-    const absMeters = Math.abs(meters);
+    if (nearest === view.origin) return view;
+
+    return { ...view, origin: nearest, offset: view.offset - (nearest - view.origin) };
+  }
+
+  /**
+   * View showing a world interval across the screen
+   *
+   * @param {number} minX - Left end (meters from origin)
+   * @param {number} maxX - Right end (meters from origin)
+   * @param {number} origin - Exact world position the ends are measured from
+   * @param {number} screenWidth - Screen width (pixels)
+   * @param {number} margin - Empty fraction of the width on each side
+   * @returns {Object} View {origin, offset, pixelsPerMeter}
+   */
+  static fitView(minX, maxX, origin, screenWidth, margin = 0) {
+    const span = Math.max(maxX - minX, Number.MIN_VALUE);
 
-    // Calculate exponent and mantissa
-    const exponent = Math.floor(Math.log10(absMeters));
-    const mantissa = absMeters / Math.pow(10, exponent);
+    return {
+      origin,
+      offset: minX + span / 2,
+      pixelsPerMeter: screenWidth * (1 - 2 * margin) / span
+    };
+  }
 
-    return `${sign}${mantissa.toFixed(2)} × 10^${exponent} m`;
+  /**
+   * Calculate zoom factor between two scale exponents
+   *
+   * @param {number} fromExponent - Starting exponent
+   * @param {number} toExponent - Target exponent
+   * @returns {number} Zoom factor (multiplicative)
+   */
+  static getZoomFactor(fromExponent, toExponent) {
+    return Math.pow(10, toExponent - fromExponent);
   }
 
   /**
@@ -154,24 +330,4 @@ export class ScaleCalculator {
 
     return larger / smaller;
   }
-
-  /**
-   * Format time duration into human-readable string
-   *
-   * @param {number} seconds - Duration in seconds
-   * @returns {string} Formatted duration (e.g., "1.28 seconds", "8.30 minutes")
-   */
-  static formatTime(seconds) {
-    if (seconds < 60) {
-      return `${seconds.toFixed(3)} seconds`;
-    } else if (seconds < 3600) {
-      return `${(seconds / 60).toFixed(2)} minutes`;
-    } else if (seconds < 86400) {
-      return `${(seconds / 3600).toFixed(2)} hours`;
-    } else if (seconds < 31536000) {
-      return `${(seconds / 86400).toFixed(2)} days`;
-    } else {
-      return `${(seconds / 31536000).toFixed(2)} years`;
-    }
-  }
 }
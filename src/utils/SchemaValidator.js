@@ -0,0 +1,630 @@
+/**
+ * SchemaValidator - Validate the JSON data files against their schemas
+ *
+ * Pure functions (no Phaser, no managers) so the same checks can run in
+ * the browser at boot and in Node tooling.
+ *
+ * Every check collects problems instead of throwing, so a broken data file
+ * reports ALL of its mistakes at once. Each problem carries the file name
+ * and a JSON path to the offending value:
+ *
+ *   { file: 'cosmic-objects.json', path: 'objects[3].color', message: '...' }
+ *
+ * Covered files:
+ * - cosmic-objects.json: every object field, orbit/position data,
+ *   distance entries (references, duplicates, light travel times),
+ *   units (any known unit of the right dimension, see Units.js),
+ *   translations of the text fields
+ * - object packs: a `pack` header plus objects/distances like
+ *   cosmic-objects.json, checked against the data already loaded
+ * - physical-constants.json: every constant entry
+ * - scale-levels.json: one level per integer exponent, no gaps;
+ *   translations of the text fields
+ */
+
+import { MIN_EXPONENT, MAX_EXPONENT, BACKGROUND_STYLES } from '@/utils/Constants.js';
+import { Units } from '@/utils/Units.js';
+
+const FILES = {
+  OBJECTS: 'cosmic-objects.json',
+  CONSTANTS: 'physical-constants.json',
+  SCALE_LEVELS: 'scale-levels.json'
+};
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+// Stored light travel times may be rounded, but not by more than this
+const LIGHT_TIME_TOLERANCE = 0.01;
+
+/**
+ * Field rules
+ *
+ * type: 'string' | 'number' | 'integer' | 'array' | 'object'
+ * required: field must be present
+ * min / max: inclusive numeric bounds
+ * positive: number must be > 0
+ * pattern / patternHint: regular expression for strings
+ * values: allowed values
+ * unit: string must be a known unit of this dimension ('length' | 'mass' | 'time')
+ * items: type of every array element
+ * translations: object keyed by language code ("es", "pt-BR"); each value
+ *   is checked against these field rules
+ */
+const OBJECT_TRANSLATION_FIELDS = {
+  name: { type: 'string' },
+  description: { type: 'string' },
+  educationalFacts: { type: 'array', items: 'string' }
+};
+
+const OBJECT_FIELDS = {
+  id: { type: 'string', required: true, pattern: ID_PATTERN, patternHint: 'lowercase words separated by hyphens' },
+  name: { type: 'string', required: true },
+  category: { type: 'string', required: true },
+  diameter: { type: 'number', required: true, positive: true },
+  diameterUnit: { type: 'string', required: true, unit: 'length' },
+  mass: { type: 'number', required: true, positive: true },
+  massUnit: { type: 'string', required: true, unit: 'mass' },
+  scaleLevel: { type: 'integer', required: true, min: MIN_EXPONENT, max: MAX_EXPONENT },
+  color: { type: 'string', required: true, pattern: COLOR_PATTERN, patternHint: 'a hex color like "#4A90E2"' },
+  description: { type: 'string', required: true },
+  texture: { type: 'string' },
+  educationalFacts: { type: 'array', required: true, items: 'string' },
+  sources: { type: 'array', required: true, items: 'string' },
+  translations: { type: 'object', translations: OBJECT_TRANSLATION_FIELDS },
+  orbit: { type: 'object' },
+  position: { type: 'object' }
+};
+
+const ORBIT_FIELDS = {
+  parent: { type: 'string', required: true },
+  epoch: { type: 'string', required: true, values: ['J2000'] },
+  semiMajorAxis: { type: 'number', required: true, positive: true },
+  semiMajorAxisUnit: { type: 'string', unit: 'length' },
+  eccentricity: { type: 'number', required: true, min: 0, max: 0.999999 },
+  inclination: { type: 'number', required: true, min: -180, max: 180 },
+  meanLongitude: { type: 'number', required: true },
+  longitudeOfPerihelion: { type: 'number', required: true },
+  longitudeOfAscendingNode: { type: 'number', required: true },
+  ratesPerCentury: { type: 'object' }
+};
+
+const ORBIT_RATE_FIELDS = {
+  semiMajorAxis: { type: 'number' },
+  eccentricity: { type: 'number' },
+  inclination: { type: 'number' },
+  meanLongitude: { type: 'number' },
+  longitudeOfPerihelion: { type: 'number' },
+  longitudeOfAscendingNode: { type: 'number' }
+};
+
+const POSITION_FIELDS = {
+  rightAscension: { type: 'number', required: true, min: 0, max: 360 },
+  declination: { type: 'number', required: true, min: -90, max: 90 },
+  distance: { type: 'number', required: true, min: 0 },
+  distanceUnit: { type: 'string', unit: 'length' }
+};
+
+const DISTANCE_FIELDS = {
+  from: { type: 'string', required: true },
+  to: { type: 'string', required: true },
+  distance: { type: 'number', required: true, positive: true },
+  unit: { type: 'string', required: true, unit: 'length' },
+  lightTravelTime: { type: 'number', required: true, min: 0 },
+  lightTravelTimeUnit: { type: 'string', required: true, unit: 'time' },
+  description: { type: 'string', required: true }
+};
+
+const CONSTANT_FIELDS = {
+  value: { type: 'number', required: true },
+  unit: { type: 'string', required: true },
+  displayName: { type: 'string', required: true },
+  symbol: { type: 'string', required: true },
+  precision: { type: 'string', required: true },
+  source: { type: 'string', required: true },
+  description: { type: 'string', required: true }
+};
+
+const PACK_FIELDS = {
+  id: { type: 'string', required: true, pattern: ID_PATTERN, patternHint: 'lowercase words separated by hyphens' },
+  name: { type: 'string', required: true },
+  version: { type: 'string' },
+  description: { type: 'string' },
+  author: { type: 'string' }
+};
+
+const SCALE_LEVEL_TRANSLATION_FIELDS = {
+  title: { type: 'string' },
+  narrative: { type: 'string' },
+  representativeObjects: { type: 'array', items: 'string' }
+};
+
+const SCALE_LEVEL_FIELDS = {
+  exponent: { type: 'integer', required: true, min: MIN_EXPONENT, max: MAX_EXPONENT },
+  title: { type: 'string', required: true },
+  narrative: { type: 'string', required: true },
+  representativeObjects: { type: 'array', required: true, items: 'string' },
+  backgroundStyle: { type: 'string', required: true, values: Object.keys(BACKGROUND_STYLES) },
+  translations: { type: 'object', translations: SCALE_LEVEL_TRANSLATION_FIELDS }
+};
+
+/**
+ * Error thrown when data files fail validation
+ *
+ * `problems` holds every problem found, in file order.
+ */
+export class DataValidationError extends Error {
+  /**
+   * @param {Array<Object>} problems - Problems from SchemaValidator
+   */
+  constructor(problems) {
+    super(`Data validation failed with ${problems.length} problem${problems.length === 1 ? '' : 's'}`);
+    this.name = 'DataValidationError';
+    this.problems = problems;
+  }
+}
+
+export class SchemaValidator {
+  /**
+   * Validate all data files
+   *
+   * @param {Object} data - {cosmicObjects, constants, scaleLevels} parsed JSON
+   * @returns {Array<Object>} Problems {file, path, message}; empty if valid
+   */
+  static validateAll({ cosmicObjects, constants, scaleLevels }) {
+    return [
+      ...SchemaValidator.validateCosmicObjects(cosmicObjects, constants),
+      ...SchemaValidator.validateConstants(constants),
+      ...SchemaValidator.validateScaleLevels(scaleLevels)
+    ];
+  }
+
+  /**
+   * Validate cosmic-objects.json (or the object part of a pack)
+   *
+   * @param {Object} data - Parsed cosmic-objects.json
+   * @param {Object} constants - Parsed physical-constants.json (for light
+   *   travel time checks; skipped if speedOfLight is unusable)
+   * @param {Object} options - Pack validation options
+   * @param {string} options.file - File name used in problems
+   * @param {Map} options.externalObjects - Already loaded objects (id → object)
+   *   that may be referenced but must not be redefined
+   * @param {Array<Object>} options.externalDistances - Already loaded distances
+   *   that must not be redefined
+   * @param {Array<string>} options.topLevelKeys - Allowed top-level keys
+   * @returns {Array<Object>} Problems
+   */
+  static validateCosmicObjects(data, constants = null, options = {}) {
+    const {
+      file = FILES.OBJECTS,
+      externalObjects = new Map(),
+      externalDistances = [],
+      topLevelKeys = ['objects', 'distances']
+    } = options;
+
+    const problems = [];
+    const report = (path, message) => problems.push({ file, path, message });
+
+    if (!SchemaValidator.isPlainObject(data)) {
+      report('', 'must be an object with "objects" and "distances" arrays');
+      return problems;
+    }
+
+    SchemaValidator.checkUnknownKeys(data, topLevelKeys, '', report);
+
+    if (!Array.isArray(data.objects)) {
+      report('objects', 'must be an array');
+    }
+    if (!Array.isArray(data.distances)) {
+      report('distances', 'must be an array');
+    }
+
+    const objects = Array.isArray(data.objects) ? data.objects : [];
+    const distances = Array.isArray(data.distances) ? data.distances : [];
+
+    // Objects: fields, duplicate ids (externals are referenceable, never redefined)
+    const objectsById = new Map();
+    externalObjects.forEach((obj, id) => objectsById.set(id, { obj, index: null }));
+
+    objects.forEach((obj, index) => {
+      const path = `objects[${index}]`;
+
+      if (!SchemaValidator.checkRecord(obj, OBJECT_FIELDS, path, report)) return;
+
+      if (typeof obj.id === 'string') {
+        if (externalObjects.has(obj.id)) {
+          report(`${path}.id`, `id "${obj.id}" conflicts with an already loaded object`);
+        } else if (objectsById.has(obj.id)) {
+          report(`${path}.id`, `duplicate id "${obj.id}" (first used at objects[${objectsById.get(obj.id).index}])`);
+        } else {
+          objectsById.set(obj.id, { obj, index });
+        }
+      }
+    });
+
+    // Positional data needs the full id index (parents may come later in the file)
+    objects.forEach((obj, index) => {
+      if (!SchemaValidator.isPlainObject(obj)) return;
+      SchemaValidator.checkPositionalData(obj, `objects[${index}]`, objectsById, report);
+    });
+
+    // Distances: fields, references, duplicate pairs, light travel time
+    const speedOfLight = constants?.speedOfLight?.value;
+    const pairs = new Map();
+    externalDistances.forEach(entry => pairs.set([entry.from, entry.to].sort().join('|'), null));
+
+    distances.forEach((entry, index) => {
+      const path = `distances[${index}]`;
+
+      if (!SchemaValidator.checkRecord(entry, DISTANCE_FIELDS, path, report)) return;
+
+      ['from', 'to'].forEach(key => {
+        if (typeof entry[key] === 'string' && !objectsById.has(entry[key])) {
+          report(`${path}.${key}`, `references unknown object "${entry[key]}"`);
+        }
+      });
+
+      if (entry.from === entry.to) {
+        report(`${path}.to`, 'must differ from "from"');
+      }
+
+      const pairKey = [entry.from, entry.to].sort().join('|');
+      if (pairs.get(pairKey) === null) {
+        report(path, `distance ${entry.from} ↔ ${entry.to} is already defined by loaded data`);
+      } else if (pairs.has(pairKey)) {
+        report(path, `duplicate distance ${entry.from} ↔ ${entry.to} (first defined at distances[${pairs.get(pairKey)}])`);
+      } else {
+        pairs.set(pairKey, index);
+      }
+
+      if (
+        speedOfLight > 0 && entry.distance > 0 && Number.isFinite(entry.lightTravelTime) &&
+        Units.isUnit(entry.unit, 'length') && Units.isUnit(entry.lightTravelTimeUnit, 'time')
+      ) {
+        const timeUnit = entry.lightTravelTimeUnit;
+        const expected = Units.fromBase(Units.toBase(entry.distance, entry.unit) / speedOfLight, timeUnit);
+        if (Math.abs(entry.lightTravelTime - expected) > expected * LIGHT_TIME_TOLERANCE) {
+          report(
+            `${path}.lightTravelTime`,
+            `is ${entry.lightTravelTime} ${timeUnit} but distance / speedOfLight is ${expected.toPrecision(6)} ${timeUnit}`
+          );
+        }
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Validate an object pack
+   *
+   * Pack object ids are local (e.g. "school-bus"); references inside the
+   * pack may use local ids or ids already loaded (e.g. "earth"). A local id
+   * that equals a loaded id is reported as a conflict, since references
+   * to it would be ambiguous.
+   *
+   * @param {Object} data - Parsed pack {pack, objects, distances}
+   * @param {Object} options - {constants, file, externalObjects, externalDistances}
+   * @returns {Array<Object>} Problems
+   */
+  static validatePack(data, options = {}) {
+    const { constants = null, file = 'pack', ...rest } = options;
+
+    if (!SchemaValidator.isPlainObject(data)) {
+      return [{ file, path: '', message: 'must be an object with "pack", "objects" and "distances"' }];
+    }
+
+    const problems = [];
+    const report = (path, message) => problems.push({ file, path, message });
+
+    if (data.pack === undefined) {
+      report('pack', 'is required');
+    } else {
+      SchemaValidator.checkRecord(data.pack, PACK_FIELDS, 'pack', report);
+    }
+
+    return [
+      ...problems,
+      // Distances are optional in packs
+      ...SchemaValidator.validateCosmicObjects({ ...data, distances: data.distances ?? [] }, constants, {
+        ...rest,
+        file,
+        topLevelKeys: ['pack', 'objects', 'distances']
+      })
+    ];
+  }
+
+  /**
+   * Validate an object's optional orbit and position data
+   *
+   * @param {Object} obj - Object data
+   * @param {string} path - JSON path of the object
+   * @param {Map} objectsById - id → {obj, index}
+   * @param {Function} report - (path, message) problem callback
+   */
+  static checkPositionalData(obj, path, objectsById, report) {
+    if (SchemaValidator.isPlainObject(obj.orbit)) {
+      const orbitPath = `${path}.orbit`;
+      SchemaValidator.checkRecord(obj.orbit, ORBIT_FIELDS, orbitPath, report);
+
+      if (obj.orbit.ratesPerCentury !== undefined) {
+        SchemaValidator.checkRecord(obj.orbit.ratesPerCentury, ORBIT_RATE_FIELDS, `${orbitPath}.ratesPerCentury`, report);
+      }
+
+      if (typeof obj.orbit.parent === 'string') {
+        if (!objectsById.has(obj.orbit.parent)) {
+          report(`${orbitPath}.parent`, `references unknown object "${obj.orbit.parent}"`);
+        } else if (!SchemaValidator.reachesFixedPosition(obj, objectsById)) {
+          report(`${orbitPath}.parent`, 'orbit chain is cyclic or never reaches an object with a position');
+        }
+      }
+    }
+
+    if (SchemaValidator.isPlainObject(obj.position)) {
+      SchemaValidator.checkRecord(obj.position, POSITION_FIELDS, `${path}.position`, report);
+
+      if (obj.orbit !== undefined) {
+        report(`${path}.position`, 'an object may have an orbit or a position, not both');
+      }
+    }
+  }
+
+  /**
+   * Check that an orbit chain ends at an object with a fixed position
+   *
+   * @param {Object} obj - Object data with an orbit
+   * @param {Map} objectsById - id → {obj, index}
+   * @returns {boolean} True if the chain terminates at a position
+   */
+  static reachesFixedPosition(obj, objectsById) {
+    const visited = new Set();
+    let current = obj;
+
+    while (current && !current.position) {
+      if (!current.orbit || visited.has(current.id)) return false;
+
+      visited.add(current.id);
+      current = objectsById.get(current.orbit.parent)?.obj;
+    }
+
+    return Boolean(current);
+  }
+
+  /**
+   * Validate physical-constants.json
+   *
+   * @param {Object} data - Parsed physical-constants.json
+   * @returns {Array<Object>} Problems
+   */
+  static validateConstants(data) {
+    const problems = [];
+    const report = (path, message) => problems.push({ file: FILES.CONSTANTS, path, message });
+
+    if (!SchemaValidator.isPlainObject(data)) {
+      report('', 'must be an object of named constants');
+      return problems;
+    }
+
+    if (data.speedOfLight === undefined) {
+      report('speedOfLight', 'is required');
+    }
+
+    Object.entries(data).forEach(([key, constant]) => {
+      if (!SchemaValidator.checkRecord(constant, CONSTANT_FIELDS, key, report)) return;
+
+      if (typeof constant.value === 'number' && !(constant.value > 0)) {
+        report(`${key}.value`, 'must be greater than 0');
+      }
+    });
+
+    if (typeof data.speedOfLight?.unit === 'string' && data.speedOfLight.unit !== 'm/s') {
+      report('speedOfLight.unit', 'must be "m/s"');
+    }
+
+    return problems;
+  }
+
+  /**
+   * Validate scale-levels.json
+   *
+   * CRITICAL: There must be exactly one level per integer exponent from
+   * MIN_EXPONENT to MAX_EXPONENT so zoom views never hit a gap
+   *
+   * @param {Object} data - Parsed scale-levels.json
+   * @returns {Array<Object>} Problems
+   */
+  static validateScaleLevels(data) {
+    const problems = [];
+    const report = (path, message) => problems.push({ file: FILES.SCALE_LEVELS, path, message });
+
+    if (!SchemaValidator.isPlainObject(data) || !Array.isArray(data.levels)) {
+      report('levels', 'must be an array');
+      return problems;
+    }
+
+    const seen = new Map();
+
+    data.levels.forEach((level, index) => {
+      const path = `levels[${index}]`;
+
+      if (!SchemaValidator.checkRecord(level, SCALE_LEVEL_FIELDS, path, report)) return;
+
+      if (Number.isInteger(level.exponent)) {
+        if (seen.has(level.exponent)) {
+          report(`${path}.exponent`, `duplicate exponent ${level.exponent} (first used at levels[${seen.get(level.exponent)}])`);
+        } else {
+          seen.set(level.exponent, index);
+        }
+      }
+    });
+
+    const missing = [];
+    for (let exponent = MIN_EXPONENT; exponent <= MAX_EXPONENT; exponent++) {
+      if (!seen.has(exponent)) missing.push(exponent);
+    }
+    if (missing.length > 0) {
+      report('levels', `missing exponents ${missing.join(', ')}`);
+    }
+
+    return problems;
+  }
+
+  /**
+   * Check a record against field rules, reporting unknown keys too
+   *
+   * @param {*} record - Value to check
+   * @param {Object} fields - Field rules
+   * @param {string} path - JSON path of the record
+   * @param {Function} report - (path, message) problem callback
+   * @returns {boolean} False if the record is not an object at all
+   */
+  static checkRecord(record, fields, path, report) {
+    if (!SchemaValidator.isPlainObject(record)) {
+      report(path, 'must be an object');
+      return false;
+    }
+
+    Object.entries(fields).forEach(([key, rule]) => {
+      const fieldPath = path ? `${path}.${key}` : key;
+
+      if (record[key] === undefined) {
+        if (rule.required) report(fieldPath, 'is required');
+        return;
+      }
+
+      SchemaValidator.checkValue(record[key], rule, fieldPath, report);
+    });
+
+    SchemaValidator.checkUnknownKeys(record, Object.keys(fields), path, report);
+
+    return true;
+  }
+
+  /**
+   * Check a single value against a field rule
+   *
+   * @param {*} value - Value to check
+   * @param {Object} rule - Field rule
+   * @param {string} path - JSON path of the value
+   * @param {Function} report - (path, message) problem callback
+   */
+  static checkValue(value, rule, path, report) {
+    if (!SchemaValidator.matchesType(value, rule.type)) {
+      report(path, `must be ${SchemaValidator.describeType(rule.type)} (got ${JSON.stringify(value)})`);
+      return;
+    }
+
+    if (rule.type === 'string' && value.trim() === '') {
+      report(path, 'must not be empty');
+      return;
+    }
+
+    if (rule.values && !rule.values.includes(value)) {
+      report(path, `must be one of ${rule.values.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+    }
+
+    if (rule.unit && !Units.isUnit(value, rule.unit)) {
+      const known = Units.getUnits(rule.unit).map(unit => JSON.stringify(unit)).join(', ');
+      report(path, `must be a ${rule.unit} unit: one of ${known} (got ${JSON.stringify(value)})`);
+    }
+
+    if (rule.pattern && !rule.pattern.test(value)) {
+      report(path, `must be ${rule.patternHint} (got ${JSON.stringify(value)})`);
+    }
+
+    if (rule.positive && !(value > 0)) {
+      report(path, `must be greater than 0 (got ${value})`);
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+      report(path, `must be at least ${rule.min} (got ${value})`);
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+      report(path, `must be at most ${rule.max} (got ${value})`);
+    }
+
+    if (rule.items) {
+      value.forEach((item, index) => {
+        SchemaValidator.checkValue(item, { type: rule.items }, `${path}[${index}]`, report);
+      });
+    }
+
+    if (rule.translations) {
+      Object.entries(value).forEach(([locale, translation]) => {
+        if (!LOCALE_PATTERN.test(locale)) {
+          report(`${path}.${locale}`, 'must be a language code like "es" or "pt-BR"');
+          return;
+        }
+        SchemaValidator.checkRecord(translation, rule.translations, `${path}.${locale}`, report);
+      });
+    }
+  }
+
+  /**
+   * Report keys that are not part of the schema (usually typos)
+   *
+   * @param {Object} record - Record to check
+   * @param {Array<string>} allowed - Known keys
+   * @param {string} path - JSON path of the record
+   * @param {Function} report - (path, message) problem callback
+   */
+  static checkUnknownKeys(record, allowed, path, report) {
+    Object.keys(record).forEach(key => {
+      if (!allowed.includes(key)) {
+        report(path ? `${path}.${key}` : key, 'is not a known field');
+      }
+    });
+  }
+
+  /**
+   * @param {*} value - Value to test
+   * @param {string} type - Rule type
+   * @returns {boolean} True if the value has the type
+   */
+  static matchesType(value, type) {
+    switch (type) {
+      case 'string': return typeof value === 'string';
+      case 'number': return Number.isFinite(value);
+      case 'integer': return Number.isInteger(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return SchemaValidator.isPlainObject(value);
+      default: return true;
+    }
+  }
+
+  /**
+   * @param {string} type - Rule type
+   * @returns {string} Human-readable type name
+   */
+  static describeType(type) {
+    return {
+      string: 'a string',
+      number: 'a finite number',
+      integer: 'an integer',
+      array: 'an array',
+      object: 'an object'
+    }[type] ?? type;
+  }
+
+  /**
+   * @param {*} value - Value to test
+   * @returns {boolean} True for non-null, non-array objects
+   */
+  static isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * Format a problem as a single line
+   *
+   * @param {Object} problem - {file, path, message}
+   * @returns {string} e.g. 'cosmic-objects.json objects[3].color: must be ...'
+   */
+  static formatProblem(problem) {
+    return problem.path
+      ? `${problem.file} ${problem.path}: ${problem.message}`
+      : `${problem.file}: ${problem.message}`;
+  }
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SchemaValidator } from './SchemaValidator.js';
+import cosmicObjectsFile from '../../public/assets/data/cosmic-objects.json';
+import constantsFile from '../../public/assets/data/physical-constants.json';
+import scaleLevelsFile from '../../public/assets/data/scale-levels.json';
+
+describe('SchemaValidator', () => {
+  let data;
+
+  /**
+   * @param {string} id - Object id
+   * @returns {number} Index of the object in the objects array
+   */
+  function indexOf(id) {
+    return data.cosmicObjects.objects.findIndex(obj => obj.id === id);
+  }
+
+  /**
+   * @param {string} id - Object id
+   * @returns {Object} Object record (mutable copy)
+   */
+  function object(id) {
+    return data.cosmicObjects.objects[indexOf(id)];
+  }
+
+  beforeEach(() => {
+    data = structuredClone({
+      cosmicObjects: cosmicObjectsFile,
+      constants: constantsFile,
+      scaleLevels: scaleLevelsFile
+    });
+  });
+
+  it('accepts the shipped data files', () => {
+    expect(SchemaValidator.validateAll(data)).toEqual([]);
+  });
+
+  it('reports duplicate ids', () => {
+    const first = indexOf('earth');
+    data.cosmicObjects.objects.push({ ...object('earth') });
+    const last = data.cosmicObjects.objects.length - 1;
+
+    expect(SchemaValidator.validateAll(data)).toEqual([{
+      file: 'cosmic-objects.json',
+      path: `objects[${last}].id`,
+      message: `duplicate id "earth" (first used at objects[${first}])`
+    }]);
+  });
+
+  it('reports colors that are not hex', () => {
+    object('mars').color = 'red';
+
+    expect(SchemaValidator.validateAll(data)).toEqual([{
+      file: 'cosmic-objects.json',
+      path: `objects[${indexOf('mars')}].color`,
+      message: 'must be a hex color like "#4A90E2" (got "red")'
+    }]);
+  });
+
+  it('reports negative diameters', () => {
+    object('moon').diameter = -3474.8;
+
+    expect(SchemaValidator.validateAll(data)).toEqual([{
+      file: 'cosmic-objects.json',
+      path: `objects[${indexOf('moon')}].diameter`,
+      message: 'must be greater than 0 (got -3474.8)'
+    }]);
+  });
+
+  it('reports distances that reference unknown objects', () => {
+    data.cosmicObjects.distances[0].to = 'vulcan';
+
+    expect(SchemaValidator.validateAll(data)).toEqual([{
+      file: 'cosmic-objects.json',
+      path: 'distances[0].to',
+      message: 'references unknown object "vulcan"'
+    }]);
+  });
+
+  it('reports cyclic orbit chains', () => {
+    object('earth').orbit.parent = 'moon';
+
+    const message = 'orbit chain is cyclic or never reaches an object with a position';
+    const problems = SchemaValidator.validateAll(data);
+    expect(problems).toHaveLength(2);
+    expect(problems).toEqual(expect.arrayContaining([
+      { file: 'cosmic-objects.json', path: `objects[${indexOf('earth')}].orbit.parent`, message },
+      { file: 'cosmic-objects.json', path: `objects[${indexOf('moon')}].orbit.parent`, message }
+    ]));
+  });
+
+  it('formats problems with file and path', () => {
+    expect(SchemaValidator.formatProblem({ file: 'cosmic-objects.json', path: 'distances[0].to', message: 'references unknown object "vulcan"' }))
+      .toBe('cosmic-objects.json distances[0].to: references unknown object "vulcan"');
+    expect(SchemaValidator.formatProblem({ file: 'pack', path: '', message: 'must be an object' }))
+      .toBe('pack: must be an object');
+  });
+});
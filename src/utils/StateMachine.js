@@ -0,0 +1,305 @@
+/**
+ * StateMachine - Small declarative finite-state machine
+ *
+ * Plain JavaScript without Phaser, so machines can be tested in Node.
+ * A machine is described by a definition:
+ *
+ *   {
+ *     id: 'door',
+ *     initial: 'closed',
+ *     context: { opened: 0 },                  // Extended state for guards and actions
+ *     guards: { isUnlocked: (context, event) => !event.locked },
+ *     actions: { countOpening: context => { context.opened++; } },
+ *     states: {
+ *       closed: {
+ *         entry: ['…'],                        // Run when the state is entered
+ *         exit: ['…'],                         // Run when it is left
+ *         on: {
+ *           OPEN: { target: 'open', guard: 'isUnlocked', actions: ['countOpening'] },
+ *           KNOCK: { actions: ['…'] },         // No target: handled without leaving the state
+ *           PUSH: 'open'                       // Shorthand for { target: 'open' }
+ *         }
+ *       },
+ *       open: { on: { CLOSE: 'closed' } }
+ *     }
+ *   }
+ *
+ * Guards and actions are named in the states and implemented in the
+ * guards / actions tables, so the same definition can drive a scene or
+ * a test double. Both receive (context, event), where event is
+ * {type, ...payload} as passed to send(). A transition with a target
+ * runs the old state's exit actions, the transition's actions, then the
+ * new state's entry actions (also when the target is the same state).
+ *
+ * Events sent from inside an action are queued and run once the current
+ * transition is complete, so actions always see a settled state.
+ */
+
+// Events emitted by every machine
+export const MACHINE_EVENTS = Object.freeze({
+  TRANSITION: 'transition',   // {from, to, event} - after entry actions (from is null on start())
+  REJECTED: 'rejected'        // {state, event, reason: 'unhandled' | 'guard'}
+});
+
+/**
+ * @param {string|Object|Array} config - Transition config from a state's `on` table
+ * @returns {Array<Object>} [{target, guard, actions}] candidates, first allowed wins
+ */
+function normalizeTransitions(config) {
+  return (Array.isArray(config) ? config : [config]).map(transition =>
+    typeof transition === 'string'
+      ? { target: transition, guard: null, actions: [] }
+      : { target: transition.target ?? null, guard: transition.guard ?? null, actions: transition.actions ?? [] });
+}
+
+export class StateMachine {
+  /**
+   * @param {Object} definition - Machine definition (see file header)
+   * @throws {Error} If the definition names a state, guard or action that does not exist
+   */
+  constructor(definition) {
+    this.id = definition.id ?? 'machine';
+    this.initial = definition.initial;
+    this.states = definition.states;
+    this.guards = definition.guards ?? {};
+    this.actions = definition.actions ?? {};
+    this.context = definition.context ?? {};
+
+    this.state = null;       // Current state, null until start()
+    this.queue = [];         // Events sent while a transition is running
+    this.processing = false;
+    this.listeners = new Map();
+
+    StateMachine.validate(definition);
+  }
+
+  /**
+   * Check that every state, guard and action a definition refers to exists
+   *
+   * @param {Object} definition - Machine definition
+   * @throws {Error} Listing the first missing name
+   */
+  static validate(definition) {
+    const { id = 'machine', initial, states, guards = {}, actions = {} } = definition;
+    const fail = message => { throw new Error(`[StateMachine:${id}] ${message}`); };
+
+    if (!states?.[initial]) fail(`Unknown initial state: ${initial}`);
+
+    Object.entries(states).forEach(([name, state]) => {
+      [...(state.entry ?? []), ...(state.exit ?? [])].forEach(action => {
+        if (typeof actions[action] !== 'function') fail(`Unknown action "${action}" in state ${name}`);
+      });
+
+      Object.entries(state.on ?? {}).forEach(([type, config]) => {
+        normalizeTransitions(config).forEach(({ target, guard, actions: transitionActions }) => {
+          if (target !== null && !states[target]) fail(`Unknown target "${target}" for ${type} in state ${name}`);
+          if (guard !== null && typeof guards[guard] !== 'function') fail(`Unknown guard "${guard}" for ${type} in state ${name}`);
+          transitionActions.forEach(action => {
+            if (typeof actions[action] !== 'function') fail(`Unknown action "${action}" for ${type} in state ${name}`);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * States a definition can move to from a state, through any event
+   *
+   * @param {Object} definition - Machine definition
+   * @param {string} state - Source state
+   * @returns {Array<string>} Target states (without duplicates)
+   */
+  static getTargets(definition, state) {
+    const targets = Object.values(definition.states[state]?.on ?? {})
+      .flatMap(normalizeTransitions)
+      .map(transition => transition.target)
+      .filter(target => target !== null);
+
+    return [...new Set(targets)];
+  }
+
+  // ========================================
+  // Running
+  // ========================================
+
+  /**
+   * Enter the initial state (runs its entry actions)
+   *
+   * @param {Object} payload - Fields of the start event ({type: 'START', ...})
+   */
+  start(payload = {}) {
+    const event = { ...payload, type: 'START' };
+
+    this.processing = true;
+    this.state = this.initial;
+
+    try {
+      this.runActions(this.states[this.initial].entry, event);
+    } finally {
+      this.processing = false;
+    }
+
+    this.emit(MACHINE_EVENTS.TRANSITION, { from: null, to: this.initial, event });
+    this.flush();
+  }
+
+  /**
+   * Send an event
+   *
+   * @param {string} type - Event type, e.g. 'OPEN'
+   * @param {Object} payload - Extra event fields, passed to guards and actions
+   * @returns {boolean} True if a transition was taken (always true for an
+   *   event queued from inside an action; a rejection is then reported
+   *   through MACHINE_EVENTS.REJECTED)
+   */
+  send(type, payload = {}) {
+    const event = { ...payload, type };
+
+    if (this.processing) {
+      this.queue.push(event);
+      return true;
+    }
+
+    const accepted = this.process(event);
+    this.flush();
+    return accepted;
+  }
+
+  /**
+   * Check whether an event would be accepted now (guards are evaluated,
+   * nothing is run)
+   *
+   * @param {string} type - Event type
+   * @param {Object} payload - Extra event fields
+   * @returns {boolean} True if send() would take a transition
+   */
+  can(type, payload = {}) {
+    return this.select({ ...payload, type }) !== null;
+  }
+
+  /**
+   * @returns {string|null} Current state (null before start())
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * @param {string} state - State name
+   * @returns {boolean} True if the machine is in that state
+   */
+  matches(state) {
+    return this.state === state;
+  }
+
+  /**
+   * Pick the transition an event takes in the current state
+   *
+   * @param {Object} event - {type, ...payload}
+   * @returns {Object|null} Transition, or null if the event is unhandled or every guard refuses
+   */
+  select(event) {
+    const config = this.states[this.state]?.on?.[event.type];
+    if (config === undefined) return null;
+
+    return normalizeTransitions(config)
+      .find(({ guard }) => guard === null || this.guards[guard](this.context, event)) ?? null;
+  }
+
+  /**
+   * Take the transition for one event
+   *
+   * @param {Object} event - {type, ...payload}
+   * @returns {boolean} True if a transition was taken
+   */
+  process(event) {
+    const from = this.state;
+    const transition = this.select(event);
+
+    if (!transition) {
+      const reason = this.states[from]?.on?.[event.type] === undefined ? 'unhandled' : 'guard';
+      if (reason === 'unhandled') {
+        console.warn(`[StateMachine:${this.id}] ${event.type} is not allowed in ${from}`);
+      } else {
+        console.log(`[StateMachine:${this.id}] ${event.type} refused by its guard in ${from}`);
+      }
+      this.emit(MACHINE_EVENTS.REJECTED, { state: from, event, reason });
+      return false;
+    }
+
+    this.processing = true;
+
+    try {
+      if (transition.target === null) {
+        this.runActions(transition.actions, event);
+      } else {
+        this.runActions(this.states[from].exit, event);
+        this.state = transition.target;
+        this.runActions(transition.actions, event);
+        this.runActions(this.states[transition.target].entry, event);
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    this.emit(MACHINE_EVENTS.TRANSITION, { from, to: this.state, event });
+    return true;
+  }
+
+  /**
+   * Run events queued by actions, in order
+   */
+  flush() {
+    while (this.queue.length > 0 && !this.processing) {
+      this.process(this.queue.shift());
+    }
+  }
+
+  /**
+   * @param {Array<string>|undefined} names - Action names
+   * @param {Object} event - Event being processed
+   */
+  runActions(names, event) {
+    (names ?? []).forEach(name => this.actions[name](this.context, event));
+  }
+
+  // ========================================
+  // Listeners
+  // ========================================
+
+  /**
+   * @param {string} type - MACHINE_EVENTS value
+   * @param {Function} fn - Listener (payload)
+   * @param {Object} context - `this` for the listener
+   */
+  on(type, fn, context) {
+    if (!this.listeners.has(type)) this.listeners.set(type, []);
+    this.listeners.get(type).push({ fn, context });
+  }
+
+  /**
+   * @param {string} type - MACHINE_EVENTS value
+   * @param {Function} fn - Listener passed to on()
+   * @param {Object} context - Context passed to on()
+   */
+  off(type, fn, context) {
+    const listeners = this.listeners.get(type) ?? [];
+    this.listeners.set(type, listeners.filter(listener => listener.fn !== fn || listener.context !== context));
+  }
+
+  /**
+   * @param {string} type - MACHINE_EVENTS value
+   * @param {Object} payload - Event payload
+   */
+  emit(type, payload) {
+    [...(this.listeners.get(type) ?? [])].forEach(({ fn, context }) => fn.call(context, payload));
+  }
+
+  /**
+   * Drop listeners and queued events
+   */
+  destroy() {
+    this.listeners.clear();
+    this.queue = [];
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Units - Physical units and conversions
+ *
+ * Pure functions (no Phaser, no managers) shared by validation, data
+ * loading, Node tooling and display code.
+ *
+ * Data files may give each quantity in any unit of the right dimension
+ * (e.g. a distance in "ly", a diameter in "km"). DataManager converts
+ * everything to base units on load, so the rest of the app always works
+ * in meters, kilograms and seconds; display code converts back with
+ * Units.convert() / Units.format() when it wants a natural unit.
+ */
+
+// Base unit of each dimension
+export const BASE_UNITS = {
+  length: 'm',
+  mass: 'kg',
+  time: 's'
+};
+
+const METERS_PER_AU = 1.495978707e11;       // IAU 2012, exact
+const METERS_PER_LIGHT_YEAR = 9.4607304725808e15;
+const METERS_PER_PARSEC = 3.0856775814913673e16;
+const SECONDS_PER_JULIAN_YEAR = 31557600;
+
+/**
+ * Size of one unit in its dimension's base unit
+ *
+ * Keys are the unit symbols accepted in data files.
+ */
+const UNIT_FACTORS = {
+  length: {
+    fm: 1e-15,
+    pm: 1e-12,
+    nm: 1e-9,
+    um: 1e-6,
+    'μm': 1e-6,
+    mm: 1e-3,
+    cm: 1e-2,
+    m: 1,
+    km: 1e3,
+    AU: METERS_PER_AU,
+    ly: METERS_PER_LIGHT_YEAR,
+    pc: METERS_PER_PARSEC,
+    kpc: METERS_PER_PARSEC * 1e3,
+    Mpc: METERS_PER_PARSEC * 1e6,
+    Gpc: METERS_PER_PARSEC * 1e9
+  },
+  mass: {
+    g: 1e-3,
+    kg: 1,
+    t: 1e3,
+    M_earth: 5.9722e24,
+    M_jupiter: 1.89813e27,
+    M_sun: 1.98847e30
+  },
+  time: {
+    ms: 1e-3,
+    s: 1,
+    min: 60,
+    h: 3600,
+    d: 86400,
+    yr: SECONDS_PER_JULIAN_YEAR
+  }
+};
+
+export class Units {
+  /**
+   * Get the dimension a unit measures
+   *
+   * @param {string} unit - Unit symbol (e.g. "AU")
+   * @returns {string|null} 'length' | 'mass' | 'time', or null if unknown
+   */
+  static getDimension(unit) {
+    for (const [dimension, factors] of Object.entries(UNIT_FACTORS)) {
+      if (Object.hasOwn(factors, unit)) return dimension;
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} unit - Unit symbol
+   * @param {string} dimension - 'length' | 'mass' | 'time'
+   * @returns {boolean} True if unit is a known unit of that dimension
+   */
+  static isUnit(unit, dimension) {
+    return Units.getDimension(unit) === dimension;
+  }
+
+  /**
+   * @param {string} dimension - 'length' | 'mass' | 'time'
+   * @returns {Array<string>} Unit symbols of that dimension, smallest first
+   */
+  static getUnits(dimension) {
+    return Object.keys(UNIT_FACTORS[dimension] ?? {});
+  }
+
+  /**
+   * Convert a value to its dimension's base unit (m, kg or s)
+   *
+   * @param {number} value - Value in unit
+   * @param {string} unit - Unit symbol
+   * @returns {number} Value in the base unit
+   * @throws {Error} if the unit is unknown
+   */
+  static toBase(value, unit) {
+    return value * Units.getFactor(unit);
+  }
+
+  /**
+   * Convert a base-unit value (m, kg or s) to another unit
+   *
+   * @param {number} value - Value in the base unit
+   * @param {string} unit - Target unit symbol
+   * @returns {number} Value in unit
+   * @throws {Error} if the unit is unknown
+   */
+  static fromBase(value, unit) {
+    return value / Units.getFactor(unit);
+  }
+
+  /**
+   * Convert a value between two units of the same dimension
+   *
+   * @param {number} value - Value in fromUnit
+   * @param {string} fromUnit - Source unit symbol
+   * @param {string} toUnit - Target unit symbol
+   * @returns {number} Value in toUnit
+   * @throws {Error} if a unit is unknown or the dimensions differ
+   */
+  static convert(value, fromUnit, toUnit) {
+    const fromDimension = Units.getDimension(fromUnit);
+    const toDimension = Units.getDimension(toUnit);
+
+    if (fromDimension && toDimension && fromDimension !== toDimension) {
+      throw new Error(`Cannot convert ${fromDimension} "${fromUnit}" to ${toDimension} "${toUnit}"`);
+    }
+
+    return Units.fromBase(Units.toBase(value, fromUnit), toUnit);
+  }
+
+  /**
+   * Format a base-unit value in another unit
+   *
+   * Values between 0.01 and 1,000,000 are written out with three
+   * significant digits ("1.52 AU"); others use scientific notation
+   * ("4.01 × 10^16 m").
+   *
+   * @param {number} value - Value in the base unit
+   * @param {string} unit - Display unit symbol
+   * @param {number} digits - Significant digits
+   * @returns {string} Formatted value with unit
+   */
+  static format(value, unit, digits = 3) {
+    const converted = Units.fromBase(value, unit);
+    const abs = Math.abs(converted);
+
+    if (converted === 0) {
+      return `0 ${unit}`;
+    }
+
+    if (abs >= 0.01 && abs < 1e6) {
+      return `${Number(converted.toPrecision(digits)).toLocaleString('en-US')} ${unit}`;
+    }
+
+    const exponent = Math.floor(Math.log10(abs));
+    const mantissa = converted / Math.pow(10, exponent);
+    return `${mantissa.toFixed(digits - 1)} × 10^${exponent} ${unit}`;
+  }
+
+  /**
+   * @param {string} unit - Unit symbol
+   * @returns {number} Size of one unit in the base unit
+   * @throws {Error} if the unit is unknown
+   */
+  static getFactor(unit) {
+    const dimension = Units.getDimension(unit);
+
+    if (!dimension) {
+      throw new Error(`Unknown unit "${unit}"`);
+    }
+
+    return UNIT_FACTORS[dimension][unit];
+  }
+}